@@ -6,7 +6,12 @@
  * when accessing NetInfo.NetInfoStateType.none
  */
 
-const { createRuntimeResolver } = require('../runtime-resolver/src');
+const { createRuntimeResolver, registerAdapter } = require('../runtime-resolver/src');
+const { createNetInfoAdapter } = require('../runtime-resolver/src/adapters/netinfo');
+
+// This resolver is created outside the Metro wrappers, so register the built-in
+// NetInfo adapter here; web bundles do not load built-ins on demand
+registerAdapter('@react-native-community/netinfo', createNetInfoAdapter, { fallback: true });
 
 // Create resolver with NetInfo-specific configuration
 const resolver = createRuntimeResolver({
@@ -18,22 +23,9 @@ const resolver = createRuntimeResolver({
   // Module-specific configuration
   modules: {
     '@react-native-community/netinfo': {
-      // Custom handling for NetInfo module
-      handleNullProperties: true,
-      fallbacks: {
-        // Fallback for when NetInfoStateType is null
-        'NetInfoStateType': {
-          none: 'none',
-          unknown: 'unknown',
-          cellular: 'cellular',
-          wifi: 'wifi',
-          bluetooth: 'bluetooth',
-          ethernet: 'ethernet',
-          wimax: 'wimax',
-          vpn: 'vpn',
-          other: 'other'
-        }
-      }
+      // Null/undefined enum objects such as NetInfoStateType are replaced
+      // with fallback objects; no extra configuration needed
+      fallbackStrategy: 'graceful'
     }
   }
 });
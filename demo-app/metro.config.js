@@ -8,6 +8,10 @@
 const { getDefaultConfig } = require('expo/metro-config');
 const fs = require('fs');
 const path = require('path');
+const { generateAdapterRegistrations, generateManifestRegistrations } = require('./runtime-resolver/src/adapter-discovery');
+const { readInstalledVersion } = require('./runtime-resolver/src/installed-versions');
+const { loadManifestDirectory, hasManifest, findManifestInterface } = require('./runtime-resolver/src/manifest-loader');
+const { loadConfig } = require('./runtime-resolver/src/config-loader');
 
 const config = getDefaultConfig(__dirname);
 
@@ -27,34 +31,91 @@ const AUTO_WRAP_MODULES = [
   'react-native-image-picker',
   'react-native-safe-area-context',
   'react-native-screens',
+  '@react-native-community/netinfo',
+  'react-native-camera',
+  'expo-file-system',
   'react-native-logger', // Pattern: matches react-native-logger/dist/types too
 ];
 
+// Optional app resolver configuration, merged into every wrapper. Checked here so
+// mistakes (bad values, misspelled keys or module names) stop the bundler with their path
+const APP_CONFIG_PATH = path.join(__dirname, 'runtime-resolver.config.js');
+const hasAppConfig = fs.existsSync(APP_CONFIG_PATH);
+const appConfig = loadConfig(hasAppConfig ? require(APP_CONFIG_PATH) : {}, {
+  knownModules: AUTO_WRAP_MODULES,
+  source: `Runtime resolver config ${APP_CONFIG_PATH}`
+});
+
+// Bundle platforms that get wrappers: web only for 'auto', none for 'native',
+// every platform otherwise ('native-missing' then decides at runtime)
+function wrapsPlatform(platform) {
+  switch (appConfig.platform) {
+    case 'native':
+      return false;
+    case 'auto':
+      return platform === 'web' || platform === 'dom';
+    default:
+      return true;
+  }
+}
+
+// App interface manifests (*.json), added to and taking precedence over the built-in ones
+const APP_MANIFEST_DIR = path.join(__dirname, 'runtime-manifests');
+loadManifestDirectory(APP_MANIFEST_DIR);
+
+// Read the installed version of a wrapped module, warning once when no manifest interface covers it
+const checkedVersions = new Set();
+function getInstalledVersion(moduleName) {
+  const version = readInstalledVersion(moduleName, __dirname);
+  if (version && !checkedVersions.has(moduleName)) {
+    checkedVersions.add(moduleName);
+    if (hasManifest(moduleName) && !findManifestInterface(moduleName, version)) {
+      console.warn(`[Metro Config] No manifest interface covers ${moduleName}@${version}`);
+    }
+  }
+  return version;
+}
+
 // Create wrapper files at startup
 const wrapperDir = path.join(__dirname, 'runtime-wrappers');
 if (!fs.existsSync(wrapperDir)) {
   fs.mkdirSync(wrapperDir, { recursive: true });
 }
 
+// Resolver config of each wrapper: the wrapper defaults with the app configuration
+// deep-merged over them, so versions the app pins win over the detected ones
+const APP_CONFIG_REQUEST = path.relative(wrapperDir, APP_CONFIG_PATH).split(path.sep).join('/').replace(/\.js$/, '');
+function wrapperConfigSource(moduleName, version) {
+  const defaults = `{
+  logging: true,
+  logLevel: 'warn',
+  fallbackStrategy: 'graceful',
+  moduleVersions: { '${moduleName}': ${JSON.stringify(version)} }
+}`;
+  return hasAppConfig ? `mergeConfig(${defaults}, require('${APP_CONFIG_REQUEST}'))` : defaults;
+}
+
+// Lets the resolver reject module names nothing wraps at runtime too
+const KNOWN_MODULES_SOURCE = JSON.stringify(AUTO_WRAP_MODULES).replace(/"/g, "'");
+
 // Pre-create all wrapper files so Metro can find them
 AUTO_WRAP_MODULES.forEach(moduleName => {
   const safeName = moduleName.replace(/[^a-zA-Z0-9]/g, '_');
   const wrapperPath = path.join(wrapperDir, `${safeName}.js`);
+  const version = getInstalledVersion(moduleName);
   
   const wrapperContent = `
 // Auto-generated interface-based runtime wrapper for ${moduleName} (pattern-based)
-const { createRuntimeResolver } = require('../runtime-resolver/src/index');
+const { createRuntimeResolver, mergeConfig } = require('../runtime-resolver/src/index');
 const { InterfaceAnalyzer } = require('../runtime-resolver/src/interface-analyzer');
 const { WrapperGenerator } = require('../runtime-resolver/src/wrapper-generator');
+${generateAdapterRegistrations(moduleName, { projectRoot: __dirname, version })}
+${generateManifestRegistrations(moduleName, { wrapperDir, manifestDirs: [APP_MANIFEST_DIR] })}
 
 // This wrapper handles any module matching the pattern: ${moduleName}
 // The actual module name is determined at runtime from the Metro context
 
-const resolver = createRuntimeResolver({
-  logging: true,
-  logLevel: 'warn',
-  fallbackStrategy: 'graceful'
-});
+const resolver = createRuntimeResolver(${wrapperConfigSource(moduleName, version)}, { knownModules: ${KNOWN_MODULES_SOURCE} });
 
 // This function wraps any module that matches the pattern
 function wrapMatchingModule(actualModuleName) {
@@ -75,11 +136,11 @@ function wrapMatchingModule(actualModuleName) {
     console.warn('[Interface Wrapper] Failed to load', actualModuleName, ':', error.message);
   
   // Use interface analysis to create intelligent fallbacks
-  const analyzer = new InterfaceAnalyzer();
+  const analyzer = new InterfaceAnalyzer({ moduleVersions: resolver.config.moduleVersions });
   const generator = new WrapperGenerator({
     info: (msg) => console.log('[Interface Wrapper]', msg),
     warn: (msg) => console.warn('[Interface Wrapper]', msg)
-  });
+  }, resolver.fallbackManager);
   
   try {
     // Try interface analysis only in Node.js environment
@@ -96,9 +157,10 @@ function wrapMatchingModule(actualModuleName) {
       // Wrap the interface-based fallback with runtime resolver
       wrappedModule = resolver.resolve('${moduleName}', interfaceWrapper);
     } else {
-      // Web environment - use basic fallback
-      console.log('[Interface Wrapper] Web environment - using basic fallback for ${moduleName}');
-      wrappedModule = resolver.resolve('${moduleName}', {});
+      // Web environment - build fallbacks from the module's manifest
+      console.log('[Interface Wrapper] Web environment - using manifest fallback for ${moduleName}');
+      const moduleInterface = analyzer.getDefaultInterface('${moduleName}');
+      wrappedModule = resolver.resolve('${moduleName}', generator.generateWrapper(moduleInterface));
     }
     
   } catch (analysisError) {
@@ -146,8 +208,10 @@ config.resolver.resolveRequest = (context, moduleName, platform) => {
       ? originalResolver(context, moduleName, platform)
       : context.resolveRequest(context, moduleName, platform);
     
-    // Check if this is a web platform and module needs wrapping (using pattern matching)
-    const needsWrapping = isWebPlatform && AUTO_WRAP_MODULES.some(pattern => 
+    // Check if this platform gets wrappers and the module needs wrapping (using pattern matching).
+    // Requests from the wrappers themselves get the original module
+    const fromWrapper = Boolean(context.originModulePath) && context.originModulePath.startsWith(wrapperDir);
+    const needsWrapping = wrapsPlatform(platform) && !fromWrapper && AUTO_WRAP_MODULES.some(pattern => 
       moduleName.startsWith(pattern) || moduleName.includes(pattern)
     );
     
@@ -162,21 +226,20 @@ config.resolver.resolveRequest = (context, moduleName, platform) => {
       // Create a dynamic wrapper file for this specific module
       const safeName = moduleName.replace(/[^a-zA-Z0-9]/g, '_');
       const wrapperPath = path.join(wrapperDir, `${safeName}.js`);
+      const version = getInstalledVersion(matchingPattern);
       
       // Create wrapper content for this specific module
       const wrapperContent = `
 // Auto-generated runtime wrapper for ${moduleName}
-const { createRuntimeResolver } = require('../runtime-resolver/src/index');
+const { createRuntimeResolver, mergeConfig } = require('../runtime-resolver/src/index');
 const { InterfaceAnalyzer } = require('../runtime-resolver/src/interface-analyzer');
 const { WrapperGenerator } = require('../runtime-resolver/src/wrapper-generator');
+${generateAdapterRegistrations(matchingPattern, { projectRoot: __dirname, version })}
+${generateManifestRegistrations(matchingPattern, { wrapperDir, manifestDirs: [APP_MANIFEST_DIR] })}
 
 console.log('[Interface Wrapper] Loading wrapper for ${moduleName}');
 
-const resolver = createRuntimeResolver({
-  logging: true,
-  logLevel: 'warn',
-  fallbackStrategy: 'graceful'
-});
+const resolver = createRuntimeResolver(${wrapperConfigSource(matchingPattern, version)}, { knownModules: ${KNOWN_MODULES_SOURCE} });
 
 let wrappedModule = {};
 
@@ -187,11 +250,11 @@ try {
 } catch (error) {
   console.warn('[Interface Wrapper] Failed to load ${moduleName}:', error.message);
   
-  const analyzer = new InterfaceAnalyzer();
+  const analyzer = new InterfaceAnalyzer({ moduleVersions: resolver.config.moduleVersions });
   const generator = new WrapperGenerator({
     info: (msg) => console.log('[Interface Wrapper]', msg),
     warn: (msg) => console.warn('[Interface Wrapper]', msg)
-  });
+  }, resolver.fallbackManager);
   
   try {
     if (typeof process !== 'undefined' && process.platform) {
@@ -200,8 +263,9 @@ try {
       console.log('[Interface Wrapper] Generated interface-based wrapper for ${moduleName}');
       wrappedModule = resolver.resolve('${moduleName}', interfaceWrapper);
     } else {
-      console.log('[Interface Wrapper] Web environment - using basic fallback for ${moduleName}');
-      wrappedModule = resolver.resolve('${moduleName}', {});
+      console.log('[Interface Wrapper] Web environment - using manifest fallback for ${moduleName}');
+      const moduleInterface = analyzer.getDefaultInterface('${matchingPattern}');
+      wrappedModule = resolver.resolve('${moduleName}', generator.generateWrapper(moduleInterface));
     }
   } catch (analysisError) {
     console.warn('[Interface Wrapper] Interface analysis failed:', analysisError.message);
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { discoverRuntimeAdapters, generateAdapterRegistrations } = require('../src/adapter-discovery');
+
+let projectRoot;
+
+const writeFiles = files => {
+  Object.keys(files).forEach(file => {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, file), files[file]);
+  });
+};
+
+const descriptor = (moduleName, versions) => `module.exports = ${JSON.stringify({ moduleName, versions })};
+module.exports.createAdapter = () => ({});
+`;
+
+beforeAll(() => {
+  projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'adapter-discovery-'));
+
+  writeFiles({
+    'node_modules/foo-web/foo.runtime-adapter.js': descriptor('react-native-foo', '>=2.0.0'),
+    'node_modules/@acme/bar-web/bar.runtime-adapter.js': descriptor('react-native-bar'),
+    'node_modules/broken-web/broken.runtime-adapter.js': 'module.exports = { moduleName: "react-native-broken" };\n',
+    'node_modules/plain/index.js': 'module.exports = {};\n',
+    // Neither a scope directory nor a package
+    'node_modules/@stray': ''
+  });
+});
+
+afterAll(() => {
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+});
+
+describe('adapter discovery', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  it('finds runtime adapters in plain and scoped packages', () => {
+    const adapters = discoverRuntimeAdapters(projectRoot);
+
+    expect(adapters).toEqual([
+      { moduleName: 'react-native-bar', versions: '*', request: '@acme/bar-web/bar.runtime-adapter.js' },
+      { moduleName: 'react-native-foo', versions: '>=2.0.0', request: 'foo-web/foo.runtime-adapter.js' }
+    ]);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring'));
+  });
+
+  it('generates registrations for the adapters covering the installed version', () => {
+    expect(generateAdapterRegistrations('react-native-foo', { projectRoot, version: '2.1.0' })).toBe([
+      "const { registerAdapterModule } = require('../runtime-resolver/src/adapter-registry');",
+      "registerAdapterModule(require('foo-web/foo.runtime-adapter.js'));"
+    ].join('\n'));
+
+    expect(generateAdapterRegistrations('react-native-foo', { projectRoot, version: '1.0.0' })).toBe('');
+    expect(warn).toHaveBeenCalledWith('[Runtime Resolver] No web adapter covers react-native-foo@1.0.0, using generic fallbacks');
+  });
+
+  it('registers built-in adapters with the lowest precedence', () => {
+    const code = generateAdapterRegistrations('expo-haptics', { projectRoot, resolverPath: './src' });
+
+    expect(code).toBe([
+      "const { registerAdapter } = require('./src/adapter-registry');",
+      "registerAdapter('expo-haptics', require('./src/adapters/expo-haptics').createHapticsAdapter, { versions: '*', fallback: true });"
+    ].join('\n'));
+  });
+
+  it('generates nothing for modules without adapters', () => {
+    expect(generateAdapterRegistrations('react-native-unknown', { projectRoot })).toBe('');
+  });
+});
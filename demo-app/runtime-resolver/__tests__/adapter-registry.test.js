@@ -0,0 +1,79 @@
+const {
+  registerAdapter,
+  registerAdapterModule,
+  getAdapterFactory,
+  hasAdapter,
+  getRegisteredAdapters,
+  getRegistryRevision
+} = require('../src/adapter-registry');
+const { FallbackManager } = require('../src/fallback-manager');
+
+describe('adapter registry', () => {
+  it('loads built-in adapters on first lookup', () => {
+    expect(hasAdapter('expo-haptics')).toBe(true);
+    expect(getAdapterFactory('expo-haptics')({}, console)).toHaveProperty('impactAsync');
+    expect(getRegisteredAdapters()).toContainEqual({ moduleName: 'expo-haptics', versions: '*', source: 'built-in' });
+  });
+
+  it('prefers later registrations over earlier ones and over built-ins', () => {
+    const first = () => ({});
+    const second = () => ({});
+    registerAdapter('test-precedence', first);
+    registerAdapter('test-precedence', second);
+    registerAdapter('test-precedence', () => ({}), { fallback: true });
+
+    expect(getAdapterFactory('test-precedence')).toBe(second);
+  });
+
+  it('picks the registration covering the installed version', () => {
+    const legacy = () => ({});
+    const current = () => ({});
+    registerAdapter('test-versions', legacy, { versions: '^1.0.0' });
+    registerAdapter('test-versions', current, { versions: '>=2.0.0' });
+
+    expect(getAdapterFactory('test-versions', '1.4.0')).toBe(legacy);
+    expect(getAdapterFactory('test-versions', '3.0.0')).toBe(current);
+    expect(getAdapterFactory('test-versions', '0.9.0')).toBeNull();
+  });
+
+  it('unregisters and bumps the revision on every change', () => {
+    const before = getRegistryRevision('test-unregister');
+    const unregister = registerAdapter('test-unregister', () => ({}));
+    expect(getRegistryRevision('test-unregister')).toBe(before + 1);
+
+    unregister();
+    expect(getRegistryRevision('test-unregister')).toBe(before + 2);
+    expect(hasAdapter('test-unregister')).toBe(false);
+  });
+
+  it('keeps one entry when a wrapper registers the same factory again', () => {
+    const factory = () => ({});
+    registerAdapter('test-refresh', factory);
+    registerAdapter('test-refresh', factory);
+
+    expect(getRegisteredAdapters().filter(({ moduleName }) => moduleName === 'test-refresh')).toHaveLength(1);
+  });
+
+  it('registers runtime adapter descriptors', () => {
+    const createAdapter = () => ({});
+    registerAdapterModule({ moduleName: 'test-descriptor', versions: '^2.0.0', createAdapter });
+
+    expect(getAdapterFactory('test-descriptor', '2.1.0')).toBe(createAdapter);
+    expect(() => registerAdapterModule(null)).toThrow('must export { moduleName, createAdapter }');
+  });
+
+  it('rejects invalid registrations', () => {
+    expect(() => registerAdapter('', () => ({}))).toThrow('moduleName must be a non-empty string');
+    expect(() => registerAdapter('test-invalid', {})).toThrow('must be a function');
+    expect(() => registerAdapter('test-invalid', () => ({}), { versions: 'not a range' })).toThrow('invalid versions range');
+  });
+
+  it('warns through the FallbackManager logger when no adapter covers the installed version', () => {
+    registerAdapter('test-uncovered', () => ({ ping: () => 'pong' }), { versions: '^2.0.0' });
+    const logger = { warn: jest.fn() };
+    const manager = new FallbackManager({ moduleVersions: { 'test-uncovered': '1.0.0' } }, logger);
+
+    expect(manager.getBuiltInAdapter('test-uncovered')).toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith('No web adapter covers test-uncovered@1.0.0, using generic fallbacks');
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { analyzeSourceExports } = require('../src/ast-export-analyzer');
+
+let projectRoot;
+
+const writeFiles = files => {
+  Object.keys(files).forEach(file => {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, file), files[file]);
+  });
+};
+
+const analyze = file => analyzeSourceExports(path.join(projectRoot, file), projectRoot);
+
+beforeAll(() => {
+  projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ast-export-analyzer-'));
+
+  writeFiles({
+    'env-entry/index.js': `
+      'use strict';
+      if (process.env.NODE_ENV === 'production') {
+        module.exports = require('./cjs/entry.production.min.js');
+      } else {
+        module.exports = require('./cjs/entry.development.js');
+      }
+    `,
+    'env-entry/cjs/entry.production.min.js': "'use strict';exports.isElement=function(a){return!1};",
+    'env-entry/cjs/entry.development.js': `
+      'use strict';
+      if (process.env.NODE_ENV !== "production") {
+        (function() {
+          'use strict';
+          var Element = Symbol.for('react.element');
+          function isElement(object) { return false; }
+          function isFragment(object) { return false; }
+          exports.Element = Element;
+          exports.isElement = isElement;
+          exports.isFragment = isFragment;
+        })();
+      }
+    `,
+
+    'env-single/index.js': "if (process.env.NODE_ENV !== 'production') module.exports = require('./dev');\n",
+    'env-single/dev.js': 'exports.debug = function debug(message) {};\n',
+
+    'esm/index.js': `
+      export { format as formatDate, parse } from './dates';
+      export * from './numbers';
+      export * as strings from './strings';
+      export default function Component(props) { return null; }
+    `,
+    'esm/dates.js': 'export function format(date, pattern) {}\nexport async function parse(text) {}\n',
+    'esm/numbers.js': 'export const PRECISION = 2;\nexport class Counter { increment() {} }\n',
+    'esm/strings.js': 'export const pad = (text, length) => text;\n',
+
+    'babel/index.js': `
+      "use strict";
+      Object.defineProperty(exports, "__esModule", { value: true });
+      exports.default = exports.helper = void 0;
+      var _dates = require("./dates");
+      Object.defineProperty(exports, "format", { enumerable: true, get: function () { return _dates.format; } });
+      const helper = () => 1;
+      exports.helper = helper;
+      var _default = { name: 'babel' };
+      exports.default = _default;
+    `,
+    'babel/dates.js': 'exports.format = function format(date) {};\n',
+
+    'cycle/a.js': "export { b } from './b';\nexport const a = 1;\n",
+    'cycle/b.js': "export { a } from './a';\nexport const b = 2;\n"
+  });
+});
+
+afterAll(() => {
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+});
+
+describe('ast export analyzer', () => {
+  it('follows the development branch of a NODE_ENV entry', () => {
+    const { exports } = analyze('env-entry/index.js');
+
+    expect(Object.keys(exports).sort()).toEqual(['Element', 'isElement', 'isFragment']);
+    expect(exports.isElement).toMatchObject({
+      kind: 'function',
+      length: 1,
+      source: { file: path.join(projectRoot, 'env-entry/cjs/entry.development.js') },
+      via: [path.join(projectRoot, 'env-entry/index.js')]
+    });
+  });
+
+  it('reads an if statement without a block or else branch', () => {
+    expect(Object.keys(analyze('env-single/index.js').exports)).toEqual(['debug']);
+  });
+
+  it('follows ESM re-exports across files', () => {
+    const { exports, cycles } = analyze('esm/index.js');
+
+    expect(Object.keys(exports).sort()).toEqual(['Counter', 'PRECISION', 'default', 'formatDate', 'parse', 'strings']);
+    expect(exports.formatDate).toMatchObject({ kind: 'function', length: 2 });
+    expect(exports.parse).toMatchObject({ kind: 'function', async: true });
+    expect(exports.Counter).toMatchObject({ kind: 'class' });
+    expect(exports.formatDate.source).toMatchObject({ file: path.join(projectRoot, 'esm/dates.js'), line: 1 });
+    expect(cycles).toEqual([]);
+  });
+
+  it('reads Babel CommonJS output', () => {
+    const { exports } = analyze('babel/index.js');
+
+    expect(Object.keys(exports).sort()).toEqual(['default', 'format', 'helper']);
+    expect(exports.format).toMatchObject({ kind: 'function', source: { file: path.join(projectRoot, 'babel/dates.js') } });
+  });
+
+  it('reports import cycles instead of recursing into them', () => {
+    const { exports, cycles } = analyze('cycle/a.js');
+
+    expect(exports).toHaveProperty('a');
+    expect(exports).toHaveProperty('b');
+    expect(cycles).toHaveLength(1);
+  });
+});
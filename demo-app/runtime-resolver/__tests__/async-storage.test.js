@@ -0,0 +1,115 @@
+const { createAsyncStorageAdapter, createMemoryStore, createLocalStorageStore } = require('../src/adapters/async-storage');
+
+const createStorage = () => {
+  const items = new Map();
+  return {
+    get length() {
+      return items.size;
+    },
+    key: index => Array.from(items.keys())[index] || null,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+};
+
+describe('AsyncStorage adapter', () => {
+  let AsyncStorage;
+
+  beforeEach(() => {
+    AsyncStorage = createAsyncStorageAdapter({ store: createMemoryStore() }).default;
+  });
+
+  it('uses the memory store under Node', async () => {
+    const adapter = createAsyncStorageAdapter().default;
+    await adapter.setItem('key', 'value');
+    expect(await adapter.getItem('key')).toBe('value');
+  });
+
+  it('sets and gets items as strings', async () => {
+    await AsyncStorage.setItem('count', 3);
+    expect(await AsyncStorage.getItem('count')).toBe('3');
+    expect(await AsyncStorage.getItem('missing')).toBeNull();
+  });
+
+  it('deep-merges JSON values', async () => {
+    await AsyncStorage.setItem('user', JSON.stringify({ name: 'Ada', settings: { theme: 'dark', tags: [1] } }));
+    await AsyncStorage.mergeItem('user', JSON.stringify({ settings: { fontSize: 14, tags: [2] } }));
+
+    expect(JSON.parse(await AsyncStorage.getItem('user'))).toEqual({
+      name: 'Ada',
+      settings: { theme: 'dark', fontSize: 14, tags: [2] }
+    });
+  });
+
+  it('stores merged values for new keys as given', async () => {
+    await AsyncStorage.mergeItem('fresh', '{"a":1}');
+    expect(await AsyncStorage.getItem('fresh')).toBe('{"a":1}');
+  });
+
+  it('gets several items as key/value pairs', async () => {
+    await AsyncStorage.multiSet([['a', '1'], ['b', '2']]);
+    expect(await AsyncStorage.multiGet(['a', 'b', 'c'])).toEqual([['a', '1'], ['b', '2'], ['c', null]]);
+  });
+
+  it('removes several items', async () => {
+    await AsyncStorage.multiSet([['a', '1'], ['b', '2'], ['c', '3']]);
+    await AsyncStorage.multiRemove(['a', 'c']);
+    expect(await AsyncStorage.getAllKeys()).toEqual(['b']);
+  });
+
+  it('clears every item', async () => {
+    await AsyncStorage.multiSet([['a', '1'], ['b', '2']]);
+    await AsyncStorage.clear();
+    expect(await AsyncStorage.getAllKeys()).toEqual([]);
+  });
+
+  it('settles callbacks as well as promises', async () => {
+    const callback = jest.fn();
+    await AsyncStorage.setItem('key', 'value');
+    await expect(AsyncStorage.getItem('key', callback)).resolves.toBe('value');
+    expect(callback).toHaveBeenCalledWith(null, 'value');
+  });
+
+  describe('localStorage store', () => {
+    it('prefixes keys and leaves other entries alone', async () => {
+      const storage = createStorage();
+      storage.setItem('other', 'kept');
+      const adapter = createAsyncStorageAdapter({ store: createLocalStorageStore(storage) }).default;
+
+      await adapter.multiSet([['a', '1'], ['b', '2']]);
+      expect(storage.getItem('@AsyncStorage:a')).toBe('1');
+      expect(await adapter.getAllKeys()).toEqual(['a', 'b']);
+
+      await adapter.clear();
+      expect(await adapter.getAllKeys()).toEqual([]);
+      expect(storage.getItem('other')).toBe('kept');
+    });
+
+    it('is used when IndexedDB fails to open', async () => {
+      const logger = { warn: jest.fn() };
+      const storage = createStorage();
+      global.localStorage = storage;
+      global.indexedDB = {
+        open: () => {
+          const request = {};
+          setTimeout(() => {
+            request.error = new Error('private mode');
+            request.onerror();
+          });
+          return request;
+        }
+      };
+
+      try {
+        const adapter = createAsyncStorageAdapter({}, logger).default;
+        await adapter.setItem('key', 'value');
+        expect(storage.getItem('@AsyncStorage:key')).toBe('value');
+        expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('IndexedDB not available'), 'private mode');
+      } finally {
+        delete global.localStorage;
+        delete global.indexedDB;
+      }
+    });
+  });
+});
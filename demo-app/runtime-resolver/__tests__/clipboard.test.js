@@ -0,0 +1,169 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const { createClipboardAdapter } = require('../src/adapters/clipboard');
+
+const stubClipboard = api => {
+  Object.defineProperty(navigator, 'clipboard', { value: api, configurable: true });
+  return api;
+};
+
+const grantClipboardRead = state => {
+  navigator.permissions = { query: jest.fn(async () => ({ state })) };
+};
+
+describe('clipboard adapter', () => {
+  let Clipboard;
+
+  beforeEach(() => {
+    Clipboard = createClipboardAdapter();
+    jest.spyOn(document, 'hasFocus').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    Clipboard.removeAllListeners();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+    delete navigator.clipboard;
+    delete navigator.permissions;
+    delete document.execCommand;
+    delete global.ClipboardItem;
+  });
+
+  it('writes text through the Clipboard API and notifies listeners', async () => {
+    const api = stubClipboard({ writeText: jest.fn(async () => {}) });
+    const listener = jest.fn();
+    Clipboard.addListener(listener);
+
+    await Clipboard.setStrings(['one', 'two']);
+
+    expect(api.writeText).toHaveBeenCalledWith('one\ntwo');
+    expect(listener).toHaveBeenCalledTimes(1);
+    await expect(Clipboard.getString()).resolves.toBe('one\ntwo');
+  });
+
+  it('falls back to execCommand when the Clipboard API is blocked', async () => {
+    const blocked = new Error('Write permission denied');
+    stubClipboard({ writeText: jest.fn(async () => { throw blocked; }) });
+    const input = document.body.appendChild(document.createElement('input'));
+    input.focus();
+    let copiedText = null;
+    document.execCommand = jest.fn(() => {
+      copiedText = document.querySelector('textarea').value;
+      return true;
+    });
+
+    await Clipboard.setString('copied');
+
+    expect(document.execCommand).toHaveBeenCalledWith('copy');
+    expect(copiedText).toBe('copied');
+    expect(document.querySelector('textarea')).toBeNull();
+    expect(document.activeElement).toBe(input);
+
+    document.execCommand = jest.fn(() => false);
+    await expect(Clipboard.setString('copied')).rejects.toBe(blocked);
+    input.remove();
+  });
+
+  it('fails when no way of copying is available', async () => {
+    document.execCommand = jest.fn(() => false);
+    await expect(Clipboard.setString('text')).rejects.toThrow('Clipboard write is not available on this platform');
+  });
+
+  it('returns the last known text when reading is blocked', async () => {
+    stubClipboard({
+      writeText: jest.fn(async () => {}),
+      readText: jest.fn(async () => { throw new Error('Document is not focused'); })
+    });
+
+    await Clipboard.setString('https://example.com');
+
+    await expect(Clipboard.getString()).resolves.toBe('https://example.com');
+    await expect(Clipboard.getStrings()).resolves.toEqual(['https://example.com']);
+  });
+
+  it('checks content without reading when reading would prompt', async () => {
+    const api = stubClipboard({ writeText: jest.fn(async () => {}), readText: jest.fn(async () => '42') });
+    grantClipboardRead('prompt');
+    await Clipboard.setString('mailto:someone@example.com');
+
+    await expect(Clipboard.hasURL()).resolves.toBe(true);
+    await expect(Clipboard.hasWebURL()).resolves.toBe(false);
+    expect(api.readText).not.toHaveBeenCalled();
+
+    grantClipboardRead('granted');
+    await expect(Clipboard.hasNumber()).resolves.toBe(true);
+    expect(api.readText).toHaveBeenCalled();
+  });
+
+  it('picks up pasted and copied text', () => {
+    jest.useFakeTimers();
+    const listener = jest.fn();
+    Clipboard.addListener(listener);
+
+    const paste = Object.assign(new Event('paste'), { clipboardData: { getData: () => 'pasted' } });
+    document.dispatchEvent(paste);
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    jest.spyOn(window, 'getSelection').mockReturnValue('selected');
+    document.dispatchEvent(new Event('copy'));
+    jest.advanceTimersByTime(0);
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('checks for new content on focus only when reading is granted', async () => {
+    stubClipboard({ readText: jest.fn(async () => 'from another app') });
+    const listener = jest.fn();
+    const subscription = Clipboard.addListener(listener);
+    const focus = async () => {
+      window.dispatchEvent(new Event('focus'));
+      await new Promise(resolve => setTimeout(resolve));
+    };
+
+    grantClipboardRead('denied');
+    await focus();
+    expect(listener).not.toHaveBeenCalled();
+
+    grantClipboardRead('granted');
+    await focus();
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    subscription.remove();
+    navigator.clipboard.readText = jest.fn(async () => 'newer');
+    await focus();
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('copies images as PNG ClipboardItems', async () => {
+    const api = stubClipboard({ write: jest.fn(async () => {}) });
+    await expect(Clipboard.setImage('AAAA')).rejects.toThrow('Copying images is not supported by this browser');
+
+    global.ClipboardItem = class ClipboardItem {
+      constructor(items) {
+        this.items = items;
+      }
+    };
+    await Clipboard.setImage('data:image/png;base64,iVBORw0KGgo=');
+
+    const [item] = api.write.mock.calls[0][0];
+    const blob = await item.items['image/png'];
+    expect(blob.type).toBe('image/png');
+    expect(blob.size).toBe(8);
+  });
+
+  it('reads clipboard images as data URLs', async () => {
+    stubClipboard({
+      read: jest.fn(async () => [{
+        types: ['text/plain', 'image/png'],
+        getType: async () => new Blob(['x'], { type: 'image/png' })
+      }])
+    });
+
+    await expect(Clipboard.getImagePNG()).resolves.toBe('data:image/png;base64,eA==');
+    await expect(Clipboard.hasImage()).resolves.toBe(true);
+
+    navigator.clipboard.read = jest.fn(async () => { throw new Error('Read permission denied'); });
+    await expect(Clipboard.getImage()).resolves.toBe('');
+  });
+});
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_CONFIG, mergeConfig, validateConfig, loadConfig } = require('../src/config-loader');
+const exampleConfig = require('../config/example-config');
+
+// The modules metro.config.js wraps, which app configuration is checked against
+const readAutoWrapModules = () => {
+  const source = fs.readFileSync(path.join(__dirname, '..', '..', 'metro.config.js'), 'utf8');
+  const list = source.match(/const AUTO_WRAP_MODULES = \[([\s\S]*?)\];/)[1];
+  return Array.from(list.matchAll(/'([^']+)'/g), match => match[1]);
+};
+
+describe('config loader', () => {
+  it('merges configuration over the defaults', () => {
+    const config = loadConfig({ logLevel: 'error', fallbacks: { returnValue: false } });
+
+    expect(config.logLevel).toBe('error');
+    expect(config.fallbacks).toEqual({ ...DEFAULT_CONFIG.fallbacks, returnValue: false });
+    expect(config.platform).toBe(DEFAULT_CONFIG.platform);
+  });
+
+  it('replaces arrays and functions instead of merging them', () => {
+    const fallback = () => null;
+    const merged = mergeConfig(
+      { modules: { camera: { nativeModules: ['A', 'B'], fallback: { a: () => 1 } } } },
+      { modules: { camera: { nativeModules: ['C'], fallback } } }
+    );
+
+    expect(merged.modules.camera).toEqual({ nativeModules: ['C'], fallback });
+  });
+
+  it('throws ERR_INVALID_CONFIG listing every problem', () => {
+    let thrown;
+    try {
+      loadConfig({ platform: 'desktop', logging: 'yes' }, { source: 'app.config.js' });
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown.code).toBe('ERR_INVALID_CONFIG');
+    expect(thrown.message).toContain('app.config.js');
+    expect(thrown.errors.map(error => error.path)).toEqual(expect.arrayContaining(['platform', 'logging']));
+  });
+
+  it('rejects unknown options and non-function fallbacks', () => {
+    const errors = validateConfig(mergeConfig(DEFAULT_CONFIG, {
+      fallbackStratgy: 'silent',
+      modules: { 'expo-haptics': { fallback: { impactAsync: 'noop' } } }
+    }));
+
+    expect(errors.map(error => error.path)).toEqual(expect.arrayContaining([
+      'fallbackStratgy',
+      'modules.expo-haptics.fallback.impactAsync'
+    ]));
+  });
+
+  it('rejects module names outside knownModules', () => {
+    expect(() => loadConfig({ adapters: { 'expo-hapitcs': {} } }, { knownModules: ['expo-haptics'] }))
+      .toThrow(expect.objectContaining({
+        code: 'ERR_INVALID_CONFIG',
+        errors: [{ path: 'adapters.expo-hapitcs', message: 'is not a known module' }]
+      }));
+  });
+
+  it('accepts known modules and their subpaths', () => {
+    const config = {
+      modules: { 'react-native-logger/dist/types': {} },
+      moduleVersions: { 'expo-haptics': '12.0.0' }
+    };
+
+    expect(() => loadConfig(config, { knownModules: ['expo-haptics', 'react-native-logger'] })).not.toThrow();
+  });
+
+  it('merges updates over the given base', () => {
+    const base = loadConfig({ logLevel: 'debug' });
+    expect(loadConfig({ logging: false }, { base })).toMatchObject({ logLevel: 'debug', logging: false });
+  });
+
+  it('accepts the example configuration with the modules Metro wraps', () => {
+    expect(() => loadConfig(exampleConfig, { knownModules: readAutoWrapModules() })).not.toThrow();
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findDeclarationEntry, analyzeTypeDeclarations } = require('../src/dts-analyzer');
+const { InterfaceAnalyzer } = require('../src/interface-analyzer');
+
+let projectRoot;
+
+const writePackage = (name, files) => {
+  const packageDir = path.join(projectRoot, 'node_modules', name);
+  Object.keys(files).forEach(file => {
+    fs.mkdirSync(path.dirname(path.join(packageDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(packageDir, file), files[file]);
+  });
+};
+
+beforeAll(() => {
+  projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'dts-analyzer-'));
+
+  writePackage('named-exports', {
+    'package.json': JSON.stringify({ name: 'named-exports', main: 'build/index.js' }),
+    'build/index.d.ts': `
+      interface PermissionResponse { status: string; granted: boolean }
+      type ComponentType<P> = (props: P) => any;
+      export declare enum Accuracy { Lowest = 1, High = 4 }
+      export declare function requestPermissionsAsync(): Promise<PermissionResponse>;
+      export declare function getLastKnownPositionAsync(options?: { maxAge: number }): Promise<{ latitude: number } | null>;
+      export declare function usePosition(enabled: boolean): { latitude: number; watching: boolean };
+      export declare const CameraView: ComponentType<{ facing: string }>;
+      export declare const DEFAULT_OPTIONS: { timeout: number; label: 'gps'; tags: string[] };
+      export declare class Watcher {
+        static create(): Watcher;
+        stop(): void;
+        pollAsync(): Promise<number>;
+      }
+      export interface TypeOnly { value: string }
+    `
+  });
+
+  writePackage('callable', {
+    'package.json': JSON.stringify({ name: 'callable', types: 'index.d.ts' }),
+    'index.d.ts': `
+      type Callback = (directory: string, names: string[]) => string | false | void;
+      declare function escalade(directory: string, callback: Callback): Promise<string | void>;
+      export = escalade;
+    `
+  });
+
+  writePackage('callable-namespace', {
+    'package.json': JSON.stringify({ name: 'callable-namespace', types: 'index.d.ts' }),
+    'index.d.ts': `
+      declare function debug(namespace: string): (message: string) => void;
+      declare namespace debug {
+        const enabled: boolean;
+        function disable(): string;
+      }
+      export = debug;
+    `
+  });
+
+  writePackage('types-only', {
+    'package.json': JSON.stringify({ name: 'types-only', main: 'index.js', types: 'index.d.ts' }),
+    'index.d.ts': 'export interface Options { verbose: boolean }\nexport type Level = 1 | 2;\n',
+    'index.js': 'module.exports = { log: function log(message) {}, level: 1 };\n'
+  });
+});
+
+afterAll(() => {
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+});
+
+describe('dts analyzer', () => {
+  it('finds the declaration entry next to main', () => {
+    expect(findDeclarationEntry('named-exports', projectRoot))
+      .toBe(path.join(projectRoot, 'node_modules', 'named-exports', 'build', 'index.d.ts'));
+    expect(findDeclarationEntry('not-installed', projectRoot)).toBeNull();
+  });
+
+  it('describes named value exports and skips types', () => {
+    const { exports } = analyzeTypeDeclarations('named-exports', projectRoot);
+
+    expect(Object.keys(exports).sort()).toEqual([
+      'Accuracy',
+      'CameraView',
+      'DEFAULT_OPTIONS',
+      'Watcher',
+      'getLastKnownPositionAsync',
+      'requestPermissionsAsync',
+      'usePosition'
+    ]);
+    expect(exports.Accuracy).toEqual({ kind: 'enum', members: { Lowest: 1, High: 4 } });
+    expect(exports.requestPermissionsAsync).toEqual({ kind: 'function', async: true, length: 0, returns: '$permission' });
+    expect(exports.getLastKnownPositionAsync).toMatchObject({ async: true, length: 0, returns: null });
+    expect(exports.usePosition).toEqual({ kind: 'hook', length: 1, returns: { latitude: 0, watching: false } });
+    expect(exports.CameraView).toEqual({ kind: 'component' });
+    expect(exports.DEFAULT_OPTIONS).toEqual({ kind: 'constant', value: { timeout: 0, label: 'gps', tags: [] } });
+    expect(exports.Watcher).toEqual({
+      kind: 'class',
+      methods: { stop: { async: false, returns: null }, pollAsync: { async: true, returns: 0 } },
+      staticMethods: { create: { async: false, returns: expect.any(Object) } }
+    });
+  });
+
+  it('describes an export = function as the default export', () => {
+    expect(analyzeTypeDeclarations('callable', projectRoot).exports).toEqual({
+      default: { kind: 'function', async: true, length: 2, returns: null }
+    });
+  });
+
+  it('keeps namespace members merged into an export = value', () => {
+    const { exports } = analyzeTypeDeclarations('callable-namespace', projectRoot);
+
+    expect(exports.default).toEqual({
+      kind: 'function',
+      async: false,
+      length: 1,
+      returns: { $function: { async: false, returns: null } }
+    });
+    expect(exports.enabled).toEqual({ kind: 'constant', value: false });
+    expect(exports.disable).toMatchObject({ kind: 'function', returns: '' });
+  });
+
+  it('reports nothing for type-only declarations', () => {
+    expect(analyzeTypeDeclarations('types-only', projectRoot)).toBeNull();
+  });
+
+  it('lets InterfaceAnalyzer fall back to runtime analysis for type-only declarations', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const moduleInterface = new InterfaceAnalyzer().analyzeModuleInterface('types-only', projectRoot);
+    console.log.mockRestore();
+
+    expect(moduleInterface.analyzed).not.toBe('types');
+    expect(Object.keys(moduleInterface.exports).sort()).toEqual(['level', 'log']);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const { createBrightnessAdapter } = require('../src/adapters/expo-brightness');
+
+const getOverlay = () => document.getElementById('runtime-resolver-brightness-overlay');
+
+describe('expo-brightness adapter', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+    document.body.style.filter = '';
+  });
+
+  it('dims the page with an overlay by default', async () => {
+    const Brightness = createBrightnessAdapter();
+
+    await Brightness.setBrightnessAsync(0);
+    expect(getOverlay().style.opacity).toBe('0.9');
+    await expect(Brightness.getBrightnessAsync()).resolves.toBe(0);
+    await expect(Brightness.isUsingSystemBrightnessAsync()).resolves.toBe(false);
+
+    await Brightness.restoreSystemBrightnessAsync();
+    expect(getOverlay()).toBeNull();
+    await expect(Brightness.isUsingSystemBrightnessAsync()).resolves.toBe(true);
+  });
+
+  it('clamps levels and rejects values that are not numbers', async () => {
+    const Brightness = createBrightnessAdapter({ minimumLevel: 0 });
+
+    await Brightness.setBrightnessAsync(-1);
+    expect(getOverlay().style.opacity).toBe('1');
+    await Brightness.setBrightnessAsync(2);
+    await expect(Brightness.getBrightnessAsync()).resolves.toBe(1);
+    await expect(Brightness.setBrightnessAsync('bright')).rejects.toThrow(TypeError);
+  });
+
+  it('filters the app container in filter mode', async () => {
+    document.body.innerHTML = '<div id="app"></div>';
+    const Brightness = createBrightnessAdapter({ mode: 'filter', container: '#app' });
+
+    await Brightness.setBrightnessAsync(0.5);
+    expect(document.getElementById('app').style.filter).toBe('brightness(0.55)');
+    expect(getOverlay()).toBeNull();
+
+    await Brightness.setBrightnessAsync(1);
+    expect(document.getElementById('app').style.filter).toBe('');
+  });
+
+  it('only tracks the level with mode off', async () => {
+    const Brightness = createBrightnessAdapter({ mode: 'off' });
+
+    await Brightness.setBrightnessAsync(0.2);
+    expect(getOverlay()).toBeNull();
+    await expect(Brightness.getBrightnessAsync()).resolves.toBe(0.2);
+    await expect(Brightness.isAvailableAsync()).resolves.toBe(false);
+  });
+
+  it('warns about unknown modes and falls back to off', async () => {
+    const logger = { warn: jest.fn() };
+    const Brightness = createBrightnessAdapter({ mode: 'backlight' }, logger);
+
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Unknown expo-brightness mode "backlight"'));
+    await expect(Brightness.isAvailableAsync()).resolves.toBe(false);
+  });
+
+  it('notifies brightness listeners on changes only', async () => {
+    const Brightness = createBrightnessAdapter();
+    const listener = jest.fn();
+    const subscription = Brightness.addBrightnessListener(listener);
+
+    await Brightness.setBrightnessAsync(0.3);
+    await Brightness.setBrightnessAsync(0.3);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ brightness: 0.3 });
+
+    subscription.remove();
+    await Brightness.setBrightnessAsync(0.6);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('cannot change system brightness', async () => {
+    const Brightness = createBrightnessAdapter();
+
+    await expect(Brightness.setSystemBrightnessAsync(0.5)).rejects.toMatchObject({ code: 'ERR_UNAVAILABLE' });
+    await expect(Brightness.getSystemBrightnessModeAsync()).resolves.toBe(Brightness.BrightnessMode.UNKNOWN);
+    await expect(Brightness.requestPermissionsAsync()).resolves.toMatchObject({ status: 'granted' });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// Just enough of React to run CameraView once: effects run when the test
+// mounts it, and the <video> ref gets a real element
+jest.mock('react', () => {
+  const effects = [];
+  return {
+    effects,
+    forwardRef: render => ({ render }),
+    useRef: current => ({ current }),
+    useEffect: effect => effects.push(effect),
+    useImperativeHandle: (ref, create) => {
+      ref.current = create();
+    },
+    createElement: (type, props, ...children) => {
+      if (type === 'video') {
+        props.ref.current = global.document.createElement('video');
+      }
+      return { type, props, children };
+    }
+  };
+}, { virtual: true });
+jest.mock('react-native', () => ({ View: 'View' }), { virtual: true });
+
+const React = require('react');
+const { createExpoCameraAdapter } = require('../src/adapters/expo-camera');
+
+const createStream = () => {
+  const track = { stop: jest.fn() };
+  return { track, getTracks: () => [track] };
+};
+
+const mount = (CameraView, props) => {
+  React.effects.length = 0;
+  const ref = { current: null };
+  const element = CameraView.render(props, ref);
+  const cleanups = React.effects.map(effect => effect());
+  return {
+    camera: ref.current,
+    video: element.children[0].props.ref.current,
+    unmount: () => cleanups.forEach(cleanup => cleanup && cleanup())
+  };
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve));
+
+describe('expo-camera adapter', () => {
+  let Camera;
+  let CameraView;
+  let stream;
+
+  beforeEach(() => {
+    ({ Camera, CameraView } = createExpoCameraAdapter());
+    stream = createStream();
+    navigator.mediaDevices = { getUserMedia: jest.fn(async () => stream) };
+    jest.spyOn(HTMLMediaElement.prototype, 'play').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    delete navigator.mediaDevices;
+    jest.restoreAllMocks();
+  });
+
+  it('streams the camera facing the requested side into the preview', async () => {
+    const onCameraReady = jest.fn();
+    const { video } = mount(CameraView, { facing: 'front', onCameraReady });
+    await flush();
+
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({ video: { facingMode: 'user' }, audio: false });
+    expect(video.srcObject).toBe(stream);
+    expect(onCameraReady).not.toHaveBeenCalled();
+
+    video.dispatchEvent(new Event('loadedmetadata'));
+    expect(onCameraReady).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops the stream on unmount', async () => {
+    const { unmount } = mount(CameraView, {});
+    await flush();
+
+    unmount();
+    expect(stream.track.stop).toHaveBeenCalled();
+  });
+
+  it('does not open the camera while inactive', () => {
+    mount(CameraView, { active: false });
+    expect(navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled();
+  });
+
+  it('reports mount errors', async () => {
+    const onMountError = jest.fn();
+    navigator.mediaDevices.getUserMedia = jest.fn(async () => {
+      throw new Error('Permission denied');
+    });
+
+    mount(CameraView, { onMountError });
+    await flush();
+    expect(onMountError).toHaveBeenCalledWith({ message: 'Permission denied' });
+
+    delete navigator.mediaDevices;
+    mount(CameraView, { onMountError });
+    expect(onMountError).toHaveBeenLastCalledWith({ message: 'Camera is not available in this browser' });
+  });
+
+  it('captures the current frame, mirrored when asked to', async () => {
+    const context = { translate: jest.fn(), scale: jest.fn(), drawImage: jest.fn() };
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context);
+    jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/jpeg;base64,AAAA');
+    const onPictureSaved = jest.fn();
+
+    const { camera, video } = mount(CameraView, { facing: 'front', mirror: true });
+    await expect(camera.takePictureAsync()).rejects.toThrow('Camera is not running');
+    await flush();
+    Object.defineProperties(video, { videoWidth: { value: 640 }, videoHeight: { value: 480 } });
+
+    const picture = await camera.takePictureAsync({ base64: true, quality: 0.5, onPictureSaved });
+
+    expect(picture).toEqual({ uri: 'data:image/jpeg;base64,AAAA', width: 640, height: 480, base64: 'AAAA' });
+    expect(HTMLCanvasElement.prototype.toDataURL).toHaveBeenCalledWith('image/jpeg', 0.5);
+    expect(context.translate).toHaveBeenCalledWith(640, 0);
+    expect(context.drawImage).toHaveBeenCalledWith(video, 0, 0, 640, 480);
+    expect(onPictureSaved).toHaveBeenCalledWith(picture);
+    expect(await camera.getAvailablePictureSizesAsync()).toEqual(['640x480']);
+  });
+
+  it('reports camera availability', async () => {
+    await expect(Camera.isAvailableAsync()).resolves.toBe(true);
+    delete navigator.mediaDevices;
+    await expect(Camera.isAvailableAsync()).resolves.toBe(false);
+  });
+});
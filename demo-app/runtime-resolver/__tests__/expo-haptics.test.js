@@ -0,0 +1,62 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const { createHapticsAdapter } = require('../src/adapters/expo-haptics');
+
+describe('expo-haptics adapter', () => {
+  let logger;
+
+  beforeEach(() => {
+    logger = { warn: jest.fn() };
+    navigator.vibrate = jest.fn();
+  });
+
+  afterEach(() => {
+    delete navigator.vibrate;
+  });
+
+  it('vibrates the pattern of each feedback type', async () => {
+    const Haptics = createHapticsAdapter({}, logger);
+
+    await Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Heavy);
+    await Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
+    await Haptics.selectionAsync();
+    await Haptics.performAndroidHapticsAsync(Haptics.AndroidHaptics.Gesture_Start);
+
+    expect(navigator.vibrate.mock.calls).toEqual([[[40]], [[40, 50, 40, 50, 60]], [[5]], [[10]]]);
+  });
+
+  it('accepts capitalized enum names', async () => {
+    await createHapticsAdapter({}, logger).performAndroidHapticsAsync('Long_Press');
+    expect(navigator.vibrate).toHaveBeenCalledWith([30]);
+  });
+
+  it('merges configured patterns over the defaults', async () => {
+    const Haptics = createHapticsAdapter({ patterns: { impact: { light: [1, 2, 3] }, selection: [9] } }, logger);
+
+    await Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    await Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    await Haptics.selectionAsync();
+
+    expect(navigator.vibrate.mock.calls).toEqual([[[1, 2, 3]], [[20]], [[9]]]);
+  });
+
+  it.each(['unknown', 'constructor', 'toString'])('uses the default pattern for the unknown type %s', async type => {
+    await createHapticsAdapter({}, logger).impactAsync(type);
+
+    expect(navigator.vibrate).toHaveBeenCalledWith([20]);
+    expect(logger.warn).toHaveBeenCalledWith(`Unknown haptics type "${type}", using "medium"`);
+  });
+
+  it('warns once where the platform cannot vibrate', async () => {
+    delete navigator.vibrate;
+    const Haptics = createHapticsAdapter({}, logger);
+
+    await Haptics.impactAsync();
+    await Haptics.selectionAsync();
+
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+    expect(logger.warn.mock.calls[0][0]).toContain('Haptics not available');
+  });
+});
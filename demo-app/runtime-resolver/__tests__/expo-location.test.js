@@ -0,0 +1,110 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const { createExpoLocationAdapter, toPositionOptions, Accuracy } = require('../src/adapters/expo-location');
+
+const createPosition = (latitude, longitude, timestamp = Date.now(), accuracy = 10) => ({
+  coords: { latitude, longitude, altitude: null, accuracy, altitudeAccuracy: null, heading: null, speed: null },
+  timestamp
+});
+
+describe('expo-location adapter', () => {
+  let Location;
+  let watchCallback;
+
+  beforeEach(() => {
+    Location = createExpoLocationAdapter();
+    navigator.geolocation = {
+      getCurrentPosition: jest.fn(success => success(createPosition(52.52, 13.405))),
+      watchPosition: jest.fn((success, failure) => {
+        watchCallback = { success, failure };
+        return 7;
+      }),
+      clearWatch: jest.fn()
+    };
+  });
+
+  afterEach(() => {
+    delete navigator.geolocation;
+    delete navigator.permissions;
+  });
+
+  it('maps accuracy and timeout to PositionOptions', () => {
+    expect(toPositionOptions({ accuracy: Accuracy.Highest, timeout: 5000 })).toEqual({ enableHighAccuracy: true, maximumAge: 0, timeout: 5000 });
+    expect(toPositionOptions()).toEqual({ enableHighAccuracy: false, maximumAge: 60000 });
+  });
+
+  it('resolves the current position as a LocationObject', async () => {
+    const location = await Location.getCurrentPositionAsync({ accuracy: Accuracy.High });
+
+    expect(location).toMatchObject({ coords: { latitude: 52.52, longitude: 13.405 }, mocked: false });
+    expect(navigator.geolocation.getCurrentPosition.mock.calls[0][2]).toEqual({ enableHighAccuracy: true, maximumAge: 10000 });
+  });
+
+  it('rejects with expo-style error codes', async () => {
+    navigator.geolocation.getCurrentPosition = jest.fn((success, failure) => failure({ code: 3, message: 'Timeout expired' }));
+    await expect(Location.getCurrentPositionAsync()).rejects.toMatchObject({ code: 'E_LOCATION_TIMEOUT', message: 'Timeout expired' });
+
+    delete navigator.geolocation;
+    await expect(Location.getCurrentPositionAsync()).rejects.toMatchObject({ code: 'E_LOCATION_SERVICES_DISABLED' });
+  });
+
+  it('returns the last known position while it is fresh enough', async () => {
+    await Location.getCurrentPositionAsync();
+    navigator.geolocation.getCurrentPosition.mockClear();
+
+    await expect(Location.getLastKnownPositionAsync({ maxAge: 60000 })).resolves.toMatchObject({ coords: { latitude: 52.52 } });
+    expect(navigator.geolocation.getCurrentPosition).not.toHaveBeenCalled();
+  });
+
+  it('does not prompt for a last known position', async () => {
+    navigator.permissions = { query: async () => ({ state: 'prompt' }) };
+
+    await expect(Location.getLastKnownPositionAsync()).resolves.toBeNull();
+    expect(navigator.geolocation.getCurrentPosition).not.toHaveBeenCalled();
+  });
+
+  it('reports watched positions by distance and time interval', async () => {
+    const callback = jest.fn();
+    const subscription = await Location.watchPositionAsync({ distanceInterval: 100, timeInterval: 1000 }, callback);
+
+    watchCallback.success(createPosition(52.52, 13.405, 0));
+    // About 11 m away
+    watchCallback.success(createPosition(52.5201, 13.405, 5000));
+    // About 1.1 km away, but too soon
+    watchCallback.success(createPosition(52.53, 13.405, 500));
+    watchCallback.success(createPosition(52.53, 13.405, 6000));
+
+    expect(callback.mock.calls.map(([location]) => location.timestamp)).toEqual([0, 6000]);
+
+    subscription.remove();
+    expect(navigator.geolocation.clearWatch).toHaveBeenCalledWith(7);
+  });
+
+  it('passes watch errors to the error handler', async () => {
+    const errorHandler = jest.fn();
+    await Location.watchPositionAsync({}, jest.fn(), errorHandler);
+
+    watchCallback.failure({ code: 1, message: 'User denied Geolocation' });
+    expect(errorHandler).toHaveBeenCalledWith('User denied Geolocation');
+  });
+
+  it('geocodes through the configured provider', async () => {
+    const geocodingProvider = {
+      geocode: jest.fn(async () => [{ latitude: 1, longitude: 2 }]),
+      reverseGeocode: jest.fn(async () => [{ city: 'Berlin' }])
+    };
+    const withProvider = createExpoLocationAdapter({ geocodingProvider });
+
+    await expect(withProvider.geocodeAsync('Berlin')).resolves.toEqual([{ latitude: 1, longitude: 2 }]);
+    await expect(withProvider.reverseGeocodeAsync({ latitude: 52.52, longitude: 13.405, accuracy: 5 })).resolves.toEqual([{ city: 'Berlin' }]);
+    expect(geocodingProvider.reverseGeocode).toHaveBeenCalledWith({ latitude: 52.52, longitude: 13.405 });
+
+    await expect(Location.geocodeAsync('Berlin')).rejects.toMatchObject({ code: 'E_GEOCODING_UNAVAILABLE' });
+  });
+
+  it('never grants background location', async () => {
+    await expect(Location.requestBackgroundPermissionsAsync()).resolves.toMatchObject({ status: 'denied', canAskAgain: false });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const { createExpoNotificationsAdapter, TRIGGER_UNSUPPORTED_CODE } = require('../src/adapters/expo-notifications');
+
+const STORAGE_KEY = '@RuntimeResolver:scheduledNotifications';
+
+describe('expo-notifications adapter', () => {
+  let logger;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date(2024, 0, 1, 12, 0, 0) });
+    logger = { warn: jest.fn(), error: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    localStorage.clear();
+  });
+
+  const receive = Notifications => {
+    const received = jest.fn();
+    Notifications.addNotificationReceivedListener(received);
+    return received;
+  };
+
+  it.each([
+    ['null', null],
+    ['channel-only', { channelId: 'alerts' }]
+  ])('delivers a %s trigger right away', async (label, trigger) => {
+    const Notifications = createExpoNotificationsAdapter({}, logger);
+    const received = receive(Notifications);
+
+    await Notifications.scheduleNotificationAsync({ content: { title: 'Now' }, trigger });
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(received).toHaveBeenCalledTimes(1);
+    expect(received.mock.calls[0][0].request).toMatchObject({ content: { title: 'Now' }, trigger: null });
+  });
+
+  it('fires time interval triggers after their delay', async () => {
+    const Notifications = createExpoNotificationsAdapter({}, logger);
+    const received = receive(Notifications);
+
+    const identifier = await Notifications.scheduleNotificationAsync({ content: { title: 'Later' }, trigger: { seconds: 60 } });
+    await jest.advanceTimersByTimeAsync(59000);
+    expect(received).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(received).toHaveBeenCalledTimes(1);
+    expect(await Notifications.getAllScheduledNotificationsAsync()).toEqual([]);
+    expect(received.mock.calls[0][0].request.identifier).toBe(identifier);
+  });
+
+  it('keeps repeating triggers scheduled', async () => {
+    const Notifications = createExpoNotificationsAdapter({}, logger);
+    const received = receive(Notifications);
+
+    await Notifications.scheduleNotificationAsync({ identifier: 'tick', content: {}, trigger: { seconds: 10, repeats: true } });
+    await jest.advanceTimersByTimeAsync(30000);
+
+    expect(received).toHaveBeenCalledTimes(3);
+    expect(await Notifications.getAllScheduledNotificationsAsync()).toEqual([
+      { identifier: 'tick', content: {}, trigger: { type: 'timeInterval', seconds: 10, repeats: true } }
+    ]);
+  });
+
+  it('cancels scheduled notifications', async () => {
+    const Notifications = createExpoNotificationsAdapter({}, logger);
+    const received = receive(Notifications);
+
+    const identifier = await Notifications.scheduleNotificationAsync({ content: {}, trigger: { seconds: 5 } });
+    await Notifications.cancelScheduledNotificationAsync(identifier);
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(received).not.toHaveBeenCalled();
+  });
+
+  it('rejects calendar triggers', async () => {
+    const Notifications = createExpoNotificationsAdapter({}, logger);
+
+    await expect(Notifications.scheduleNotificationAsync({ content: {}, trigger: { type: 'calendar', day: 1 } }))
+      .rejects.toMatchObject({ code: TRIGGER_UNSUPPORTED_CODE });
+  });
+
+  it('re-arms notifications scheduled before a reload', async () => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([
+      { identifier: 'missed', content: {}, trigger: { type: 'date', date: Date.now() - 1000 }, nextTriggerDate: Date.now() - 1000 },
+      { identifier: 'pending', content: {}, trigger: { type: 'timeInterval', seconds: 5, repeats: false }, nextTriggerDate: Date.now() + 5000 }
+    ]));
+    const Notifications = createExpoNotificationsAdapter({}, logger);
+    const received = receive(Notifications);
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(received.mock.calls.map(([notification]) => notification.request.identifier)).toEqual(['missed']);
+
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(received.mock.calls.map(([notification]) => notification.request.identifier)).toEqual(['missed', 'pending']);
+  });
+
+  it('reports a failed restore through the logger', async () => {
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('quota exceeded');
+    });
+
+    createExpoNotificationsAdapter({}, logger);
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(logger.warn).toHaveBeenCalledWith('Failed to restore scheduled notifications:', 'quota exceeded');
+  });
+
+  it('keeps notifying listeners when one throws', async () => {
+    const Notifications = createExpoNotificationsAdapter({}, logger);
+    Notifications.addNotificationReceivedListener(() => {
+      throw new Error('listener bug');
+    });
+    const received = receive(Notifications);
+
+    await Notifications.scheduleNotificationAsync({ content: {}, trigger: null });
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(received).toHaveBeenCalledTimes(1);
+    expect(logger.error).toHaveBeenCalledWith('Notification listener failed:', 'listener bug');
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const { createScreenOrientationAdapter } = require('../src/adapters/expo-screen-orientation');
+
+const stubScreenOrientation = properties => {
+  const screenOrientation = Object.assign(new EventTarget(), { type: 'portrait-primary' }, properties);
+  Object.defineProperty(screen, 'orientation', { value: screenOrientation, configurable: true });
+  return screenOrientation;
+};
+
+describe('expo-screen-orientation adapter', () => {
+  let ScreenOrientation;
+
+  beforeEach(() => {
+    ScreenOrientation = createScreenOrientationAdapter();
+  });
+
+  afterEach(() => {
+    delete screen.orientation;
+    delete window.orientation;
+  });
+
+  it('maps the web orientation type to Orientation', async () => {
+    const screenOrientation = stubScreenOrientation({ type: 'landscape-primary' });
+    await expect(ScreenOrientation.getOrientationAsync()).resolves.toBe(ScreenOrientation.Orientation.LANDSCAPE_LEFT);
+
+    screenOrientation.type = 'portrait-secondary';
+    await expect(ScreenOrientation.getOrientationAsync()).resolves.toBe(ScreenOrientation.Orientation.PORTRAIT_DOWN);
+  });
+
+  it('falls back to the legacy window.orientation angle', async () => {
+    window.orientation = -90;
+    await expect(ScreenOrientation.getOrientationAsync()).resolves.toBe(ScreenOrientation.Orientation.LANDSCAPE_RIGHT);
+  });
+
+  it('locks through the Screen Orientation API and remembers the lock', async () => {
+    const screenOrientation = stubScreenOrientation({ lock: jest.fn(async () => {}), unlock: jest.fn() });
+    const { OrientationLock } = ScreenOrientation;
+
+    await ScreenOrientation.lockAsync(OrientationLock.LANDSCAPE_LEFT);
+
+    expect(screenOrientation.lock).toHaveBeenCalledWith('landscape-primary');
+    await expect(ScreenOrientation.getOrientationLockAsync()).resolves.toBe(OrientationLock.LANDSCAPE_LEFT);
+    await expect(ScreenOrientation.getPlatformOrientationLockAsync()).resolves.toEqual({ screenOrientationLockWeb: 'landscape-primary' });
+
+    await ScreenOrientation.unlockAsync();
+    expect(screenOrientation.unlock).toHaveBeenCalled();
+    await expect(ScreenOrientation.getOrientationLockAsync()).resolves.toBe(OrientationLock.DEFAULT);
+  });
+
+  it('maps a platform lock back to OrientationLock', async () => {
+    stubScreenOrientation({ lock: jest.fn(async () => {}) });
+
+    await ScreenOrientation.lockPlatformAsync({ screenOrientationLockWeb: 'natural' });
+    await expect(ScreenOrientation.getOrientationLockAsync()).resolves.toBe(ScreenOrientation.OrientationLock.DEFAULT);
+
+    await expect(ScreenOrientation.lockPlatformAsync({ screenOrientationLockWeb: 'sideways' }))
+      .rejects.toMatchObject({ code: 'ERR_SCREEN_ORIENTATION_INVALID_ORIENTATION_LOCK' });
+  });
+
+  it('rejects with a coded error when the browser refuses the lock', async () => {
+    const refusal = new Error('Fullscreen required');
+    stubScreenOrientation({ lock: jest.fn(async () => { throw refusal; }) });
+    const { OrientationLock } = ScreenOrientation;
+
+    await expect(ScreenOrientation.lockAsync(OrientationLock.PORTRAIT))
+      .rejects.toMatchObject({ code: 'ERR_SCREEN_ORIENTATION_LOCK_NOT_ALLOWED', cause: refusal });
+    await expect(ScreenOrientation.getOrientationLockAsync()).resolves.toBe(OrientationLock.DEFAULT);
+    await expect(ScreenOrientation.lockAsync(OrientationLock.OTHER))
+      .rejects.toMatchObject({ code: 'ERR_SCREEN_ORIENTATION_INVALID_ORIENTATION_LOCK' });
+  });
+
+  it('rejects locks where the browser cannot lock at all', async () => {
+    const { OrientationLock } = ScreenOrientation;
+
+    await expect(ScreenOrientation.supportsOrientationLockAsync(OrientationLock.PORTRAIT)).resolves.toBe(false);
+    await expect(ScreenOrientation.lockAsync(OrientationLock.PORTRAIT))
+      .rejects.toMatchObject({ code: 'ERR_SCREEN_ORIENTATION_UNSUPPORTED_OS_VERSION' });
+  });
+
+  it('notifies orientation listeners until they are removed', () => {
+    const screenOrientation = stubScreenOrientation();
+    const listener = jest.fn();
+    const subscription = ScreenOrientation.addOrientationChangeListener(listener);
+
+    screenOrientation.type = 'landscape-secondary';
+    screenOrientation.dispatchEvent(new Event('change'));
+    expect(listener).toHaveBeenCalledWith({
+      orientationInfo: { orientation: ScreenOrientation.Orientation.LANDSCAPE_RIGHT, horizontalSizeClass: 0, verticalSizeClass: 0 },
+      orientationLock: ScreenOrientation.OrientationLock.DEFAULT
+    });
+
+    ScreenOrientation.removeOrientationChangeListener(subscription);
+    screenOrientation.dispatchEvent(new Event('change'));
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
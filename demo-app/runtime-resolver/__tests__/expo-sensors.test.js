@@ -0,0 +1,155 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const { createExpoSensorsAdapter } = require('../src/adapters/expo-sensors');
+
+const dispatchMotion = properties => {
+  window.dispatchEvent(Object.assign(new Event('devicemotion'), { interval: 16, ...properties }));
+};
+
+// Generic Sensor API constructor that reads the given values once started
+const createSensorClass = (values, instances) => class FakeSensor extends EventTarget {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.stop = jest.fn();
+    instances.push(this);
+  }
+
+  start() {
+    Object.assign(this, values, { timestamp: 2000 });
+    this.dispatchEvent(new Event('reading'));
+  }
+};
+
+describe('expo-sensors adapter', () => {
+  let Sensors;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 10000 });
+    window.DeviceMotionEvent = function DeviceMotionEvent() {};
+    Sensors = createExpoSensorsAdapter();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete window.DeviceMotionEvent;
+    delete window.Accelerometer;
+    delete window.Magnetometer;
+  });
+
+  it('reports devicemotion acceleration in g', () => {
+    const listener = jest.fn();
+    Sensors.Accelerometer.addListener(listener);
+
+    dispatchMotion({ accelerationIncludingGravity: { x: 0, y: 9.80665, z: -4.903325 } });
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ x: 0, y: 1, z: -0.5 }));
+  });
+
+  it('honors setUpdateInterval', () => {
+    const listener = jest.fn();
+    Sensors.Accelerometer.setUpdateInterval(500);
+    Sensors.Accelerometer.addListener(listener);
+    const reading = { accelerationIncludingGravity: { x: 1, y: 1, z: 1 } };
+
+    dispatchMotion(reading);
+    jest.advanceTimersByTime(200);
+    dispatchMotion(reading);
+    jest.advanceTimersByTime(300);
+    dispatchMotion(reading);
+
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('reports gyroscope rotation rates in rad/s', () => {
+    const listener = jest.fn();
+    Sensors.Gyroscope.addListener(listener);
+
+    dispatchMotion({ rotationRate: { alpha: 180, beta: 90, gamma: 0 } });
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ x: Math.PI / 2, y: 0, z: Math.PI }));
+  });
+
+  it('stops listening when the last subscription is removed', () => {
+    const listener = jest.fn();
+    const subscription = Sensors.Accelerometer.addListener(listener);
+    expect(Sensors.Accelerometer.getListenerCount()).toBe(1);
+
+    subscription.remove();
+    dispatchMotion({ accelerationIncludingGravity: { x: 1, y: 1, z: 1 } });
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(Sensors.Accelerometer.hasListeners()).toBe(false);
+  });
+
+  it('prefers the Generic Sensor API', () => {
+    const instances = [];
+    window.Accelerometer = createSensorClass({ x: 9.80665, y: 0, z: 0 }, instances);
+    const listener = jest.fn();
+
+    const subscription = Sensors.Accelerometer.addListener(listener);
+
+    expect(instances[0].options).toEqual({ frequency: 10 });
+    expect(listener).toHaveBeenCalledWith({ x: 1, y: 0, z: 0, timestamp: 2 });
+    subscription.remove();
+    expect(instances[0].stop).toHaveBeenCalled();
+  });
+
+  it('reads the magnetometer only through the Generic Sensor API', async () => {
+    window.Magnetometer = createSensorClass({ x: 20, y: -5, z: 40 }, []);
+    const listener = jest.fn();
+
+    Sensors.Magnetometer.addListener(listener);
+
+    expect(listener).toHaveBeenCalledWith({ x: 20, y: -5, z: 40, timestamp: 2 });
+    await expect(Sensors.Magnetometer.isAvailableAsync()).resolves.toBe(true);
+  });
+
+  it('reports a sensor as available only once it delivers readings', async () => {
+    const missing = Sensors.Accelerometer.isAvailableAsync();
+    await jest.advanceTimersByTimeAsync(1000);
+    await expect(missing).resolves.toBe(false);
+
+    const present = Sensors.Accelerometer.isAvailableAsync();
+    await jest.advanceTimersByTimeAsync(0);
+    dispatchMotion({ accelerationIncludingGravity: { x: 0, y: 0, z: 9.8 } });
+    await expect(present).resolves.toBe(true);
+  });
+
+  it('combines motion and orientation in DeviceMotion', () => {
+    const listener = jest.fn();
+    Sensors.DeviceMotion.addListener(listener);
+
+    window.dispatchEvent(Object.assign(new Event('deviceorientation'), { alpha: 90, beta: 0, gamma: 0 }));
+    dispatchMotion({
+      acceleration: { x: 0, y: 0, z: 0 },
+      accelerationIncludingGravity: { x: 0, y: 0, z: 9.8 },
+      rotationRate: { alpha: null, beta: null, gamma: null }
+    });
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+      accelerationIncludingGravity: expect.objectContaining({ z: 9.8 }),
+      rotation: expect.objectContaining({ alpha: Math.PI / 2 }),
+      rotationRate: null,
+      interval: 16,
+      orientation: 0
+    }));
+    expect(Sensors.DeviceMotion.Gravity).toBe(9.80665);
+  });
+
+  it('asks for motion permission where the browser requires it', async () => {
+    await expect(Sensors.Accelerometer.getPermissionsAsync()).resolves.toMatchObject({ status: 'granted' });
+
+    window.DeviceMotionEvent.requestPermission = jest.fn(async () => 'denied');
+    await expect(Sensors.Accelerometer.getPermissionsAsync()).resolves.toMatchObject({ status: 'undetermined' });
+    await expect(Sensors.Accelerometer.requestPermissionsAsync()).resolves.toMatchObject({ status: 'denied' });
+  });
+
+  it('has no pedometer or barometer', async () => {
+    await expect(Sensors.Pedometer.isAvailableAsync()).resolves.toBe(false);
+    await expect(Sensors.Pedometer.getStepCountAsync(new Date(), new Date())).rejects.toMatchObject({ code: 'E_SENSOR_UNAVAILABLE' });
+    await expect(Sensors.Barometer.isAvailableAsync()).resolves.toBe(false);
+  });
+});
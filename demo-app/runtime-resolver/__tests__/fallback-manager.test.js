@@ -0,0 +1,200 @@
+const { FallbackManager } = require('../src/fallback-manager');
+const { registerAdapter } = require('../src/adapter-registry');
+const { UnsupportedOnWebError } = require('../src/errors');
+
+const createLogger = () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() });
+
+describe('FallbackManager', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  describe('strategy resolution', () => {
+    const manager = new FallbackManager({
+      fallbackStrategy: 'graceful',
+      modules: {
+        'expo-haptics': {
+          fallbackStrategy: 'silent',
+          methods: { impactAsync: { fallbackStrategy: 'throw' } }
+        },
+        'expo-camera': { fallbackStrategy: 'bogus' }
+      }
+    });
+
+    it('prefers the method, then the module, then the global strategy', () => {
+      expect(manager.getFallbackStrategy('expo-haptics.impactAsync')).toBe('throw');
+      expect(manager.getFallbackStrategy('expo-haptics.selectionAsync')).toBe('silent');
+      expect(manager.getFallbackStrategy('expo-location.getCurrentPositionAsync')).toBe('graceful');
+    });
+
+    it('falls back to graceful for unknown strategies', () => {
+      expect(manager.getFallbackStrategy('expo-camera.takePictureAsync')).toBe('graceful');
+    });
+
+    it('merges the passed module configuration over config.modules', () => {
+      expect(manager.getFallbackStrategy('expo-haptics.selectionAsync', { fallbackStrategy: 'throw' })).toBe('throw');
+    });
+
+    it('ignores method names inherited from Object.prototype', () => {
+      expect(manager.getFallbackStrategy('expo-haptics.toString')).toBe('silent');
+    });
+
+    it('does not log silenced members', () => {
+      expect(manager.shouldLog('expo-haptics.selectionAsync')).toBe(false);
+      expect(manager.shouldLog('expo-location.getCurrentPositionAsync')).toBe(true);
+      expect(new FallbackManager({ logMessage: false }).shouldLog('expo-location')).toBe(false);
+    });
+  });
+
+  describe('default fallbacks', () => {
+    it('returns the configured value and warns under graceful', () => {
+      const manager = new FallbackManager({ returnValue: false });
+      const method = manager.getFallbackValue('test-graceful', 'getThing');
+
+      expect(method()).toBe(false);
+      expect(warn).toHaveBeenCalledTimes(1);
+    });
+
+    it('stays quiet under silent', () => {
+      const manager = new FallbackManager({ fallbackStrategy: 'silent' });
+
+      expect(manager.getFallbackValue('test-silent', 'getThing')()).toBeNull();
+      expect(manager.handleMethodError('test-silent.getThing', new Error('boom'), [])).toBeNull();
+      expect(warn).not.toHaveBeenCalled();
+    });
+
+    it('throws UnsupportedOnWebError under throw', () => {
+      const manager = new FallbackManager({ fallbackStrategy: 'throw' });
+
+      expect(() => manager.getFallbackValue('test-throw', 'getThing')()).toThrow(UnsupportedOnWebError);
+      expect(() => manager.handleMethodError('test-throw.getThing', new Error('boom'), []))
+        .toThrow(expect.objectContaining({ code: 'ERR_UNSUPPORTED_ON_WEB', message: 'test-throw.getThing is not supported on web: boom' }));
+    });
+
+    it('never treats probed properties as methods', () => {
+      const manager = new FallbackManager({ fallbackStrategy: 'throw' });
+      expect(manager.getFallbackValue('test-probe', 'then')).toBeNull();
+    });
+  });
+
+  describe('per-method configuration', () => {
+    const manager = new FallbackManager({
+      returnValue: 'global',
+      modules: {
+        'expo-haptics': {
+          returnValue: 'module',
+          methods: { impactAsync: { returnValue: 'method' } }
+        }
+      }
+    });
+
+    it('prefers the method, then the module, then the global setting', () => {
+      expect(manager.resolveMethodOption('expo-haptics.impactAsync', 'returnValue')).toBe('method');
+      expect(manager.resolveMethodOption('expo-haptics.selectionAsync', 'returnValue')).toBe('module');
+      expect(manager.resolveMethodOption('expo-location.getCurrentPositionAsync', 'returnValue')).toBe('global');
+    });
+
+    it('merges the passed module configuration over config.modules', () => {
+      expect(manager.resolveMethodOption('expo-haptics.selectionAsync', 'returnValue', { returnValue: 'passed' })).toBe('passed');
+    });
+
+    it('ignores method names inherited from Object.prototype', () => {
+      expect(manager.resolveMethodOption('expo-haptics.toString', 'returnValue')).toBe('module');
+    });
+
+    it('uses custom fallbacks from the method, then the module map', () => {
+      const methodFallback = jest.fn(() => 'method');
+      const moduleFallback = jest.fn(() => 'module');
+      const withFallbacks = new FallbackManager({
+        modules: {
+          'test-custom': {
+            fallback: { getThing: moduleFallback, getOther: moduleFallback },
+            methods: { getThing: { fallback: methodFallback } }
+          }
+        }
+      });
+      const error = new Error('boom');
+
+      expect(withFallbacks.handleMethodError('test-custom.getThing', error, [1])).toBe('method');
+      expect(methodFallback).toHaveBeenCalledWith(error, [1], 'test-custom.getThing');
+      expect(withFallbacks.handleMethodError('test-custom.getOther', error, [])).toBe('module');
+      expect(withFallbacks.getCustomFallback('test-custom.constructor')).toBeNull();
+    });
+  });
+
+  describe('modules with a built-in adapter', () => {
+    const error = new Error('native failure');
+
+    it('uses the adapter when nothing is configured', async () => {
+      const manager = new FallbackManager({}, { warn: jest.fn() });
+
+      await expect(manager.handleMethodError('react-native-camera.takePicture', error, []))
+        .rejects.toThrow('Camera not supported on web');
+    });
+
+    it('applies the method returnValue before the adapter', () => {
+      const manager = new FallbackManager({
+        logMessage: false,
+        modules: { 'react-native-camera': { methods: { takePicture: { returnValue: 'RV' } } } }
+      });
+
+      expect(manager.handleMethodError('react-native-camera.takePicture', error, [])).toBe('RV');
+    });
+
+    it('applies the module throwError before the adapter', () => {
+      const manager = new FallbackManager({ modules: { 'react-native-camera': { throwError: true } } });
+
+      expect(() => manager.handleMethodError('react-native-camera.takePicture', error, [])).toThrow(error);
+    });
+
+    it('applies the method returnValue to missing members', () => {
+      const manager = new FallbackManager({
+        logMessage: false,
+        modules: { 'react-native-camera': { methods: { takePicture: { returnValue: 'RV' } } } }
+      });
+
+      expect(manager.getFallbackValue('react-native-camera', 'takePicture')).toBe('RV');
+    });
+  });
+
+  describe('web adapters', () => {
+    it('hands adapters a logger silenced with the module', () => {
+      const logger = createLogger();
+      registerAdapter('test-logging', (options, adapterLogger) => ({
+        ping: () => adapterLogger.warn('pinged')
+      }));
+
+      new FallbackManager({}, logger).getBuiltInAdapter('test-logging').ping();
+      expect(logger.warn).toHaveBeenCalledWith('pinged');
+
+      const silenced = createLogger();
+      const manager = new FallbackManager({ modules: { 'test-logging': { fallbackStrategy: 'silent' } } }, silenced);
+      manager.getBuiltInAdapter('test-logging').ping();
+      expect(silenced.warn).not.toHaveBeenCalled();
+    });
+
+    it('only uses own adapter members as built-in fallbacks', () => {
+      registerAdapter('test-own', () => ({ ping: () => 'pong' }));
+      const manager = new FallbackManager();
+
+      expect(manager.getBuiltInFallback('test-own.ping')()).toBe('pong');
+      expect(manager.getBuiltInFallback('test-own.toString')).toBeNull();
+      expect(manager.getBuiltInFallback('test-own.constructor')).toBeNull();
+    });
+
+    it('rebuilds adapters when their registrations change', () => {
+      const manager = new FallbackManager();
+      registerAdapter('test-revision', () => ({ version: 1 }));
+      expect(manager.getBuiltInAdapter('test-revision').version).toBe(1);
+
+      registerAdapter('test-revision', () => ({ version: 2 }));
+      expect(manager.getBuiltInAdapter('test-revision').version).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getPackageName, readInstalledVersion } = require('../src/installed-versions');
+const { FallbackManager } = require('../src/fallback-manager');
+
+// Components are only created, never rendered, so the elements can stay plain objects
+jest.mock('react', () => ({
+  forwardRef: render => ({ render }),
+  createElement: (type, props) => ({ type, props })
+}), { virtual: true });
+jest.mock('react-native', () => ({ View: 'View' }), { virtual: true });
+
+describe('installed versions', () => {
+  let projectRoot;
+
+  beforeAll(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'installed-versions-'));
+    [['expo-camera', '14.0.6'], ['@acme/camera', '2.1.0']].forEach(([name, version]) => {
+      fs.mkdirSync(path.join(projectRoot, 'node_modules', name), { recursive: true });
+      fs.writeFileSync(path.join(projectRoot, 'node_modules', name, 'package.json'), JSON.stringify({ name, version }));
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('gets the package name of deep requests', () => {
+    expect(getPackageName('expo-camera/legacy')).toBe('expo-camera');
+    expect(getPackageName('@acme/camera/build/index')).toBe('@acme/camera');
+  });
+
+  it('reads versions from node_modules', () => {
+    expect(readInstalledVersion('expo-camera/legacy', projectRoot)).toBe('14.0.6');
+    expect(readInstalledVersion('@acme/camera', projectRoot)).toBe('2.1.0');
+    expect(readInstalledVersion('not-installed', projectRoot)).toBeNull();
+  });
+});
+
+describe('version-aware adapters', () => {
+  it.each([
+    ['14.0.6', true],
+    ['15.0.0', false],
+    [undefined, false]
+  ])('gives expo-camera %s the legacy Camera component: %s', (version, legacy) => {
+    const manager = new FallbackManager({ moduleVersions: version ? { 'expo-camera': version } : {} });
+    const adapter = manager.getBuiltInAdapter('expo-camera');
+
+    expect(adapter.CameraView === undefined).toBe(legacy);
+    expect(typeof adapter.Camera.render === 'function').toBe(legacy);
+    expect(typeof adapter.Camera.requestCameraPermissionsAsync).toBe('function');
+    expect(adapter.CameraType !== undefined).toBe(legacy);
+  });
+
+  it('maps the legacy type prop to facing', () => {
+    const manager = new FallbackManager({ moduleVersions: { 'expo-camera': '13.4.0' } });
+    const { Camera } = manager.getBuiltInAdapter('expo-camera');
+
+    expect(Camera.render({ type: 'front', active: true }, null)).toEqual({
+      type: { render: expect.objectContaining({ name: 'CameraView' }) },
+      props: { active: true, facing: 'front', ref: null }
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  validateManifest,
+  registerManifest,
+  loadManifestDirectory,
+  hasManifest,
+  findManifestInterface
+} = require('../src/manifest-loader');
+
+const createManifest = (moduleName, interfaces) => ({ module: moduleName, interfaces });
+
+describe('manifest loader', () => {
+  it('reads the built-in manifests', () => {
+    expect(hasManifest('expo-location')).toBe(true);
+    expect(findManifestInterface('expo-location').exports.Accuracy).toMatchObject({ kind: 'enum' });
+  });
+
+  it('picks the interface covering the installed version', () => {
+    registerManifest(createManifest('test-versions', [
+      { versions: '^1.0.0', exports: { legacy: { kind: 'function' } } },
+      { versions: '>=2.0.0', exports: { current: { kind: 'function' } } }
+    ]));
+
+    expect(Object.keys(findManifestInterface('test-versions', '1.2.0').exports)).toEqual(['legacy']);
+    expect(Object.keys(findManifestInterface('test-versions', '2.0.0').exports)).toEqual(['current']);
+    expect(findManifestInterface('test-versions', '0.1.0')).toBeNull();
+  });
+
+  it('prefers manifests registered later and unregisters them', () => {
+    const unregister = registerManifest(createManifest('expo-location', [
+      { exports: { getCurrentPositionAsync: { kind: 'function', async: true, returns: { coords: null } } } }
+    ]));
+    expect(findManifestInterface('expo-location').exports).not.toHaveProperty('Accuracy');
+
+    unregister();
+    expect(findManifestInterface('expo-location').exports).toHaveProperty('Accuracy');
+  });
+
+  it('reports every problem of an invalid manifest', () => {
+    const manifest = createManifest('test-invalid', [{
+      versions: 'not a range',
+      exports: {
+        Mode: { kind: 'enum' },
+        LIMIT: { kind: 'constant' },
+        get: { kind: 'function', returns: '$unknown' }
+      }
+    }]);
+
+    let error;
+    try {
+      validateManifest(manifest, 'Manifest test');
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.code).toBe('ERR_INVALID_MANIFEST');
+    expect(error.errors.map(({ path: errorPath }) => errorPath)).toEqual([
+      'interfaces[0].versions',
+      'interfaces[0].exports.Mode.members',
+      'interfaces[0].exports.LIMIT.value',
+      'interfaces[0].exports.get.returns'
+    ]);
+    expect(() => registerManifest({ module: 'test-no-interfaces' })).toThrow(expect.objectContaining({ code: 'ERR_INVALID_MANIFEST' }));
+  });
+
+  it('loads a directory once and skips invalid files', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'manifests-'));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      fs.writeFileSync(path.join(directory, 'test-app.json'), JSON.stringify(createManifest('test-app', [{ exports: { ping: { kind: 'function' } } }])));
+      fs.writeFileSync(path.join(directory, 'broken.json'), '{ "module": ');
+
+      expect(loadManifestDirectory(directory)).toEqual(['test-app']);
+      expect(loadManifestDirectory(directory)).toEqual([]);
+      expect(hasManifest('test-app')).toBe(true);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('broken.json'));
+    } finally {
+      warn.mockRestore();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
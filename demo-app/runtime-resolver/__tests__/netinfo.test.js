@@ -0,0 +1,176 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// Hooks keep their state between render() calls and effects re-run when
+// their dependencies change, enough to re-render useNetInfo
+jest.mock('react', () => {
+  const hooks = [];
+  let cursor = 0;
+  const pending = [];
+  const nextHook = create => {
+    if (cursor === hooks.length) {
+      hooks.push(create());
+    }
+    return hooks[cursor++];
+  };
+  return {
+    reset: () => {
+      hooks.length = 0;
+    },
+    render: component => {
+      cursor = 0;
+      const result = component();
+      pending.splice(0).forEach(effect => effect());
+      return result;
+    },
+    useState: initial => {
+      const hook = nextHook(() => ({ value: initial }));
+      return [hook.value, value => { hook.value = value; }];
+    },
+    useRef: current => nextHook(() => ({ current })),
+    useCallback: callback => callback,
+    useEffect: (effect, deps) => {
+      const hook = nextHook(() => ({ deps: null }));
+      if (!hook.deps || deps.some((dep, index) => dep !== hook.deps[index])) {
+        hook.deps = deps;
+        pending.push(effect);
+      }
+    }
+  };
+}, { virtual: true });
+
+const React = require('react');
+const { createNetInfoAdapter } = require('../src/adapters/netinfo');
+
+const setOnLine = onLine => {
+  Object.defineProperty(navigator, 'onLine', { value: onLine, configurable: true });
+};
+
+const stubConnection = properties => {
+  const connection = Object.assign(new EventTarget(), properties);
+  Object.defineProperty(navigator, 'connection', { value: connection, configurable: true });
+  return connection;
+};
+
+describe('netinfo adapter', () => {
+  let NetInfo;
+
+  beforeEach(() => {
+    setOnLine(true);
+    global.fetch = jest.fn(async () => ({ ok: true, status: 200 }));
+    NetInfo = createNetInfoAdapter();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete navigator.onLine;
+    delete navigator.connection;
+    delete global.fetch;
+    React.reset();
+  });
+
+  it('reports no connection while offline without probing', async () => {
+    setOnLine(false);
+
+    await expect(NetInfo.fetch()).resolves.toEqual({ type: 'none', isConnected: false, isInternetReachable: false, details: null });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('reads the connection type and details from the Network Information API', async () => {
+    stubConnection({ type: 'wifi', effectiveType: '4g', downlink: 10, saveData: false });
+    const wifi = await NetInfo.fetch();
+    expect(wifi).toMatchObject({ type: 'wifi', isConnected: true, isInternetReachable: true });
+    expect(wifi.details).toMatchObject({ isConnectionExpensive: false, cellularGeneration: '4g', linkSpeed: 10, ssid: null });
+
+    stubConnection({ type: 'cellular', effectiveType: 'slow-2g' });
+    await expect(NetInfo.fetch()).resolves.toMatchObject({
+      type: 'cellular',
+      details: { isConnectionExpensive: true, cellularGeneration: '2g', carrier: null }
+    });
+
+    stubConnection({ type: 'mixed' });
+    await expect(NetInfo.fetch()).resolves.toMatchObject({ type: 'other' });
+  });
+
+  it('probes the reachability URL', async () => {
+    await NetInfo.fetch();
+    expect(global.fetch).toHaveBeenCalledWith('/', expect.objectContaining({ method: 'HEAD', cache: 'no-store' }));
+
+    global.fetch = jest.fn(async () => ({ ok: false, status: 503 }));
+    await expect(NetInfo.refresh()).resolves.toMatchObject({ isConnected: true, isInternetReachable: false });
+
+    global.fetch = jest.fn(async () => { throw new TypeError('Failed to fetch'); });
+    await expect(NetInfo.refresh()).resolves.toMatchObject({ isInternetReachable: false });
+  });
+
+  it('uses the configured reachability check', async () => {
+    const reachabilityTest = jest.fn(async response => response.status === 200);
+    NetInfo.configure({ reachabilityUrl: 'https://example.com/ping', reachabilityMethod: 'GET', reachabilityTest });
+
+    await expect(NetInfo.fetch()).resolves.toMatchObject({ isInternetReachable: true });
+    expect(global.fetch).toHaveBeenCalledWith('https://example.com/ping', expect.objectContaining({ method: 'GET' }));
+    expect(reachabilityTest).toHaveBeenCalled();
+
+    NetInfo.configure({ reachabilityShouldRun: () => false });
+    global.fetch.mockClear();
+    await expect(NetInfo.refresh()).resolves.toMatchObject({ isConnected: true, isInternetReachable: null });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('answers for other interfaces as disconnected', async () => {
+    stubConnection({ type: 'wifi' });
+    await expect(NetInfo.fetch('cellular')).resolves.toEqual({
+      type: 'cellular', isConnected: false, isInternetReachable: false, details: null
+    });
+  });
+
+  it('re-probes subscribers sooner while unreachable', async () => {
+    jest.useFakeTimers();
+    const listener = jest.fn();
+    const unsubscribe = NetInfo.addEventListener(listener);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ isInternetReachable: true }));
+
+    global.fetch.mockResolvedValue({ ok: false, status: 503 });
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ isInternetReachable: false }));
+
+    await jest.advanceTimersByTimeAsync(5 * 1000);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+
+    unsubscribe();
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('updates subscribers when the browser goes offline', async () => {
+    const listener = jest.fn();
+    NetInfo.addEventListener(listener);
+    await NetInfo.fetch();
+
+    setOnLine(false);
+    window.dispatchEvent(new Event('offline'));
+
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'none', isConnected: false }));
+  });
+
+  it('reconfigures useNetInfo only when the configuration values change', async () => {
+    const firstTest = jest.fn(async () => true);
+    const latestTest = jest.fn(async () => true);
+
+    React.render(() => NetInfo.useNetInfo({ reachabilityUrl: '/ping', reachabilityTest: firstTest }));
+    await NetInfo.fetch();
+    React.render(() => NetInfo.useNetInfo({ reachabilityUrl: '/ping', reachabilityTest: latestTest }));
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    // The function from the latest render is used without reconfiguring
+    await NetInfo.refresh();
+    expect(latestTest).toHaveBeenCalled();
+    expect(firstTest).toHaveBeenCalledTimes(1);
+
+    React.render(() => NetInfo.useNetInfo({ reachabilityUrl: '/health', reachabilityTest: latestTest }));
+    expect(global.fetch).toHaveBeenLastCalledWith('/health', expect.anything());
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+  getPermissionAsync,
+  requestPermissionAsync,
+  addPermissionChangeListener,
+  createPermissionResponse
+} = require('../src/permissions');
+
+const createStatus = state => {
+  const status = new EventTarget();
+  status.state = state;
+  return status;
+};
+
+const stubPermissions = states => {
+  navigator.permissions = {
+    query: jest.fn(async ({ name }) => {
+      if (!(name in states)) {
+        throw new TypeError(`'${name}' is not a valid permission name`);
+      }
+      return states[name];
+    })
+  };
+};
+
+describe('permissions', () => {
+  afterEach(() => {
+    delete navigator.permissions;
+    delete navigator.mediaDevices;
+    delete navigator.geolocation;
+    delete global.Notification;
+  });
+
+  it('answers in the Expo PermissionResponse shape', () => {
+    expect(createPermissionResponse('denied')).toEqual({ status: 'denied', granted: false, canAskAgain: false, expires: 'never' });
+    expect(createPermissionResponse('granted')).toEqual({ status: 'granted', granted: true, canAskAgain: true, expires: 'never' });
+  });
+
+  it('reads the Permissions API state', async () => {
+    stubPermissions({ camera: createStatus('granted'), geolocation: createStatus('denied'), microphone: createStatus('prompt') });
+
+    await expect(getPermissionAsync('camera')).resolves.toMatchObject({ status: 'granted', granted: true });
+    await expect(getPermissionAsync('location')).resolves.toMatchObject({ status: 'denied', canAskAgain: false });
+    await expect(getPermissionAsync('microphone')).resolves.toMatchObject({ status: 'undetermined', canAskAgain: true });
+    expect(navigator.permissions.query).toHaveBeenCalledWith({ name: 'geolocation' });
+  });
+
+  it('reports undetermined for names the browser does not know', async () => {
+    stubPermissions({});
+    await expect(getPermissionAsync('camera')).resolves.toMatchObject({ status: 'undetermined' });
+  });
+
+  it('reads Notification.permission for notifications', async () => {
+    global.Notification = { permission: 'default' };
+    await expect(getPermissionAsync('notifications')).resolves.toMatchObject({ status: 'undetermined' });
+  });
+
+  it('does not prompt once the user has decided', async () => {
+    stubPermissions({ camera: createStatus('denied') });
+    navigator.mediaDevices = { getUserMedia: jest.fn() };
+
+    await expect(requestPermissionAsync('camera')).resolves.toMatchObject({ status: 'denied' });
+    expect(navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled();
+  });
+
+  it('prompts for media access and releases the stream', async () => {
+    const track = { stop: jest.fn() };
+    navigator.mediaDevices = { getUserMedia: jest.fn(async () => ({ getTracks: () => [track] })) };
+
+    await expect(requestPermissionAsync('microphone')).resolves.toMatchObject({ status: 'granted' });
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({ audio: true });
+    expect(track.stop).toHaveBeenCalled();
+  });
+
+  it.each([
+    ['NotAllowedError', 'denied'],
+    ['NotFoundError', 'undetermined']
+  ])('maps a media %s to %s', async (name, status) => {
+    navigator.mediaDevices = { getUserMedia: jest.fn(async () => { throw Object.assign(new Error(name), { name }); }) };
+    await expect(requestPermissionAsync('camera')).resolves.toMatchObject({ status });
+  });
+
+  it('prompts for location through geolocation', async () => {
+    navigator.geolocation = { getCurrentPosition: jest.fn((success, failure) => failure({ code: 1, PERMISSION_DENIED: 1 })) };
+    await expect(requestPermissionAsync('location')).resolves.toMatchObject({ status: 'denied', canAskAgain: false });
+
+    navigator.geolocation.getCurrentPosition = jest.fn(success => success({}));
+    await expect(requestPermissionAsync('location')).resolves.toMatchObject({ status: 'granted' });
+  });
+
+  it('prompts for notifications', async () => {
+    global.Notification = { permission: 'default', requestPermission: jest.fn(async () => 'granted') };
+    await expect(requestPermissionAsync('notifications')).resolves.toMatchObject({ status: 'granted' });
+  });
+
+  it('reports changes of the browser permission until removed', async () => {
+    const status = createStatus('prompt');
+    stubPermissions({ camera: status });
+    const listener = jest.fn();
+
+    const remove = addPermissionChangeListener('camera', listener);
+    await new Promise(resolve => setTimeout(resolve));
+
+    status.state = 'granted';
+    status.dispatchEvent(new Event('change'));
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ status: 'granted' }));
+
+    remove();
+    status.state = 'denied';
+    status.dispatchEvent(new Event('change'));
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
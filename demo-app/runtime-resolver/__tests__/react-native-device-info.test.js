@@ -0,0 +1,108 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const { createDeviceInfoAdapter } = require('../src/adapters/react-native-device-info');
+
+const PIXEL_USER_AGENT = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36';
+const MAC_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15';
+
+const NAVIGATOR_PROPERTIES = ['userAgent', 'userAgentData', 'maxTouchPoints', 'getBattery', 'storage', 'deviceMemory'];
+
+const setNavigator = properties => {
+  Object.keys(properties).forEach(key => {
+    Object.defineProperty(navigator, key, { value: properties[key], configurable: true });
+  });
+};
+
+describe('react-native-device-info adapter', () => {
+  afterEach(() => {
+    NAVIGATOR_PROPERTIES.forEach(key => delete navigator[key]);
+    localStorage.clear();
+  });
+
+  it('reads an Android handset from the User-Agent', () => {
+    setNavigator({ userAgent: PIXEL_USER_AGENT });
+    const DeviceInfo = createDeviceInfoAdapter().default;
+
+    expect(DeviceInfo.getSystemName()).toBe('Android');
+    expect(DeviceInfo.getSystemVersion()).toBe('14');
+    expect(DeviceInfo.getModel()).toBe('Pixel 8');
+    expect(DeviceInfo.getBrand()).toBe('google');
+    expect(DeviceInfo.getDeviceType()).toBe('Handset');
+    expect(DeviceInfo.isTablet()).toBe(false);
+    expect(DeviceInfo.getDeviceNameSync()).toBe('Chrome 120.0.0.0 on Android');
+  });
+
+  it('tells iPadOS from macOS by touch points', () => {
+    setNavigator({ userAgent: MAC_USER_AGENT, maxTouchPoints: 5 });
+    const iPad = createDeviceInfoAdapter();
+    expect([iPad.getSystemName(), iPad.getModel(), iPad.getDeviceType()]).toEqual(['iPadOS', 'iPad', 'Tablet']);
+
+    setNavigator({ maxTouchPoints: 0 });
+    const mac = createDeviceInfoAdapter();
+    expect([mac.getSystemName(), mac.getBrand(), mac.getDeviceType()]).toEqual(['macOS', 'Apple', 'Desktop']);
+  });
+
+  it('prefers high entropy Client Hints once they arrive', async () => {
+    setNavigator({
+      userAgent: PIXEL_USER_AGENT,
+      userAgentData: {
+        platform: 'Android',
+        mobile: true,
+        brands: [{ brand: 'Not_A Brand', version: '8' }, { brand: 'Chromium', version: '120' }],
+        getHighEntropyValues: async () => ({ model: 'SM-S918B', platformVersion: '14.0.0', architecture: 'arm', bitness: '64' })
+      }
+    });
+    const DeviceInfo = createDeviceInfoAdapter();
+
+    await expect(DeviceInfo.getManufacturer()).resolves.toBe('samsung');
+    expect(DeviceInfo.getModel()).toBe('SM-S918B');
+    expect(DeviceInfo.getSystemVersion()).toBe('14.0.0');
+    expect(DeviceInfo.supportedAbisSync()).toEqual(['arm-64']);
+  });
+
+  it('reports battery values after the Battery Status API resolves', async () => {
+    setNavigator({ getBattery: async () => ({ level: 0.15, charging: false, addEventListener: () => {} }) });
+    const DeviceInfo = createDeviceInfoAdapter();
+
+    expect(DeviceInfo.getBatteryLevelSync()).toBe(-1);
+    await expect(DeviceInfo.getBatteryLevel()).resolves.toBe(0.15);
+    expect(DeviceInfo.getPowerStateSync()).toEqual({ batteryLevel: 0.15, batteryState: 'unplugged', lowPowerMode: false });
+    expect(DeviceInfo.isLowBatteryLevel(DeviceInfo.getBatteryLevelSync())).toBe(true);
+  });
+
+  it('reads memory and disk storage', async () => {
+    setNavigator({ deviceMemory: 4, storage: { estimate: async () => ({ quota: 1000, usage: 250 }) } });
+    const DeviceInfo = createDeviceInfoAdapter();
+
+    expect(DeviceInfo.getTotalMemorySync()).toBe(4 * 1024 * 1024 * 1024);
+    await expect(DeviceInfo.getFreeDiskStorage()).resolves.toBe(750);
+    await expect(DeviceInfo.getTotalDiskCapacity()).resolves.toBe(1000);
+  });
+
+  it('persists the unique id across adapters', async () => {
+    const first = createDeviceInfoAdapter();
+    const uniqueId = await first.getUniqueId();
+
+    expect(uniqueId).toEqual(expect.any(String));
+    expect(createDeviceInfoAdapter().getUniqueIdSync()).toBe(uniqueId);
+  });
+
+  it('takes app details from the options', () => {
+    const DeviceInfo = createDeviceInfoAdapter({ version: '1.2.0', buildNumber: '42', bundleId: 'com.example.app' });
+
+    expect(DeviceInfo.getReadableVersion()).toBe('1.2.0.42');
+    expect(DeviceInfo.getBundleId()).toBe('com.example.app');
+  });
+
+  it('exports the web origin of every value', () => {
+    const DeviceInfo = createDeviceInfoAdapter();
+
+    expect(DeviceInfo.webOrigins.getBatteryLevel).toBe('Battery Status API level, -1 when unavailable');
+    expect(DeviceInfo.webOrigins.getCarrier).toBe('Not observable on web');
+    Object.keys(DeviceInfo.webOrigins).forEach(name => {
+      expect(DeviceInfo).toHaveProperty(name);
+    });
+  });
+});
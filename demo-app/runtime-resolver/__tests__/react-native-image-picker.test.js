@@ -0,0 +1,129 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const { createImagePickerAdapter } = require('../src/adapters/react-native-image-picker');
+
+// jsdom cannot decode images, report a fixed size as soon as src is set
+class FakeImage {
+  set src(url) {
+    this.naturalWidth = 400;
+    this.naturalHeight = 300;
+    setTimeout(() => this.onload());
+  }
+}
+
+const selectFiles = (input, files) => {
+  Object.defineProperty(input, 'files', { value: files, configurable: true });
+  input.dispatchEvent(new Event('change'));
+};
+
+describe('react-native-image-picker adapter', () => {
+  let ImagePicker;
+  let input;
+
+  beforeEach(() => {
+    ImagePicker = createImagePickerAdapter();
+    input = null;
+    jest.spyOn(HTMLInputElement.prototype, 'click').mockImplementation(function click() {
+      input = this;
+    });
+    global.Image = FakeImage;
+    URL.createObjectURL = jest.fn(() => 'blob:picked');
+    URL.revokeObjectURL = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('configures the input from the options', () => {
+    ImagePicker.launchCamera({ mediaType: 'video', cameraType: 'front' });
+    expect([input.accept, input.getAttribute('capture'), input.multiple]).toEqual(['video/*', 'user', false]);
+    input.dispatchEvent(new Event('cancel'));
+
+    ImagePicker.launchImageLibrary({ mediaType: 'mixed', selectionLimit: 0 });
+    expect([input.accept, input.hasAttribute('capture'), input.multiple]).toEqual(['image/*,video/*', false, true]);
+    input.dispatchEvent(new Event('cancel'));
+  });
+
+  it('resolves the selected images as assets', async () => {
+    const callback = jest.fn();
+    const result = ImagePicker.launchImageLibrary({ includeBase64: true }, callback);
+
+    selectFiles(input, [new File(['GIF89a'], 'cat.gif', { type: 'image/gif' })]);
+
+    const response = await result;
+    expect(response).toEqual({
+      assets: [{
+        uri: 'blob:picked',
+        type: 'image/gif',
+        fileName: 'cat.gif',
+        fileSize: 6,
+        width: 400,
+        height: 300,
+        base64: Buffer.from('GIF89a').toString('base64')
+      }]
+    });
+    expect(callback).toHaveBeenCalledWith(response);
+    expect(document.querySelector('input[type="file"]')).toBeNull();
+  });
+
+  it('keeps to the selection limit', async () => {
+    const result = ImagePicker.launchImageLibrary({ selectionLimit: 2 });
+    const files = ['a', 'b', 'c'].map(name => new File([name], `${name}.gif`, { type: 'image/gif' }));
+
+    selectFiles(input, files);
+
+    expect((await result).assets.map(asset => asset.fileName)).toEqual(['a.gif', 'b.gif']);
+  });
+
+  it('resolves didCancel on the cancel event', async () => {
+    const result = ImagePicker.launchImageLibrary({});
+    input.dispatchEvent(new Event('cancel'));
+
+    await expect(result).resolves.toEqual({ didCancel: true });
+  });
+
+  describe('without the cancel event', () => {
+    let oncancel;
+
+    beforeEach(() => {
+      oncancel = Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'oncancel');
+      delete HTMLElement.prototype.oncancel;
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      Object.defineProperty(HTMLElement.prototype, 'oncancel', oncancel);
+    });
+
+    it('resolves didCancel shortly after the window regains focus', async () => {
+      const result = ImagePicker.launchImageLibrary({});
+      window.dispatchEvent(new Event('focus'));
+
+      jest.advanceTimersByTime(1000);
+      await expect(result).resolves.toEqual({ didCancel: true });
+    });
+
+    it('resolves didCancel on the next interaction with the page', async () => {
+      const result = ImagePicker.launchImageLibrary({});
+      window.dispatchEvent(new Event('focus'));
+      document.body.dispatchEvent(new Event('pointerdown'));
+
+      await expect(result).resolves.toEqual({ didCancel: true });
+    });
+
+    it('waits for a selection that follows the focus', async () => {
+      const result = ImagePicker.launchImageLibrary({});
+      window.dispatchEvent(new Event('focus'));
+      jest.advanceTimersByTime(500);
+
+      selectFiles(input, [new File(['GIF89a'], 'cat.gif', { type: 'image/gif' })]);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect((await result).assets).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// Components are called as plain functions: contexts hold no value, state is
+// the initial state and effects do not run
+jest.mock('react', () => ({
+  createContext: () => ({ Provider: 'Provider' }),
+  useContext: () => null,
+  useState: initial => [typeof initial === 'function' ? initial() : initial, () => {}],
+  useEffect: () => {},
+  forwardRef: render => ({ render }),
+  createElement: (type, props, ...children) => ({ type, props, children })
+}), { virtual: true });
+jest.mock('react-native', () => ({
+  View: 'View',
+  StyleSheet: { flatten: style => (Array.isArray(style) ? Object.assign({}, ...style) : style) }
+}), { virtual: true });
+
+const { getSafeAreaMetrics, addSafeAreaMetricsListener } = require('../src/safe-area-metrics');
+const { createSafeAreaContextAdapter } = require('../src/adapters/react-native-safe-area-context');
+
+const INSETS = { top: 47, right: 0, bottom: 34, left: 0 };
+
+describe('react-native-safe-area-context adapter', () => {
+  beforeEach(() => {
+    // jsdom does not resolve env(), answer for the probe element
+    jest.spyOn(window, 'getComputedStyle').mockImplementation(() => ({
+      getPropertyValue: property => `${INSETS[property.replace('padding-', '')]}px`
+    }));
+    window.innerWidth = 390;
+    window.innerHeight = 844;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('measures env(safe-area-inset-*) through a probe element', () => {
+    expect(getSafeAreaMetrics()).toEqual({ insets: INSETS, frame: { x: 0, y: 0, width: 390, height: 844 } });
+
+    const probe = document.body.querySelector('[aria-hidden="true"]');
+    expect(window.getComputedStyle).toHaveBeenCalledWith(probe);
+    expect(probe.style.position).toBe('fixed');
+  });
+
+  it('reports new metrics on resize until unsubscribed', () => {
+    const listener = jest.fn();
+    const unsubscribe = addSafeAreaMetricsListener(listener);
+
+    window.innerWidth = 844;
+    window.dispatchEvent(new Event('resize'));
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ frame: expect.objectContaining({ width: 844 }) }));
+
+    unsubscribe();
+    window.dispatchEvent(new Event('resize'));
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('exposes the initial window metrics', () => {
+    const adapter = createSafeAreaContextAdapter();
+
+    expect(adapter.initialWindowMetrics.insets).toEqual(INSETS);
+    expect(adapter.initialWindowSafeAreaInsets).toEqual(INSETS);
+    expect(adapter.useSafeAreaInsets()).toEqual(INSETS);
+  });
+
+  it('adds the insets to the padding of SafeAreaView', () => {
+    const { SafeAreaView } = createSafeAreaContextAdapter();
+    const { props } = SafeAreaView({ style: { padding: 10, paddingTop: 4 } });
+
+    expect(props.style[1]).toEqual({ paddingTop: 51, paddingRight: 10, paddingBottom: 44, paddingLeft: 10 });
+  });
+
+  it('applies only the requested edges, as margins when asked to', () => {
+    const { SafeAreaView } = createSafeAreaContextAdapter();
+
+    expect(SafeAreaView({ edges: ['bottom'], mode: 'margin' }).props.style[1]).toEqual({ marginBottom: 34 });
+    expect(SafeAreaView({ edges: { top: 'maximum', bottom: 'off' }, style: { paddingVertical: 60 } }).props.style[1])
+      .toEqual({ paddingTop: 60 });
+  });
+
+  it('passes the insets to components wrapped with withSafeAreaInsets', () => {
+    const { withSafeAreaInsets } = createSafeAreaContextAdapter();
+    function Header() {}
+
+    const WithInsets = withSafeAreaInsets(Header);
+    const element = WithInsets.render({ title: 'Home' }, null);
+
+    expect(WithInsets.displayName).toBe('withSafeAreaInsets(Header)');
+    expect(element.props).toEqual({ title: 'Home', insets: INSETS, ref: null });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// Components are called as plain functions: state is the initial state and
+// effects are collected so the test decides when they run
+jest.mock('react', () => {
+  const effects = [];
+  const createElement = (type, props, ...children) => ({ type, key: props && props.key, props: { ...props, children } });
+  return {
+    effects,
+    createElement,
+    createContext: value => ({ Provider: 'Provider', value }),
+    useContext: () => null,
+    forwardRef: render => ({ render }),
+    useRef: current => ({ current }),
+    useState: initial => [initial, () => {}],
+    useMemo: create => create(),
+    useCallback: callback => callback,
+    useEffect: effect => effects.push(effect),
+    cloneElement: (element, props) => ({ ...element, props: { ...element.props, ...props } }),
+    isValidElement: element => !!element && typeof element === 'object' && 'props' in element,
+    Children: { toArray: children => [].concat(children === undefined ? [] : children).flat() },
+    Suspense: 'Suspense'
+  };
+}, { virtual: true });
+jest.mock('react-native', () => ({
+  View: 'View',
+  Text: 'Text',
+  TextInput: 'TextInput',
+  StyleSheet: { absoluteFill: { position: 'absolute' }, hairlineWidth: 1 },
+  Animated: {
+    Value: class {
+      constructor(value) {
+        this.value = value;
+      }
+
+      setValue(value) {
+        this.value = value;
+      }
+    }
+  }
+}), { virtual: true });
+
+const React = require('react');
+const { createScreensAdapter } = require('../src/adapters/react-native-screens');
+
+const runEffects = () => React.effects.splice(0).map(effect => effect());
+
+// StackLayer is private; take it from the layers ScreenStack renders
+const getStackLayer = (ScreenStack, element) => ScreenStack({ children: [element] }).props.children[0][0].type;
+
+describe('react-native-screens adapter', () => {
+  let Screens;
+
+  beforeEach(() => {
+    React.effects.length = 0;
+    Screens = createScreensAdapter();
+  });
+
+  afterEach(() => {
+    Screens.enableScreens(true);
+    Screens.enableFreeze(false);
+    jest.useRealTimers();
+  });
+
+  it('hides inactive screens and keeps native-only props off the DOM', () => {
+    const { Screen } = Screens;
+
+    const hidden = Screen.render({ activityState: 0, stackAnimation: 'fade', onAppear: jest.fn(), testID: 'home' }, null);
+    expect(hidden.type).toBe('View');
+    expect(hidden.props.style).toContainEqual({ display: 'none' });
+    expect(hidden.props['aria-hidden']).toBe(true);
+    expect(hidden.props.testID).toBe('home');
+    expect(hidden.props).not.toHaveProperty('stackAnimation');
+    expect(hidden.props).not.toHaveProperty('onAppear');
+
+    const below = Screen.render({ activityState: 1 }, null);
+    expect(below.props.style).toContainEqual({ pointerEvents: 'none' });
+    expect(below.props['aria-hidden']).toBeUndefined();
+  });
+
+  it('shows every screen once screens are disabled', () => {
+    Screens.enableScreens(false);
+
+    expect(Screens.screensEnabled()).toBe(false);
+    expect(Screens.Screen.render({ activityState: 0 }, null).props.style).not.toContainEqual({ display: 'none' });
+  });
+
+  it('freezes inactive screens when freezing is enabled', () => {
+    Screens.enableFreeze();
+    const freezeElement = Screens.Screen.render({ activityState: 0 }, null).props.children[0];
+
+    const suspense = freezeElement.type(freezeElement.props);
+    expect(suspense.type).toBe('Suspense');
+    const suspender = suspense.props.children[0];
+
+    let thrown;
+    try {
+      suspender.type(suspender.props);
+    } catch (error) {
+      thrown = error;
+    }
+    expect(thrown).toBeInstanceOf(Promise);
+  });
+
+  it('stacks screens with the top one active', () => {
+    const screens = ['home', 'list', 'detail'].map(key => React.createElement(Screens.Screen, { key }));
+
+    const stack = Screens.ScreenStack({ children: screens });
+    const layers = stack.props.children[0];
+
+    expect(layers.map(layer => [layer.key, layer.props.activityState])).toEqual([['home', 0], ['list', 1], ['detail', 2]]);
+    expect(layers.every(layer => layer.props.animate === false)).toBe(true);
+  });
+
+  it('slides pushed screens in and reports when they appeared', () => {
+    jest.useFakeTimers();
+    const onAppear = jest.fn();
+    const element = React.createElement(Screens.Screen, { key: 'detail', onAppear });
+    const layer = getStackLayer(Screens.ScreenStack, element);
+
+    const rendered = layer({ element, activityState: 2, phase: 'enter', animate: true });
+    const screen = rendered.props.children[0];
+    expect(screen.props.style[1]).toContainEqual({ transform: 'translateX(100%)' });
+    expect(screen.props.style[1][0]).toMatchObject({ transitionDuration: '300ms' });
+
+    runEffects();
+    jest.advanceTimersByTime(299);
+    expect(onAppear).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(onAppear).toHaveBeenCalledWith({ nativeEvent: {} });
+    expect(rendered.props.value.progress.value).toBe(1);
+  });
+
+  it('keeps a popped screen until its exit transition ends', () => {
+    jest.useFakeTimers();
+    const onWillDisappear = jest.fn();
+    const onExited = jest.fn();
+    const element = React.createElement(Screens.Screen, { key: 'detail', animation: 'fade', transitionDuration: 200, onWillDisappear });
+    const layer = getStackLayer(Screens.ScreenStack, element);
+
+    const rendered = layer({ element, activityState: 1, phase: 'exit', animate: false, onExited });
+    expect(rendered.props.children[0].props.style[1]).toContainEqual({ opacity: 0 });
+
+    runEffects();
+    expect(onWillDisappear).toHaveBeenCalled();
+    expect(rendered.props.value.closing.value).toBe(1);
+    jest.advanceTimersByTime(200);
+    expect(onExited).toHaveBeenCalledWith('detail');
+  });
+
+  it('renders the header title unless hidden', () => {
+    const header = Screens.ScreenStackHeaderConfig({ title: 'Settings', titleColor: 'red', backgroundColor: '#eee' });
+    const title = header.props.children[1];
+
+    expect(header.props.role).toBe('banner');
+    expect(title.props).toMatchObject({ role: 'heading', children: ['Settings'] });
+    expect(title.props.style.color).toBe('red');
+    expect(Screens.ScreenStackHeaderConfig({ hidden: true, title: 'Settings' })).toBeNull();
+  });
+
+  it('reports search bar input as native events', () => {
+    const onChangeText = jest.fn();
+    const onSearchButtonPress = jest.fn();
+    const input = Screens.SearchBar({ placeholder: 'Search', onChangeText, onSearchButtonPress });
+
+    input.props.onChangeText('tea');
+    input.props.onSubmitEditing({ nativeEvent: { text: 'tea' } });
+
+    expect(input.props.role).toBe('searchbox');
+    expect(onChangeText).toHaveBeenCalledWith({ nativeEvent: { text: 'tea' } });
+    expect(onSearchButtonPress).toHaveBeenCalledWith({ nativeEvent: { text: 'tea' } });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const { createShareAdapter } = require('../src/adapters/react-native-share');
+
+const PNG_DATA_URL = 'data:image/png;base64,iVBORw0KGgo=';
+
+const sheetButtons = () => Array.from(document.querySelectorAll('[role="dialog"] button')).map(button => button.textContent);
+
+const pressSheetButton = label => {
+  Array.from(document.querySelectorAll('[role="dialog"] button')).find(button => button.textContent === label).click();
+};
+
+describe('react-native-share adapter', () => {
+  let Share;
+
+  beforeEach(() => {
+    Share = createShareAdapter().default;
+    navigator.share = jest.fn(() => Promise.resolve());
+    navigator.canShare = jest.fn(() => true);
+    global.fetch = jest.fn(async () => ({ blob: async () => new Blob(['video'], { type: 'video/mp4' }) }));
+  });
+
+  afterEach(() => {
+    delete navigator.share;
+    delete navigator.canShare;
+    delete global.fetch;
+    document.body.innerHTML = '';
+  });
+
+  it('shares data: urls as files within the user gesture', async () => {
+    const result = Share.open({ message: 'Look', url: PNG_DATA_URL, filename: 'photo' });
+
+    // Called synchronously, before anything is awaited
+    expect(navigator.share).toHaveBeenCalledTimes(1);
+    const [data] = navigator.share.mock.calls[0];
+    expect(data.text).toBe('Look');
+    expect(data.url).toBeUndefined();
+    expect(data.files[0]).toBeInstanceOf(File);
+    expect(data.files[0].name).toBe('photo.png');
+    await expect(result).resolves.toEqual({ success: true, message: 'web-share' });
+  });
+
+  it('shares http(s) urls as links', async () => {
+    await Share.open({ urls: ['https://example.com/a'] });
+    expect(navigator.share).toHaveBeenCalledWith({ title: undefined, text: undefined, url: 'https://example.com/a' });
+  });
+
+  it('fetches blob: urls and shares every file', async () => {
+    await expect(Share.open({ message: 'Clips', urls: ['blob:https://app/1', PNG_DATA_URL] })).resolves.toMatchObject({ success: true });
+
+    expect(fetch).toHaveBeenCalledWith('blob:https://app/1');
+    const [data] = navigator.share.mock.calls[0];
+    expect(data.files.map(file => file.type)).toEqual(['video/mp4', 'image/png']);
+    expect(navigator.canShare).toHaveBeenCalledWith(data);
+  });
+
+  it('falls back to the share sheet when the gesture did not outlive the fetch', async () => {
+    navigator.share = jest.fn(() => Promise.reject(Object.assign(new Error('no gesture'), { name: 'NotAllowedError' })));
+
+    const result = Share.open({ message: 'Clips', urls: ['blob:https://app/1'], failOnCancel: false });
+    await new Promise(resolve => setTimeout(resolve));
+
+    expect(sheetButtons()).toEqual(expect.arrayContaining(['Download', 'Copy link', 'Cancel']));
+    pressSheetButton('Cancel');
+    await expect(result).resolves.toEqual({ success: false, message: 'User did not share', dismissedAction: true });
+  });
+
+  it('uses the share sheet when the browser cannot share the files', async () => {
+    navigator.canShare = jest.fn(() => false);
+    URL.createObjectURL = jest.fn(() => 'blob:download');
+    URL.revokeObjectURL = jest.fn();
+
+    const result = Share.open({ url: PNG_DATA_URL });
+    await new Promise(resolve => setTimeout(resolve));
+
+    expect(navigator.share).not.toHaveBeenCalled();
+    pressSheetButton('Download');
+    await expect(result).resolves.toEqual({ success: true, message: 'download' });
+  });
+
+  it('rejects file: urls', async () => {
+    await expect(Share.open({ url: 'file:///tmp/a.png' })).rejects.toThrow('web pages cannot read file: URLs');
+    expect(navigator.share).not.toHaveBeenCalled();
+  });
+
+  it('rejects dismissals unless failOnCancel is false', async () => {
+    navigator.share = jest.fn(() => Promise.reject(Object.assign(new Error('cancelled'), { name: 'AbortError' })));
+
+    await expect(Share.open({ message: 'Hi' })).rejects.toThrow('User did not share');
+    await expect(Share.open({ message: 'Hi', failOnCancel: false })).resolves.toMatchObject({ dismissedAction: true });
+  });
+
+  it('opens social web intents synchronously', () => {
+    window.open = jest.fn();
+
+    const result = Share.shareSingle({ social: Share.Social.TWITTER, message: 'Hi', url: 'https://example.com' });
+
+    expect(window.open).toHaveBeenCalledWith(
+      'https://twitter.com/intent/tweet?text=Hi&url=https%3A%2F%2Fexample.com',
+      '_blank',
+      'noopener,noreferrer'
+    );
+    return expect(result).resolves.toEqual({ success: true, message: 'twitter' });
+  });
+});
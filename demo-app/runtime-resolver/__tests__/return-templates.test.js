@@ -0,0 +1,33 @@
+const { materializeTemplate, createTemplateFunction, validateTemplate } = require('../src/return-templates');
+
+describe('return templates', () => {
+  it('materializes tokens inside objects and arrays', () => {
+    const value = materializeTemplate({ permission: '$permission', listeners: ['$subscription'], count: 0 });
+
+    expect(value.permission).toMatchObject({ status: 'undetermined', granted: false });
+    expect(typeof value.listeners[0].remove).toBe('function');
+    expect(value.count).toBe(0);
+  });
+
+  it('materializes function templates', async () => {
+    const getStatus = materializeTemplate({ $function: { async: true, returns: '$permission' } });
+
+    await expect(getStatus()).resolves.toMatchObject({ status: 'undetermined' });
+    expect(createTemplateFunction({ returns: [1, '$noop'] })()[0]).toBe(1);
+  });
+
+  it('keeps strings that only look like tokens', () => {
+    expect(materializeTemplate('toString')).toBe('toString');
+    expect(materializeTemplate('constructor')).toBe('constructor');
+    expect(materializeTemplate('$toString')).toBe('$toString');
+  });
+
+  it('reports unknown tokens with their path', () => {
+    expect(validateTemplate({ a: ['$permission', '$toString'] }, 'returns')).toEqual([
+      { path: 'returns.a[1]', message: 'uses unknown template token "$toString"' }
+    ]);
+    expect(validateTemplate({ $function: { returns: '$constructor' } }, 'm')).toEqual([
+      { path: 'm.$function.returns', message: 'uses unknown template token "$constructor"' }
+    ]);
+  });
+});
@@ -0,0 +1,84 @@
+const { createRuntimeResolver } = require('../src/runtime-resolver');
+const { PlatformDetector } = require('../src/platform-detector');
+
+const hapticsModule = { impactAsync: () => 'native impact' };
+
+const createResolverOn = (platform, config) => {
+  jest.spyOn(PlatformDetector.prototype, 'getPlatform').mockReturnValue(platform);
+  jest.spyOn(PlatformDetector.prototype, 'isWeb').mockReturnValue(platform === 'web');
+  return createRuntimeResolver({ logging: false, ...config });
+};
+
+describe('RuntimeResolver platform modes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.expo;
+  });
+
+  it.each([
+    ['auto', 'web', true],
+    ['auto', 'ios', false],
+    ['web', 'ios', true],
+    ['always', 'android', true],
+    ['native', 'web', false]
+  ])('platform %s on %s wraps: %s', (mode, platform, wrapped) => {
+    const resolver = createResolverOn(platform, { platform: mode });
+    expect(resolver.resolve('expo-haptics', hapticsModule) !== hapticsModule).toBe(wrapped);
+  });
+
+  describe("'native-missing'", () => {
+    it('wraps on web', () => {
+      const resolver = createResolverOn('web', { platform: 'native-missing' });
+      expect(resolver.resolve('expo-haptics', hapticsModule)).not.toBe(hapticsModule);
+    });
+
+    it('leaves linked native modules alone', () => {
+      global.expo = { modules: { ExpoHaptics: {} } };
+      const resolver = createResolverOn('ios', { platform: 'native-missing' });
+      expect(resolver.resolve('expo-haptics', hapticsModule)).toBe(hapticsModule);
+    });
+
+    it.each([
+      'expo-haptics',
+      'expo-sensors',
+      'expo-notifications',
+      'react-native-camera'
+    ])('wraps %s when its native side is missing', moduleName => {
+      const resolver = createResolverOn('android', { platform: 'native-missing' });
+      expect(resolver.shouldWrap(moduleName, {})).toBe(true);
+    });
+
+    it('needs every native module of the package', () => {
+      global.expo = { modules: { ExponentAccelerometer: {}, ExponentGyroscope: {} } };
+      const resolver = createResolverOn('android', { platform: 'native-missing' });
+      expect(resolver.shouldWrap('expo-sensors', {})).toBe(true);
+
+      global.expo.modules.ExponentMagnetometer = {};
+      global.expo.modules.ExponentDeviceMotion = {};
+      expect(resolver.shouldWrap('expo-sensors', {})).toBe(false);
+    });
+
+    it('uses nativeModules from the module configuration', () => {
+      const resolver = createResolverOn('ios', {
+        platform: 'native-missing',
+        modules: { 'react-native-logger': { nativeModules: ['RNLogger'] } }
+      });
+
+      expect(resolver.shouldWrap('react-native-logger', resolver.config.modules['react-native-logger'])).toBe(true);
+      expect(resolver.shouldWrap('react-native-unknown', {})).toBe(false);
+    });
+
+    it('gives modules wrapped on native generic fallbacks instead of web adapters', () => {
+      const resolver = createResolverOn('ios', { platform: 'native-missing', fallbacks: { returnValue: 'generic', logMessage: false } });
+      const Haptics = resolver.resolve('expo-haptics', null);
+
+      expect(resolver.fallbackManager.getBuiltInAdapter('expo-haptics')).toBeNull();
+      expect(Haptics.impactAsync()).toBe('generic');
+    });
+
+    it('keeps web adapters on web', () => {
+      const resolver = createResolverOn('web', { platform: 'native-missing' });
+      expect(resolver.fallbackManager.getBuiltInAdapter('expo-haptics')).toHaveProperty('impactAsync');
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const { parseVersion, compareVersions, satisfies, validRange } = require('../src/semver');
+
+describe('semver', () => {
+  it('parses versions with prerelease identifiers', () => {
+    expect(parseVersion('v1.2')).toEqual([1, 2, 0, []]);
+    expect(parseVersion('16.0.0-rc.1+build.5')).toEqual([16, 0, 0, ['rc', 1]]);
+    expect(parseVersion('latest')).toBeNull();
+  });
+
+  it('orders prereleases before their release', () => {
+    const ordered = [
+      '1.0.0-alpha',
+      '1.0.0-alpha.1',
+      '1.0.0-alpha.beta',
+      '1.0.0-beta',
+      '1.0.0-beta.2',
+      '1.0.0-beta.11',
+      '1.0.0-rc.1',
+      '1.0.0'
+    ];
+
+    ordered.slice(1).forEach((version, index) => {
+      expect(compareVersions(ordered[index], version)).toBeLessThan(0);
+    });
+  });
+
+  it.each([
+    ['1.2.3', '1.2.3', true],
+    ['1.2.4', '>1.2.3 <=1.2.4', true],
+    ['1.3.0', '^1.2', true],
+    ['2.0.0', '^1.2', false],
+    ['0.2.5', '^0.2.3', true],
+    ['0.3.0', '^0.2.3', false],
+    ['1.2.9', '~1.2.3', true],
+    ['1.3.0', '~1.2.3', false],
+    ['1.9.0', '1.x', true],
+    ['5.0.0', '*', true],
+    ['1.4.9', '1.0.0 - 1.4', true],
+    ['1.5.0', '1.0.0 - 1.4', false],
+    ['3.1.0', '^1.0.0 || ^3.0.0', true]
+  ])('%s satisfies %s: %s', (version, range, expected) => {
+    expect(satisfies(version, range)).toBe(expected);
+  });
+
+  it.each([
+    ['15.0.0-rc.1', '>=15.0.0', false],
+    ['15.0.0-rc.1', '>=14', false],
+    ['2.0.0-rc.1', '<2.0.0', false],
+    ['15.0.0-rc.1', '>=15.0.0-rc.0', true],
+    ['15.0.0-rc.1', '^15.0.0-beta', true],
+    ['15.0.1-rc.1', '^15.0.0-beta', false],
+    ['15.0.0', '>=15.0.0-rc.1', true]
+  ])('prerelease %s satisfies %s: %s', (version, range, expected) => {
+    expect(satisfies(version, range)).toBe(expected);
+  });
+
+  it('validates ranges', () => {
+    expect(validRange('>=1.2 <2 || 3.x')).toBe(true);
+    expect(validRange('>=banana')).toBe(false);
+  });
+});
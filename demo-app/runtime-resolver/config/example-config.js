@@ -7,7 +7,7 @@
 
 const runtimeResolverConfig = {
   // Global settings
-  platform: 'auto', // 'auto', 'web', 'native' - platform detection
+  platform: 'auto', // 'auto', 'web', 'native', 'always', 'native-missing' - which platforms get wrappers
   fallbackStrategy: 'graceful', // 'graceful', 'throw', 'silent'
   logging: true, // Enable/disable logging
   logLevel: 'warn', // 'debug', 'info', 'warn', 'error', 'silent'
@@ -19,6 +19,43 @@ const runtimeResolverConfig = {
     logMessage: true // Whether to log fallback usage
   },
 
+  // Options for built-in web adapters
+  adapters: {
+    'expo-location': {
+      // Used by geocodeAsync / reverseGeocodeAsync on web
+      geocodingProvider: {
+        geocode: async (address) => [],
+        reverseGeocode: async ({ latitude, longitude }) => []
+      }
+    },
+    'expo-notifications': {
+      // Optional: copy fallbacks/notifications-service-worker.js to your web root
+      serviceWorkerPath: '/notifications-service-worker.js'
+    },
+    'react-native-device-info': {
+      // App metadata the browser cannot provide
+      version: '1.0.0',
+      buildNumber: '1'
+    },
+    'expo-brightness': {
+      // Brightness emulation: 'overlay', 'filter' or 'off'
+      mode: 'overlay'
+    },
+    'expo-haptics': {
+      // Overrides for the default vibration patterns (ms)
+      patterns: {
+        selection: [5]
+      },
+      // Play audio clicks where navigator.vibrate is unavailable (desktop)
+      audioClick: false
+    },
+    '@react-native-community/netinfo': {
+      // Probed for isInternetReachable; must allow CORS when cross-origin
+      reachabilityUrl: '/',
+      reachabilityTest: async (response) => response.ok
+    }
+  },
+
   // Module-specific configurations
   modules: {
     // Camera module configuration
@@ -70,6 +107,8 @@ const runtimeResolverConfig = {
 
     // Haptics with web vibration fallback
     'expo-haptics': {
+      // Haptics are optional: never log about them
+      fallbackStrategy: 'silent',
       fallback: {
         'impactAsync': (error, args) => {
           const [style] = args;
@@ -152,7 +191,7 @@ const runtimeResolverConfig = {
       }
     },
 
-    // File system with web alternatives
+    // File system with web alternatives (wrapped through AUTO_WRAP_MODULES in metro.config.js)
     'expo-file-system': {
       fallback: {
         'readAsStringAsync': () => {
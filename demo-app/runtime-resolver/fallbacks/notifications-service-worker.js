@@ -0,0 +1,32 @@
+/**
+ * Service worker for expo-notifications on web
+ *
+ * Copy this file into your web root and set
+ * adapters['expo-notifications'].serviceWorkerPath to its URL. It forwards
+ * notification clicks to the page so addNotificationResponseReceivedListener
+ * fires, and opens the app when no window is open.
+ */
+
+self.addEventListener('notificationclick', event => {
+  const notification = event.notification;
+  const data = notification.data || {};
+  notification.close();
+
+  const message = {
+    type: 'expo-notifications:response',
+    identifier: data.identifier || notification.tag,
+    content: data.content || { title: notification.title, body: notification.body },
+    actionIdentifier: event.action || 'expo.modules.notifications.actions.DEFAULT',
+    date: Date.now()
+  };
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+      if (clients.length > 0) {
+        clients[0].postMessage(message);
+        return clients[0].focus();
+      }
+      return self.clients.openWindow(self.registration.scope);
+    })
+  );
+});
@@ -0,0 +1,181 @@
+/**
+ * Adapter Discovery - Metro-time lookup of web adapters and manifests (Node only)
+ *
+ * Used from metro.config.js to generate the registerAdapter() and
+ * registerManifest() calls that go into each module wrapper. Besides the built-in adapters, any package
+ * in node_modules can ship web adapters as `*.runtime-adapter.js` files in
+ * its package root, exporting:
+ *
+ *   module.exports = {
+ *     moduleName: 'react-native-foo',
+ *     versions: '>=2.0.0',          // optional, defaults to '*'
+ *     createAdapter: (options, logger) => ({ ...exports })
+ *   };
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BUILT_IN_ADAPTERS } = require('./adapters/built-in');
+const { satisfies } = require('./semver');
+const { readManifestDirectory, getBuiltInManifestDirectory } = require('./manifest-loader');
+
+const ADAPTER_FILE_PATTERN = /\.runtime-adapter\.js$/;
+
+// Discovery results per node_modules directory
+const discoveryCache = new Map();
+
+/**
+ * List package directories in node_modules, including scoped packages
+ * @param {string} nodeModulesDir - node_modules directory
+ * @returns {Array} - [{ packageName, packageDir }]
+ */
+function listPackages(nodeModulesDir) {
+  const packages = [];
+  if (!fs.existsSync(nodeModulesDir)) {
+    return packages;
+  }
+
+  fs.readdirSync(nodeModulesDir).forEach(entry => {
+    if (entry.startsWith('.')) {
+      return;
+    }
+    const entryDir = path.join(nodeModulesDir, entry);
+    if (entry.startsWith('@')) {
+      let scopedEntries;
+      try {
+        scopedEntries = fs.readdirSync(entryDir);
+      } catch (error) {
+        // A dangling link or a file named like a scope
+        return;
+      }
+      scopedEntries.forEach(scoped => {
+        packages.push({ packageName: `${entry}/${scoped}`, packageDir: path.join(entryDir, scoped) });
+      });
+    } else {
+      packages.push({ packageName: entry, packageDir: entryDir });
+    }
+  });
+
+  return packages;
+}
+
+/**
+ * Find `*.runtime-adapter.js` files shipped by installed packages
+ * @param {string} projectRoot - Directory containing node_modules
+ * @returns {Array} - [{ moduleName, versions, request }]
+ */
+function discoverRuntimeAdapters(projectRoot) {
+  const nodeModulesDir = path.join(projectRoot, 'node_modules');
+  if (discoveryCache.has(nodeModulesDir)) {
+    return discoveryCache.get(nodeModulesDir);
+  }
+
+  const adapters = [];
+  listPackages(nodeModulesDir).forEach(({ packageName, packageDir }) => {
+    let files;
+    try {
+      files = fs.readdirSync(packageDir).filter(file => ADAPTER_FILE_PATTERN.test(file));
+    } catch (error) {
+      return;
+    }
+
+    files.forEach(file => {
+      const filePath = path.join(packageDir, file);
+      try {
+        const descriptor = require(filePath);
+        if (!descriptor || typeof descriptor.moduleName !== 'string' || typeof descriptor.createAdapter !== 'function') {
+          console.warn(`[Runtime Resolver] Ignoring ${filePath}: expected { moduleName, createAdapter }`);
+          return;
+        }
+        adapters.push({
+          moduleName: descriptor.moduleName,
+          versions: descriptor.versions || '*',
+          request: `${packageName}/${file}`
+        });
+      } catch (error) {
+        console.warn(`[Runtime Resolver] Failed to load runtime adapter ${filePath}:`, error.message);
+      }
+    });
+  });
+
+  discoveryCache.set(nodeModulesDir, adapters);
+  return adapters;
+}
+
+/**
+ * Generate the adapter registration code for a module wrapper
+ * @param {string} moduleName - Wrapped module name
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.projectRoot] - Directory containing node_modules
+ * @param {string} [options.resolverPath] - Path of runtime-resolver/src as seen from the wrapper
+ * @param {string|null} [options.version] - Installed version; only adapters covering it are bundled
+ * @returns {string} - Lines of code, empty when the module has no adapters
+ */
+function generateAdapterRegistrations(moduleName, options = {}) {
+  const { projectRoot = process.cwd(), resolverPath = '../runtime-resolver/src', version = null } = options;
+  const covers = adapter => !version || satisfies(version, adapter.versions);
+
+  const builtIns = BUILT_IN_ADAPTERS.filter(adapter => adapter.moduleName === moduleName);
+  const discovered = discoverRuntimeAdapters(projectRoot).filter(adapter => adapter.moduleName === moduleName);
+
+  if (version && builtIns.length + discovered.length > 0 && ![...builtIns, ...discovered].some(covers)) {
+    console.warn(`[Runtime Resolver] No web adapter covers ${moduleName}@${version}, using generic fallbacks`);
+  }
+
+  // Built-ins first: they register with the lowest precedence either way
+  const lines = builtIns.filter(covers).map(adapter => {
+    const file = `${resolverPath}/adapters/${adapter.file.replace(/^\.\//, '')}`;
+    return `registerAdapter('${moduleName}', require('${file}').${adapter.factory}, { versions: '${adapter.versions}', fallback: true });`;
+  });
+
+  discovered.filter(covers).forEach(adapter => {
+    lines.push(`registerAdapterModule(require('${adapter.request}'));`);
+  });
+
+  if (lines.length === 0) {
+    return '';
+  }
+
+  const imports = ['registerAdapter', 'registerAdapterModule'].filter(name => lines.some(line => line.startsWith(`${name}(`)));
+  return [
+    `const { ${imports.join(', ')} } = require('${resolverPath}/adapter-registry');`,
+    ...lines
+  ].join('\n');
+}
+
+/**
+ * Generate the manifest registration code for a module wrapper
+ * @param {string} moduleName - Wrapped module name
+ * @param {Object} options - Generation options
+ * @param {string} options.wrapperDir - Directory the wrapper is written to
+ * @param {Array} [options.manifestDirs] - App manifest directories, taking precedence over built-ins
+ * @param {string} [options.resolverPath] - Path of runtime-resolver/src as seen from the wrapper
+ * @returns {string} - Lines of code, empty when the module has no manifest
+ */
+function generateManifestRegistrations(moduleName, options) {
+  const { wrapperDir, manifestDirs = [], resolverPath = '../runtime-resolver/src' } = options;
+
+  // Built-ins first so app manifests, registered later, win
+  const lines = [getBuiltInManifestDirectory(), ...manifestDirs]
+    .reduce((files, directory) => files.concat(readManifestDirectory(directory)), [])
+    .filter(file => file.moduleName === moduleName)
+    .map(file => {
+      const request = path.relative(wrapperDir, file.filePath).split(path.sep).join('/');
+      return `registerManifest(require('${request.startsWith('.') ? request : `./${request}`}'));`;
+    });
+
+  if (lines.length === 0) {
+    return '';
+  }
+
+  return [
+    `const { registerManifest } = require('${resolverPath}/manifest-loader');`,
+    ...lines
+  ].join('\n');
+}
+
+module.exports = {
+  discoverRuntimeAdapters,
+  generateAdapterRegistrations,
+  generateManifestRegistrations
+};
@@ -0,0 +1,187 @@
+/**
+ * Adapter Registry - Web adapters registered per module and library version
+ *
+ * Adapters are registered as factories with the semver range of the wrapped
+ * library they support, and only created when a FallbackManager first needs
+ * them. Later registrations take precedence, so an app or a third-party
+ * `*.runtime-adapter.js` can replace a built-in adapter.
+ *
+ * In web bundles the Metro wrapper of each imported module registers its
+ * adapters, which keeps adapters for modules that are never imported out of
+ * the bundle. Code creating its own resolver in a web bundle registers the
+ * built-ins it needs with registerAdapter(..., { fallback: true }). Under
+ * Node, jsdom included, built-in adapters are loaded on first lookup.
+ */
+
+const { satisfies, validRange } = require('./semver');
+const { BUILT_IN_ADAPTERS } = require('./adapters/built-in');
+
+// Conditional require - only load built-in adapters on demand under Node.
+// Checks for Node rather than a missing window so jsdom test environments load them too
+let nodeRequire = null;
+if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+  try {
+    // Use eval to prevent bundlers from processing this require statement
+    nodeRequire = eval('require');
+  } catch (error) {
+    nodeRequire = null;
+  }
+}
+
+const registrations = new Map();
+// Bumped on every change to a module's registrations, so cached adapters can be rebuilt
+const revisions = new Map();
+const loadedBuiltIns = new Set();
+
+/**
+ * Record a change to the registrations of a module
+ * @param {string} moduleName - Module name
+ */
+function bumpRevision(moduleName) {
+  revisions.set(moduleName, (revisions.get(moduleName) || 0) + 1);
+}
+
+/**
+ * Add a registration entry for a module
+ * @param {string} moduleName - Module name
+ * @param {Object} entry - { factory, versions, source }
+ * @param {boolean} append - Add with the lowest precedence instead of the highest
+ */
+function addEntry(moduleName, entry, append) {
+  const entries = registrations.get(moduleName) || [];
+  const existing = entries.findIndex(item => item.factory === entry.factory && item.versions === entry.versions);
+  if (existing !== -1) {
+    // Wrappers can be evaluated more than once (fast refresh); keep one entry
+    entries.splice(existing, 1);
+  }
+
+  if (append) {
+    entries.push(entry);
+  } else {
+    entries.unshift(entry);
+  }
+  registrations.set(moduleName, entries);
+  bumpRevision(moduleName);
+}
+
+/**
+ * Register a web adapter for a module
+ * @param {string} moduleName - Module the adapter stands in for, e.g. 'expo-camera'
+ * @param {Function} adapterFactory - Creates the adapter exports from its options and a logger
+ * @param {Object} [options] - Registration options
+ * @param {string} [options.versions='*'] - Semver range of the wrapped library the adapter supports
+ * @param {boolean} [options.fallback=false] - Register with the lowest precedence (used for built-ins)
+ * @returns {Function} - Unregister function
+ */
+function registerAdapter(moduleName, adapterFactory, options = {}) {
+  const { versions = '*', fallback = false } = options;
+
+  if (typeof moduleName !== 'string' || moduleName.length === 0) {
+    throw new Error('registerAdapter: moduleName must be a non-empty string');
+  }
+  if (typeof adapterFactory !== 'function') {
+    throw new Error(`registerAdapter: adapter factory for ${moduleName} must be a function`);
+  }
+  if (!validRange(versions)) {
+    throw new Error(`registerAdapter: invalid versions range "${versions}" for ${moduleName}`);
+  }
+
+  const entry = { factory: adapterFactory, versions, source: fallback ? 'built-in' : 'registered' };
+  addEntry(moduleName, entry, fallback);
+
+  return () => {
+    const entries = registrations.get(moduleName) || [];
+    const index = entries.indexOf(entry);
+    if (index !== -1) {
+      entries.splice(index, 1);
+      bumpRevision(moduleName);
+    }
+  };
+}
+
+/**
+ * Register a descriptor exported by a `*.runtime-adapter.js` file
+ * @param {Object} descriptor - { moduleName, createAdapter, versions }
+ * @returns {Function} - Unregister function
+ */
+function registerAdapterModule(descriptor) {
+  if (!descriptor || typeof descriptor !== 'object') {
+    throw new Error('registerAdapterModule: a runtime adapter must export { moduleName, createAdapter }');
+  }
+  return registerAdapter(descriptor.moduleName, descriptor.createAdapter, { versions: descriptor.versions });
+}
+
+/**
+ * Register the built-in adapters for a module from their files (Node only)
+ * @param {string} moduleName - Module name
+ */
+function loadBuiltInAdapters(moduleName) {
+  if (!nodeRequire || loadedBuiltIns.has(moduleName)) {
+    return;
+  }
+  loadedBuiltIns.add(moduleName);
+
+  BUILT_IN_ADAPTERS
+    .filter(adapter => adapter.moduleName === moduleName)
+    .forEach(adapter => {
+      const factory = (options, logger) => nodeRequire(`./adapters/${adapter.file.replace(/^\.\//, '')}`)[adapter.factory](options, logger);
+      addEntry(moduleName, { factory, versions: adapter.versions, source: 'built-in' }, true);
+    });
+}
+
+/**
+ * Find the adapter factory for a module
+ * @param {string} moduleName - Module name
+ * @param {string|null} [version] - Installed version of the module, when known
+ * @returns {Function|null} - Adapter factory, null when none covers the version
+ */
+function getAdapterFactory(moduleName, version = null) {
+  loadBuiltInAdapters(moduleName);
+
+  const entries = registrations.get(moduleName) || [];
+  const match = version
+    ? entries.find(entry => satisfies(version, entry.versions))
+    : entries[0];
+  return match ? match.factory : null;
+}
+
+/**
+ * Check whether any adapter is registered for a module
+ * @param {string} moduleName - Module name
+ * @returns {boolean} - True when an adapter exists
+ */
+function hasAdapter(moduleName) {
+  loadBuiltInAdapters(moduleName);
+  return (registrations.get(moduleName) || []).length > 0;
+}
+
+/**
+ * List registrations, for debugging and tooling
+ * @returns {Array} - [{ moduleName, versions, source }]
+ */
+function getRegisteredAdapters() {
+  const result = [];
+  registrations.forEach((entries, moduleName) => {
+    entries.forEach(({ versions, source }) => result.push({ moduleName, versions, source }));
+  });
+  return result;
+}
+
+/**
+ * Get the revision of a module's registrations, which changes whenever they do
+ * @param {string} moduleName - Module name
+ * @returns {number} - Revision
+ */
+function getRegistryRevision(moduleName) {
+  loadBuiltInAdapters(moduleName);
+  return revisions.get(moduleName) || 0;
+}
+
+module.exports = {
+  registerAdapter,
+  registerAdapterModule,
+  getAdapterFactory,
+  hasAdapter,
+  getRegisteredAdapters,
+  getRegistryRevision
+};
@@ -0,0 +1,298 @@
+/**
+ * AsyncStorage Adapter - Web implementation of @react-native-async-storage/async-storage
+ *
+ * Persists values in IndexedDB, uses localStorage when IndexedDB is not
+ * available, and keeps an in-memory store for Node and tests.
+ */
+
+const DATABASE_NAME = 'RuntimeResolverAsyncStorage';
+const OBJECT_STORE_NAME = 'keyvaluepairs';
+const LOCAL_STORAGE_PREFIX = '@AsyncStorage:';
+
+/**
+ * Create an in-memory key/value store
+ * @returns {Object} - Store with async get/set/remove/clear/keys
+ */
+function createMemoryStore() {
+  const data = new Map();
+
+  return {
+    name: 'memory',
+    get: async key => (data.has(key) ? data.get(key) : null),
+    set: async (key, value) => {
+      data.set(key, value);
+    },
+    remove: async key => {
+      data.delete(key);
+    },
+    clear: async () => {
+      data.clear();
+    },
+    keys: async () => Array.from(data.keys())
+  };
+}
+
+/**
+ * Create a localStorage-backed key/value store
+ * @param {Storage} storage - localStorage-compatible object
+ * @returns {Object} - Store with async get/set/remove/clear/keys
+ */
+function createLocalStorageStore(storage) {
+  const ownKeys = () => {
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key && key.startsWith(LOCAL_STORAGE_PREFIX)) {
+        keys.push(key.slice(LOCAL_STORAGE_PREFIX.length));
+      }
+    }
+    return keys;
+  };
+
+  return {
+    name: 'localStorage',
+    get: async key => storage.getItem(LOCAL_STORAGE_PREFIX + key),
+    set: async (key, value) => {
+      storage.setItem(LOCAL_STORAGE_PREFIX + key, value);
+    },
+    remove: async key => {
+      storage.removeItem(LOCAL_STORAGE_PREFIX + key);
+    },
+    clear: async () => {
+      ownKeys().forEach(key => storage.removeItem(LOCAL_STORAGE_PREFIX + key));
+    },
+    keys: async () => ownKeys()
+  };
+}
+
+/**
+ * Turn an IDBRequest into a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} - Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Create an IndexedDB-backed key/value store
+ * @param {IDBFactory} indexedDB - IndexedDB factory
+ * @returns {Object} - Store with async get/set/remove/clear/keys
+ */
+function createIndexedDBStore(indexedDB) {
+  let databasePromise = null;
+
+  const openDatabase = () => {
+    if (!databasePromise) {
+      const request = indexedDB.open(DATABASE_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(OBJECT_STORE_NAME);
+      };
+      databasePromise = promisifyRequest(request);
+    }
+    return databasePromise;
+  };
+
+  const withStore = async (mode, operation) => {
+    const database = await openDatabase();
+    const transaction = database.transaction(OBJECT_STORE_NAME, mode);
+    return promisifyRequest(operation(transaction.objectStore(OBJECT_STORE_NAME)));
+  };
+
+  return {
+    name: 'indexedDB',
+    open: openDatabase,
+    get: async key => {
+      const value = await withStore('readonly', store => store.get(key));
+      return value === undefined ? null : value;
+    },
+    set: async (key, value) => {
+      await withStore('readwrite', store => store.put(value, key));
+    },
+    remove: async key => {
+      await withStore('readwrite', store => store.delete(key));
+    },
+    clear: async () => {
+      await withStore('readwrite', store => store.clear());
+    },
+    keys: async () => {
+      const keys = await withStore('readonly', store => store.getAllKeys());
+      return keys.map(String);
+    }
+  };
+}
+
+/**
+ * Pick the best available store for the current environment
+ *
+ * IndexedDB can exist but still fail to open (e.g. private browsing), so the
+ * choice is made on first use and falls back to localStorage, then memory.
+ * @param {Object} logger - Logger for adapter messages
+ * @returns {Object} - Store with async get/set/remove/clear/keys
+ */
+function createDefaultStore(logger) {
+  const getLocalStorage = () => {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+      // Accessing localStorage throws when storage is disabled
+      return null;
+    }
+  };
+
+  const createFallbackStore = () => {
+    const storage = getLocalStorage();
+    return storage ? createLocalStorageStore(storage) : createMemoryStore();
+  };
+
+  if (typeof indexedDB === 'undefined' || !indexedDB) {
+    return createFallbackStore();
+  }
+
+  let storePromise = null;
+  const resolveStore = () => {
+    if (!storePromise) {
+      const indexedDBStore = createIndexedDBStore(indexedDB);
+      storePromise = indexedDBStore.open()
+        .then(() => indexedDBStore)
+        .catch(error => {
+          logger.warn('IndexedDB not available, using localStorage for AsyncStorage:', error && error.message);
+          return createFallbackStore();
+        });
+    }
+    return storePromise;
+  };
+
+  return {
+    name: 'auto',
+    get: async key => (await resolveStore()).get(key),
+    set: async (key, value) => (await resolveStore()).set(key, value),
+    remove: async key => (await resolveStore()).remove(key),
+    clear: async () => (await resolveStore()).clear(),
+    keys: async () => (await resolveStore()).keys()
+  };
+}
+
+/**
+ * Deep merge plain objects the way AsyncStorage.mergeItem does
+ * @param {Object} target - Existing value
+ * @param {Object} source - Value to merge in
+ * @returns {Object} - Merged value
+ */
+function mergeDeep(target, source) {
+  const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const result = { ...target };
+
+  Object.keys(source).forEach(key => {
+    if (isPlainObject(result[key]) && isPlainObject(source[key])) {
+      result[key] = mergeDeep(result[key], source[key]);
+    } else {
+      result[key] = source[key];
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Settle a promise through an optional Node-style callback
+ * @param {Promise<*>} promise - Operation result
+ * @param {Function} [callback] - (error, result) callback
+ * @returns {Promise<*>} - The same result
+ */
+function withCallback(promise, callback) {
+  if (typeof callback !== 'function') {
+    return promise;
+  }
+
+  return promise.then(
+    result => {
+      callback(null, result);
+      return result;
+    },
+    error => {
+      callback(error);
+      throw error;
+    }
+  );
+}
+
+/**
+ * Create the AsyncStorage web adapter
+ * @param {Object} options - Adapter options
+ * @param {Object} [options.store] - Key/value store to use instead of the default one
+ * @param {Object} [logger] - Logger for adapter messages, silenced with the module
+ * @returns {Object} - Adapter exports keyed by export name
+ */
+function createAsyncStorageAdapter(options = {}, logger = console) {
+  const store = options.store || createDefaultStore(logger);
+
+  const mergeValue = async (key, value) => {
+    const existing = await store.get(key);
+    if (existing === null) {
+      await store.set(key, value);
+      return;
+    }
+    const merged = mergeDeep(JSON.parse(existing), JSON.parse(value));
+    await store.set(key, JSON.stringify(merged));
+  };
+
+  const AsyncStorage = {
+    getItem: (key, callback) => withCallback(store.get(key), callback),
+
+    setItem: (key, value, callback) => withCallback(store.set(key, String(value)), callback),
+
+    removeItem: (key, callback) => withCallback(store.remove(key), callback),
+
+    mergeItem: (key, value, callback) => withCallback(mergeValue(key, value), callback),
+
+    clear: callback => withCallback(store.clear(), callback),
+
+    getAllKeys: callback => withCallback(store.keys(), callback),
+
+    flushGetRequests: () => {},
+
+    multiGet: (keys, callback) => withCallback(
+      Promise.all(keys.map(async key => [key, await store.get(key)])),
+      callback
+    ),
+
+    multiSet: (keyValuePairs, callback) => withCallback(
+      Promise.all(keyValuePairs.map(([key, value]) => store.set(key, String(value)))).then(() => {}),
+      callback
+    ),
+
+    multiRemove: (keys, callback) => withCallback(
+      Promise.all(keys.map(key => store.remove(key))).then(() => {}),
+      callback
+    ),
+
+    multiMerge: (keyValuePairs, callback) => withCallback(
+      Promise.all(keyValuePairs.map(([key, value]) => mergeValue(key, value))).then(() => {}),
+      callback
+    )
+  };
+
+  const useAsyncStorage = key => ({
+    getItem: callback => AsyncStorage.getItem(key, callback),
+    setItem: (value, callback) => AsyncStorage.setItem(key, value, callback),
+    mergeItem: (value, callback) => AsyncStorage.mergeItem(key, value, callback),
+    removeItem: callback => AsyncStorage.removeItem(key, callback)
+  });
+
+  return {
+    ...AsyncStorage,
+    default: AsyncStorage,
+    useAsyncStorage
+  };
+}
+
+module.exports = {
+  createAsyncStorageAdapter,
+  createMemoryStore,
+  createLocalStorageStore,
+  createIndexedDBStore
+};
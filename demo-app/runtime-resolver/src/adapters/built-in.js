@@ -0,0 +1,35 @@
+/**
+ * Built-in Adapters - Which module each bundled web adapter covers
+ *
+ * Plain data on purpose: nothing here is required, so listing an adapter
+ * does not put it in the web bundle. The Metro integration turns entries
+ * into registerAdapter() calls inside the wrapper of each imported module,
+ * and the registry loads them on demand under Node.
+ *
+ * `file` is relative to this directory, `factory` is the exported factory
+ * and `versions` the semver range of the wrapped library it targets.
+ */
+
+const BUILT_IN_ADAPTERS = [
+  { moduleName: 'expo-camera', file: './expo-camera', factory: 'createExpoCameraAdapter', versions: '>=15.0.0' },
+  { moduleName: 'expo-camera', file: './expo-camera', factory: 'createLegacyExpoCameraAdapter', versions: '<15.0.0' },
+  { moduleName: '@react-native-async-storage/async-storage', file: './async-storage', factory: 'createAsyncStorageAdapter', versions: '*' },
+  { moduleName: 'expo-location', file: './expo-location', factory: 'createExpoLocationAdapter', versions: '*' },
+  { moduleName: 'expo-notifications', file: './expo-notifications', factory: 'createExpoNotificationsAdapter', versions: '*' },
+  { moduleName: 'expo-sensors', file: './expo-sensors', factory: 'createExpoSensorsAdapter', versions: '*' },
+  { moduleName: 'react-native-image-picker', file: './react-native-image-picker', factory: 'createImagePickerAdapter', versions: '*' },
+  { moduleName: 'react-native-safe-area-context', file: './react-native-safe-area-context', factory: 'createSafeAreaContextAdapter', versions: '*' },
+  { moduleName: 'expo-screen-orientation', file: './expo-screen-orientation', factory: 'createScreenOrientationAdapter', versions: '*' },
+  { moduleName: 'react-native-device-info', file: './react-native-device-info', factory: 'createDeviceInfoAdapter', versions: '*' },
+  { moduleName: 'expo-brightness', file: './expo-brightness', factory: 'createBrightnessAdapter', versions: '*' },
+  { moduleName: 'expo-haptics', file: './expo-haptics', factory: 'createHapticsAdapter', versions: '*' },
+  { moduleName: 'react-native-share', file: './react-native-share', factory: 'createShareAdapter', versions: '*' },
+  { moduleName: 'react-native-screens', file: './react-native-screens', factory: 'createScreensAdapter', versions: '*' },
+  { moduleName: '@react-native-clipboard/clipboard', file: './clipboard', factory: 'createClipboardAdapter', versions: '*' },
+  { moduleName: '@react-native-community/netinfo', file: './netinfo', factory: 'createNetInfoAdapter', versions: '*' },
+  { moduleName: 'react-native-camera', file: './react-native-camera', factory: 'createReactNativeCameraAdapter', versions: '*' }
+];
+
+module.exports = {
+  BUILT_IN_ADAPTERS
+};
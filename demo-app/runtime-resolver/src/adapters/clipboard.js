@@ -0,0 +1,327 @@
+/**
+ * Clipboard Adapter - Web implementation of @react-native-clipboard/clipboard
+ *
+ * Text goes through the async Clipboard API, falling back to a hidden
+ * textarea and document.execCommand('copy') where the API is missing or
+ * blocked (e.g. plain HTTP). Images use ClipboardItem with PNG blobs.
+ * Listeners fire on copy/cut/paste events and when a focus check finds new
+ * clipboard content.
+ */
+
+const { writeClipboardText } = require('../clipboard-text');
+
+/**
+ * Convert a base64 string or data URL to a blob
+ * @param {string} image - Base64 data, with or without the data URL prefix
+ * @returns {Blob} - PNG blob (or the data URL's type)
+ */
+function base64ToBlob(image) {
+  const match = image.match(/^data:([^;]+);base64,(.*)$/);
+  const type = match ? match[1] : 'image/png';
+  const binary = atob(match ? match[2] : image);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+}
+
+/**
+ * Read a blob as a data URL
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<string>} - Data URL
+ */
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Re-encode an image blob with a canvas
+ * @param {Blob} blob - Source image
+ * @param {string} type - Target MIME type
+ * @returns {Promise<Blob>} - Encoded image
+ */
+async function convertImage(blob, type) {
+  if (blob.type === type) {
+    return blob;
+  }
+
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const context = canvas.getContext('2d');
+  if (type === 'image/jpeg') {
+    // JPEG has no alpha channel, paint transparent areas white like native
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  context.drawImage(bitmap, 0, 0);
+  return new Promise(resolve => canvas.toBlob(resolve, type));
+}
+
+/**
+ * Check whether a string is a URL with a scheme
+ * @param {string} text - Clipboard text
+ * @param {boolean} webOnly - Only accept http(s)
+ * @returns {boolean} - True for URLs
+ */
+function isURL(text, webOnly) {
+  try {
+    const url = new URL(text.trim());
+    return webOnly ? url.protocol === 'http:' || url.protocol === 'https:' : !!url.protocol;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Create the @react-native-clipboard/clipboard web adapter
+ * @param {Object} options - Adapter options
+ * @param {number} [options.pollInterval=0] - Also poll every n ms while focused (0 = only on focus)
+ * @returns {Object} - Adapter exports keyed by export name
+ */
+function createClipboardAdapter(options = {}) {
+  const { pollInterval = 0 } = options;
+  const clipboard = () => (typeof navigator !== 'undefined' ? navigator.clipboard : null);
+
+  const listeners = new Set();
+  let lastKnownText = '';
+  let detachEvents = null;
+
+  const notify = () => listeners.forEach(listener => listener());
+
+  const remember = text => {
+    if (typeof text === 'string' && text !== lastKnownText) {
+      lastKnownText = text;
+      notify();
+    }
+  };
+
+  // Reads fail without permission or focus; fall back to what we last saw
+  const readText = async () => {
+    const api = clipboard();
+    if (api && typeof api.readText === 'function') {
+      try {
+        const text = await api.readText();
+        lastKnownText = text;
+        return text;
+      } catch (error) {
+        // Blocked or unfocused
+      }
+    }
+    return lastKnownText;
+  };
+
+  const readImageBlob = async () => {
+    const api = clipboard();
+    if (!api || typeof api.read !== 'function') {
+      return null;
+    }
+    try {
+      const items = await api.read();
+      for (const item of items) {
+        const type = item.types.find(itemType => itemType.startsWith('image/'));
+        if (type) {
+          return await item.getType(type);
+        }
+      }
+    } catch (error) {
+      // Blocked or unfocused
+    }
+    return null;
+  };
+
+  const canReadSilently = async () => {
+    try {
+      const status = await navigator.permissions.query({ name: 'clipboard-read' });
+      return status.state === 'granted';
+    } catch (error) {
+      return false;
+    }
+  };
+
+  // Safari and Firefox show a paste prompt for reads without granted permission
+  const canReadWithoutPrompt = async () => {
+    if (typeof document !== 'undefined' && !document.hasFocus()) {
+      return false;
+    }
+    return canReadSilently();
+  };
+
+  // Text for checks made without user action; last seen text when reading would prompt
+  const peekText = async () => (await canReadWithoutPrompt() ? readText() : lastKnownText);
+
+  // Only check on focus when it will not trigger a paste prompt
+  const checkForChanges = async () => {
+    if (await canReadWithoutPrompt()) {
+      const api = clipboard();
+      try {
+        remember(await api.readText());
+      } catch (error) {
+        // Lost focus in the meantime
+      }
+    }
+  };
+
+  const attachEvents = () => {
+    if (typeof document === 'undefined') {
+      return () => {};
+    }
+
+    const handleCopy = () => {
+      // The selection is what gets copied unless a handler set clipboardData
+      setTimeout(() => {
+        const selection = typeof window.getSelection === 'function' ? String(window.getSelection()) : '';
+        if (selection) {
+          remember(selection);
+        } else {
+          checkForChanges();
+        }
+      }, 0);
+    };
+
+    const handlePaste = event => {
+      const text = event.clipboardData ? event.clipboardData.getData('text/plain') : '';
+      if (text) {
+        remember(text);
+      }
+    };
+
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') {
+        checkForChanges();
+      }
+    };
+
+    document.addEventListener('copy', handleCopy);
+    document.addEventListener('cut', handleCopy);
+    document.addEventListener('paste', handlePaste);
+    document.addEventListener('visibilitychange', handleVisibility);
+    window.addEventListener('focus', checkForChanges);
+    const timer = pollInterval > 0 ? setInterval(checkForChanges, pollInterval) : null;
+
+    return () => {
+      document.removeEventListener('copy', handleCopy);
+      document.removeEventListener('cut', handleCopy);
+      document.removeEventListener('paste', handlePaste);
+      document.removeEventListener('visibilitychange', handleVisibility);
+      window.removeEventListener('focus', checkForChanges);
+      clearInterval(timer);
+    };
+  };
+
+  const addListener = listener => {
+    listeners.add(listener);
+    if (!detachEvents) {
+      detachEvents = attachEvents();
+    }
+    return {
+      remove: () => {
+        listeners.delete(listener);
+        if (listeners.size === 0 && detachEvents) {
+          detachEvents();
+          detachEvents = null;
+        }
+      }
+    };
+  };
+
+  const setString = async content => {
+    const text = String(content);
+    await writeClipboardText(text);
+    remember(text);
+  };
+
+  const getImage = async type => {
+    const blob = await readImageBlob();
+    return blob ? blobToDataURL(await convertImage(blob, type)) : '';
+  };
+
+  const Clipboard = {
+    getString: readText,
+
+    getStrings: async () => {
+      const text = await readText();
+      return text ? [text] : [];
+    },
+
+    setString,
+
+    setStrings: async content => setString((content || []).join('\n')),
+
+    hasString: async () => (await peekText()).length > 0,
+
+    hasURL: async () => isURL(await peekText(), false),
+
+    hasWebURL: async () => isURL(await peekText(), true),
+
+    hasNumber: async () => /^[-+]?\d+([.,]\d+)?$/.test((await peekText()).trim()),
+
+    getImagePNG: () => getImage('image/png'),
+
+    getImageJPG: () => getImage('image/jpeg'),
+
+    getImage: () => getImage('image/png'),
+
+    hasImage: async () => !!(await readImageBlob()),
+
+    setImage: async image => {
+      const api = clipboard();
+      if (!api || typeof api.write !== 'function' || typeof ClipboardItem === 'undefined') {
+        throw new Error('Copying images is not supported by this browser');
+      }
+      // Pass the conversion as a promise: awaiting it first loses Safari's user gesture
+      const blob = convertImage(base64ToBlob(image), 'image/png');
+      await api.write([new ClipboardItem({ 'image/png': blob })]);
+      notify();
+    },
+
+    addListener,
+
+    removeAllListeners: () => {
+      listeners.clear();
+      if (detachEvents) {
+        detachEvents();
+        detachEvents = null;
+      }
+    }
+  };
+
+  /**
+   * Track the clipboard string
+   * @returns {Array} - [data, setString]
+   */
+  const useClipboard = () => {
+    const React = require('react');
+    const [data, setData] = React.useState('');
+
+    React.useEffect(() => {
+      let active = true;
+      const update = () => peekText().then(text => {
+        if (active) {
+          setData(text);
+        }
+      });
+      update();
+      const subscription = addListener(update);
+      return () => {
+        active = false;
+        subscription.remove();
+      };
+    }, []);
+
+    return [data, setString];
+  };
+
+  return { ...Clipboard, Clipboard, useClipboard, default: Clipboard };
+}
+
+module.exports = {
+  createClipboardAdapter
+};
@@ -0,0 +1,213 @@
+/**
+ * Brightness Adapter - Web implementation of expo-brightness
+ *
+ * Browsers cannot change the screen backlight, so brightness is emulated
+ * either with a dimming overlay above the whole page ('overlay') or with
+ * `filter: brightness()` on the app container ('filter'). With mode 'off'
+ * the level is still tracked but nothing is rendered and isAvailableAsync
+ * reports false.
+ */
+
+const { PermissionStatus, createPermissionResponse } = require('../permissions');
+
+const BrightnessMode = {
+  UNKNOWN: 0,
+  AUTOMATIC: 1,
+  MANUAL: 2
+};
+
+const EMULATION_MODES = ['overlay', 'filter', 'off'];
+
+// What the page looks like without emulation; the real backlight is not observable
+const SYSTEM_BRIGHTNESS = 1;
+
+const OVERLAY_ID = 'runtime-resolver-brightness-overlay';
+
+/**
+ * Create a coded error for methods that cannot work on web
+ * @param {string} methodName - expo-brightness method name
+ * @returns {Error} - Error with code 'ERR_UNAVAILABLE'
+ */
+function createUnavailableError(methodName) {
+  const error = new Error(`The method Brightness.${methodName} is not available on web`);
+  error.code = 'ERR_UNAVAILABLE';
+  return error;
+}
+
+/**
+ * Clamp a brightness level to 0..1
+ * @param {number} value - Requested level
+ * @returns {number} - Clamped level
+ */
+function clampLevel(value) {
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    throw new TypeError(`Brightness must be a number between 0 and 1, received ${value}`);
+  }
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Create the expo-brightness web adapter
+ * @param {Object} options - Adapter options
+ * @param {string} [options.mode='overlay'] - 'overlay', 'filter' or 'off'
+ * @param {string} [options.container='#root'] - Element dimmed in 'filter' mode, body when not found
+ * @param {number} [options.minimumLevel=0.1] - Lowest rendered level, so brightness 0 never blanks the page
+ * @param {Object} [logger] - Logger for adapter messages, silenced with the module
+ * @returns {Object} - Adapter exports keyed by export name
+ */
+function createBrightnessAdapter(options = {}, logger = console) {
+  const {
+    mode = 'overlay',
+    container = '#root',
+    minimumLevel = 0.1
+  } = options;
+
+  if (!EMULATION_MODES.includes(mode)) {
+    logger.warn(`Unknown expo-brightness mode "${mode}", expected one of ${EMULATION_MODES.join(', ')}; using "off"`);
+  }
+  const emulationMode = EMULATION_MODES.includes(mode) ? mode : 'off';
+
+  const listeners = new Set();
+  let brightness = SYSTEM_BRIGHTNESS;
+  let usingSystemBrightness = true;
+  let filteredElement = null;
+
+  const canRender = () => emulationMode !== 'off' && typeof document !== 'undefined';
+
+  const getRenderedLevel = level => minimumLevel + (1 - minimumLevel) * level;
+
+  const renderOverlay = level => {
+    let overlay = document.getElementById(OVERLAY_ID);
+    if (level >= 1) {
+      if (overlay) {
+        overlay.remove();
+      }
+      return;
+    }
+
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.id = OVERLAY_ID;
+      overlay.setAttribute('aria-hidden', 'true');
+      overlay.style.cssText = [
+        'position: fixed',
+        'inset: 0',
+        'background: #000',
+        'pointer-events: none',
+        'z-index: 2147483647',
+        'transition: opacity 150ms linear'
+      ].join(';');
+      (document.body || document.documentElement).appendChild(overlay);
+    }
+    overlay.style.opacity = String(1 - getRenderedLevel(level));
+  };
+
+  const renderFilter = level => {
+    const element = document.querySelector(container) || document.body;
+    if (filteredElement && filteredElement !== element) {
+      filteredElement.style.filter = '';
+    }
+    filteredElement = element;
+    if (element) {
+      element.style.filter = level >= 1 ? '' : `brightness(${getRenderedLevel(level)})`;
+    }
+  };
+
+  const render = () => {
+    if (!canRender()) {
+      return;
+    }
+    if (emulationMode === 'overlay') {
+      renderOverlay(brightness);
+    } else {
+      renderFilter(brightness);
+    }
+  };
+
+  const setLevel = (level, fromSystem) => {
+    const changed = level !== brightness;
+    brightness = level;
+    usingSystemBrightness = fromSystem;
+    render();
+    if (changed) {
+      listeners.forEach(listener => listener({ brightness }));
+    }
+  };
+
+  const addBrightnessListener = listener => {
+    listeners.add(listener);
+    return { remove: () => listeners.delete(listener) };
+  };
+
+  const getPermissionsAsync = async () => createPermissionResponse(PermissionStatus.GRANTED);
+
+  const adapter = {
+    BrightnessMode,
+    PermissionStatus,
+
+    isAvailableAsync: async () => canRender(),
+
+    getBrightnessAsync: async () => brightness,
+
+    setBrightnessAsync: async value => {
+      setLevel(clampLevel(value), false);
+    },
+
+    getSystemBrightnessAsync: async () => SYSTEM_BRIGHTNESS,
+
+    setSystemBrightnessAsync: async () => {
+      throw createUnavailableError('setSystemBrightnessAsync');
+    },
+
+    useSystemBrightnessAsync: async () => {
+      setLevel(SYSTEM_BRIGHTNESS, true);
+    },
+
+    restoreSystemBrightnessAsync: async () => {
+      setLevel(SYSTEM_BRIGHTNESS, true);
+    },
+
+    isUsingSystemBrightnessAsync: async () => usingSystemBrightness,
+
+    getSystemBrightnessModeAsync: async () => BrightnessMode.UNKNOWN,
+
+    setSystemBrightnessModeAsync: async () => {
+      throw createUnavailableError('setSystemBrightnessModeAsync');
+    },
+
+    addBrightnessListener,
+
+    getPermissionsAsync,
+    requestPermissionsAsync: getPermissionsAsync,
+
+    usePermissions: () => {
+      const React = require('react');
+      const [response, setResponse] = React.useState(null);
+      React.useEffect(() => {
+        getPermissionsAsync().then(setResponse);
+      }, []);
+      return [response, getPermissionsAsync, getPermissionsAsync];
+    },
+
+    /**
+     * Track the emulated brightness
+     * @returns {Array} - [brightness, setBrightnessAsync]
+     */
+    useBrightness: () => {
+      const React = require('react');
+      const [level, setLevelState] = React.useState(brightness);
+      React.useEffect(() => {
+        setLevelState(brightness);
+        const subscription = addBrightnessListener(event => setLevelState(event.brightness));
+        return () => subscription.remove();
+      }, []);
+      return [level, adapter.setBrightnessAsync];
+    }
+  };
+
+  return adapter;
+}
+
+module.exports = {
+  createBrightnessAdapter
+};
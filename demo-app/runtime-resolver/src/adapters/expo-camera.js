@@ -0,0 +1,275 @@
+/**
+ * Expo Camera Adapter - Web implementation of expo-camera's CameraView
+ * (and of the Camera component of older versions)
+ *
+ * Renders a <video> element fed by navigator.mediaDevices.getUserMedia and
+ * captures pictures through a canvas, returning the same shape as native.
+ */
+
+const {
+  PermissionStatus,
+  getPermissionAsync,
+  requestPermissionAsync,
+  createPermissionHook
+} = require('../permissions');
+
+/**
+ * Map an expo-camera `facing` value to a getUserMedia facingMode
+ * @param {string} facing - 'front' or 'back'
+ * @returns {string} - 'user' or 'environment'
+ */
+function toFacingMode(facing) {
+  return facing === 'front' ? 'user' : 'environment';
+}
+
+/**
+ * Check if the browser can provide a camera stream
+ * @returns {boolean} - True if getUserMedia is available
+ */
+function hasMediaDevices() {
+  return typeof navigator !== 'undefined' &&
+    !!navigator.mediaDevices &&
+    typeof navigator.mediaDevices.getUserMedia === 'function';
+}
+
+/**
+ * Stop every track of a media stream
+ * @param {MediaStream|null} stream - Stream to stop
+ */
+function stopStream(stream) {
+  if (stream) {
+    stream.getTracks().forEach(track => track.stop());
+  }
+}
+
+/**
+ * Capture the current video frame into a picture object
+ * @param {HTMLVideoElement} video - Video element showing the camera stream
+ * @param {Object} options - takePictureAsync options
+ * @param {boolean} mirror - Whether to flip the frame horizontally
+ * @returns {Object} - { uri, width, height, base64 }
+ */
+function captureFrame(video, options, mirror) {
+  const width = video.videoWidth;
+  const height = video.videoHeight;
+
+  if (!width || !height) {
+    throw new Error('Camera is not ready yet');
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const context = canvas.getContext('2d');
+  if (mirror) {
+    context.translate(width, 0);
+    context.scale(-1, 1);
+  }
+  context.drawImage(video, 0, 0, width, height);
+
+  const quality = typeof options.quality === 'number' ? options.quality : 1;
+  const uri = canvas.toDataURL('image/jpeg', quality);
+
+  const picture = { uri, width, height };
+  if (options.base64) {
+    picture.base64 = uri.slice(uri.indexOf(',') + 1);
+  }
+
+  return picture;
+}
+
+/**
+ * Create the expo-camera web adapter
+ * @returns {Object} - Adapter exports keyed by export name
+ */
+function createExpoCameraAdapter() {
+  const React = require('react');
+  const { View } = require('react-native');
+
+  const CameraView = React.forwardRef(function CameraView(props, ref) {
+    const {
+      facing = 'back',
+      mirror = false,
+      active = true,
+      style,
+      children,
+      onCameraReady,
+      onMountError
+    } = props;
+
+    const videoRef = React.useRef(null);
+    const streamRef = React.useRef(null);
+
+    // Kept in refs so inline callbacks do not restart the camera on every render
+    const onCameraReadyRef = React.useRef(onCameraReady);
+    const onMountErrorRef = React.useRef(onMountError);
+    onCameraReadyRef.current = onCameraReady;
+    onMountErrorRef.current = onMountError;
+
+    React.useEffect(() => {
+      if (!active) {
+        return undefined;
+      }
+
+      if (!hasMediaDevices()) {
+        if (onMountErrorRef.current) {
+          onMountErrorRef.current({ message: 'Camera is not available in this browser' });
+        }
+        return undefined;
+      }
+
+      let cancelled = false;
+      let readyVideo = null;
+
+      // Pictures need the frame size, known once the video has its metadata
+      const handleReady = () => {
+        if (!cancelled && onCameraReadyRef.current) {
+          onCameraReadyRef.current();
+        }
+      };
+
+      navigator.mediaDevices.getUserMedia({
+        video: { facingMode: toFacingMode(facing) },
+        audio: false
+      }).then(stream => {
+        if (cancelled) {
+          stopStream(stream);
+          return;
+        }
+
+        streamRef.current = stream;
+        const video = videoRef.current;
+        if (!video) {
+          return;
+        }
+
+        video.srcObject = stream;
+        if (video.readyState >= 1 && video.videoWidth) {
+          handleReady();
+        } else {
+          readyVideo = video;
+          video.addEventListener('loadedmetadata', handleReady, { once: true });
+        }
+
+        const playing = video.play();
+        if (playing && typeof playing.catch === 'function') {
+          playing.catch(() => {});
+        }
+      }).catch(error => {
+        if (!cancelled && onMountErrorRef.current) {
+          onMountErrorRef.current({ message: error.message });
+        }
+      });
+
+      return () => {
+        cancelled = true;
+        if (readyVideo) {
+          readyVideo.removeEventListener('loadedmetadata', handleReady);
+        }
+        stopStream(streamRef.current);
+        streamRef.current = null;
+      };
+    }, [facing, active]);
+
+    // Front-facing previews are shown mirrored, like the native preview
+    const mirrorPreview = facing === 'front';
+
+    React.useImperativeHandle(ref, () => ({
+      takePictureAsync: async (options = {}) => {
+        const video = videoRef.current;
+        if (!video || !streamRef.current) {
+          throw new Error('Camera is not running');
+        }
+
+        const picture = captureFrame(video, options, mirrorPreview && mirror);
+
+        if (typeof options.onPictureSaved === 'function') {
+          options.onPictureSaved(picture);
+        }
+
+        return picture;
+      },
+      pausePreview: async () => {
+        if (videoRef.current) {
+          videoRef.current.pause();
+        }
+      },
+      resumePreview: async () => {
+        if (videoRef.current) {
+          await videoRef.current.play();
+        }
+      },
+      getAvailablePictureSizesAsync: async () => {
+        const video = videoRef.current;
+        return video && video.videoWidth ? [`${video.videoWidth}x${video.videoHeight}`] : [];
+      }
+    }), [mirror, mirrorPreview]);
+
+    const video = React.createElement('video', {
+      ref: videoRef,
+      autoPlay: true,
+      playsInline: true,
+      muted: true,
+      style: {
+        position: 'absolute',
+        top: 0,
+        left: 0,
+        width: '100%',
+        height: '100%',
+        objectFit: 'cover',
+        transform: mirrorPreview ? 'scaleX(-1)' : undefined
+      }
+    });
+
+    return React.createElement(
+      View,
+      { style: [{ overflow: 'hidden' }, style] },
+      video,
+      children
+    );
+  });
+
+  const Camera = {
+    getCameraPermissionsAsync: () => getPermissionAsync('camera'),
+    requestCameraPermissionsAsync: () => requestPermissionAsync('camera'),
+    getMicrophonePermissionsAsync: () => getPermissionAsync('microphone'),
+    requestMicrophonePermissionsAsync: () => requestPermissionAsync('microphone'),
+    isAvailableAsync: async () => hasMediaDevices()
+  };
+
+  return {
+    Camera,
+    CameraView,
+    PermissionStatus,
+    useCameraPermissions: createPermissionHook('camera'),
+    useMicrophonePermissions: createPermissionHook('microphone')
+  };
+}
+
+/**
+ * Create the web adapter for expo-camera before SDK 51 (< 15.0.0), where
+ * Camera is the component and takes `type` instead of `facing`
+ * @returns {Object} - Adapter exports keyed by export name
+ */
+function createLegacyExpoCameraAdapter() {
+  const React = require('react');
+  const { Camera: permissionMethods, CameraView, ...rest } = createExpoCameraAdapter();
+
+  const Camera = React.forwardRef(function Camera({ type, ...props }, ref) {
+    return React.createElement(CameraView, { ...props, facing: type || props.facing, ref });
+  });
+  Object.assign(Camera, permissionMethods);
+
+  return {
+    ...rest,
+    Camera,
+    CameraType: { front: 'front', back: 'back' },
+    FlashMode: { on: 'on', off: 'off', auto: 'auto', torch: 'torch' }
+  };
+}
+
+module.exports = {
+  createExpoCameraAdapter,
+  createLegacyExpoCameraAdapter
+};
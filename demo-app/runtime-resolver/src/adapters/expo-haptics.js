@@ -0,0 +1,217 @@
+/**
+ * Haptics Adapter - Web implementation of expo-haptics
+ *
+ * Every feedback type maps to a navigator.vibrate pattern from a table that
+ * can be overridden through the resolver config. Where the browser cannot
+ * vibrate (desktop, iOS Safari) an optional audio click plays the same
+ * pattern instead.
+ */
+
+const ImpactFeedbackStyle = {
+  Light: 'light',
+  Medium: 'medium',
+  Heavy: 'heavy',
+  Soft: 'soft',
+  Rigid: 'rigid'
+};
+
+const NotificationFeedbackType = {
+  Success: 'success',
+  Warning: 'warning',
+  Error: 'error'
+};
+
+const AndroidHaptics = {
+  Confirm: 'confirm',
+  Reject: 'reject',
+  Gesture_Start: 'gesture-start',
+  Gesture_End: 'gesture-end',
+  Toggle_On: 'toggle-on',
+  Toggle_Off: 'toggle-off',
+  Clock_Tick: 'clock-tick',
+  Context_Click: 'context-click',
+  Drag_Start: 'drag-start',
+  Keyboard_Tap: 'keyboard-tap',
+  Keyboard_Press: 'keyboard-press',
+  Keyboard_Release: 'keyboard-release',
+  Long_Press: 'long-press',
+  Virtual_Key: 'virtual-key',
+  Virtual_Key_Release: 'virtual-key-release',
+  No_Haptics: 'no-haptics',
+  Segment_Tick: 'segment-tick',
+  Segment_Frequent_Tick: 'segment-frequent-tick',
+  Text_Handle_Move: 'text-handle-move'
+};
+
+// Vibration patterns in ms, alternating vibrate/pause as navigator.vibrate expects
+const DEFAULT_PATTERNS = {
+  impact: {
+    light: [10],
+    medium: [20],
+    heavy: [40],
+    soft: [15],
+    rigid: [8]
+  },
+  notification: {
+    success: [15, 60, 25],
+    warning: [30, 80, 30],
+    error: [40, 50, 40, 50, 60]
+  },
+  selection: [5],
+  android: {
+    'confirm': [15, 60, 25],
+    'reject': [40, 50, 40],
+    'gesture-start': [10],
+    'gesture-end': [10],
+    'toggle-on': [15],
+    'toggle-off': [10],
+    'clock-tick': [5],
+    'context-click': [10],
+    'drag-start': [15],
+    'keyboard-tap': [5],
+    'keyboard-press': [8],
+    'keyboard-release': [4],
+    'long-press': [30],
+    'virtual-key': [8],
+    'virtual-key-release': [4],
+    'no-haptics': [],
+    'segment-tick': [4],
+    'segment-frequent-tick': [2],
+    'text-handle-move': [3]
+  }
+};
+
+/**
+ * Merge user patterns over the defaults, one group at a time
+ * @param {Object} patterns - Partial pattern table
+ * @returns {Object} - Complete pattern table
+ */
+function mergePatterns(patterns = {}) {
+  return {
+    impact: { ...DEFAULT_PATTERNS.impact, ...patterns.impact },
+    notification: { ...DEFAULT_PATTERNS.notification, ...patterns.notification },
+    selection: patterns.selection || DEFAULT_PATTERNS.selection,
+    android: { ...DEFAULT_PATTERNS.android, ...patterns.android }
+  };
+}
+
+/**
+ * Normalize an enum value; older SDKs and hand-written calls use capitalized names
+ * @param {string} value - Enum value
+ * @returns {string} - Lowercase value
+ */
+function normalizeKey(value) {
+  return String(value).toLowerCase().replace(/_/g, '-');
+}
+
+/**
+ * Create an audio player that renders a vibration pattern as clicks
+ * @returns {Function|null} - play(pattern), null without Web Audio
+ */
+function createClickPlayer() {
+  const AudioContextClass = typeof window !== 'undefined'
+    ? window.AudioContext || window.webkitAudioContext
+    : null;
+  if (!AudioContextClass) {
+    return null;
+  }
+
+  let context = null;
+
+  return pattern => {
+    if (!context) {
+      context = new AudioContextClass();
+    }
+    if (context.state === 'suspended') {
+      context.resume();
+    }
+
+    let offset = context.currentTime;
+    pattern.forEach((duration, index) => {
+      // Odd entries are pauses
+      if (index % 2 === 0 && duration > 0) {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        const length = Math.min(duration, 40) / 1000;
+
+        oscillator.type = 'square';
+        oscillator.frequency.value = 180;
+        gain.gain.setValueAtTime(Math.min(0.3, duration / 100), offset);
+        gain.gain.exponentialRampToValueAtTime(0.0001, offset + length);
+
+        oscillator.connect(gain).connect(context.destination);
+        oscillator.start(offset);
+        oscillator.stop(offset + length);
+      }
+      offset += duration / 1000;
+    });
+  };
+}
+
+/**
+ * Create the expo-haptics web adapter
+ * @param {Object} options - Adapter options
+ * @param {Object} [options.patterns] - Overrides for { impact, notification, selection, android }
+ * @param {boolean} [options.audioClick=false] - Play clicks where navigator.vibrate is unavailable
+ * @param {Object} [logger] - Logger for adapter messages, silenced with the module
+ * @returns {Object} - Adapter exports keyed by export name
+ */
+function createHapticsAdapter(options = {}, logger = console) {
+  const patterns = mergePatterns(options.patterns);
+  const canVibrate = typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+  const playClick = !canVibrate && options.audioClick ? createClickPlayer() : null;
+  let warned = false;
+
+  const perform = pattern => {
+    if (!pattern || pattern.length === 0) {
+      return;
+    }
+    if (canVibrate) {
+      navigator.vibrate(pattern);
+      return;
+    }
+    if (playClick) {
+      playClick(pattern);
+      return;
+    }
+    if (!warned) {
+      warned = true;
+      logger.warn('Haptics not available on this platform; set adapters[\'expo-haptics\'].audioClick to emulate them');
+    }
+  };
+
+  const lookup = (group, value, fallbackKey) => {
+    const key = normalizeKey(value);
+    if (!Object.prototype.hasOwnProperty.call(group, key)) {
+      logger.warn(`Unknown haptics type "${value}", using "${fallbackKey}"`);
+      return group[fallbackKey];
+    }
+    return group[key];
+  };
+
+  return {
+    ImpactFeedbackStyle,
+    NotificationFeedbackType,
+    AndroidHaptics,
+
+    impactAsync: async (style = ImpactFeedbackStyle.Medium) => {
+      perform(lookup(patterns.impact, style, ImpactFeedbackStyle.Medium));
+    },
+
+    notificationAsync: async (type = NotificationFeedbackType.Success) => {
+      perform(lookup(patterns.notification, type, NotificationFeedbackType.Success));
+    },
+
+    selectionAsync: async () => {
+      perform(patterns.selection);
+    },
+
+    performAndroidHapticsAsync: async type => {
+      perform(lookup(patterns.android, type, AndroidHaptics.Confirm));
+    }
+  };
+}
+
+module.exports = {
+  createHapticsAdapter
+};
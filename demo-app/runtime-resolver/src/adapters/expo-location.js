@@ -0,0 +1,260 @@
+/**
+ * Expo Location Adapter - Web implementation of expo-location
+ *
+ * Backs position queries and watches with navigator.geolocation, caches the
+ * last known position, and delegates geocoding to a pluggable provider.
+ */
+
+const {
+  PermissionStatus,
+  createPermissionResponse,
+  getPermissionAsync,
+  requestPermissionAsync,
+  createPermissionHook
+} = require('../permissions');
+
+const Accuracy = {
+  Lowest: 1,
+  Low: 2,
+  Balanced: 3,
+  High: 4,
+  Highest: 5,
+  BestForNavigation: 6
+};
+
+// Geolocation options for each Accuracy value
+const ACCURACY_OPTIONS = {
+  [Accuracy.Lowest]: { enableHighAccuracy: false, maximumAge: 10 * 60 * 1000 },
+  [Accuracy.Low]: { enableHighAccuracy: false, maximumAge: 5 * 60 * 1000 },
+  [Accuracy.Balanced]: { enableHighAccuracy: false, maximumAge: 60 * 1000 },
+  [Accuracy.High]: { enableHighAccuracy: true, maximumAge: 10 * 1000 },
+  [Accuracy.Highest]: { enableHighAccuracy: true, maximumAge: 0 },
+  [Accuracy.BestForNavigation]: { enableHighAccuracy: true, maximumAge: 0 }
+};
+
+// Error codes for GeolocationPositionError.code values
+const GEOLOCATION_ERROR_CODES = {
+  1: 'E_LOCATION_UNAUTHORIZED',
+  2: 'E_LOCATION_UNAVAILABLE',
+  3: 'E_LOCATION_TIMEOUT'
+};
+
+/**
+ * Map expo-location options to PositionOptions
+ * @param {Object} options - expo-location options ({ accuracy, timeout })
+ * @returns {Object} - PositionOptions
+ */
+function toPositionOptions(options = {}) {
+  const accuracy = options.accuracy || Accuracy.Balanced;
+  const positionOptions = { ...(ACCURACY_OPTIONS[accuracy] || ACCURACY_OPTIONS[Accuracy.Balanced]) };
+
+  if (typeof options.timeout === 'number') {
+    positionOptions.timeout = options.timeout;
+  }
+
+  return positionOptions;
+}
+
+/**
+ * Convert a GeolocationPosition into an expo-location LocationObject
+ * @param {GeolocationPosition} position - Browser position
+ * @returns {Object} - { coords, timestamp, mocked }
+ */
+function toLocationObject(position) {
+  const { coords } = position;
+
+  return {
+    coords: {
+      latitude: coords.latitude,
+      longitude: coords.longitude,
+      altitude: coords.altitude,
+      accuracy: coords.accuracy,
+      altitudeAccuracy: coords.altitudeAccuracy,
+      heading: coords.heading,
+      speed: coords.speed
+    },
+    timestamp: position.timestamp,
+    mocked: false
+  };
+}
+
+/**
+ * Convert a GeolocationPositionError into an Error with an expo-style code
+ * @param {GeolocationPositionError} error - Browser error
+ * @returns {Error} - Error with a `code` property
+ */
+function toLocationError(error) {
+  const locationError = new Error(error.message || 'Location request failed');
+  locationError.code = GEOLOCATION_ERROR_CODES[error.code] || 'E_LOCATION_UNAVAILABLE';
+  return locationError;
+}
+
+/**
+ * Distance between two coordinates in meters (haversine)
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} - Distance in meters
+ */
+function distanceInMeters(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const earthRadius = 6371000;
+  const deltaLatitude = toRadians(to.latitude - from.latitude);
+  const deltaLongitude = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(deltaLatitude / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(deltaLongitude / 2) ** 2;
+
+  return 2 * earthRadius * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Create the error reported when no geocoding provider is configured
+ * @returns {Error} - Error with a `code` property
+ */
+function createGeocodingUnavailableError() {
+  const error = new Error('Geocoding on web requires a geocoding provider in adapters["expo-location"].geocodingProvider');
+  error.code = 'E_GEOCODING_UNAVAILABLE';
+  return error;
+}
+
+// Geocoding provider used when none is configured
+const unavailableGeocodingProvider = {
+  geocode: () => Promise.reject(createGeocodingUnavailableError()),
+  reverseGeocode: () => Promise.reject(createGeocodingUnavailableError())
+};
+
+/**
+ * Create the expo-location web adapter
+ * @param {Object} options - Adapter options
+ * @param {Object} [options.geocodingProvider] - { geocode(address), reverseGeocode(location) }
+ * @returns {Object} - Adapter exports keyed by export name
+ */
+function createExpoLocationAdapter(options = {}) {
+  const geocodingProvider = options.geocodingProvider || unavailableGeocodingProvider;
+  let lastKnownLocation = null;
+
+  const getGeolocation = () => (typeof navigator !== 'undefined' ? navigator.geolocation : null);
+
+  const remember = location => {
+    lastKnownLocation = location;
+    return location;
+  };
+
+  const requestPosition = positionOptions => new Promise((resolve, reject) => {
+    const geolocation = getGeolocation();
+    if (!geolocation) {
+      const error = new Error('Location not supported');
+      error.code = 'E_LOCATION_SERVICES_DISABLED';
+      reject(error);
+      return;
+    }
+
+    geolocation.getCurrentPosition(
+      position => resolve(remember(toLocationObject(position))),
+      error => reject(toLocationError(error)),
+      positionOptions
+    );
+  });
+
+  const isFresh = (location, { maxAge = Infinity, requiredAccuracy = Infinity } = {}) => (
+    Date.now() - location.timestamp <= maxAge &&
+    (location.coords.accuracy == null || location.coords.accuracy <= requiredAccuracy)
+  );
+
+  return {
+    Accuracy,
+    LocationAccuracy: Accuracy,
+    PermissionStatus,
+
+    getForegroundPermissionsAsync: () => getPermissionAsync('location'),
+    requestForegroundPermissionsAsync: () => requestPermissionAsync('location'),
+    useForegroundPermissions: createPermissionHook('location'),
+
+    // Background location is not available to web pages
+    getBackgroundPermissionsAsync: async () => createPermissionResponse(PermissionStatus.DENIED, false),
+    requestBackgroundPermissionsAsync: async () => createPermissionResponse(PermissionStatus.DENIED, false),
+
+    hasServicesEnabledAsync: async () => !!getGeolocation(),
+
+    getProviderStatusAsync: async () => ({
+      locationServicesEnabled: !!getGeolocation(),
+      backgroundModeEnabled: false,
+      gpsAvailable: undefined,
+      networkAvailable: typeof navigator !== 'undefined' ? navigator.onLine : undefined,
+      passiveAvailable: undefined
+    }),
+
+    getCurrentPositionAsync: (locationOptions = {}) => requestPosition(toPositionOptions(locationOptions)),
+
+    getLastKnownPositionAsync: async (lastKnownOptions = {}) => {
+      if (lastKnownLocation && isFresh(lastKnownLocation, lastKnownOptions)) {
+        return lastKnownLocation;
+      }
+
+      // Only ask the browser for its cached fix when that cannot trigger a prompt
+      const permission = await getPermissionAsync('location');
+      if (!permission.granted) {
+        return null;
+      }
+
+      try {
+        const location = await requestPosition({ maximumAge: Infinity, timeout: 0 });
+        return isFresh(location, lastKnownOptions) ? location : null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    watchPositionAsync: async (locationOptions = {}, callback, errorHandler) => {
+      const geolocation = getGeolocation();
+      if (!geolocation) {
+        const error = new Error('Location not supported');
+        error.code = 'E_LOCATION_SERVICES_DISABLED';
+        throw error;
+      }
+
+      const { distanceInterval = 0, timeInterval = 0 } = locationOptions;
+      let lastReported = null;
+
+      const watchId = geolocation.watchPosition(
+        position => {
+          const location = remember(toLocationObject(position));
+
+          if (lastReported) {
+            if (location.timestamp - lastReported.timestamp < timeInterval) {
+              return;
+            }
+            if (distanceInMeters(lastReported.coords, location.coords) < distanceInterval) {
+              return;
+            }
+          }
+
+          lastReported = location;
+          callback(location);
+        },
+        error => {
+          if (typeof errorHandler === 'function') {
+            errorHandler(toLocationError(error).message);
+          }
+        },
+        toPositionOptions(locationOptions)
+      );
+
+      return {
+        remove: () => geolocation.clearWatch(watchId)
+      };
+    },
+
+    geocodeAsync: address => geocodingProvider.geocode(address),
+
+    reverseGeocodeAsync: location => geocodingProvider.reverseGeocode({
+      latitude: location.latitude,
+      longitude: location.longitude
+    })
+  };
+}
+
+module.exports = {
+  createExpoLocationAdapter,
+  toPositionOptions,
+  Accuracy
+};
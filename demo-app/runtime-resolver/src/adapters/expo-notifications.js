@@ -0,0 +1,546 @@
+/**
+ * Expo Notifications Adapter - Web implementation of expo-notifications
+ *
+ * Schedules local notifications with timers, delivers them through the
+ * browser Notification API (or a service worker registration when one is
+ * configured) and persists scheduled requests across reloads.
+ *
+ * Every open tab arms timers for the shared schedule, kept in sync through
+ * `storage` events. Each change re-reads the schedule before writing it and
+ * runs under a Web Lock where available, and a tab only delivers an
+ * occurrence it advanced itself, so tabs never fire duplicates.
+ */
+
+const {
+  getPermissionAsync,
+  requestPermissionAsync,
+  createPermissionHook
+} = require('../permissions');
+
+const STORAGE_KEY = '@RuntimeResolver:scheduledNotifications';
+const TRIGGER_UNSUPPORTED_CODE = 'E_NOTIFICATION_TRIGGER_UNSUPPORTED';
+const DEFAULT_ACTION_IDENTIFIER = 'expo.modules.notifications.actions.DEFAULT';
+const SERVICE_WORKER_MESSAGE_TYPE = 'expo-notifications:response';
+
+// setTimeout cannot wait longer than this, longer delays are re-armed
+const MAX_TIMER_DELAY = 2147483647;
+
+// Calendar, monthly and yearly triggers are listed for parity with native
+// but rejected on web with TRIGGER_UNSUPPORTED_CODE
+const SchedulableTriggerInputTypes = {
+  CALENDAR: 'calendar',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  YEARLY: 'yearly',
+  DATE: 'date',
+  TIME_INTERVAL: 'timeInterval'
+};
+
+/**
+ * Create the error for triggers web cannot schedule
+ * @param {Object} trigger - expo-notifications trigger input
+ * @returns {Error} - Error with code E_NOTIFICATION_TRIGGER_UNSUPPORTED
+ */
+function createUnsupportedTriggerError(trigger) {
+  const error = new Error(`Notification trigger ${JSON.stringify(trigger)} is not supported on web`);
+  error.code = TRIGGER_UNSUPPORTED_CODE;
+  return error;
+}
+
+/**
+ * Normalize a trigger input into an explicit trigger with a `type`
+ * @param {Object|null} trigger - expo-notifications trigger input
+ * @returns {Object|null} - Normalized trigger, null for immediate delivery (no trigger or only a channelId)
+ * @throws {Error} - With code E_NOTIFICATION_TRIGGER_UNSUPPORTED for calendar, monthly and yearly triggers
+ */
+function normalizeTrigger(trigger) {
+  if (trigger == null) {
+    return null;
+  }
+
+  if (trigger instanceof Date || typeof trigger === 'number') {
+    return { type: SchedulableTriggerInputTypes.DATE, date: new Date(trigger).getTime() };
+  }
+
+  const type = trigger.type ||
+    (trigger.date !== undefined ? SchedulableTriggerInputTypes.DATE :
+      trigger.seconds !== undefined ? SchedulableTriggerInputTypes.TIME_INTERVAL :
+        trigger.weekday !== undefined ? SchedulableTriggerInputTypes.WEEKLY :
+          trigger.hour !== undefined ? SchedulableTriggerInputTypes.DAILY : null);
+
+  // A channel alone (`{ channelId }`) only picks the Android channel and delivers right away
+  if (!type && Object.keys(trigger).every(key => key === 'channelId')) {
+    return null;
+  }
+
+  switch (type) {
+    case SchedulableTriggerInputTypes.DATE:
+      return { type, date: new Date(trigger.date).getTime() };
+
+    case SchedulableTriggerInputTypes.TIME_INTERVAL:
+      if (!(trigger.seconds > 0)) {
+        throw new Error('Time interval triggers need a positive number of seconds');
+      }
+      return { type, seconds: trigger.seconds, repeats: !!trigger.repeats };
+
+    case SchedulableTriggerInputTypes.DAILY:
+      return { type, hour: trigger.hour, minute: trigger.minute || 0 };
+
+    case SchedulableTriggerInputTypes.WEEKLY:
+      return { type, weekday: trigger.weekday, hour: trigger.hour, minute: trigger.minute || 0 };
+
+    default:
+      throw createUnsupportedTriggerError(trigger);
+  }
+}
+
+/**
+ * Compute the next time a trigger fires
+ * @param {Object|null} trigger - Normalized trigger
+ * @param {number} from - Timestamp to compute from (creation or previous fire time)
+ * @param {boolean} isFirst - Whether this is the first occurrence
+ * @returns {number|null} - Timestamp, or null when the trigger never fires again
+ */
+function getNextTriggerDate(trigger, from, isFirst) {
+  if (trigger === null) {
+    return isFirst ? from : null;
+  }
+
+  switch (trigger.type) {
+    case SchedulableTriggerInputTypes.DATE:
+      return isFirst ? trigger.date : null;
+
+    case SchedulableTriggerInputTypes.TIME_INTERVAL:
+      return isFirst || trigger.repeats ? from + trigger.seconds * 1000 : null;
+
+    case SchedulableTriggerInputTypes.DAILY:
+    case SchedulableTriggerInputTypes.WEEKLY: {
+      const next = new Date(from);
+      next.setHours(trigger.hour, trigger.minute, 0, 0);
+
+      if (trigger.type === SchedulableTriggerInputTypes.WEEKLY) {
+        // expo-notifications weekdays are 1 (Sunday) to 7 (Saturday)
+        next.setDate(next.getDate() + ((trigger.weekday - 1 - next.getDay() + 7) % 7));
+      }
+
+      const period = trigger.type === SchedulableTriggerInputTypes.WEEKLY ? 7 : 1;
+      while (next.getTime() <= from) {
+        next.setDate(next.getDate() + period);
+      }
+      return next.getTime();
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Generate a notification identifier
+ * @returns {string} - Unique identifier
+ */
+function createIdentifier() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `web-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Create a localStorage-backed list of scheduled requests, kept in memory
+ * when storage is unavailable
+ * @returns {Object} - { load, save }
+ */
+function createScheduleStorage() {
+  let memoryRecords = [];
+
+  const getStorage = () => {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  return {
+    load: () => {
+      const storage = getStorage();
+      if (!storage) {
+        return memoryRecords;
+      }
+      try {
+        return JSON.parse(storage.getItem(STORAGE_KEY)) || [];
+      } catch (error) {
+        return [];
+      }
+    },
+    save: records => {
+      const storage = getStorage();
+      if (storage) {
+        storage.setItem(STORAGE_KEY, JSON.stringify(records));
+      } else {
+        memoryRecords = records;
+      }
+    }
+  };
+}
+
+/**
+ * Run a schedule update exclusively across tabs where Web Locks exist
+ * @param {Function} callback - Update to run
+ * @returns {Promise<*>} - Result of the callback
+ */
+function withScheduleLock(callback) {
+  if (typeof navigator !== 'undefined' && navigator.locks && typeof navigator.locks.request === 'function') {
+    return navigator.locks.request(STORAGE_KEY, callback);
+  }
+  return Promise.resolve().then(callback);
+}
+
+/**
+ * Create the expo-notifications web adapter
+ * @param {Object} options - Adapter options
+ * @param {string} [options.serviceWorkerPath] - Service worker script to register for background delivery
+ * @param {Object} [options.serviceWorkerOptions] - Options for navigator.serviceWorker.register
+ * @param {Object} [logger] - Logger for adapter messages, silenced with the module
+ * @returns {Object} - Adapter exports keyed by export name
+ */
+function createExpoNotificationsAdapter(options = {}, logger = console) {
+  const storage = createScheduleStorage();
+  const timers = new Map();
+  const presented = new Map();
+  const receivedListeners = new Set();
+  const responseListeners = new Set();
+
+  let records = storage.load();
+  let notificationHandler = null;
+  let lastResponse = null;
+  let registrationPromise = null;
+
+  const hasServiceWorker = () => typeof navigator !== 'undefined' && !!navigator.serviceWorker;
+
+  const getRegistration = () => {
+    if (!options.serviceWorkerPath || !hasServiceWorker()) {
+      return Promise.resolve(null);
+    }
+
+    if (!registrationPromise) {
+      registrationPromise = navigator.serviceWorker
+        .register(options.serviceWorkerPath, options.serviceWorkerOptions)
+        .then(() => navigator.serviceWorker.ready)
+        .catch(error => {
+          logger.warn('Notification service worker registration failed:', error.message);
+          return null;
+        });
+    }
+    return registrationPromise;
+  };
+
+  const toRequest = record => ({
+    identifier: record.identifier,
+    content: record.content,
+    trigger: record.trigger
+  });
+
+  // A throwing listener must not keep the others, or the notification, from running
+  const notifyListeners = (listeners, value) => {
+    listeners.forEach(listener => {
+      try {
+        listener(value);
+      } catch (error) {
+        logger.error('Notification listener failed:', error && error.message);
+      }
+    });
+  };
+
+  const emitResponse = response => {
+    lastResponse = response;
+    notifyListeners(responseListeners, response);
+  };
+
+  const present = async notification => {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+      return;
+    }
+
+    const { identifier, content } = notification.request;
+    const notificationOptions = {
+      body: content.body || undefined,
+      data: { identifier, content },
+      tag: identifier,
+      silent: content.sound === false
+    };
+
+    const registration = await getRegistration();
+    if (registration) {
+      await registration.showNotification(content.title || '', notificationOptions);
+      return;
+    }
+
+    let browserNotification;
+    try {
+      browserNotification = new Notification(content.title || '', notificationOptions);
+    } catch (error) {
+      // Android Chrome rejects the constructor ("Illegal constructor") and only
+      // shows notifications through a service worker registration
+      const fallbackRegistration = hasServiceWorker() ? await navigator.serviceWorker.getRegistration() : null;
+      if (!fallbackRegistration) {
+        throw error;
+      }
+      await fallbackRegistration.showNotification(content.title || '', notificationOptions);
+      return;
+    }
+    presented.set(identifier, { browserNotification, notification });
+    browserNotification.onclose = () => presented.delete(identifier);
+    browserNotification.onclick = () => {
+      if (typeof window !== 'undefined' && window.focus) {
+        window.focus();
+      }
+      emitResponse({ notification, actionIdentifier: DEFAULT_ACTION_IDENTIFIER });
+    };
+  };
+
+  const deliver = async record => {
+    const notification = { date: Date.now(), request: toRequest(record) };
+    const isHidden = typeof document !== 'undefined' && document.hidden;
+
+    // Like native: a page in the background always presents, a foreground
+    // page only presents what the notification handler asks for
+    let shouldPresent = isHidden;
+    if (!isHidden && notificationHandler) {
+      try {
+        const behavior = await notificationHandler.handleNotification(notification);
+        shouldPresent = !!(behavior && (behavior.shouldShowAlert || behavior.shouldShowBanner || behavior.shouldShowList));
+        if (notificationHandler.handleSuccess) {
+          notificationHandler.handleSuccess(record.identifier);
+        }
+      } catch (error) {
+        if (notificationHandler.handleError) {
+          notificationHandler.handleError(record.identifier, error);
+        }
+      }
+    }
+
+    notifyListeners(receivedListeners, notification);
+
+    if (shouldPresent) {
+      await present(notification);
+    }
+  };
+
+  // Timers armed by this tab: identifier -> { timer, date }
+  const armTimer = record => {
+    const date = record.nextTriggerDate;
+    const delay = Math.max(0, date - Date.now());
+    const timer = setTimeout(() => {
+      if (delay > MAX_TIMER_DELAY) {
+        timers.delete(record.identifier);
+        armTimer(record);
+        return;
+      }
+      fire(record.identifier, date);
+    }, Math.min(delay, MAX_TIMER_DELAY));
+
+    timers.set(record.identifier, { timer, date });
+  };
+
+  // Match the armed timers to the schedule, which other tabs may have changed
+  const syncTimers = () => {
+    timers.forEach((entry, identifier) => {
+      if (!records.some(record => record.identifier === identifier && record.nextTriggerDate === entry.date)) {
+        clearTimeout(entry.timer);
+        timers.delete(identifier);
+      }
+    });
+    records.forEach(record => {
+      if (!timers.has(record.identifier)) {
+        armTimer(record);
+      }
+    });
+  };
+
+  // Apply a change to the stored schedule, re-read right before writing
+  const updateRecords = change => withScheduleLock(() => {
+    records = change(storage.load());
+    storage.save(records);
+    syncTimers();
+  });
+
+  const fire = (identifier, date) => {
+    let claimed = null;
+
+    return updateRecords(current => {
+      const record = current.find(item => item.identifier === identifier);
+      // Cancelled, or another tab delivered this occurrence already
+      if (!record || record.nextTriggerDate !== date) {
+        return current;
+      }
+
+      claimed = record;
+      const nextTriggerDate = getNextTriggerDate(record.trigger, record.nextTriggerDate, false);
+      return nextTriggerDate === null
+        ? current.filter(item => item !== record)
+        : current.map(item => (item === record ? { ...record, nextTriggerDate } : item));
+    }).then(() => {
+      if (claimed) {
+        return deliver(claimed);
+      }
+    }).catch(error => {
+      logger.warn(`Failed to deliver notification ${identifier}:`, error && error.message);
+    });
+  };
+
+  // Re-arm everything scheduled before the last reload; missed one-off
+  // notifications fire right away, missed repeats skip to the next slot
+  updateRecords(current => current.map(record => {
+    if (!record.trigger || record.nextTriggerDate >= Date.now() ||
+        getNextTriggerDate(record.trigger, record.nextTriggerDate, false) === null) {
+      return record;
+    }
+    let next = record.nextTriggerDate;
+    while (next !== null && next < Date.now()) {
+      next = getNextTriggerDate(record.trigger, next, false);
+    }
+    return { ...record, nextTriggerDate: next };
+  })).catch(error => {
+    logger.warn('Failed to restore scheduled notifications:', error && error.message);
+  });
+
+  // Schedules and cancellations from other tabs
+  if (typeof window !== 'undefined' && window.addEventListener) {
+    window.addEventListener('storage', event => {
+      if (event.key === STORAGE_KEY || event.key === null) {
+        records = storage.load();
+        syncTimers();
+      }
+    });
+  }
+
+  if (hasServiceWorker()) {
+    navigator.serviceWorker.addEventListener('message', event => {
+      const data = event.data || {};
+      if (data.type !== SERVICE_WORKER_MESSAGE_TYPE) {
+        return;
+      }
+      emitResponse({
+        notification: {
+          date: data.date || Date.now(),
+          request: { identifier: data.identifier, content: data.content || {}, trigger: null }
+        },
+        actionIdentifier: data.actionIdentifier || DEFAULT_ACTION_IDENTIFIER
+      });
+    });
+  }
+
+  const addListener = (listeners, listener) => {
+    listeners.add(listener);
+    return { remove: () => listeners.delete(listener) };
+  };
+
+  const removeSubscription = subscription => {
+    if (subscription && typeof subscription.remove === 'function') {
+      subscription.remove();
+    }
+  };
+
+  return {
+    SchedulableTriggerInputTypes,
+    DEFAULT_ACTION_IDENTIFIER,
+
+    getPermissionsAsync: () => getPermissionAsync('notifications'),
+    requestPermissionsAsync: () => requestPermissionAsync('notifications'),
+    usePermissions: createPermissionHook('notifications'),
+
+    setNotificationHandler: handler => {
+      notificationHandler = handler || null;
+    },
+
+    scheduleNotificationAsync: async request => {
+      const identifier = request.identifier || createIdentifier();
+      const trigger = normalizeTrigger(request.trigger);
+      const nextTriggerDate = getNextTriggerDate(trigger, Date.now(), true);
+
+      const record = {
+        identifier,
+        content: request.content || {},
+        trigger,
+        nextTriggerDate
+      };
+
+      await updateRecords(current => current.filter(item => item.identifier !== identifier).concat(record));
+
+      // Let the registration hand the notification to the OS when the browser
+      // supports Notification Triggers, so it shows even if the page is closed.
+      // The page timer uses the same tag, so it replaces rather than duplicates it.
+      const registration = await getRegistration();
+      if (registration && trigger && !trigger.repeats &&
+          typeof TimestampTrigger !== 'undefined' && Notification.permission === 'granted') {
+        await registration.showNotification(record.content.title || '', {
+          body: record.content.body || undefined,
+          data: { identifier, content: record.content },
+          tag: identifier,
+          showTrigger: new TimestampTrigger(nextTriggerDate)
+        });
+      }
+
+      return identifier;
+    },
+
+    presentNotificationAsync: async (content, identifier = createIdentifier()) => {
+      await present({ date: Date.now(), request: { identifier, content, trigger: null } });
+      return identifier;
+    },
+
+    getAllScheduledNotificationsAsync: async () => {
+      records = storage.load();
+      return records.map(toRequest);
+    },
+
+    cancelScheduledNotificationAsync: async identifier => {
+      await updateRecords(current => current.filter(item => item.identifier !== identifier));
+    },
+
+    cancelAllScheduledNotificationsAsync: async () => {
+      await updateRecords(() => []);
+    },
+
+    dismissNotificationAsync: async identifier => {
+      const entry = presented.get(identifier);
+      if (entry) {
+        entry.browserNotification.close();
+      }
+    },
+
+    dismissAllNotificationsAsync: async () => {
+      presented.forEach(entry => entry.browserNotification.close());
+      presented.clear();
+    },
+
+    getPresentedNotificationsAsync: async () => Array.from(presented.values()).map(entry => entry.notification),
+
+    getLastNotificationResponseAsync: async () => lastResponse,
+
+    addNotificationReceivedListener: listener => addListener(receivedListeners, listener),
+
+    addNotificationResponseReceivedListener: listener => addListener(responseListeners, listener),
+
+    removeNotificationSubscription: removeSubscription,
+
+    setBadgeCountAsync: async count => {
+      if (typeof navigator === 'undefined' || !navigator.setAppBadge) {
+        return false;
+      }
+      await (count > 0 ? navigator.setAppBadge(count) : navigator.clearAppBadge());
+      return true;
+    },
+
+    getBadgeCountAsync: async () => 0
+  };
+}
+
+module.exports = {
+  createExpoNotificationsAdapter,
+  SchedulableTriggerInputTypes,
+  TRIGGER_UNSUPPORTED_CODE
+};
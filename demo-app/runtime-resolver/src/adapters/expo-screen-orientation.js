@@ -0,0 +1,277 @@
+/**
+ * Screen Orientation Adapter - Web implementation of expo-screen-orientation
+ *
+ * Maps the Orientation/OrientationLock enums to and from the Screen
+ * Orientation API strings and rejects with a coded error when the browser
+ * refuses a lock instead of pretending it succeeded.
+ */
+
+const Orientation = {
+  UNKNOWN: 0,
+  PORTRAIT_UP: 1,
+  PORTRAIT_DOWN: 2,
+  LANDSCAPE_LEFT: 3,
+  LANDSCAPE_RIGHT: 4
+};
+
+const OrientationLock = {
+  DEFAULT: 0,
+  ALL: 1,
+  PORTRAIT: 2,
+  PORTRAIT_UP: 3,
+  PORTRAIT_DOWN: 4,
+  LANDSCAPE: 5,
+  LANDSCAPE_LEFT: 6,
+  LANDSCAPE_RIGHT: 7,
+  OTHER: 8,
+  UNKNOWN: 9
+};
+
+const WebOrientation = {
+  PORTRAIT_PRIMARY: 'portrait-primary',
+  PORTRAIT_SECONDARY: 'portrait-secondary',
+  LANDSCAPE_PRIMARY: 'landscape-primary',
+  LANDSCAPE_SECONDARY: 'landscape-secondary'
+};
+
+const WebOrientationLock = {
+  PORTRAIT_PRIMARY: 'portrait-primary',
+  PORTRAIT_SECONDARY: 'portrait-secondary',
+  PORTRAIT: 'portrait',
+  LANDSCAPE_PRIMARY: 'landscape-primary',
+  LANDSCAPE_SECONDARY: 'landscape-secondary',
+  LANDSCAPE: 'landscape',
+  ANY: 'any',
+  NATURAL: 'natural',
+  UNKNOWN: 'unknown'
+};
+
+const SizeClassIOS = {
+  UNKNOWN: 0,
+  COMPACT: 1,
+  REGULAR: 2
+};
+
+// Same mapping expo-screen-orientation uses for its own web build
+const WEB_TO_ORIENTATION = {
+  [WebOrientation.PORTRAIT_PRIMARY]: Orientation.PORTRAIT_UP,
+  [WebOrientation.PORTRAIT_SECONDARY]: Orientation.PORTRAIT_DOWN,
+  [WebOrientation.LANDSCAPE_PRIMARY]: Orientation.LANDSCAPE_LEFT,
+  [WebOrientation.LANDSCAPE_SECONDARY]: Orientation.LANDSCAPE_RIGHT
+};
+
+const LOCK_TO_WEB = {
+  [OrientationLock.DEFAULT]: WebOrientationLock.ANY,
+  [OrientationLock.ALL]: WebOrientationLock.ANY,
+  [OrientationLock.PORTRAIT]: WebOrientationLock.PORTRAIT,
+  [OrientationLock.PORTRAIT_UP]: WebOrientationLock.PORTRAIT_PRIMARY,
+  [OrientationLock.PORTRAIT_DOWN]: WebOrientationLock.PORTRAIT_SECONDARY,
+  [OrientationLock.LANDSCAPE]: WebOrientationLock.LANDSCAPE,
+  [OrientationLock.LANDSCAPE_LEFT]: WebOrientationLock.LANDSCAPE_PRIMARY,
+  [OrientationLock.LANDSCAPE_RIGHT]: WebOrientationLock.LANDSCAPE_SECONDARY
+};
+
+const WEB_TO_LOCK = {
+  [WebOrientationLock.ANY]: OrientationLock.ALL,
+  [WebOrientationLock.NATURAL]: OrientationLock.DEFAULT,
+  [WebOrientationLock.PORTRAIT]: OrientationLock.PORTRAIT,
+  [WebOrientationLock.PORTRAIT_PRIMARY]: OrientationLock.PORTRAIT_UP,
+  [WebOrientationLock.PORTRAIT_SECONDARY]: OrientationLock.PORTRAIT_DOWN,
+  [WebOrientationLock.LANDSCAPE]: OrientationLock.LANDSCAPE,
+  [WebOrientationLock.LANDSCAPE_PRIMARY]: OrientationLock.LANDSCAPE_LEFT,
+  [WebOrientationLock.LANDSCAPE_SECONDARY]: OrientationLock.LANDSCAPE_RIGHT
+};
+
+/**
+ * Create an expo-style coded error
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {Error} [cause] - Underlying browser error
+ * @returns {Error} - Error with `code` (and `cause`) properties
+ */
+function createOrientationError(code, message, cause) {
+  const error = new Error(message);
+  error.code = code;
+  if (cause) {
+    error.cause = cause;
+  }
+  return error;
+}
+
+/**
+ * Get the Screen Orientation API object, if any
+ * @returns {ScreenOrientation|null} - screen.orientation
+ */
+function getScreenOrientation() {
+  return typeof screen !== 'undefined' && screen.orientation ? screen.orientation : null;
+}
+
+/**
+ * Read the current web orientation string
+ * @returns {string|null} - e.g. 'portrait-primary', null if unknown
+ */
+function getWebOrientation() {
+  const screenOrientation = getScreenOrientation();
+  if (screenOrientation && screenOrientation.type) {
+    return screenOrientation.type;
+  }
+
+  // Older iOS Safari only exposes the legacy window.orientation angle
+  if (typeof window !== 'undefined' && typeof window.orientation === 'number') {
+    switch (window.orientation) {
+      case 0: return WebOrientation.PORTRAIT_PRIMARY;
+      case 180: return WebOrientation.PORTRAIT_SECONDARY;
+      case 90: return WebOrientation.LANDSCAPE_PRIMARY;
+      case -90: return WebOrientation.LANDSCAPE_SECONDARY;
+      default: return null;
+    }
+  }
+
+  if (typeof window !== 'undefined' && window.matchMedia) {
+    return window.matchMedia('(orientation: portrait)').matches
+      ? WebOrientation.PORTRAIT_PRIMARY
+      : WebOrientation.LANDSCAPE_PRIMARY;
+  }
+
+  return null;
+}
+
+/**
+ * Create the expo-screen-orientation web adapter
+ * @returns {Object} - Adapter exports keyed by export name
+ */
+function createScreenOrientationAdapter() {
+  const listeners = new Set();
+  let currentLock = OrientationLock.DEFAULT;
+  let currentWebLock = WebOrientationLock.ANY;
+  let detachChangeListener = null;
+
+  const getOrientation = () => WEB_TO_ORIENTATION[getWebOrientation()] || Orientation.UNKNOWN;
+
+  const lockToWeb = async webLock => {
+    const screenOrientation = getScreenOrientation();
+    if (!screenOrientation || typeof screenOrientation.lock !== 'function') {
+      throw createOrientationError(
+        'ERR_SCREEN_ORIENTATION_UNSUPPORTED_OS_VERSION',
+        'This browser does not support locking the screen orientation'
+      );
+    }
+
+    try {
+      await screenOrientation.lock(webLock);
+    } catch (error) {
+      // Most browsers only allow locks in fullscreen or installed web apps
+      throw createOrientationError(
+        'ERR_SCREEN_ORIENTATION_LOCK_NOT_ALLOWED',
+        `The browser refused to lock the orientation to "${webLock}": ${error.message}`,
+        error
+      );
+    }
+  };
+
+  const notify = () => {
+    const event = {
+      orientationInfo: {
+        orientation: getOrientation(),
+        horizontalSizeClass: SizeClassIOS.UNKNOWN,
+        verticalSizeClass: SizeClassIOS.UNKNOWN
+      },
+      orientationLock: currentLock
+    };
+    listeners.forEach(listener => listener(event));
+  };
+
+  const attachChangeListener = () => {
+    const screenOrientation = getScreenOrientation();
+    if (screenOrientation && screenOrientation.addEventListener) {
+      screenOrientation.addEventListener('change', notify);
+      return () => screenOrientation.removeEventListener('change', notify);
+    }
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('orientationchange', notify);
+      return () => window.removeEventListener('orientationchange', notify);
+    }
+    return () => {};
+  };
+
+  const removeListener = listener => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && detachChangeListener) {
+      detachChangeListener();
+      detachChangeListener = null;
+    }
+  };
+
+  return {
+    Orientation,
+    OrientationLock,
+    WebOrientation,
+    WebOrientationLock,
+    SizeClassIOS,
+
+    getOrientationAsync: async () => getOrientation(),
+
+    getOrientationLockAsync: async () => currentLock,
+
+    getPlatformOrientationLockAsync: async () => ({ screenOrientationLockWeb: currentWebLock }),
+
+    supportsOrientationLockAsync: async orientationLock => {
+      const screenOrientation = getScreenOrientation();
+      return !!(screenOrientation && typeof screenOrientation.lock === 'function' && LOCK_TO_WEB[orientationLock]);
+    },
+
+    lockAsync: async orientationLock => {
+      const webLock = LOCK_TO_WEB[orientationLock];
+      if (!webLock) {
+        throw createOrientationError(
+          'ERR_SCREEN_ORIENTATION_INVALID_ORIENTATION_LOCK',
+          `Invalid OrientationLock: ${orientationLock}`
+        );
+      }
+
+      await lockToWeb(webLock);
+      currentLock = orientationLock;
+      currentWebLock = webLock;
+    },
+
+    lockPlatformAsync: async ({ screenOrientationLockWeb } = {}) => {
+      if (!screenOrientationLockWeb || !(screenOrientationLockWeb in WEB_TO_LOCK)) {
+        throw createOrientationError(
+          'ERR_SCREEN_ORIENTATION_INVALID_ORIENTATION_LOCK',
+          `Invalid screenOrientationLockWeb: ${screenOrientationLockWeb}`
+        );
+      }
+
+      await lockToWeb(screenOrientationLockWeb);
+      currentLock = WEB_TO_LOCK[screenOrientationLockWeb];
+      currentWebLock = screenOrientationLockWeb;
+    },
+
+    unlockAsync: async () => {
+      const screenOrientation = getScreenOrientation();
+      if (screenOrientation && typeof screenOrientation.unlock === 'function') {
+        screenOrientation.unlock();
+      }
+      currentLock = OrientationLock.DEFAULT;
+      currentWebLock = WebOrientationLock.ANY;
+    },
+
+    addOrientationChangeListener: listener => {
+      listeners.add(listener);
+      if (!detachChangeListener) {
+        detachChangeListener = attachChangeListener();
+      }
+      return { remove: () => removeListener(listener) };
+    },
+
+    removeOrientationChangeListener: subscription => subscription.remove(),
+
+    removeOrientationChangeListeners: () => {
+      Array.from(listeners).forEach(removeListener);
+    }
+  };
+}
+
+module.exports = {
+  createScreenOrientationAdapter
+};
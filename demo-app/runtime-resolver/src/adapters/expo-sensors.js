@@ -0,0 +1,458 @@
+/**
+ * Expo Sensors Adapter - Web implementation of expo-sensors
+ *
+ * Reads the Generic Sensor API when the browser exposes it and falls back to
+ * devicemotion/deviceorientation events. Values are converted to the units
+ * expo-sensors reports on native (g, rad/s, μT, radians).
+ */
+
+const {
+  PermissionStatus,
+  createPermissionResponse
+} = require('../permissions');
+
+const STANDARD_GRAVITY = 9.80665;
+const DEFAULT_UPDATE_INTERVAL = 100;
+
+// How long to wait for a first motion event before reporting a sensor as missing
+const AVAILABILITY_PROBE_TIMEOUT = 1000;
+
+const DeviceMotionOrientation = {
+  Portrait: 0,
+  RightLandscape: 90,
+  UpsideDown: 180,
+  LeftLandscape: -90
+};
+
+const toRadians = degrees => (degrees == null ? 0 : degrees * Math.PI / 180);
+
+/**
+ * Check if a global exists in the browser
+ * @param {string} name - Global name
+ * @returns {boolean} - True if defined on window
+ */
+function hasWindowGlobal(name) {
+  return typeof window !== 'undefined' && typeof window[name] !== 'undefined';
+}
+
+/**
+ * Resolve true once the browser delivers a motion/orientation event with data
+ *
+ * Desktop browsers define DeviceMotionEvent without ever firing it with
+ * values, so the event's existence alone does not mean a sensor exists.
+ * @param {string} eventName - 'devicemotion' or 'deviceorientation'
+ * @param {Function} hasData - Checks whether an event carries readings
+ * @returns {Promise<boolean>} - True if readings arrived
+ */
+function probeEvent(eventName, hasData) {
+  if (typeof window === 'undefined' || !window.addEventListener) {
+    return Promise.resolve(false);
+  }
+
+  return new Promise(resolve => {
+    const finish = result => {
+      clearTimeout(timer);
+      window.removeEventListener(eventName, handleEvent);
+      resolve(result);
+    };
+    const handleEvent = event => {
+      if (hasData(event)) {
+        finish(true);
+      }
+    };
+    const timer = setTimeout(() => finish(false), AVAILABILITY_PROBE_TIMEOUT);
+    window.addEventListener(eventName, handleEvent);
+  });
+}
+
+/**
+ * Resolve true once a Generic Sensor API sensor delivers a reading
+ *
+ * Desktop Chrome exposes the sensor constructors without any hardware behind
+ * them; such sensors fire 'error' (NotReadableError) or nothing at all.
+ * @param {string} className - e.g. 'Accelerometer', 'Gyroscope', 'Magnetometer'
+ * @returns {Promise<boolean>} - True if a reading arrived
+ */
+function probeGenericSensor(className) {
+  if (!hasWindowGlobal(className)) {
+    return Promise.resolve(false);
+  }
+
+  return new Promise(resolve => {
+    let sensor = null;
+    let timer = null;
+    const finish = result => {
+      clearTimeout(timer);
+      try {
+        sensor.stop();
+      } catch (error) {
+        // Already stopped
+      }
+      resolve(result);
+    };
+
+    try {
+      sensor = new window[className]();
+      sensor.addEventListener('reading', () => finish(true));
+      sensor.addEventListener('error', () => finish(false));
+      timer = setTimeout(() => finish(false), AVAILABILITY_PROBE_TIMEOUT);
+      sensor.start();
+    } catch (error) {
+      // SecurityError / ReferenceError when blocked by permissions policy
+      clearTimeout(timer);
+      resolve(false);
+    }
+  });
+}
+
+/**
+ * Start a Generic Sensor API sensor
+ * @param {string} className - e.g. 'Accelerometer', 'Gyroscope', 'Magnetometer'
+ * @param {number} interval - Update interval in ms
+ * @param {Function} onReading - Called with the sensor instance on every reading
+ * @param {Function} onError - Called when the sensor cannot be used
+ * @returns {Function|null} - Stop function, or null if the sensor could not start
+ */
+function startGenericSensor(className, interval, onReading, onError) {
+  if (!hasWindowGlobal(className)) {
+    return null;
+  }
+
+  try {
+    const sensor = new window[className]({ frequency: Math.max(1, 1000 / interval) });
+    sensor.addEventListener('reading', () => onReading(sensor));
+    sensor.addEventListener('error', event => onError(event.error));
+    sensor.start();
+    return () => sensor.stop();
+  } catch (error) {
+    // SecurityError / ReferenceError when blocked by permissions policy
+    return null;
+  }
+}
+
+/**
+ * Listen to a window event, emitting at most once per interval
+ * @param {string} eventName - Window event name
+ * @param {number} interval - Minimum time between emissions in ms
+ * @param {Function} onEvent - Called with throttled events
+ * @returns {Function} - Stop function
+ */
+function listenThrottled(eventName, interval, onEvent) {
+  let lastEmit = 0;
+  const handleEvent = event => {
+    const now = Date.now();
+    if (now - lastEmit >= interval) {
+      lastEmit = now;
+      onEvent(event);
+    }
+  };
+  window.addEventListener(eventName, handleEvent);
+  return () => window.removeEventListener(eventName, handleEvent);
+}
+
+/**
+ * Read the current screen orientation angle
+ * @returns {number} - DeviceMotionOrientation value
+ */
+function getOrientationAngle() {
+  if (typeof screen !== 'undefined' && screen.orientation && typeof screen.orientation.angle === 'number') {
+    const angle = screen.orientation.angle;
+    return angle === 270 ? DeviceMotionOrientation.LeftLandscape : angle;
+  }
+  if (typeof window !== 'undefined' && typeof window.orientation === 'number') {
+    return window.orientation;
+  }
+  return DeviceMotionOrientation.Portrait;
+}
+
+/**
+ * Create an expo-sensors style sensor object
+ * @param {Object} definition - Sensor definition
+ * @param {Function} definition.isAvailable - Resolves whether the sensor works in this browser
+ * @param {Function} definition.start - (emit, interval) => stop function
+ * @returns {Object} - Sensor with addListener, setUpdateInterval, isAvailableAsync...
+ */
+function createSensor(definition) {
+  const listeners = new Set();
+  let updateInterval = DEFAULT_UPDATE_INTERVAL;
+  let stop = null;
+  let availability = null;
+
+  const emit = data => listeners.forEach(listener => listener(data));
+
+  const startUpdates = () => {
+    if (!stop && listeners.size > 0 && typeof window !== 'undefined') {
+      stop = definition.start(emit, updateInterval);
+    }
+  };
+
+  const stopUpdates = () => {
+    if (stop) {
+      stop();
+      stop = null;
+    }
+  };
+
+  const sensor = {
+    addListener: listener => {
+      listeners.add(listener);
+      startUpdates();
+
+      return {
+        remove: () => {
+          listeners.delete(listener);
+          if (listeners.size === 0) {
+            stopUpdates();
+          }
+        }
+      };
+    },
+
+    removeAllListeners: () => {
+      listeners.clear();
+      stopUpdates();
+    },
+
+    removeSubscription: subscription => subscription.remove(),
+
+    hasListeners: () => listeners.size > 0,
+
+    getListenerCount: () => listeners.size,
+
+    setUpdateInterval: intervalMs => {
+      updateInterval = intervalMs;
+      // Restart so the new interval (and Generic Sensor frequency) applies
+      if (stop) {
+        stopUpdates();
+        startUpdates();
+      }
+    },
+
+    isAvailableAsync: () => {
+      if (!availability) {
+        availability = definition.isAvailable().then(available => {
+          // A failed probe may succeed later, e.g. after a permission prompt
+          if (!available) {
+            availability = null;
+          }
+          return available;
+        });
+      }
+      return availability;
+    },
+
+    getPermissionsAsync: async () => getMotionPermission(),
+
+    requestPermissionsAsync: () => requestMotionPermission()
+  };
+
+  return sensor;
+}
+
+/**
+ * Current motion permission: iOS Safari gates devicemotion behind a prompt
+ * @returns {Object} - PermissionResponse
+ */
+function getMotionPermission() {
+  const needsPrompt = hasWindowGlobal('DeviceMotionEvent') &&
+    typeof window.DeviceMotionEvent.requestPermission === 'function';
+  return createPermissionResponse(needsPrompt ? PermissionStatus.UNDETERMINED : PermissionStatus.GRANTED);
+}
+
+/**
+ * Request motion permission where the browser asks for it
+ * @returns {Promise<Object>} - PermissionResponse
+ */
+async function requestMotionPermission() {
+  if (!hasWindowGlobal('DeviceMotionEvent') || typeof window.DeviceMotionEvent.requestPermission !== 'function') {
+    return getMotionPermission();
+  }
+
+  try {
+    const result = await window.DeviceMotionEvent.requestPermission();
+    return createPermissionResponse(result === 'granted' ? PermissionStatus.GRANTED : PermissionStatus.DENIED);
+  } catch (error) {
+    // Safari rejects when not called from a user gesture
+    return createPermissionResponse(PermissionStatus.UNDETERMINED);
+  }
+}
+
+const hasAccelerationData = event => !!(event.accelerationIncludingGravity && event.accelerationIncludingGravity.x !== null);
+const hasRotationRateData = event => !!(event.rotationRate && event.rotationRate.alpha !== null);
+const hasOrientationData = event => event.alpha !== null && event.alpha !== undefined;
+
+/**
+ * Create the expo-sensors web adapter
+ * @returns {Object} - Adapter exports keyed by export name
+ */
+function createExpoSensorsAdapter() {
+  const Accelerometer = createSensor({
+    isAvailable: async () => await probeGenericSensor('Accelerometer') ||
+      (hasWindowGlobal('DeviceMotionEvent') && probeEvent('devicemotion', hasAccelerationData)),
+
+    start: (emit, interval) => {
+      // Generic Sensor readings are m/s², expo reports g
+      const fromMotionEvents = () => listenThrottled('devicemotion', interval, event => {
+        if (!hasAccelerationData(event)) {
+          return;
+        }
+        const { x, y, z } = event.accelerationIncludingGravity;
+        emit({
+          x: x / STANDARD_GRAVITY,
+          y: y / STANDARD_GRAVITY,
+          z: z / STANDARD_GRAVITY,
+          timestamp: event.timeStamp / 1000
+        });
+      });
+
+      let stopFallback = null;
+      const stopSensor = startGenericSensor('Accelerometer', interval, sensor => emit({
+        x: sensor.x / STANDARD_GRAVITY,
+        y: sensor.y / STANDARD_GRAVITY,
+        z: sensor.z / STANDARD_GRAVITY,
+        timestamp: sensor.timestamp / 1000
+      }), () => {
+        stopFallback = stopFallback || fromMotionEvents();
+      });
+
+      if (!stopSensor) {
+        stopFallback = fromMotionEvents();
+      }
+
+      return () => {
+        if (stopSensor) stopSensor();
+        if (stopFallback) stopFallback();
+      };
+    }
+  });
+
+  const Gyroscope = createSensor({
+    isAvailable: async () => await probeGenericSensor('Gyroscope') ||
+      (hasWindowGlobal('DeviceMotionEvent') && probeEvent('devicemotion', hasRotationRateData)),
+
+    start: (emit, interval) => {
+      // devicemotion rotationRate is deg/s (alpha=z, beta=x, gamma=y), expo reports rad/s
+      const fromMotionEvents = () => listenThrottled('devicemotion', interval, event => {
+        if (!hasRotationRateData(event)) {
+          return;
+        }
+        const { alpha, beta, gamma } = event.rotationRate;
+        emit({
+          x: toRadians(beta),
+          y: toRadians(gamma),
+          z: toRadians(alpha),
+          timestamp: event.timeStamp / 1000
+        });
+      });
+
+      let stopFallback = null;
+      const stopSensor = startGenericSensor('Gyroscope', interval, sensor => emit({
+        x: sensor.x,
+        y: sensor.y,
+        z: sensor.z,
+        timestamp: sensor.timestamp / 1000
+      }), () => {
+        stopFallback = stopFallback || fromMotionEvents();
+      });
+
+      if (!stopSensor) {
+        stopFallback = fromMotionEvents();
+      }
+
+      return () => {
+        if (stopSensor) stopSensor();
+        if (stopFallback) stopFallback();
+      };
+    }
+  });
+
+  // Only the Generic Sensor API exposes magnetic field strength (μT)
+  const createMagnetometer = () => createSensor({
+    isAvailable: () => probeGenericSensor('Magnetometer'),
+
+    start: (emit, interval) => startGenericSensor('Magnetometer', interval, sensor => emit({
+      x: sensor.x,
+      y: sensor.y,
+      z: sensor.z,
+      timestamp: sensor.timestamp / 1000
+    }), () => {}) || (() => {})
+  });
+
+  const DeviceMotion = createSensor({
+    isAvailable: async () => hasWindowGlobal('DeviceMotionEvent') &&
+      probeEvent('devicemotion', hasAccelerationData),
+
+    start: (emit, interval) => {
+      let rotation = { alpha: 0, beta: 0, gamma: 0, timestamp: 0 };
+
+      const handleOrientation = event => {
+        if (hasOrientationData(event)) {
+          rotation = {
+            alpha: toRadians(event.alpha),
+            beta: toRadians(event.beta),
+            gamma: toRadians(event.gamma),
+            timestamp: event.timeStamp / 1000
+          };
+        }
+      };
+      window.addEventListener('deviceorientation', handleOrientation);
+
+      const stopMotion = listenThrottled('devicemotion', interval, event => {
+        const timestamp = event.timeStamp / 1000;
+        const vector = value => (value && value.x !== null ? { x: value.x, y: value.y, z: value.z, timestamp } : null);
+        const rate = event.rotationRate;
+
+        emit({
+          acceleration: vector(event.acceleration),
+          accelerationIncludingGravity: vector(event.accelerationIncludingGravity),
+          rotation,
+          rotationRate: rate && rate.alpha !== null
+            ? { alpha: rate.alpha, beta: rate.beta, gamma: rate.gamma, timestamp }
+            : null,
+          interval: event.interval,
+          orientation: getOrientationAngle()
+        });
+      });
+
+      return () => {
+        window.removeEventListener('deviceorientation', handleOrientation);
+        stopMotion();
+      };
+    }
+  });
+  DeviceMotion.Gravity = STANDARD_GRAVITY;
+
+  // No browser exposes air pressure
+  const Barometer = createSensor({
+    isAvailable: async () => false,
+    start: () => () => {}
+  });
+
+  // Browsers have no step counter or step history
+  const Pedometer = {
+    isAvailableAsync: async () => false,
+    getPermissionsAsync: async () => createPermissionResponse(PermissionStatus.DENIED, false),
+    requestPermissionsAsync: async () => createPermissionResponse(PermissionStatus.DENIED, false),
+    getStepCountAsync: async () => {
+      const error = new Error('Step counting is not available on web');
+      error.code = 'E_SENSOR_UNAVAILABLE';
+      throw error;
+    },
+    watchStepCount: () => ({ remove: () => {} })
+  };
+
+  return {
+    Accelerometer,
+    Gyroscope,
+    Magnetometer: createMagnetometer(),
+    MagnetometerUncalibrated: createMagnetometer(),
+    DeviceMotion,
+    DeviceMotionOrientation,
+    Barometer,
+    Pedometer
+  };
+}
+
+module.exports = {
+  createExpoSensorsAdapter
+};
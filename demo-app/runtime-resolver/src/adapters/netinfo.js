@@ -0,0 +1,349 @@
+/**
+ * NetInfo Adapter - Web implementation of @react-native-community/netinfo
+ *
+ * Connection type and details come from navigator.onLine and the Network
+ * Information API (navigator.connection). isInternetReachable is decided by
+ * periodically probing a configurable reachabilityUrl, like the library does
+ * on native: every reachabilityLongTimeout while reachable and every
+ * reachabilityShortTimeout while not.
+ */
+
+const NetInfoStateType = {
+  unknown: 'unknown',
+  none: 'none',
+  cellular: 'cellular',
+  wifi: 'wifi',
+  bluetooth: 'bluetooth',
+  ethernet: 'ethernet',
+  wimax: 'wimax',
+  vpn: 'vpn',
+  other: 'other'
+};
+
+const NetInfoCellularGeneration = {
+  '2g': '2g',
+  '3g': '3g',
+  '4g': '4g',
+  '5g': '5g'
+};
+
+// Same-origin HEAD by default: the library's generate_204 URL is blocked by CORS in browsers
+const DEFAULT_CONFIGURATION = {
+  reachabilityUrl: '/',
+  reachabilityMethod: 'HEAD',
+  reachabilityHeaders: {},
+  reachabilityTest: response => Promise.resolve(response.ok || response.status === 204),
+  reachabilityShortTimeout: 5 * 1000,
+  reachabilityLongTimeout: 60 * 1000,
+  reachabilityRequestTimeout: 15 * 1000,
+  reachabilityShouldRun: () => true,
+  shouldFetchWiFiSSID: false,
+  useNativeReachability: true
+};
+
+const UNKNOWN_STATE = {
+  type: NetInfoStateType.unknown,
+  isConnected: null,
+  isInternetReachable: null,
+  details: null
+};
+
+// navigator.connection.type values that differ from NetInfoStateType
+const CONNECTION_TYPES = {
+  mixed: NetInfoStateType.other
+};
+
+const EFFECTIVE_TYPE_GENERATIONS = {
+  'slow-2g': NetInfoCellularGeneration['2g'],
+  '2g': NetInfoCellularGeneration['2g'],
+  '3g': NetInfoCellularGeneration['3g'],
+  '4g': NetInfoCellularGeneration['4g']
+};
+
+/**
+ * Get the Network Information API object, if any
+ * @returns {NetworkInformation|null} - navigator.connection
+ */
+function getConnection() {
+  if (typeof navigator === 'undefined') {
+    return null;
+  }
+  return navigator.connection || navigator.mozConnection || navigator.webkitConnection || null;
+}
+
+/**
+ * Read the connection part of the state (everything but isInternetReachable)
+ * @returns {Object} - { type, isConnected, details }
+ */
+function readConnectionState() {
+  if (typeof navigator === 'undefined' || typeof navigator.onLine !== 'boolean') {
+    return { type: UNKNOWN_STATE.type, isConnected: null, details: null };
+  }
+
+  if (!navigator.onLine) {
+    return { type: NetInfoStateType.none, isConnected: false, details: null };
+  }
+
+  const connection = getConnection();
+  if (!connection) {
+    return { type: NetInfoStateType.unknown, isConnected: true, details: null };
+  }
+
+  const reportedType = connection.type;
+  let type = NetInfoStateType.unknown;
+  if (reportedType === 'none') {
+    // Some browsers report 'none' briefly while navigator.onLine is still true
+    type = NetInfoStateType.unknown;
+  } else if (reportedType) {
+    type = CONNECTION_TYPES[reportedType] || NetInfoStateType[reportedType] || NetInfoStateType.other;
+  }
+
+  const details = {
+    isConnectionExpensive: connection.saveData === true || type === NetInfoStateType.cellular
+  };
+
+  // effectiveType describes the measured speed class, which is what the
+  // generation is used for in apps; it is reported for every connection type
+  const generation = EFFECTIVE_TYPE_GENERATIONS[connection.effectiveType];
+  if (generation) {
+    details.cellularGeneration = generation;
+  }
+  if (type === NetInfoStateType.cellular) {
+    details.carrier = null;
+  }
+  if (type === NetInfoStateType.wifi) {
+    Object.assign(details, {
+      ssid: null,
+      bssid: null,
+      strength: null,
+      ipAddress: null,
+      subnet: null,
+      frequency: null,
+      linkSpeed: typeof connection.downlink === 'number' ? connection.downlink : null,
+      rxLinkSpeed: null,
+      txLinkSpeed: null
+    });
+  }
+
+  return { type, isConnected: true, details };
+}
+
+/**
+ * Create the @react-native-community/netinfo web adapter
+ * @param {Object} options - Adapter options, same keys as NetInfo.configure
+ * @returns {Object} - Adapter exports keyed by export name
+ */
+function createNetInfoAdapter(options = {}) {
+  let configuration = { ...DEFAULT_CONFIGURATION, ...options };
+  let state = null;
+  let isInternetReachable = null;
+  let probeTimer = null;
+  let probeController = null;
+  let pendingProbe = null;
+  let detachEvents = null;
+  const listeners = new Set();
+
+  const buildState = () => ({ ...readConnectionState(), isInternetReachable });
+
+  const setState = nextState => {
+    const changed = !state || JSON.stringify(state) !== JSON.stringify(nextState);
+    state = nextState;
+    if (changed) {
+      listeners.forEach(listener => listener(state));
+    }
+  };
+
+  const cancelProbe = () => {
+    clearTimeout(probeTimer);
+    probeTimer = null;
+    if (probeController) {
+      probeController.abort();
+      probeController = null;
+    }
+    pendingProbe = null;
+  };
+
+  const probe = async () => {
+    const { reachabilityUrl, reachabilityMethod, reachabilityHeaders, reachabilityTest, reachabilityRequestTimeout } = configuration;
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    probeController = controller;
+    const timeout = setTimeout(() => controller && controller.abort(), reachabilityRequestTimeout);
+
+    try {
+      const response = await fetch(reachabilityUrl, {
+        method: reachabilityMethod,
+        headers: reachabilityHeaders,
+        cache: 'no-store',
+        signal: controller ? controller.signal : undefined
+      });
+      return !!(await reachabilityTest(response));
+    } catch (error) {
+      return false;
+    } finally {
+      clearTimeout(timeout);
+      if (probeController === controller) {
+        probeController = null;
+      }
+    }
+  };
+
+  /**
+   * Re-read the connection and, when connected, check reachability
+   * @returns {Promise<Object>} - The resulting state
+   */
+  const update = () => {
+    cancelProbe();
+    const connectionState = readConnectionState();
+
+    if (connectionState.isConnected !== true || typeof fetch !== 'function' || !configuration.reachabilityShouldRun()) {
+      isInternetReachable = connectionState.isConnected === false ? false : null;
+      setState(buildState());
+      return Promise.resolve(state);
+    }
+
+    // Keep the previous answer while the new probe is in flight
+    setState(buildState());
+
+    const current = probe().then(reachable => {
+      // Superseded by a newer update; answer with its result instead
+      if (pendingProbe !== current) {
+        return pendingProbe || state;
+      }
+      pendingProbe = null;
+      isInternetReachable = reachable;
+      setState(buildState());
+
+      if (listeners.size > 0) {
+        const delay = reachable ? configuration.reachabilityLongTimeout : configuration.reachabilityShortTimeout;
+        probeTimer = setTimeout(update, delay);
+      }
+      return state;
+    });
+    pendingProbe = current;
+    return current;
+  };
+
+  const attachEvents = () => {
+    if (typeof window === 'undefined' || !window.addEventListener) {
+      return () => {};
+    }
+
+    const connection = getConnection();
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    if (connection && connection.addEventListener) {
+      connection.addEventListener('change', update);
+    }
+
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+      if (connection && connection.removeEventListener) {
+        connection.removeEventListener('change', update);
+      }
+    };
+  };
+
+  const fetchState = async requestedInterface => {
+    if (requestedInterface && requestedInterface !== readConnectionState().type) {
+      return { ...UNKNOWN_STATE, type: requestedInterface, isConnected: false, isInternetReachable: false };
+    }
+    if (pendingProbe) {
+      return pendingProbe;
+    }
+    if (!state || listeners.size === 0) {
+      return update();
+    }
+    return state;
+  };
+
+  const addEventListener = listener => {
+    listeners.add(listener);
+    // Subscribers always get the current state right away
+    if (state) {
+      listener(state);
+    }
+    if (!detachEvents) {
+      detachEvents = attachEvents();
+      update();
+    }
+
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0 && detachEvents) {
+        detachEvents();
+        detachEvents = null;
+        cancelProbe();
+      }
+    };
+  };
+
+  const configure = configurationOverrides => {
+    configuration = { ...DEFAULT_CONFIGURATION, ...options, ...configurationOverrides };
+    if (detachEvents) {
+      update();
+    }
+  };
+
+  /**
+   * Subscribe a component to the network state
+   * @param {boolean} isPaused - Stop listening while true
+   * @param {Object} [configurationOverrides] - Passed to configure
+   * @returns {Object} - { netInfo, refresh }
+   */
+  const useNetInfoInstance = (isPaused = false, configurationOverrides) => {
+    const React = require('react');
+    const [netInfo, setNetInfo] = React.useState(state || UNKNOWN_STATE);
+
+    // Callers usually pass an inline object, so reconfigure only when its
+    // values change. Function fields call through the ref to the latest render.
+    const overridesRef = React.useRef(configurationOverrides);
+    overridesRef.current = configurationOverrides;
+    const configurationKey = configurationOverrides
+      ? JSON.stringify(configurationOverrides, (key, value) => (typeof value === 'function' ? 'function' : value))
+      : null;
+
+    React.useEffect(() => {
+      const overrides = overridesRef.current;
+      if (!overrides) {
+        return;
+      }
+      const delegated = { ...overrides };
+      Object.keys(overrides).forEach(key => {
+        if (typeof overrides[key] === 'function') {
+          delegated[key] = (...args) => {
+            const latest = overridesRef.current && overridesRef.current[key];
+            return (typeof latest === 'function' ? latest : overrides[key])(...args);
+          };
+        }
+      });
+      configure(delegated);
+    }, [configurationKey]);
+
+    React.useEffect(() => (isPaused ? undefined : addEventListener(setNetInfo)), [isPaused]);
+
+    const refresh = React.useCallback(() => update(), []);
+
+    return { netInfo, refresh };
+  };
+
+  const NetInfo = {
+    configure,
+    fetch: fetchState,
+    refresh: update,
+    addEventListener,
+    useNetInfo: configurationOverrides => useNetInfoInstance(false, configurationOverrides).netInfo,
+    useNetInfoInstance
+  };
+
+  return {
+    ...NetInfo,
+    NetInfoStateType,
+    NetInfoCellularGeneration,
+    default: NetInfo
+  };
+}
+
+module.exports = {
+  createNetInfoAdapter
+};
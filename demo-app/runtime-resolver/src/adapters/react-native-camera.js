@@ -0,0 +1,25 @@
+/**
+ * Camera Adapter - Web stand-in for the deprecated react-native-camera
+ *
+ * The library has no web counterpart; calls reject with a clear error so
+ * apps can switch to expo-camera or react-native-image-picker on web.
+ */
+
+/**
+ * Create the react-native-camera web adapter
+ * @param {Object} [options] - Adapter options (none yet)
+ * @param {Object} [logger] - Logger for adapter messages
+ * @returns {Object} - Adapter exports keyed by export name
+ */
+function createReactNativeCameraAdapter(options = {}, logger = console) {
+  return {
+    takePicture: () => {
+      logger.warn('Camera not available on web platform');
+      return Promise.reject(new Error('Camera not supported on web'));
+    }
+  };
+}
+
+module.exports = {
+  createReactNativeCameraAdapter
+};
@@ -0,0 +1,434 @@
+/**
+ * Device Info Adapter - Web implementation of react-native-device-info
+ *
+ * Every value is declared once in DEVICE_VALUES together with the browser
+ * source it is derived from; the native sync/async method pairs are generated
+ * from that table. Values the browser only exposes asynchronously (high
+ * entropy Client Hints, battery, storage estimate) are loaded when the
+ * adapter is created, so the sync variants fall back to a coarser source or
+ * the native "unknown" value until they arrive. The sources are exported as
+ * `webOrigins`, keyed by method name.
+ */
+
+const { getSafeAreaMetrics } = require('../safe-area-metrics');
+
+const UNIQUE_ID_KEY = '@RuntimeResolver:deviceUniqueId';
+const FIRST_INSTALL_TIME_KEY = '@RuntimeResolver:firstInstallTime';
+
+const HIGH_ENTROPY_HINTS = ['model', 'platformVersion', 'architecture', 'bitness', 'fullVersionList'];
+
+const LOW_BATTERY_LEVEL = 0.2;
+
+/**
+ * Get localStorage if it can be used
+ * @returns {Storage|null} - localStorage
+ */
+function getStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read a persisted value, creating and storing it on first use
+ * @param {string} key - Storage key
+ * @param {Function} create - Creates the initial value
+ * @returns {string} - Persisted value
+ */
+function getPersistedValue(key, create) {
+  const storage = getStorage();
+  try {
+    const existing = storage && storage.getItem(key);
+    if (existing) {
+      return existing;
+    }
+  } catch (error) {
+    // Storage blocked (e.g. Safari private mode), fall through
+  }
+
+  const value = create();
+  try {
+    if (storage) {
+      storage.setItem(key, value);
+    }
+  } catch (error) {
+    // The value just won't survive a reload
+  }
+  return value;
+}
+
+/**
+ * Generate a random unique ID
+ * @returns {string} - UUID
+ */
+function createUniqueId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `web-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Parse the operating system from the User-Agent string
+ * @param {string} userAgent - navigator.userAgent
+ * @param {number} maxTouchPoints - navigator.maxTouchPoints
+ * @returns {Object} - { name, version }
+ */
+function parseSystem(userAgent, maxTouchPoints) {
+  let match = userAgent.match(/Android\s([\d.]+)/);
+  if (match) {
+    return { name: 'Android', version: match[1] };
+  }
+
+  match = userAgent.match(/(iPhone|iPod|iPad).*OS\s([\d_]+)/);
+  if (match) {
+    return { name: match[1] === 'iPad' ? 'iPadOS' : 'iOS', version: match[2].replace(/_/g, '.') };
+  }
+
+  match = userAgent.match(/Mac OS X\s([\d_.]+)/);
+  if (match) {
+    // iPadOS 13+ reports a desktop Safari User-Agent
+    const name = maxTouchPoints > 1 ? 'iPadOS' : 'macOS';
+    return { name, version: match[1].replace(/_/g, '.') };
+  }
+
+  match = userAgent.match(/Windows NT\s([\d.]+)/);
+  if (match) {
+    return { name: 'Windows', version: match[1] };
+  }
+
+  match = userAgent.match(/CrOS\s\S+\s([\d.]+)/);
+  if (match) {
+    return { name: 'ChromeOS', version: match[1] };
+  }
+
+  if (/Linux/.test(userAgent)) {
+    return { name: 'Linux', version: 'unknown' };
+  }
+
+  return { name: 'unknown', version: 'unknown' };
+}
+
+/**
+ * Map a Client Hints platform name to the names used by parseSystem
+ * @param {string} platform - navigator.userAgentData.platform
+ * @returns {string|null} - System name
+ */
+function normalizePlatform(platform) {
+  const names = {
+    Android: 'Android',
+    iOS: 'iOS',
+    macOS: 'macOS',
+    Windows: 'Windows',
+    Linux: 'Linux',
+    'Chrome OS': 'ChromeOS',
+    'Chromium OS': 'ChromeOS'
+  };
+  return names[platform] || null;
+}
+
+/**
+ * Pick the browser brand from Client Hints, ignoring GREASE entries
+ * @param {Array} brands - [{ brand, version }]
+ * @returns {Object|null} - { brand, version }
+ */
+function pickBrowserBrand(brands) {
+  if (!Array.isArray(brands)) {
+    return null;
+  }
+  const real = brands.filter(({ brand }) => !/Not.?A.?Brand/i.test(brand));
+  return real.find(({ brand }) => brand !== 'Chromium') || real[0] || null;
+}
+
+/**
+ * Create the react-native-device-info web adapter
+ * @param {Object} options - Adapter options
+ * @param {string} [options.applicationName] - Defaults to document.title
+ * @param {string} [options.bundleId] - Defaults to location.hostname
+ * @param {string} [options.version] - App version reported by getVersion
+ * @param {string} [options.buildNumber] - Build number reported by getBuildNumber
+ * @returns {Object} - Adapter exports keyed by export name
+ */
+function createDeviceInfoAdapter(options = {}) {
+  const nav = typeof navigator !== 'undefined' ? navigator : {};
+  const userAgent = nav.userAgent || '';
+  const userAgentData = nav.userAgentData || null;
+
+  const state = {
+    hints: null,
+    battery: null,
+    storageEstimate: null
+  };
+
+  const batteryListeners = new Set();
+
+  const hintsReady = userAgentData && typeof userAgentData.getHighEntropyValues === 'function'
+    ? userAgentData.getHighEntropyValues(HIGH_ENTROPY_HINTS)
+      .then(hints => { state.hints = hints; })
+      .catch(() => {})
+    : Promise.resolve();
+
+  const batteryReady = typeof nav.getBattery === 'function'
+    ? nav.getBattery()
+      .then(battery => {
+        state.battery = battery;
+        const notify = () => batteryListeners.forEach(listener => listener());
+        ['levelchange', 'chargingchange'].forEach(event => battery.addEventListener(event, notify));
+      })
+      .catch(() => {})
+    : Promise.resolve();
+
+  const loadStorageEstimate = () => (nav.storage && typeof nav.storage.estimate === 'function'
+    ? nav.storage.estimate()
+      .then(estimate => { state.storageEstimate = estimate; })
+      .catch(() => {})
+    : Promise.resolve());
+  const storageReady = loadStorageEstimate();
+
+  const getSystem = () => {
+    const parsed = parseSystem(userAgent, nav.maxTouchPoints || 0);
+    const hinted = userAgentData && normalizePlatform(userAgentData.platform);
+    // Client Hints cannot tell iPadOS from macOS, the touch check in parseSystem can
+    const name = hinted && !(hinted === 'macOS' && parsed.name === 'iPadOS') ? hinted : parsed.name;
+    const version = state.hints && state.hints.platformVersion ? state.hints.platformVersion : parsed.version;
+    return { name, version };
+  };
+
+  const isTablet = () => {
+    const systemName = getSystem().name;
+    if (systemName === 'iPadOS' || /iPad|Tablet/i.test(userAgent)) {
+      return true;
+    }
+    if (userAgentData && typeof userAgentData.mobile === 'boolean' && systemName === 'Android') {
+      return !userAgentData.mobile;
+    }
+    return systemName === 'Android' && !/Mobile/.test(userAgent);
+  };
+
+  const getDeviceType = () => {
+    if (isTablet()) {
+      return 'Tablet';
+    }
+    const systemName = getSystem().name;
+    if (systemName === 'iOS' || systemName === 'Android' || (userAgentData && userAgentData.mobile)) {
+      return 'Handset';
+    }
+    return ['macOS', 'Windows', 'Linux', 'ChromeOS'].includes(systemName) ? 'Desktop' : 'unknown';
+  };
+
+  const getModel = () => {
+    if (state.hints && state.hints.model) {
+      return state.hints.model;
+    }
+    const match = userAgent.match(/Android[^;]*;\s*([^;)]+?)(?:\sBuild\/|\))/);
+    if (match && match[1] !== 'K') {
+      return match[1].trim();
+    }
+    const models = { iOS: /iPod/.test(userAgent) ? 'iPod touch' : 'iPhone', iPadOS: 'iPad', macOS: 'Mac' };
+    return models[getSystem().name] || 'unknown';
+  };
+
+  const getBrand = () => {
+    if (['iOS', 'iPadOS', 'macOS'].includes(getSystem().name)) {
+      return 'Apple';
+    }
+    const model = getModel();
+    const brands = [
+      [/^(SM-|Galaxy|GT-)/i, 'samsung'],
+      [/^Pixel/i, 'google'],
+      [/^(Redmi|POCO|Mi\s|M\d{4})/i, 'Xiaomi'],
+      [/^(CPH|OPPO)/i, 'OPPO'],
+      [/^(ONEPLUS|[A-Z]{2}\d{4}$)/i, 'OnePlus'],
+      [/^moto/i, 'motorola']
+    ];
+    const entry = brands.find(([pattern]) => pattern.test(model));
+    return entry ? entry[1] : 'unknown';
+  };
+
+  const getBrowser = () => {
+    const brand = userAgentData && pickBrowserBrand(
+      state.hints && state.hints.fullVersionList ? state.hints.fullVersionList : userAgentData.brands
+    );
+    if (brand) {
+      return `${brand.brand} ${brand.version}`;
+    }
+    const match = userAgent.match(/(Firefox|Edg|OPR|Chrome|Version)\/([\d.]+)/);
+    if (!match) {
+      return 'unknown';
+    }
+    const names = { Edg: 'Microsoft Edge', OPR: 'Opera', Version: 'Safari' };
+    return `${names[match[1]] || match[1]} ${match[2]}`;
+  };
+
+  const getUniqueId = () => getPersistedValue(UNIQUE_ID_KEY, createUniqueId);
+
+  const getBatteryLevel = () => (state.battery ? state.battery.level : -1);
+
+  const getPowerState = () => {
+    if (!state.battery) {
+      return {};
+    }
+    const { level, charging } = state.battery;
+    let batteryState = 'unplugged';
+    if (charging) {
+      batteryState = level >= 1 ? 'full' : 'charging';
+    }
+    return { batteryLevel: level, batteryState, lowPowerMode: false };
+  };
+
+  const getMemory = key => {
+    const memory = typeof performance !== 'undefined' ? performance.memory : null;
+    return memory && typeof memory[key] === 'number' ? memory[key] : -1;
+  };
+
+  const getStorageValue = read => (state.storageEstimate ? read(state.storageEstimate) : -1);
+
+  /**
+   * Every device value, with the browser source it comes from.
+   * `pair` generates getX (Promise) and getXSync; `ready` is awaited by the
+   * Promise variant before reading. Without `pair` the method is sync only,
+   * as in react-native-device-info.
+   */
+  const DEVICE_VALUES = {
+    getBrand: { origin: 'Apple for Apple platforms, else inferred from the UA-CH model', get: getBrand },
+    getModel: { origin: 'UA-CH model, else the Android User-Agent model or the Apple device family', get: getModel },
+    getDeviceId: { origin: 'Same as getModel', get: getModel },
+    getSystemName: { origin: 'UA-CH platform, else the User-Agent OS token', get: () => getSystem().name },
+    getSystemVersion: { origin: 'UA-CH platformVersion, else the User-Agent OS version', get: () => getSystem().version },
+    getDeviceType: { origin: 'Derived from the system name, UA-CH mobile and isTablet', get: getDeviceType },
+    isTablet: { origin: 'iPadOS touch check, UA-CH mobile or a non-"Mobile" Android User-Agent', get: isTablet },
+    hasNotch: { origin: 'env(safe-area-inset-top) greater than zero', get: () => getSafeAreaMetrics().insets.top > 0 },
+    hasDynamicIsland: { origin: 'Not observable on web', get: () => false },
+    getBundleId: { origin: 'options.bundleId, else location.hostname', get: () => options.bundleId || (typeof location !== 'undefined' ? location.hostname : 'unknown') },
+    getApplicationName: { origin: 'options.applicationName, else document.title', get: () => options.applicationName || (typeof document !== 'undefined' && document.title) || 'unknown' },
+    getVersion: { origin: 'options.version', get: () => options.version || 'unknown' },
+    getBuildNumber: { origin: 'options.buildNumber', get: () => options.buildNumber || 'unknown' },
+    getReadableVersion: { origin: 'options.version and options.buildNumber', get: () => `${options.version || 'unknown'}.${options.buildNumber || 'unknown'}` },
+
+    getUniqueId: { pair: true, origin: 'Random UUID persisted in localStorage', get: getUniqueId },
+    getInstanceId: { pair: true, origin: 'Same as getUniqueId', get: getUniqueId },
+    getFirstInstallTime: { pair: true, origin: 'Timestamp persisted in localStorage on first run', get: () => Number(getPersistedValue(FIRST_INSTALL_TIME_KEY, () => String(Date.now()))) },
+    getLastUpdateTime: { pair: true, origin: 'Not observable on web', get: () => -1 },
+    getManufacturer: { pair: true, ready: hintsReady, origin: 'Same as getBrand', get: getBrand },
+    getDeviceName: { pair: true, ready: hintsReady, origin: 'Browser brand and version (UA-CH brands, else User-Agent) with the system name', get: () => `${getBrowser()} on ${getSystem().name}` },
+    getUserAgent: { pair: true, origin: 'navigator.userAgent', get: () => userAgent || 'unknown' },
+    getBaseOs: { pair: true, origin: 'Same as getSystemName', get: () => getSystem().name },
+    supportedAbis: { pair: true, ready: hintsReady, origin: 'UA-CH architecture and bitness', get: () => (state.hints && state.hints.architecture ? [`${state.hints.architecture}${state.hints.bitness ? `-${state.hints.bitness}` : ''}`] : []) },
+    getBatteryLevel: { pair: true, ready: batteryReady, origin: 'Battery Status API level, -1 when unavailable', get: getBatteryLevel },
+    getPowerState: { pair: true, ready: batteryReady, origin: 'Battery Status API level and charging', get: getPowerState },
+    isBatteryCharging: { pair: true, ready: batteryReady, origin: 'Battery Status API charging', get: () => !!(state.battery && state.battery.charging) },
+    getTotalMemory: { pair: true, origin: 'navigator.deviceMemory (GiB, rounded by the browser) in bytes, -1 when unavailable', get: () => (typeof nav.deviceMemory === 'number' ? nav.deviceMemory * 1024 * 1024 * 1024 : -1) },
+    getUsedMemory: { pair: true, origin: 'performance.memory.usedJSHeapSize (Chromium only)', get: () => getMemory('usedJSHeapSize') },
+    getMaxMemory: { pair: true, origin: 'performance.memory.jsHeapSizeLimit (Chromium only)', get: () => getMemory('jsHeapSizeLimit') },
+    getFreeDiskStorage: { pair: true, ready: storageReady, origin: 'navigator.storage.estimate() quota minus usage', get: () => getStorageValue(({ quota, usage }) => quota - usage) },
+    getTotalDiskCapacity: { pair: true, ready: storageReady, origin: 'navigator.storage.estimate() quota', get: () => getStorageValue(({ quota }) => quota) },
+    getFontScale: { pair: true, origin: 'Root element font size relative to 16px', get: () => (typeof document !== 'undefined' && typeof getComputedStyle !== 'undefined' ? (parseFloat(getComputedStyle(document.documentElement).fontSize) || 16) / 16 : 1) },
+    isLandscape: { pair: true, origin: 'window.innerWidth greater than window.innerHeight', get: () => typeof window !== 'undefined' && window.innerWidth > window.innerHeight },
+    isLocationEnabled: { pair: true, origin: 'navigator.geolocation presence', get: () => !!nav.geolocation },
+    isEmulator: { pair: true, origin: 'navigator.webdriver (automated browsers)', get: () => !!nav.webdriver },
+    getCarrier: { pair: true, origin: 'Not observable on web', get: () => 'unknown' },
+    getIpAddress: { pair: true, origin: 'Not observable on web', get: () => 'unknown' },
+    getMacAddress: { pair: true, origin: 'Not observable on web', get: () => 'unknown' },
+    isHeadphonesConnected: { pair: true, origin: 'Not observable on web', get: () => false },
+    isAirplaneMode: { pair: true, origin: 'Not observable on web', get: () => false },
+    isPinOrFingerprintSet: { pair: true, origin: 'Not observable on web', get: () => false }
+  };
+
+  // Not part of react-native-device-info: where each value comes from on web
+  const webOrigins = {};
+  const adapter = { webOrigins };
+  Object.entries(DEVICE_VALUES).forEach(([name, { pair, ready, origin, get }]) => {
+    webOrigins[name] = origin;
+    if (!pair) {
+      adapter[name] = () => get();
+      return;
+    }
+    adapter[name] = async () => {
+      await ready;
+      return get();
+    };
+    adapter[`${name}Sync`] = () => get();
+  });
+
+  adapter.syncUniqueId = async () => getUniqueId();
+
+  adapter.isLowBatteryLevel = level => level >= 0 && level < LOW_BATTERY_LEVEL;
+
+  adapter.refreshDiskStorage = loadStorageEstimate;
+
+  /**
+   * Subscribe to battery changes
+   * @param {Function} listener - Called after level or charging changes
+   * @returns {Function} - Unsubscribe function
+   */
+  const addBatteryListener = listener => {
+    batteryListeners.add(listener);
+    return () => batteryListeners.delete(listener);
+  };
+
+  // Hooks mirror react-native-device-info's { loading, result } shape
+  const useAsyncValue = (getValue, initialResult) => {
+    const React = require('react');
+    const [response, setResponse] = React.useState({ loading: true, result: initialResult });
+
+    React.useEffect(() => {
+      let active = true;
+      getValue().then(result => {
+        if (active) {
+          setResponse({ loading: false, result });
+        }
+      });
+      return () => { active = false; };
+    }, []);
+
+    return response;
+  };
+
+  const useBatteryValue = read => {
+    const React = require('react');
+    const [value, setValue] = React.useState(() => read());
+
+    React.useEffect(() => {
+      let active = true;
+      batteryReady.then(() => {
+        if (active) {
+          setValue(read());
+        }
+      });
+      const unsubscribe = addBatteryListener(() => setValue(read()));
+      return () => {
+        active = false;
+        unsubscribe();
+      };
+    }, []);
+
+    return value;
+  };
+
+  adapter.useBatteryLevel = () => {
+    const level = useBatteryValue(getBatteryLevel);
+    return level < 0 ? null : level;
+  };
+  adapter.useBatteryLevelIsLow = () => {
+    const level = useBatteryValue(getBatteryLevel);
+    return adapter.isLowBatteryLevel(level) ? level : null;
+  };
+  adapter.usePowerState = () => useBatteryValue(getPowerState);
+  adapter.useFirstInstallTime = () => useAsyncValue(adapter.getFirstInstallTime, -1);
+  adapter.useDeviceName = () => useAsyncValue(adapter.getDeviceName, 'unknown');
+  adapter.useManufacturer = () => useAsyncValue(adapter.getManufacturer, 'unknown');
+  adapter.useIsEmulator = () => useAsyncValue(adapter.isEmulator, false);
+  adapter.useIsHeadphonesConnected = () => useAsyncValue(adapter.isHeadphonesConnected, false);
+  adapter.useHasSystemFeature = () => ({ loading: false, result: false });
+
+  adapter.hasSystemFeature = async () => false;
+  adapter.hasSystemFeatureSync = () => false;
+
+  return { ...adapter, default: adapter };
+}
+
+module.exports = {
+  createDeviceInfoAdapter
+};
@@ -0,0 +1,286 @@
+/**
+ * Image Picker Adapter - Web implementation of react-native-image-picker
+ *
+ * Opens a hidden <input type="file"> configured from the picker options and
+ * resolves with the native { assets } response shape. Images are downscaled
+ * through a canvas to honor maxWidth/maxHeight/quality.
+ */
+
+// How long after the window regains focus a picker without a selection
+// counts as cancelled, in browsers without the input 'cancel' event
+const CANCEL_CHECK_DELAY = 1000;
+
+/**
+ * Build the `accept` attribute for a mediaType
+ * @param {string} mediaType - 'photo', 'video' or 'mixed'
+ * @returns {string} - accept attribute value
+ */
+function toAccept(mediaType) {
+  if (mediaType === 'video') {
+    return 'video/*';
+  }
+  if (mediaType === 'mixed') {
+    return 'image/*,video/*';
+  }
+  return 'image/*';
+}
+
+/**
+ * Read a blob as a base64 string without the data URL prefix
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<string>} - Base64 string
+ */
+function readAsBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = reader.result;
+      resolve(result.slice(result.indexOf(',') + 1));
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Load an image element from a URL
+ * @param {string} url - Object URL
+ * @returns {Promise<HTMLImageElement>} - Loaded image
+ */
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Unable to read the selected image'));
+    image.src = url;
+  });
+}
+
+/**
+ * Load video metadata from a URL
+ * @param {string} url - Object URL
+ * @returns {Promise<Object>} - { width, height, duration }
+ */
+function loadVideoMetadata(url) {
+  return new Promise(resolve => {
+    const video = document.createElement('video');
+    video.preload = 'metadata';
+    video.onloadedmetadata = () => resolve({
+      width: video.videoWidth,
+      height: video.videoHeight,
+      duration: video.duration
+    });
+    video.onerror = () => resolve({ width: undefined, height: undefined, duration: undefined });
+    video.src = url;
+  });
+}
+
+/**
+ * Compute the output size that fits inside maxWidth/maxHeight
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {Object} options - { maxWidth, maxHeight }
+ * @returns {Object} - { width, height }
+ */
+function fitSize(width, height, { maxWidth, maxHeight }) {
+  const scale = Math.min(
+    1,
+    maxWidth > 0 ? maxWidth / width : 1,
+    maxHeight > 0 ? maxHeight / height : 1
+  );
+
+  return {
+    width: Math.round(width * scale),
+    height: Math.round(height * scale)
+  };
+}
+
+/**
+ * Turn a selected image file into an asset, downscaling it when needed
+ * @param {File} file - Selected file
+ * @param {Object} options - Picker options
+ * @returns {Promise<Object>} - Asset
+ */
+async function createImageAsset(file, options) {
+  const sourceUrl = URL.createObjectURL(file);
+  const image = await loadImage(sourceUrl);
+  const size = fitSize(image.naturalWidth, image.naturalHeight, options);
+  const quality = typeof options.quality === 'number' ? options.quality : 1;
+
+  // Animated GIFs would lose their frames on a canvas, keep them as they are
+  const needsProcessing = file.type !== 'image/gif' &&
+    (size.width !== image.naturalWidth || size.height !== image.naturalHeight || quality < 1);
+
+  let blob = file;
+  let uri = sourceUrl;
+
+  if (needsProcessing) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+    canvas.getContext('2d').drawImage(image, 0, 0, size.width, size.height);
+
+    const type = file.type === 'image/png' && quality >= 1 ? 'image/png' : 'image/jpeg';
+    blob = await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    URL.revokeObjectURL(sourceUrl);
+    uri = URL.createObjectURL(blob);
+  }
+
+  const asset = {
+    uri,
+    type: blob.type || file.type,
+    fileName: file.name,
+    fileSize: blob.size,
+    width: size.width,
+    height: size.height
+  };
+
+  if (options.includeBase64) {
+    asset.base64 = await readAsBase64(blob);
+  }
+
+  return asset;
+}
+
+/**
+ * Turn a selected video file into an asset
+ * @param {File} file - Selected file
+ * @param {Object} options - Picker options
+ * @returns {Promise<Object>} - Asset
+ */
+async function createVideoAsset(file, options) {
+  const uri = URL.createObjectURL(file);
+  const metadata = await loadVideoMetadata(uri);
+
+  const asset = {
+    uri,
+    type: file.type,
+    fileName: file.name,
+    fileSize: file.size,
+    width: metadata.width,
+    height: metadata.height,
+    duration: metadata.duration
+  };
+
+  if (options.includeBase64) {
+    asset.base64 = await readAsBase64(file);
+  }
+
+  return asset;
+}
+
+/**
+ * Open a file picker and wait for the selection
+ * @param {Object} options - Picker options
+ * @param {boolean} useCamera - Whether to ask for camera capture
+ * @returns {Promise<FileList|null>} - Selected files, or null when cancelled
+ */
+function pickFiles(options, useCamera) {
+  return new Promise(resolve => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = toAccept(options.mediaType);
+    input.style.display = 'none';
+
+    const selectionLimit = options.selectionLimit === undefined ? 1 : options.selectionLimit;
+    input.multiple = !useCamera && selectionLimit !== 1;
+
+    if (useCamera) {
+      input.setAttribute('capture', options.cameraType === 'front' ? 'user' : 'environment');
+    }
+
+    // Browsers without the input 'cancel' event get the window focus back when
+    // the picker closes, but 'change' can follow a moment later. Give it
+    // CANCEL_CHECK_DELAY, or until the next interaction with the page, before
+    // treating the picker as cancelled, so the call always settles.
+    const supportsCancelEvent = 'oncancel' in input;
+    const interactionEvents = ['pointerdown', 'keydown'];
+
+    let settled = false;
+    let cancelTimer = null;
+    const finish = files => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(cancelTimer);
+      window.removeEventListener('focus', handleFocus);
+      interactionEvents.forEach(eventName => document.removeEventListener(eventName, checkCancelled, true));
+      input.remove();
+      resolve(files);
+    };
+
+    const checkCancelled = () => {
+      if (!input.files || input.files.length === 0) {
+        finish(null);
+      }
+    };
+
+    const handleFocus = () => {
+      window.removeEventListener('focus', handleFocus);
+      interactionEvents.forEach(eventName => document.addEventListener(eventName, checkCancelled, true));
+      cancelTimer = setTimeout(checkCancelled, CANCEL_CHECK_DELAY);
+    };
+
+    input.addEventListener('change', () => finish(input.files && input.files.length > 0 ? input.files : null));
+    input.addEventListener('cancel', () => finish(null));
+    if (!supportsCancelEvent) {
+      window.addEventListener('focus', handleFocus);
+    }
+
+    // Safari only opens pickers for inputs that are in the document
+    document.body.appendChild(input);
+    input.click();
+  });
+}
+
+/**
+ * Run a picker and build the native response
+ * @param {Object} options - Picker options
+ * @param {boolean} useCamera - Whether to ask for camera capture
+ * @returns {Promise<Object>} - ImagePickerResponse
+ */
+async function launchPicker(options = {}, useCamera) {
+  if (typeof document === 'undefined') {
+    return { errorCode: useCamera ? 'camera_unavailable' : 'others', errorMessage: 'File selection requires a browser' };
+  }
+
+  const files = await pickFiles(options, useCamera);
+  if (!files) {
+    return { didCancel: true };
+  }
+
+  const selectionLimit = options.selectionLimit === undefined ? 1 : options.selectionLimit;
+  const selected = Array.from(files).slice(0, selectionLimit > 0 ? selectionLimit : undefined);
+
+  try {
+    const assets = await Promise.all(selected.map(file => (
+      file.type.startsWith('video/') ? createVideoAsset(file, options) : createImageAsset(file, options)
+    )));
+    return { assets };
+  } catch (error) {
+    return { errorCode: 'others', errorMessage: error.message };
+  }
+}
+
+/**
+ * Create the react-native-image-picker web adapter
+ * @returns {Object} - Adapter exports keyed by export name
+ */
+function createImagePickerAdapter() {
+  const withCallback = useCamera => (options, callback) => launchPicker(options, useCamera).then(response => {
+    if (typeof callback === 'function') {
+      callback(response);
+    }
+    return response;
+  });
+
+  return {
+    launchImageLibrary: withCallback(false),
+    launchCamera: withCallback(true)
+  };
+}
+
+module.exports = {
+  createImagePickerAdapter
+};
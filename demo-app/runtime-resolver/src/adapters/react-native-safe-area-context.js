@@ -0,0 +1,152 @@
+/**
+ * Safe Area Context Adapter - Web implementation of react-native-safe-area-context
+ *
+ * Measures env(safe-area-inset-*) through a probe element, takes the frame
+ * from the window size and keeps both up to date on resize and orientation
+ * changes.
+ */
+
+const {
+  EDGES,
+  measureFrame,
+  getSafeAreaMetrics,
+  addSafeAreaMetricsListener
+} = require('../safe-area-metrics');
+
+/**
+ * Resolve how an edge is applied for SafeAreaView's `edges` prop
+ * @param {Array|Object|undefined} edges - Array of edges or { edge: 'off' | 'additive' | 'maximum' }
+ * @param {string} edge - Edge name
+ * @returns {string} - 'off', 'additive' or 'maximum'
+ */
+function getEdgeMode(edges, edge) {
+  if (!edges) {
+    return 'additive';
+  }
+  if (Array.isArray(edges)) {
+    return edges.includes(edge) ? 'additive' : 'off';
+  }
+  return edges[edge] || 'off';
+}
+
+/**
+ * Create the react-native-safe-area-context web adapter
+ * @returns {Object} - Adapter exports keyed by export name
+ */
+function createSafeAreaContextAdapter() {
+  const React = require('react');
+  const { View, StyleSheet } = require('react-native');
+
+  const SafeAreaInsetsContext = React.createContext(null);
+  SafeAreaInsetsContext.displayName = 'SafeAreaInsetsContext';
+
+  const SafeAreaFrameContext = React.createContext(null);
+  SafeAreaFrameContext.displayName = 'SafeAreaFrameContext';
+
+  const initialWindowMetrics = typeof window !== 'undefined' ? getSafeAreaMetrics() : null;
+
+  /**
+   * Track window metrics in state; only subscribes while enabled
+   */
+  function useWindowMetrics(enabled, initialMetrics) {
+    const [metrics, setMetrics] = React.useState(() => initialMetrics || getSafeAreaMetrics());
+
+    React.useEffect(() => {
+      if (!enabled) {
+        return undefined;
+      }
+      // Measure again once mounted, the probe may not have existed before
+      setMetrics(getSafeAreaMetrics());
+      return addSafeAreaMetricsListener(setMetrics);
+    }, [enabled]);
+
+    return metrics;
+  }
+
+  function SafeAreaProvider({ children, style, initialMetrics, initialSafeAreaInsets, ...rest }) {
+    const parentInsets = React.useContext(SafeAreaInsetsContext);
+    const seed = initialMetrics || (initialSafeAreaInsets
+      ? { insets: initialSafeAreaInsets, frame: measureFrame() }
+      : null);
+    const metrics = useWindowMetrics(true, seed);
+
+    return React.createElement(
+      SafeAreaFrameContext.Provider,
+      { value: metrics.frame },
+      React.createElement(
+        SafeAreaInsetsContext.Provider,
+        { value: parentInsets || metrics.insets },
+        React.createElement(View, { style: [{ flex: 1 }, style], ...rest }, children)
+      )
+    );
+  }
+
+  function useSafeAreaInsets() {
+    const insets = React.useContext(SafeAreaInsetsContext);
+    const metrics = useWindowMetrics(insets === null);
+    return insets || metrics.insets;
+  }
+
+  function useSafeAreaFrame() {
+    const frame = React.useContext(SafeAreaFrameContext);
+    const metrics = useWindowMetrics(frame === null);
+    return frame || metrics.frame;
+  }
+
+  function SafeAreaConsumer({ children }) {
+    return children(useSafeAreaInsets());
+  }
+
+  function SafeAreaView({ edges, mode = 'padding', style, children, ...rest }) {
+    const insets = useSafeAreaInsets();
+    const flatStyle = StyleSheet.flatten(style) || {};
+    const property = mode === 'margin' ? 'margin' : 'padding';
+    const axis = { top: 'Vertical', bottom: 'Vertical', left: 'Horizontal', right: 'Horizontal' };
+
+    const insetStyle = {};
+    EDGES.forEach(edge => {
+      const edgeMode = getEdgeMode(edges, edge);
+      const suffix = edge[0].toUpperCase() + edge.slice(1);
+      const base = flatStyle[`${property}${suffix}`] ??
+        flatStyle[`${property}${axis[edge]}`] ??
+        flatStyle[property] ??
+        0;
+
+      if (edgeMode === 'additive') {
+        insetStyle[`${property}${suffix}`] = base + insets[edge];
+      } else if (edgeMode === 'maximum') {
+        insetStyle[`${property}${suffix}`] = Math.max(base, insets[edge]);
+      }
+    });
+
+    return React.createElement(View, { style: [flatStyle, insetStyle], ...rest }, children);
+  }
+
+  function withSafeAreaInsets(WrappedComponent) {
+    const WithSafeAreaInsets = React.forwardRef((props, ref) => React.createElement(
+      WrappedComponent,
+      { ...props, insets: useSafeAreaInsets(), ref }
+    ));
+    WithSafeAreaInsets.displayName = `withSafeAreaInsets(${WrappedComponent.displayName || WrappedComponent.name || 'Component'})`;
+    return WithSafeAreaInsets;
+  }
+
+  return {
+    SafeAreaProvider,
+    SafeAreaView,
+    SafeAreaConsumer,
+    SafeAreaInsetsContext,
+    SafeAreaFrameContext,
+    SafeAreaContext: SafeAreaInsetsContext,
+    useSafeAreaInsets,
+    useSafeAreaFrame,
+    useSafeArea: useSafeAreaInsets,
+    withSafeAreaInsets,
+    initialWindowMetrics,
+    initialWindowSafeAreaInsets: initialWindowMetrics ? initialWindowMetrics.insets : null
+  };
+}
+
+module.exports = {
+  createSafeAreaContextAdapter
+};
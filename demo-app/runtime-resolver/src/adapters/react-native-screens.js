@@ -0,0 +1,444 @@
+/**
+ * Screens Adapter - Web implementation of react-native-screens
+ *
+ * Screens render as absolutely positioned layers inside their container.
+ * `activityState` decides visibility (0 hidden, 1 visible below the top
+ * screen, 2 top), and ScreenStack animates pushes and pops with CSS
+ * transitions, keeping popped screens mounted until their exit finishes.
+ * Inactive screens are frozen when enableFreeze()/freezeOnBlur ask for it.
+ */
+
+const DEFAULT_TRANSITION_DURATION = 300;
+
+const settings = {
+  screensEnabled: true,
+  freezeEnabled: false
+};
+
+/**
+ * Transforms used for each stack animation, as [hidden, shown] styles
+ * @param {string} animation - Screen `stackAnimation`/`animation` prop
+ * @returns {Array|null} - [hiddenStyle, shownStyle], null for no animation
+ */
+function getTransitionStyles(animation) {
+  switch (animation) {
+    case 'none':
+      return null;
+    case 'fade':
+      return [{ opacity: 0 }, { opacity: 1 }];
+    case 'slide_from_left':
+      return [{ transform: 'translateX(-100%)' }, { transform: 'translateX(0%)' }];
+    case 'slide_from_bottom':
+    case 'modal':
+      return [{ transform: 'translateY(100%)' }, { transform: 'translateY(0%)' }];
+    case 'fade_from_bottom':
+      return [{ opacity: 0, transform: 'translateY(8%)' }, { opacity: 1, transform: 'translateY(0%)' }];
+    default:
+      // 'default', 'simple_push', 'slide_from_right', 'ios_from_right', ...
+      return [{ transform: 'translateX(100%)' }, { transform: 'translateX(0%)' }];
+  }
+}
+
+/**
+ * Read the animation settings of a stack child
+ * @param {Object} props - Screen props
+ * @returns {Object} - { styles, duration }
+ */
+function getScreenAnimation(props) {
+  const styles = getTransitionStyles(props.animation || props.stackAnimation);
+  const duration = typeof props.transitionDuration === 'number'
+    ? props.transitionDuration
+    : DEFAULT_TRANSITION_DURATION;
+  return { styles, duration: styles ? duration : 0 };
+}
+
+/**
+ * Call a native-style screen event handler if present
+ * @param {Object} props - Screen props
+ * @param {string} name - Handler name, e.g. 'onAppear'
+ */
+function emitScreenEvent(props, name) {
+  if (typeof props[name] === 'function') {
+    props[name]({ nativeEvent: {} });
+  }
+}
+
+/**
+ * Create the react-native-screens web adapter
+ * @returns {Object} - Adapter exports keyed by export name
+ */
+function createScreensAdapter() {
+  const React = require('react');
+  const { View, Text, TextInput, Animated, StyleSheet } = require('react-native');
+
+  const TransitionProgressContext = React.createContext(null);
+
+  // Same approach as react-freeze: suspend the subtree while frozen so React
+  // keeps its state but skips rendering it
+  function Suspender({ freeze, children }) {
+    const suspended = React.useRef(null);
+    if (freeze) {
+      if (!suspended.current) {
+        let resolve;
+        const promise = new Promise(done => { resolve = done; });
+        suspended.current = { promise, resolve };
+      }
+      throw suspended.current.promise;
+    }
+    if (suspended.current) {
+      suspended.current.resolve();
+      suspended.current = null;
+    }
+    return children;
+  }
+
+  function Freeze({ freeze, children, placeholder = null }) {
+    return React.createElement(
+      React.Suspense,
+      { fallback: placeholder },
+      React.createElement(Suspender, { freeze }, children)
+    );
+  }
+
+  const Screen = React.forwardRef(function Screen(props, ref) {
+    const {
+      active,
+      activityState = active,
+      freezeOnBlur = settings.freezeEnabled,
+      enabled = settings.screensEnabled,
+      style,
+      children,
+      // Native-only props that must not reach the DOM
+      stackAnimation, animation, stackPresentation, presentation, transitionDuration,
+      onAppear, onDisappear, onWillAppear, onWillDisappear, onDismissed,
+      onTransitionProgress, onHeaderBackButtonClicked, onNativeDismissCancelled,
+      gestureEnabled, replaceAnimation, statusBarStyle, statusBarHidden,
+      statusBarAnimation, screenOrientation, isNativeStack, sheetAllowedDetents,
+      ...rest
+    } = props;
+
+    const inactive = enabled && activityState === 0;
+
+    return React.createElement(
+      View,
+      {
+        ref,
+        ...rest,
+        style: [
+          StyleSheet.absoluteFill,
+          style,
+          inactive ? { display: 'none' } : null,
+          enabled && activityState === 1 ? { pointerEvents: 'none' } : null
+        ],
+        'aria-hidden': inactive || undefined
+      },
+      React.createElement(Freeze, { freeze: freezeOnBlur && inactive }, children)
+    );
+  });
+
+  function ScreenContainer({ enabled = settings.screensEnabled, hasTwoStates, style, children, ...rest }) {
+    return React.createElement(
+      View,
+      { ...rest, style: [{ flex: 1, position: 'relative', overflow: 'hidden' }, style] },
+      children
+    );
+  }
+
+  /**
+   * One screen inside a ScreenStack, driving its own enter/exit transition
+   */
+  function StackLayer({ element, activityState, phase, animate, onExited }) {
+    const { styles, duration } = getScreenAnimation(element.props);
+    const [shown, setShown] = React.useState(!animate || !styles);
+    const progress = React.useMemo(() => ({
+      progress: new Animated.Value(shown ? 1 : 0),
+      closing: new Animated.Value(0),
+      goingForward: new Animated.Value(1)
+    }), []);
+
+    // Enter: start hidden, flip to shown on the next frame so the browser transitions
+    React.useEffect(() => {
+      emitScreenEvent(element.props, 'onWillAppear');
+      let frame = null;
+      if (!shown) {
+        frame = requestAnimationFrame(() => requestAnimationFrame(() => setShown(true)));
+      }
+      const timer = setTimeout(() => {
+        progress.progress.setValue(1);
+        emitScreenEvent(element.props, 'onAppear');
+      }, shown ? 0 : duration);
+      return () => {
+        cancelAnimationFrame(frame);
+        clearTimeout(timer);
+      };
+    }, []);
+
+    // Exit: transition back to the hidden style, then let the stack unmount us
+    React.useEffect(() => {
+      if (phase !== 'exit') {
+        return undefined;
+      }
+      emitScreenEvent(element.props, 'onWillDisappear');
+      progress.closing.setValue(1);
+      progress.goingForward.setValue(0);
+      setShown(false);
+      const timer = setTimeout(() => {
+        emitScreenEvent(element.props, 'onDisappear');
+        onExited(element.key);
+      }, duration);
+      return () => clearTimeout(timer);
+    }, [phase]);
+
+    const transitionStyle = styles ? [
+      {
+        transitionProperty: 'transform, opacity',
+        transitionDuration: `${duration}ms`,
+        transitionTimingFunction: 'cubic-bezier(0.2, 0.8, 0.2, 1)'
+      },
+      shown && phase !== 'exit' ? styles[1] : styles[0]
+    ] : null;
+
+    return React.createElement(
+      TransitionProgressContext.Provider,
+      { value: progress },
+      React.cloneElement(element, {
+        activityState,
+        style: [element.props.style, transitionStyle]
+      })
+    );
+  }
+
+  function ScreenStack({ children, style, ...rest }) {
+    const screens = React.Children.toArray(children).filter(React.isValidElement);
+    const keys = screens.map(screen => screen.key);
+    const keyString = keys.join('|');
+
+    const [previous, setPrevious] = React.useState({ keyString, screens });
+    const [exiting, setExiting] = React.useState([]);
+    const mounted = React.useRef(false);
+
+    // Diff during render (not in an effect) so a popped screen moves straight
+    // into the exiting list without being unmounted in between
+    if (previous.keyString !== keyString) {
+      const removed = previous.screens.filter(screen => !keys.includes(screen.key));
+      setPrevious({ keyString, screens });
+      if (removed.length > 0) {
+        // Only the screen that was on top is visible while leaving
+        const top = removed[removed.length - 1];
+        setExiting(current => [...current.filter(screen => screen.key !== top.key), top]);
+      }
+    }
+
+    React.useEffect(() => {
+      mounted.current = true;
+    }, []);
+
+    const handleExited = React.useCallback(key => {
+      setExiting(current => current.filter(screen => screen.key !== key));
+    }, []);
+
+    const transitioning = exiting.length > 0;
+    const layers = screens.map((element, index) => {
+      const isTop = index === screens.length - 1;
+      const isBelowTop = index === screens.length - 2;
+      let activityState = 0;
+      if (isTop) {
+        activityState = transitioning ? 1 : 2;
+      } else if (isBelowTop) {
+        // Keep the previous screen painted under the entering one
+        activityState = 1;
+      }
+      return React.createElement(StackLayer, {
+        key: element.key,
+        element,
+        activityState,
+        phase: 'enter',
+        animate: mounted.current
+      });
+    });
+
+    exiting
+      .filter(element => !keys.includes(element.key))
+      .forEach(element => {
+        layers.push(React.createElement(StackLayer, {
+          key: element.key,
+          element,
+          activityState: 1,
+          phase: 'exit',
+          animate: false,
+          onExited: handleExited
+        }));
+      });
+
+    return React.createElement(
+      View,
+      { ...rest, style: [{ flex: 1, position: 'relative', overflow: 'hidden' }, style] },
+      layers
+    );
+  }
+
+  function ScreenStackItem({ screenId, headerConfig, children, ...rest }) {
+    return React.createElement(Screen, rest, children);
+  }
+
+  const createSubview = type => {
+    const Subview = ({ children, style }) => React.createElement(
+      View,
+      { style: [{ flexDirection: 'row', alignItems: 'center' }, style], 'data-header-subview': type },
+      children
+    );
+    Subview.displayName = `ScreenStackHeader${type[0].toUpperCase()}${type.slice(1)}View`;
+    return Subview;
+  };
+
+  const ScreenStackHeaderLeftView = createSubview('left');
+  const ScreenStackHeaderCenterView = createSubview('center');
+  const ScreenStackHeaderRightView = createSubview('right');
+  const ScreenStackHeaderSearchBarView = createSubview('searchBar');
+
+  function ScreenStackHeaderSubview({ type = 'left', ...props }) {
+    const subviews = {
+      left: ScreenStackHeaderLeftView,
+      center: ScreenStackHeaderCenterView,
+      right: ScreenStackHeaderRightView,
+      searchBar: ScreenStackHeaderSearchBarView
+    };
+    return React.createElement(subviews[type] || ScreenStackHeaderLeftView, props);
+  }
+
+  function ScreenStackHeaderConfig({
+    hidden,
+    title,
+    titleColor,
+    titleFontSize,
+    titleFontWeight,
+    color,
+    backgroundColor,
+    children
+  }) {
+    if (hidden) {
+      return null;
+    }
+
+    const items = React.Children.toArray(children);
+    const hasCenter = items.some(item => item.type === ScreenStackHeaderCenterView);
+
+    return React.createElement(
+      View,
+      {
+        role: 'banner',
+        style: {
+          height: 56,
+          flexDirection: 'row',
+          alignItems: 'center',
+          paddingHorizontal: 16,
+          backgroundColor: backgroundColor || '#fff',
+          borderBottomWidth: StyleSheet.hairlineWidth,
+          borderBottomColor: 'rgba(0, 0, 0, 0.15)'
+        }
+      },
+      items.filter(item => item.type === ScreenStackHeaderLeftView),
+      hasCenter
+        ? items.filter(item => item.type === ScreenStackHeaderCenterView)
+        : React.createElement(
+          Text,
+          {
+            role: 'heading',
+            numberOfLines: 1,
+            style: {
+              flex: 1,
+              color: titleColor || color || '#000',
+              fontSize: titleFontSize || 17,
+              fontWeight: titleFontWeight || '600'
+            }
+          },
+          title
+        ),
+      items.filter(item => item.type === ScreenStackHeaderRightView)
+    );
+  }
+
+  function ScreenStackHeaderBackButtonImage() {
+    return null;
+  }
+
+  function SearchBar({ placeholder, onChangeText, onFocus, onBlur, onSearchButtonPress, autoFocus }) {
+    const emit = (handler, text) => {
+      if (typeof handler === 'function') {
+        handler({ nativeEvent: { text } });
+      }
+    };
+
+    return React.createElement(TextInput, {
+      placeholder,
+      autoFocus,
+      role: 'searchbox',
+      style: { height: 36, paddingHorizontal: 12, borderRadius: 10, backgroundColor: 'rgba(118, 118, 128, 0.12)' },
+      onChangeText: text => emit(onChangeText, text),
+      onFocus: () => emit(onFocus, ''),
+      onBlur: () => emit(onBlur, ''),
+      onSubmitEditing: event => emit(onSearchButtonPress, event.nativeEvent.text)
+    });
+  }
+
+  function FullWindowOverlay({ children }) {
+    return React.createElement(
+      View,
+      { style: [StyleSheet.absoluteFill, { zIndex: 1000 }], pointerEvents: 'box-none' },
+      children
+    );
+  }
+
+  const ScreenContext = React.createContext(Screen);
+
+  const useTransitionProgress = () => {
+    const progress = React.useContext(TransitionProgressContext);
+    const fallback = React.useMemo(() => ({
+      progress: new Animated.Value(1),
+      closing: new Animated.Value(0),
+      goingForward: new Animated.Value(1)
+    }), []);
+    return progress || fallback;
+  };
+
+  return {
+    enableScreens: (shouldEnableScreens = true) => {
+      settings.screensEnabled = shouldEnableScreens;
+    },
+    screensEnabled: () => settings.screensEnabled,
+    enableFreeze: (shouldEnableReactFreeze = true) => {
+      settings.freezeEnabled = shouldEnableReactFreeze;
+    },
+    freezeEnabled: () => settings.freezeEnabled,
+
+    Screen,
+    InnerScreen: Screen,
+    NativeScreen: Screen,
+    ScreenContainer,
+    NativeScreenContainer: ScreenContainer,
+    NativeScreenNavigationContainer: ScreenContainer,
+    ScreenStack,
+    ScreenStackItem,
+    ScreenContext,
+    ScreenStackHeaderConfig,
+    ScreenStackHeaderSubview,
+    ScreenStackHeaderLeftView,
+    ScreenStackHeaderCenterView,
+    ScreenStackHeaderRightView,
+    ScreenStackHeaderSearchBarView,
+    ScreenStackHeaderBackButtonImage,
+    SearchBar,
+    FullWindowOverlay,
+    ScreenContentWrapper: View,
+    ScreenFooter: View,
+
+    useTransitionProgress,
+    isSearchBarAvailableForCurrentPlatform: false,
+    isNewBackTitleImplementation: true,
+    executeNativeBackPress: () => false
+  };
+}
+
+module.exports = {
+  createScreensAdapter
+};
@@ -0,0 +1,379 @@
+/**
+ * Share Adapter - Web implementation of react-native-share
+ *
+ * Shares through the Web Share API, including files (Web Share Level 2) for
+ * base64/data and blob: `url(s)`; http(s) urls are shared as links. When the
+ * browser cannot share the payload a built-in share sheet offers copy link,
+ * download, email and social web intents.
+ * Results use the native { success, message, dismissedAction } shape.
+ */
+
+const { writeClipboardText } = require('../clipboard-text');
+
+const Social = {
+  FACEBOOK: 'facebook',
+  FACEBOOK_STORIES: 'facebookstories',
+  PAGESMANAGER: 'pagesmanager',
+  TWITTER: 'twitter',
+  WHATSAPP: 'whatsapp',
+  WHATSAPPBUSINESS: 'whatsappbusiness',
+  INSTAGRAM: 'instagram',
+  INSTAGRAM_STORIES: 'instagramstories',
+  GOOGLEPLUS: 'googleplus',
+  EMAIL: 'email',
+  PINTEREST: 'pinterest',
+  LINKEDIN: 'linkedin',
+  SMS: 'sms',
+  TELEGRAM: 'telegram',
+  MESSENGER: 'messenger',
+  SNAPCHAT: 'snapchat',
+  VIBER: 'viber',
+  DISCORD: 'discord'
+};
+
+const DISMISSED_MESSAGE = 'User did not share';
+
+const encode = value => encodeURIComponent(value || '');
+
+// Web intents for the targets that have one; the rest are app-only
+const SOCIAL_INTENTS = {
+  [Social.TWITTER]: ({ text, url }) => `https://twitter.com/intent/tweet?text=${encode(text)}&url=${encode(url)}`,
+  [Social.FACEBOOK]: ({ url }) => `https://www.facebook.com/sharer/sharer.php?u=${encode(url)}`,
+  [Social.WHATSAPP]: ({ text, url }) => `https://wa.me/?text=${encode([text, url].filter(Boolean).join(' '))}`,
+  [Social.WHATSAPPBUSINESS]: ({ text, url }) => `https://wa.me/?text=${encode([text, url].filter(Boolean).join(' '))}`,
+  [Social.TELEGRAM]: ({ text, url }) => `https://t.me/share/url?url=${encode(url)}&text=${encode(text)}`,
+  [Social.LINKEDIN]: ({ url }) => `https://www.linkedin.com/sharing/share-offsite/?url=${encode(url)}`,
+  [Social.PINTEREST]: ({ text, url }) => `https://pinterest.com/pin/create/button/?url=${encode(url)}&description=${encode(text)}`,
+  [Social.EMAIL]: ({ text, url, subject, email }) => `mailto:${encode(email)}?subject=${encode(subject)}&body=${encode([text, url].filter(Boolean).join('\n\n'))}`,
+  [Social.SMS]: ({ text, url, recipient }) => `sms:${encode(recipient)}?&body=${encode([text, url].filter(Boolean).join(' '))}`
+};
+
+const SHEET_LABELS = {
+  copy: 'Copy link',
+  download: 'Download',
+  [Social.EMAIL]: 'Email',
+  [Social.SMS]: 'Messages',
+  [Social.TWITTER]: 'X (Twitter)',
+  [Social.FACEBOOK]: 'Facebook',
+  [Social.WHATSAPP]: 'WhatsApp',
+  [Social.TELEGRAM]: 'Telegram',
+  [Social.LINKEDIN]: 'LinkedIn',
+  [Social.PINTEREST]: 'Pinterest'
+};
+
+const DEFAULT_SHEET_TARGETS = ['copy', Social.EMAIL, Social.TWITTER, Social.FACEBOOK, Social.WHATSAPP, Social.TELEGRAM, Social.LINKEDIN];
+
+/**
+ * Whether a url should be shared as a file rather than a link
+ * @param {string} url - Share url
+ * @returns {boolean} - True for data:, blob: and file: urls
+ */
+function isFileUrl(url) {
+  return /^(data|blob|file):/i.test(url);
+}
+
+/**
+ * Wrap shared data in a File named after its type
+ * @param {Blob} blob - File contents
+ * @param {string} [filename] - File name without extension
+ * @param {string} [type] - Fallback MIME type
+ * @returns {File} - File
+ */
+function createFile(blob, filename, type) {
+  const mimeType = blob.type || type || 'application/octet-stream';
+  const extension = mimeType.split('/')[1] ? `.${mimeType.split('/')[1].split('+')[0]}` : '';
+  const name = filename
+    ? (filename.includes('.') ? filename : `${filename}${extension}`)
+    : `file${extension}`;
+  return new File([blob], name, { type: mimeType });
+}
+
+/**
+ * Convert a data: url into a File without awaiting anything
+ * @param {string} url - data: url
+ * @param {string} [filename] - File name without extension
+ * @param {string} [type] - Fallback MIME type
+ * @returns {File} - File
+ */
+function dataUrlToFile(url, filename, type) {
+  const match = url.match(/^data:([^;,]*)(;base64)?,(.*)$/i);
+  if (!match) {
+    throw new Error(`Invalid data URL: ${url.slice(0, 32)}...`);
+  }
+  const mimeType = match[1] || type || 'application/octet-stream';
+  const data = match[2] ? atob(match[3]) : decodeURIComponent(match[3]);
+  const bytes = new Uint8Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    bytes[i] = data.charCodeAt(i);
+  }
+  return createFile(new Blob([bytes], { type: mimeType }), filename, type);
+}
+
+/**
+ * Normalize react-native-share options into a web payload
+ *
+ * Synchronous, so navigator.share still runs inside the user gesture: data:
+ * urls become files right away, blob: urls are only listed in `pendingFiles`
+ * for loadPayloadFiles() because reading them needs a fetch.
+ * @param {Object} options - Share options
+ * @returns {Object} - { title, text, url, subject, email, recipient, files, pendingFiles }
+ * @throws {Error} - For file: urls, which a web page cannot read
+ */
+function toPayload(options = {}) {
+  const urls = options.urls || (options.url ? [options.url] : []);
+  const localFile = urls.find(url => /^file:/i.test(url));
+  if (localFile) {
+    throw new Error(`Cannot share ${localFile}: web pages cannot read file: URLs, pass a data: or blob: URL instead`);
+  }
+
+  const filenames = options.filenames || (options.filename ? [options.filename] : []);
+  const fileSources = urls.filter(isFileUrl).map((url, index) => ({ url, filename: filenames[index] }));
+  const needsFetch = fileSources.some(source => /^blob:/i.test(source.url));
+
+  return {
+    title: options.title,
+    text: options.message,
+    url: urls.filter(url => !isFileUrl(url))[0],
+    subject: options.subject || options.title,
+    email: options.email,
+    recipient: options.recipient,
+    files: needsFetch ? [] : fileSources.map(source => dataUrlToFile(source.url, source.filename, options.type)),
+    pendingFiles: needsFetch ? fileSources : [],
+    type: options.type
+  };
+}
+
+/**
+ * Read every file of a payload, fetching blob: urls
+ * @param {Object} payload - Payload from toPayload
+ * @returns {Promise<Array>} - Files
+ */
+async function loadPayloadFiles(payload) {
+  if (payload.pendingFiles.length === 0) {
+    return payload.files;
+  }
+  return Promise.all(payload.pendingFiles.map(async ({ url, filename }) => {
+    if (/^data:/i.test(url)) {
+      return dataUrlToFile(url, filename, payload.type);
+    }
+    return createFile(await (await fetch(url)).blob(), filename, payload.type);
+  }));
+}
+
+/**
+ * Build the response for a dismissed share
+ * @param {Object} options - Share options
+ * @returns {Object} - Dismissed response (or throws when failOnCancel)
+ */
+function dismissed(options) {
+  if (options.failOnCancel !== false) {
+    throw new Error(DISMISSED_MESSAGE);
+  }
+  return { success: false, message: DISMISSED_MESSAGE, dismissedAction: true };
+}
+
+/**
+ * Save files through temporary download links
+ * @param {Array<File>} files - Files to save
+ */
+function downloadFiles(files) {
+  files.forEach(file => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(file);
+    link.download = file.name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  });
+}
+
+/**
+ * Open a web intent for a social target
+ * @param {string} social - Social target
+ * @param {Object} payload - Share payload
+ */
+function openIntent(social, payload) {
+  const url = SOCIAL_INTENTS[social](payload);
+  if (social === Social.EMAIL || social === Social.SMS) {
+    window.location.href = url;
+  } else {
+    window.open(url, '_blank', 'noopener,noreferrer');
+  }
+}
+
+/**
+ * Show the built-in share sheet
+ * @param {Object} payload - Share payload
+ * @param {Array<string>} targets - Sheet targets ('copy', 'download' or Social values)
+ * @returns {Promise<string|null>} - Chosen target, null when dismissed
+ */
+function showShareSheet(payload, targets) {
+  return new Promise(resolve => {
+    const backdrop = document.createElement('div');
+    backdrop.setAttribute('role', 'presentation');
+    backdrop.style.cssText = [
+      'position: fixed',
+      'inset: 0',
+      'background: rgba(0, 0, 0, 0.4)',
+      'display: flex',
+      'align-items: flex-end',
+      'justify-content: center',
+      'z-index: 2147483646',
+      'font-family: system-ui, sans-serif'
+    ].join(';');
+
+    const sheet = document.createElement('div');
+    sheet.setAttribute('role', 'dialog');
+    sheet.setAttribute('aria-modal', 'true');
+    sheet.setAttribute('aria-label', payload.title || 'Share');
+    sheet.style.cssText = [
+      'background: #fff',
+      'color: #111',
+      'width: 100%',
+      'max-width: 420px',
+      'border-radius: 12px 12px 0 0',
+      'padding: 16px',
+      'box-sizing: border-box'
+    ].join(';');
+
+    const close = choice => {
+      document.removeEventListener('keydown', handleKeyDown);
+      backdrop.remove();
+      resolve(choice);
+    };
+
+    const handleKeyDown = event => {
+      if (event.key === 'Escape') {
+        close(null);
+      }
+    };
+
+    const addButton = (label, onPress) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.style.cssText = 'display: block; width: 100%; padding: 12px; margin: 4px 0; border: 0; border-radius: 8px; background: #f1f1f4; font-size: 16px; text-align: left; cursor: pointer';
+      button.addEventListener('click', onPress);
+      sheet.appendChild(button);
+      return button;
+    };
+
+    if (payload.title) {
+      const heading = document.createElement('div');
+      heading.textContent = payload.title;
+      heading.style.cssText = 'font-weight: 600; margin-bottom: 8px';
+      sheet.appendChild(heading);
+    }
+
+    const shareableText = [payload.text, payload.url].filter(Boolean).join(' ');
+
+    targets.forEach(target => {
+      if (target === 'copy') {
+        if (shareableText) {
+          addButton(SHEET_LABELS.copy, () => writeClipboardText(payload.url || shareableText).then(() => close('copy'), () => close(null)));
+        }
+      } else if (target === 'download') {
+        if (payload.files.length > 0) {
+          addButton(SHEET_LABELS.download, () => {
+            downloadFiles(payload.files);
+            close('download');
+          });
+        }
+      } else if (SOCIAL_INTENTS[target] && shareableText) {
+        addButton(SHEET_LABELS[target] || target, () => {
+          openIntent(target, payload);
+          close(target);
+        });
+      }
+    });
+
+    addButton('Cancel', () => close(null)).style.textAlign = 'center';
+
+    backdrop.addEventListener('click', event => {
+      if (event.target === backdrop) {
+        close(null);
+      }
+    });
+    document.addEventListener('keydown', handleKeyDown);
+
+    backdrop.appendChild(sheet);
+    document.body.appendChild(backdrop);
+    const firstButton = sheet.querySelector('button');
+    if (firstButton) {
+      firstButton.focus();
+    }
+  });
+}
+
+/**
+ * Create the react-native-share web adapter
+ * @param {Object} options - Adapter options
+ * @param {Array<string>} [options.sheetTargets] - Share sheet entries: 'copy', 'download' or Social values
+ * @returns {Object} - Adapter exports keyed by export name
+ */
+function createShareAdapter(options = {}) {
+  const sheetTargets = options.sheetTargets || DEFAULT_SHEET_TARGETS;
+
+  const canWebShare = data => typeof navigator !== 'undefined' &&
+    typeof navigator.share === 'function' &&
+    (typeof navigator.canShare !== 'function' || navigator.canShare(data));
+
+  const Share = {
+    Social,
+
+    open: async (shareOptions = {}) => {
+      // Only blob: urls are awaited before navigator.share, since the user
+      // gesture may not outlive a fetch. Where it does not, share() rejects
+      // with NotAllowedError and the share sheet takes over.
+      const payload = toPayload(shareOptions);
+      const files = payload.pendingFiles.length > 0 ? await loadPayloadFiles(payload) : payload.files;
+      const data = { title: payload.title, text: payload.text, url: payload.url };
+      if (files.length > 0) {
+        data.files = files;
+      }
+
+      if (canWebShare(data)) {
+        try {
+          await navigator.share(data);
+          return { success: true, message: 'web-share' };
+        } catch (error) {
+          if (error.name === 'AbortError') {
+            return dismissed(shareOptions);
+          }
+          // NotAllowedError etc.: fall through to the share sheet
+        }
+      }
+
+      if (typeof document === 'undefined') {
+        throw new Error('Sharing is not available on this platform');
+      }
+
+      const targets = files.length > 0 ? ['download', ...sheetTargets] : sheetTargets;
+      const choice = await showShareSheet({ ...payload, files }, targets);
+      return choice ? { success: true, message: choice } : dismissed(shareOptions);
+    },
+
+    shareSingle: async (shareOptions = {}) => {
+      const { social } = shareOptions;
+      if (!SOCIAL_INTENTS[social]) {
+        throw new Error(`Sharing to "${social}" is not supported on web`);
+      }
+
+      // Synchronous so the popup still counts as user initiated
+      openIntent(social, toPayload(shareOptions));
+      return { success: true, message: social };
+    },
+
+    isPackageInstalled: async packageName => ({
+      isInstalled: false,
+      message: `Package detection is not available on web (${packageName})`
+    })
+  };
+
+  return { ...Share, default: Share };
+}
+
+module.exports = {
+  createShareAdapter
+};
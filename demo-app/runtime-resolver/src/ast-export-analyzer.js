@@ -0,0 +1,957 @@
+/**
+ * AST Export Analyzer - Static export analysis with @babel/parser (Node only)
+ *
+ * Parses a module's entry file and follows its re-export chains across
+ * files to list every export, without running the code. Understands:
+ *
+ * - ESM: declarations, `export { a, b as c }`, `export ... from`,
+ *   `export * from`, `export * as ns from`, `export default`
+ * - CommonJS: `exports.a = ...`, `module.exports = ...`,
+ *   `Object.defineProperty(exports, 'a', { get })`, Babel's
+ *   `_export(exports, { ... })` and `Object.keys(_x).forEach(...)` star
+ *   re-exports, TypeScript's `__exportStar(require(...), exports)`
+ * - interop: `_interopRequireDefault(require(...))` / `.default`
+ * - top-level `if` entries such as `if (process.env.NODE_ENV === 'production')
+ *   module.exports = require('./x.production.js'); else ...`, read through
+ *   the non-production branch, otherwise the first one, and the
+ *   `(function () { ... })()` wrapper development builds put inside
+ *
+ * Each export is described like a manifest entry (see manifest-loader.js),
+ * with its kind taken from the AST, plus `source` (file, line and 1-based
+ * column of the definition) and `via` (files it was re-exported through).
+ * Import cycles are detected and reported instead of recursed into.
+ *
+ * `@babel/parser` is resolved from the project on first use.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EXTENSIONS = ['.js', '.cjs', '.mjs', '.jsx', '.ts', '.tsx'];
+
+// Property names that never count as exports
+const IGNORED_EXPORTS = ['__esModule'];
+
+/**
+ * Load @babel/parser from the project
+ * @param {string} projectRoot - Project root directory
+ * @returns {Object} - The parser module
+ * @throws {Error} - When @babel/parser is not installed
+ */
+function loadParser(projectRoot) {
+  try {
+    return require(require.resolve('@babel/parser', { paths: [projectRoot, __dirname] }));
+  } catch (error) {
+    throw new Error(`@babel/parser is not installed in ${projectRoot}, cannot analyze source exports`);
+  }
+}
+
+/**
+ * Resolve a relative require/import to a file
+ * @param {string} fromFile - File containing the request
+ * @param {string} request - Module request
+ * @returns {string|null} - Resolved file, null for packages and missing files
+ */
+function resolveFile(fromFile, request) {
+  if (!request.startsWith('.') && !path.isAbsolute(request)) {
+    // Other packages are described by their own analysis, not followed
+    return null;
+  }
+
+  const base = path.resolve(path.dirname(fromFile), request);
+  const candidates = [
+    base,
+    ...EXTENSIONS.map(extension => base + extension),
+    ...EXTENSIONS.map(extension => path.join(base, `index${extension}`))
+  ];
+  return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+/**
+ * Get the location of a node
+ * @param {string} file - File the node is in
+ * @param {Object} node - AST node
+ * @returns {Object} - { file, line, column }
+ */
+function getLocation(file, node) {
+  const start = node && node.loc ? node.loc.start : { line: 0, column: 0 };
+  return { file, line: start.line, column: start.column + 1 };
+}
+
+/**
+ * Visit every node below a node
+ * @param {Object} node - AST node
+ * @param {Function} visit - Called with each node; return true to stop
+ * @returns {boolean} - True when a visit stopped the walk
+ */
+function walk(node, visit) {
+  if (!node || typeof node.type !== 'string') {
+    return false;
+  }
+  if (visit(node)) {
+    return true;
+  }
+  for (const key of Object.keys(node)) {
+    if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments') {
+      continue;
+    }
+    const child = node[key];
+    if (Array.isArray(child)) {
+      if (child.some(item => walk(item, visit))) {
+        return true;
+      }
+    } else if (child && typeof child.type === 'string' && walk(child, visit)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Get a property key name
+ * @param {Object} node - Identifier or string literal
+ * @returns {string|null} - Name
+ */
+function getName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'StringLiteral') return node.value;
+  return null;
+}
+
+/**
+ * Check for a `process.env.NODE_ENV` comparison with 'production'
+ * @param {Object} node - Test expression of an if statement
+ * @returns {boolean|null} - True for `=== 'production'`, false for `!== 'production'`, null otherwise
+ */
+function getProductionCheck(node) {
+  if (!node || node.type !== 'BinaryExpression' || !/^[!=]==?$/.test(node.operator)) {
+    return null;
+  }
+  const isNodeEnv = side => side.type === 'MemberExpression' && getName(side.property) === 'NODE_ENV' &&
+    side.object.type === 'MemberExpression' && getName(side.object.property) === 'env' &&
+    side.object.object.type === 'Identifier' && side.object.object.name === 'process';
+  const isProduction = side => side.type === 'StringLiteral' && side.value === 'production';
+  if (!(isNodeEnv(node.left) && isProduction(node.right)) && !(isNodeEnv(node.right) && isProduction(node.left))) {
+    return null;
+  }
+  return node.operator.startsWith('=');
+}
+
+/**
+ * Check for `require('x')` and return 'x'
+ * @param {Object} node - AST node
+ * @returns {string|null} - Request
+ */
+function getRequireSource(node) {
+  if (node && node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+    node.callee.name === 'require' && node.arguments[0] && node.arguments[0].type === 'StringLiteral') {
+    return node.arguments[0].value;
+  }
+  // _interopRequireDefault(require('x')), _interopRequireWildcard(require('x')), __importStar(...)
+  if (node && node.type === 'CallExpression' && node.arguments.length > 0 && /interop|import(Star|Default)/i.test(getCalleeName(node))) {
+    return getRequireSource(node.arguments[0]);
+  }
+  return null;
+}
+
+/**
+ * Get the name of a called function, e.g. 'forwardRef' for React.forwardRef(...)
+ * @param {Object} node - CallExpression
+ * @returns {string} - Callee name, empty when not a simple name
+ */
+function getCalleeName(node) {
+  let callee = node.callee;
+  // (0, _react.forwardRef)(...) as emitted by Babel
+  if (callee.type === 'SequenceExpression') {
+    callee = callee.expressions[callee.expressions.length - 1];
+  }
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression') return getName(callee.property) || '';
+  return '';
+}
+
+/**
+ * Check whether a node is `exports` or `module.exports`
+ * @param {Object} node - AST node
+ * @returns {boolean} - True for the CommonJS exports object
+ */
+function isExportsObject(node) {
+  if (!node) return false;
+  if (node.type === 'Identifier' && node.name === 'exports') return true;
+  return node.type === 'MemberExpression' && node.object.type === 'Identifier' &&
+    node.object.name === 'module' && getName(node.property) === 'exports';
+}
+
+/**
+ * Check for `void 0`, which Babel assigns to exports before defining them
+ * @param {Object} node - AST node
+ * @returns {boolean} - True for void expressions
+ */
+function isVoid(node) {
+  return node && node.type === 'UnaryExpression' && node.operator === 'void';
+}
+
+/**
+ * Evaluate a literal expression
+ * @param {Object} node - AST node
+ * @returns {Object} - { ok, value }
+ */
+function evaluateLiteral(node) {
+  if (!node) return { ok: false };
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return { ok: true, value: node.value };
+    case 'NullLiteral':
+      return { ok: true, value: null };
+    case 'TemplateLiteral':
+      return node.expressions.length === 0 ? { ok: true, value: node.quasis[0].value.cooked } : { ok: false };
+    case 'UnaryExpression': {
+      const argument = evaluateLiteral(node.argument);
+      if (node.operator === '-' && argument.ok && typeof argument.value === 'number') {
+        return { ok: true, value: -argument.value };
+      }
+      return { ok: false };
+    }
+    case 'ArrayExpression': {
+      const items = node.elements.map(evaluateLiteral);
+      return items.every(item => item.ok) ? { ok: true, value: items.map(item => item.value) } : { ok: false };
+    }
+    case 'ObjectExpression': {
+      const value = {};
+      for (const property of node.properties) {
+        const key = property.type === 'ObjectProperty' && !property.computed ? getName(property.key) : null;
+        const propertyValue = key !== null ? evaluateLiteral(property.value) : { ok: false };
+        if (!propertyValue.ok) {
+          return { ok: false };
+        }
+        value[key] = propertyValue.value;
+      }
+      return { ok: true, value };
+    }
+    default:
+      return { ok: false };
+  }
+}
+
+/**
+ * Check whether a function body renders elements
+ * @param {Object} node - Function node
+ * @returns {boolean} - True when it contains JSX or createElement/jsx calls
+ */
+function rendersElements(node) {
+  return walk(node.body, child => child.type === 'JSXElement' || child.type === 'JSXFragment' ||
+    (child.type === 'CallExpression' && /^(createElement|_?jsxs?|_?jsxDEV)$/.test(getCalleeName(child))));
+}
+
+/**
+ * Count parameters before the first default or rest parameter, like Function.length
+ * @param {Object} node - Function node
+ * @returns {number} - Arity
+ */
+function getArity(node) {
+  const index = node.params.findIndex(param => param.type === 'AssignmentPattern' || param.type === 'RestElement');
+  return index === -1 ? node.params.length : index;
+}
+
+/**
+ * Parses files and resolves their exports for one analysis run
+ */
+class ExportAnalysis {
+  constructor(parser) {
+    this.parser = parser;
+    this.files = new Map();
+    this.resolved = new Map();
+    this.cycles = [];
+  }
+
+  /**
+   * Parse a file and collect its bindings, imports and export statements
+   * @param {string} file - File path
+   * @returns {Object} - File information
+   */
+  readFile(file) {
+    if (this.files.has(file)) {
+      return this.files.get(file);
+    }
+
+    const info = { file, bindings: new Map(), imports: new Map(), exports: new Map(), stars: [] };
+    this.files.set(file, info);
+
+    let program;
+    try {
+      const isTypeScript = /\.tsx?$/.test(file);
+      program = this.parser.parse(fs.readFileSync(file, 'utf8'), {
+        sourceType: 'unambiguous',
+        errorRecovery: true,
+        plugins: isTypeScript
+          ? ['typescript', 'jsx', 'decorators-legacy', 'classProperties']
+          : ['jsx', 'flow', 'decorators-legacy', 'classProperties', 'exportDefaultFrom']
+      }).program;
+    } catch (error) {
+      console.warn(`[AstExportAnalyzer] Failed to parse ${file}:`, error.message);
+      return info;
+    }
+
+    program.body.forEach(statement => this.readStatement(info, statement));
+    return info;
+  }
+
+  /**
+   * Record a top-level declaration as a binding
+   * @param {Object} info - File information
+   * @param {Object} declaration - Declaration node
+   */
+  addDeclaration(info, declaration) {
+    if (!declaration) return;
+
+    if (declaration.type === 'VariableDeclaration') {
+      declaration.declarations.forEach(declarator => {
+        if (declarator.id.type !== 'Identifier') return;
+        const name = declarator.id.name;
+
+        // var Color = exports.Color = ... as emitted by Babel
+        let init = declarator.init;
+        while (init && init.type === 'AssignmentExpression') {
+          if (init.left.type === 'MemberExpression' && isExportsObject(init.left.object) && getName(init.left.property) === name) {
+            info.exports.set(name, { type: 'local', name, node: declarator });
+          }
+          init = init.right;
+        }
+
+        // var Color = function (Color) { Color["Red"] = "red"; return Color; }({})
+        if (init && init.type === 'CallExpression' && this.isCompiledEnum(init) && init.arguments[0].type === 'ObjectExpression') {
+          info.bindings.set(name, { node: init, declaration: declarator, enumMembers: this.getCompiledEnumMembers(init) });
+          return;
+        }
+
+        const source = getRequireSource(init);
+        if (source) {
+          info.imports.set(name, { source, imported: '*', node: declarator });
+        } else if (init && init.type === 'MemberExpression' && getRequireSource(init.object)) {
+          // var x = require('./x').y
+          info.imports.set(name, { source: getRequireSource(init.object), imported: getName(init.property), node: declarator });
+        } else if (!info.bindings.has(name) || init) {
+          info.bindings.set(name, { node: init, declaration: declarator });
+        }
+      });
+    } else if (declaration.id && declaration.id.type === 'Identifier') {
+      // FunctionDeclaration, ClassDeclaration, TSEnumDeclaration
+      info.bindings.set(declaration.id.name, { node: declaration, declaration });
+    }
+  }
+
+  /**
+   * Collect what one top-level statement declares, imports or exports
+   * @param {Object} info - File information
+   * @param {Object} statement - Statement node
+   */
+  readStatement(info, statement) {
+    switch (statement.type) {
+      case 'ImportDeclaration':
+        statement.specifiers.forEach(specifier => {
+          const imported = specifier.type === 'ImportDefaultSpecifier'
+            ? 'default'
+            : specifier.type === 'ImportNamespaceSpecifier' ? '*' : getName(specifier.imported);
+          info.imports.set(specifier.local.name, { source: statement.source.value, imported, node: specifier });
+        });
+        return;
+
+      case 'ExportNamedDeclaration':
+        if (statement.exportKind === 'type' || (statement.declaration && /^(TSTypeAliasDeclaration|TSInterfaceDeclaration|TypeAlias|InterfaceDeclaration|OpaqueType)$/.test(statement.declaration.type))) {
+          return;
+        }
+        if (statement.declaration) {
+          this.addDeclaration(info, statement.declaration);
+          const names = statement.declaration.type === 'VariableDeclaration'
+            ? statement.declaration.declarations.map(declarator => getName(declarator.id)).filter(Boolean)
+            : [getName(statement.declaration.id)];
+          names.forEach(name => info.exports.set(name, { type: 'local', name, node: statement }));
+        }
+        statement.specifiers.forEach(specifier => {
+          if (specifier.exportKind === 'type') return;
+          const exported = getName(specifier.exported);
+          if (statement.source) {
+            const imported = specifier.type === 'ExportNamespaceSpecifier' ? '*'
+              : specifier.type === 'ExportDefaultSpecifier' ? 'default' : getName(specifier.local);
+            info.exports.set(exported, { type: 'reexport', source: statement.source.value, imported, node: specifier });
+          } else {
+            info.exports.set(exported, { type: 'local', name: getName(specifier.local), node: specifier });
+          }
+        });
+        return;
+
+      case 'ExportAllDeclaration':
+        if (statement.exportKind !== 'type') {
+          info.stars.push({ source: statement.source.value, node: statement });
+        }
+        return;
+
+      case 'ExportDefaultDeclaration': {
+        const declaration = statement.declaration;
+        if (declaration.id && /Declaration$/.test(declaration.type)) {
+          this.addDeclaration(info, declaration);
+          info.exports.set('default', { type: 'local', name: declaration.id.name, node: statement });
+        } else {
+          info.exports.set('default', { type: 'value', value: declaration, node: statement });
+        }
+        return;
+      }
+
+      case 'VariableDeclaration':
+      case 'FunctionDeclaration':
+      case 'ClassDeclaration':
+      case 'TSEnumDeclaration':
+        this.addDeclaration(info, statement);
+        return;
+
+      case 'ExpressionStatement':
+        this.readExpression(info, statement.expression, statement);
+        return;
+
+      case 'IfStatement': {
+        // Development builds export at least what production ones do
+        const branch = getProductionCheck(statement.test) && statement.alternate ? statement.alternate : statement.consequent;
+        const statements = branch.type === 'BlockStatement' ? branch.body : [branch];
+        statements.forEach(nested => this.readStatement(info, nested));
+        return;
+      }
+
+      default:
+    }
+  }
+
+  /**
+   * Collect CommonJS exports and compiled enums from an expression statement
+   * @param {Object} info - File information
+   * @param {Object} expression - Expression node
+   * @param {Object} statement - Enclosing statement, for locations
+   */
+  readExpression(info, expression, statement) {
+    // exports.a = exports.b = void 0; exports.c = value; module.exports = value
+    if (expression.type === 'AssignmentExpression') {
+      const { left, right } = expression;
+      if (right.type === 'AssignmentExpression') {
+        this.readExpression(info, right, statement);
+      }
+      const value = right.type === 'AssignmentExpression' ? null : right;
+
+      if (left.type === 'MemberExpression' && isExportsObject(left.object) && !left.computed) {
+        const name = getName(left.property);
+        if (value && !isVoid(value) && !IGNORED_EXPORTS.includes(name)) {
+          info.exports.set(name, { type: 'value', value, node: statement });
+        }
+        return;
+      }
+
+      if (isExportsObject(left) && value) {
+        this.readModuleExports(info, value, statement);
+      }
+      return;
+    }
+
+    if (expression.type !== 'CallExpression') {
+      return;
+    }
+
+    // (function () { 'use strict'; exports.a = a; })(), as development builds wrap their body
+    const { callee } = expression;
+    if (/^(Arrow)?FunctionExpression$/.test(callee.type) && callee.body.type === 'BlockStatement') {
+      callee.body.body.forEach(nested => this.readStatement(info, nested));
+      return;
+    }
+    const calleeName = getCalleeName(expression);
+    const [first, second] = expression.arguments;
+
+    // Object.defineProperty(exports, 'a', { enumerable: true, get: function () { return _x.a; } })
+    if (calleeName === 'defineProperty' && isExportsObject(first) && second && second.type === 'StringLiteral') {
+      const descriptor = expression.arguments[2];
+      const value = descriptor && this.getDescriptorValue(descriptor);
+      if (value && !IGNORED_EXPORTS.includes(second.value)) {
+        info.exports.set(second.value, { type: 'value', value, node: statement });
+      }
+      return;
+    }
+
+    // _export(exports, { a: function () { return _x.a; } })
+    if (/^_?_?export$/.test(calleeName) && isExportsObject(first) && second && second.type === 'ObjectExpression') {
+      second.properties.forEach(property => {
+        const name = getName(property.key);
+        const value = this.getGetterValue(property.value || property);
+        if (name && value) {
+          info.exports.set(name, { type: 'value', value, node: property });
+        }
+      });
+      return;
+    }
+
+    // __exportStar(require('./x'), exports), _exportStar(_x, exports)
+    if (/exportStar$/i.test(calleeName)) {
+      const source = getRequireSource(first) || (first && first.type === 'Identifier' && info.imports.has(first.name) ? info.imports.get(first.name).source : null);
+      if (source) {
+        info.stars.push({ source, node: statement });
+      }
+      return;
+    }
+
+    // Object.keys(_x).forEach(function (key) { ... exports[key] = _x[key] ... })
+    if (calleeName === 'forEach' && expression.callee.type === 'MemberExpression') {
+      const target = expression.callee.object;
+      if (target.type === 'CallExpression' && getCalleeName(target) === 'keys' && target.arguments[0] && target.arguments[0].type === 'Identifier') {
+        const binding = info.imports.get(target.arguments[0].name);
+        const writesExports = walk(first, node => (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' && isExportsObject(node.left.object)) ||
+          (node.type === 'CallExpression' && getCalleeName(node) === 'defineProperty' && isExportsObject(node.arguments[0])));
+        if (binding && writesExports) {
+          info.stars.push({ source: binding.source, node: statement });
+        }
+      }
+      return;
+    }
+
+    // TypeScript enums: (function (Color) { Color["Red"] = "red"; })(Color || (exports.Color = Color = {}))
+    const enumName = this.getCompiledEnumName(expression);
+    if (enumName) {
+      const binding = info.bindings.get(enumName) || { declaration: statement };
+      binding.enumMembers = { ...(binding.enumMembers || {}), ...this.getCompiledEnumMembers(expression) };
+      binding.declaration = binding.declaration || statement;
+      info.bindings.set(enumName, binding);
+      if (walk(expression.arguments[0], node => node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' &&
+        isExportsObject(node.left.object) && getName(node.left.property) === enumName)) {
+        info.exports.set(enumName, { type: 'local', name: enumName, node: statement });
+      }
+    }
+  }
+
+  /**
+   * Read `module.exports = value`
+   * @param {Object} info - File information
+   * @param {Object} value - Assigned expression
+   * @param {Object} statement - Enclosing statement
+   */
+  readModuleExports(info, value, statement) {
+    const source = getRequireSource(value);
+    if (source) {
+      info.stars.push({ source, node: statement, includeDefault: true });
+      return;
+    }
+
+    if (value.type !== 'ObjectExpression') {
+      info.exports.set('default', { type: 'value', value, node: statement });
+    } else {
+      // The object is both the default export and its properties the named ones
+      info.exportsObject = statement;
+      value.properties.forEach(property => {
+        if (property.type === 'SpreadElement') {
+          const spreadSource = getRequireSource(property.argument) ||
+            (property.argument.type === 'Identifier' && info.imports.has(property.argument.name) ? info.imports.get(property.argument.name).source : null);
+          if (spreadSource) {
+            info.stars.push({ source: spreadSource, node: property });
+          }
+          return;
+        }
+        const name = !property.computed ? getName(property.key) : null;
+        if (name) {
+          const propertyValue = property.type === 'ObjectMethod' ? property : property.value;
+          info.exports.set(name, { type: 'value', value: propertyValue, node: property });
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the exported expression of a property descriptor
+   * @param {Object} descriptor - ObjectExpression passed to defineProperty
+   * @returns {Object|null} - Expression
+   */
+  getDescriptorValue(descriptor) {
+    if (descriptor.type !== 'ObjectExpression') return null;
+    for (const property of descriptor.properties) {
+      const name = getName(property.key);
+      if (name === 'value' && property.value) {
+        return property.value;
+      }
+      if (name === 'get') {
+        return this.getGetterValue(property.type === 'ObjectMethod' ? property : property.value);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get what a getter returns, e.g. `_x.a` for `function () { return _x.a; }`
+   * @param {Object} getter - Function node
+   * @returns {Object|null} - Returned expression
+   */
+  getGetterValue(getter) {
+    if (!getter || !/Function|ObjectMethod/.test(getter.type)) return null;
+    if (getter.body.type !== 'BlockStatement') return getter.body;
+    const returned = getter.body.body.find(statement => statement.type === 'ReturnStatement');
+    return returned ? returned.argument : null;
+  }
+
+  /**
+   * Check for the IIFE TypeScript compiles enums to
+   * @param {Object} call - CallExpression
+   * @returns {boolean} - True when the callee fills in its single parameter
+   */
+  isCompiledEnum(call) {
+    const fn = call.callee;
+    return !!fn && /^(FunctionExpression|ArrowFunctionExpression)$/.test(fn.type) && fn.params.length === 1 &&
+      fn.params[0].type === 'Identifier' && fn.body.type === 'BlockStatement' && call.arguments.length === 1;
+  }
+
+  /**
+   * Get the enum name of `(function (E) { ... })(E || (E = {}))`
+   * @param {Object} call - CallExpression
+   * @returns {string|null} - Enum name
+   */
+  getCompiledEnumName(call) {
+    if (!this.isCompiledEnum(call)) {
+      return null;
+    }
+    const argument = call.arguments[0];
+    if (!argument || argument.type !== 'LogicalExpression' || argument.operator !== '||' || argument.left.type !== 'Identifier') {
+      return null;
+    }
+    return argument.left.name;
+  }
+
+  /**
+   * Read the members of a compiled TypeScript enum
+   * @param {Object} call - Enum IIFE
+   * @returns {Object} - { member: value }
+   */
+  getCompiledEnumMembers(call) {
+    const members = {};
+    const param = call.callee.params[0].name;
+    call.callee.body.body.forEach(statement => {
+      if (statement.type !== 'ExpressionStatement' || statement.expression.type !== 'AssignmentExpression') return;
+      let assignment = statement.expression;
+      // Numeric members: E[E["A"] = 0] = "A"
+      if (assignment.left.type === 'MemberExpression' && assignment.left.computed && assignment.left.property.type === 'AssignmentExpression') {
+        assignment = assignment.left.property;
+      }
+      const { left, right } = assignment;
+      if (left.type === 'MemberExpression' && left.object.type === 'Identifier' && left.object.name === param) {
+        const name = getName(left.property);
+        const value = evaluateLiteral(right);
+        if (name && value.ok) {
+          members[name] = value.value;
+        }
+      }
+    });
+    return members;
+  }
+
+  /**
+   * Get the resolved exports of a file
+   * @param {string} file - File path
+   * @param {Array} stack - Files being resolved, for cycle detection
+   * @returns {Object} - Export entries keyed by name (partial when in a cycle)
+   */
+  getExports(file, stack = []) {
+    if (this.resolved.has(file)) {
+      return this.resolved.get(file);
+    }
+    const cycleStart = stack.indexOf(file);
+    if (cycleStart !== -1) {
+      this.cycles.push([...stack.slice(cycleStart), file]);
+      return {};
+    }
+
+    const info = this.readFile(file);
+    const nextStack = [...stack, file];
+    const exports = {};
+
+    // Stars first so explicit exports of this file win
+    info.stars.forEach(star => {
+      const target = resolveFile(file, star.source);
+      if (!target) return;
+      const starExports = this.getExports(target, nextStack);
+      Object.keys(starExports).forEach(name => {
+        if ((name !== 'default' || star.includeDefault) && !(name in exports)) {
+          exports[name] = this.reexported(starExports[name], file);
+        }
+      });
+    });
+
+    info.exports.forEach((descriptor, name) => {
+      if (IGNORED_EXPORTS.includes(name)) return;
+      const entry = this.describeExport(info, descriptor, nextStack, name);
+      if (entry) {
+        exports[name] = entry;
+      }
+    });
+
+    if (info.exportsObject) {
+      exports.default = { kind: 'namespace', exports: { ...exports }, source: getLocation(file, info.exportsObject) };
+    }
+
+    this.resolved.set(file, exports);
+    return exports;
+  }
+
+  /**
+   * Mark an entry as passing through a file
+   * @param {Object} entry - Export entry
+   * @param {string} file - Re-exporting file
+   * @returns {Object} - Copy of the entry
+   */
+  reexported(entry, file) {
+    return { ...entry, via: [file, ...(entry.via || [])] };
+  }
+
+  /**
+   * Describe one export statement
+   * @param {Object} info - File information
+   * @param {Object} descriptor - Collected export
+   * @param {Array} stack - Files being resolved
+   * @param {string} name - Export name
+   * @returns {Object|null} - Export entry
+   */
+  describeExport(info, descriptor, stack, name) {
+    switch (descriptor.type) {
+      case 'local':
+        return this.describeIdentifier(info, descriptor.name, descriptor.node, stack);
+      case 'reexport':
+        return this.describeImport(info, { source: descriptor.source, imported: descriptor.imported }, descriptor.node, stack);
+      case 'value':
+        return this.describeNode(info, descriptor.value, stack, name);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Describe an imported binding by following it to its file
+   * @param {Object} info - File information
+   * @param {Object} binding - { source, imported }
+   * @param {Object} node - Node used as location when the target cannot be followed
+   * @param {Array} stack - Files being resolved
+   * @returns {Object} - Export entry
+   */
+  describeImport(info, binding, node, stack) {
+    const target = resolveFile(info.file, binding.source);
+    if (!target) {
+      return { kind: 'unknown', source: getLocation(info.file, node), from: binding.source };
+    }
+
+    const targetExports = this.getExports(target, stack);
+    const entry = targetExports[binding.imported];
+    if (binding.imported === '*' || (!entry && binding.imported === 'default')) {
+      // Namespace imports, and CommonJS modules imported as default without interop
+      return { kind: 'namespace', exports: targetExports, source: { file: target, line: 1, column: 1 } };
+    }
+    return entry ? this.reexported(entry, info.file) : null;
+  }
+
+  /**
+   * Describe a name in a file's scope
+   * @param {Object} info - File information
+   * @param {string} name - Identifier name
+   * @param {Object} node - Referencing node
+   * @param {Array} stack - Files being resolved
+   * @returns {Object|null} - Export entry
+   */
+  describeIdentifier(info, name, node, stack) {
+    if (info.imports.has(name)) {
+      return this.describeImport(info, info.imports.get(name), node, stack);
+    }
+
+    const binding = info.bindings.get(name);
+    if (!binding) {
+      return { kind: 'unknown', source: getLocation(info.file, node) };
+    }
+
+    if (binding.enumMembers) {
+      return { kind: 'enum', members: binding.enumMembers, source: getLocation(info.file, binding.declaration) };
+    }
+    const entry = this.describeNode(info, binding.node, stack, name);
+    // Aliases keep the location of what they point to
+    const isAlias = binding.node && /^(Identifier|MemberExpression|SequenceExpression)$/.test(binding.node.type);
+    return entry && !isAlias ? { ...entry, source: getLocation(info.file, binding.declaration) } : entry;
+  }
+
+  /**
+   * Describe an expression or declaration from its AST
+   * @param {Object} info - File information
+   * @param {Object} node - AST node
+   * @param {Array} stack - Files being resolved
+   * @param {string} [name] - Binding name, used to recognize hooks
+   * @returns {Object|null} - Export entry
+   */
+  describeNode(info, node, stack, name) {
+    const source = getLocation(info.file, node);
+    if (!node) {
+      return { kind: 'unknown', source };
+    }
+
+    switch (node.type) {
+      case 'Identifier':
+        return this.describeIdentifier(info, node.name, node, stack);
+
+      case 'MemberExpression': {
+        const property = !node.computed || node.property.type === 'StringLiteral' ? getName(node.property) : null;
+        const object = node.object.type === 'Identifier'
+          ? this.describeIdentifier(info, node.object.name, node, stack)
+          : this.describeNode(info, node.object, stack);
+        if (object && object.kind === 'namespace' && property) {
+          const member = object.exports[property];
+          if (member) {
+            return object.source.file === info.file ? member : this.reexported(member, info.file);
+          }
+          // `.default` of a CommonJS module without a default export is the module itself
+          return property === 'default' ? object : { kind: 'unknown', source };
+        }
+        if (object && object.kind === 'constant' && object.value && typeof object.value === 'object' && property in object.value) {
+          return { kind: 'constant', value: object.value[property], source };
+        }
+        return { kind: 'unknown', source };
+      }
+
+      case 'SequenceExpression':
+        return this.describeNode(info, node.expressions[node.expressions.length - 1], stack, name);
+
+      case 'TSEnumDeclaration': {
+        const members = {};
+        let next = 0;
+        node.members.forEach(member => {
+          const value = member.initializer ? evaluateLiteral(member.initializer) : { ok: true, value: next };
+          if (value.ok) {
+            members[getName(member.id)] = value.value;
+            next = typeof value.value === 'number' ? value.value + 1 : next;
+          }
+        });
+        return { kind: 'enum', members, source };
+      }
+
+      case 'ClassDeclaration':
+      case 'ClassExpression':
+        return this.describeClass(node, source);
+
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+      case 'ObjectMethod':
+      case 'TSDeclareFunction':
+        return this.describeFunction(info, node, source, name);
+
+      case 'CallExpression': {
+        const requireSource = getRequireSource(node);
+        if (requireSource) {
+          return this.describeImport(info, { source: requireSource, imported: '*' }, node, stack);
+        }
+        const calleeName = getCalleeName(node);
+        if (/^(forwardRef|memo)$/.test(calleeName)) {
+          return { kind: 'component', source };
+        }
+        if (calleeName === 'createContext') {
+          const defaultValue = evaluateLiteral(node.arguments[0]);
+          return { kind: 'context', defaultValue: defaultValue.ok ? defaultValue.value : null, source };
+        }
+        if (calleeName === 'freeze' && node.arguments[0]) {
+          const frozen = evaluateLiteral(node.arguments[0]);
+          if (frozen.ok && frozen.value && typeof frozen.value === 'object' && !Array.isArray(frozen.value) &&
+            Object.values(frozen.value).every(value => typeof value === 'string' || typeof value === 'number')) {
+            return { kind: 'enum', members: frozen.value, source };
+          }
+        }
+        return { kind: 'unknown', source };
+      }
+
+      default: {
+        const literal = evaluateLiteral(node);
+        return literal.ok ? { kind: 'constant', value: literal.value, source } : { kind: 'unknown', source };
+      }
+    }
+  }
+
+  /**
+   * Describe a class
+   * @param {Object} node - Class node
+   * @param {Object} source - Location
+   * @returns {Object} - Export entry
+   */
+  describeClass(node, source) {
+    const superName = node.superClass
+      ? (node.superClass.type === 'MemberExpression' ? getName(node.superClass.property) : getName(node.superClass))
+      : null;
+    const methods = {};
+    const staticMethods = {};
+
+    node.body.body.forEach(member => {
+      if (member.type !== 'ClassMethod' || member.kind !== 'method') return;
+      const methodName = getName(member.key);
+      if (!methodName) return;
+      (member.static ? staticMethods : methods)[methodName] = { async: this.isAsync(member) };
+    });
+
+    if (/^(Pure)?Component$/.test(superName || '') || methods.render) {
+      return { kind: 'component', staticMethods, source };
+    }
+    return { kind: 'class', methods, staticMethods, source };
+  }
+
+  /**
+   * Describe a function
+   * @param {Object} info - File information
+   * @param {Object} node - Function node
+   * @param {Object} source - Location
+   * @param {string} [name] - Binding name
+   * @returns {Object} - Export entry
+   */
+  describeFunction(info, node, source, name) {
+    const length = getArity(node);
+    if (name && /^use[A-Z]/.test(name)) {
+      return { kind: 'hook', length, source };
+    }
+    if (rendersElements(node)) {
+      return { kind: 'component', source };
+    }
+    return { kind: 'function', async: this.isAsync(node, info), length, source };
+  }
+
+  /**
+   * Check whether a function is async, including Babel's compiled form
+   * @param {Object} node - Function node
+   * @param {Object} [info] - File information, to follow `_fn.apply(this, arguments)`
+   * @returns {boolean} - True for async functions
+   */
+  isAsync(node, info) {
+    if (node.async) {
+      return true;
+    }
+    const usesAsyncHelper = fn => !!fn.body && walk(fn.body, child => child.type === 'CallExpression' && /asyncToGenerator$/i.test(getCalleeName(child)));
+    if (usesAsyncHelper(node)) {
+      return true;
+    }
+
+    // function foo() { return _foo.apply(this, arguments); }
+    const body = node.body && node.body.body;
+    const returned = Array.isArray(body) && body.length === 1 && body[0].type === 'ReturnStatement' ? body[0].argument : null;
+    if (info && returned && returned.type === 'CallExpression' && getCalleeName(returned) === 'apply' &&
+      returned.callee.object && returned.callee.object.type === 'Identifier') {
+      const helper = info.bindings.get(returned.callee.object.name);
+      return !!(helper && helper.node && helper.node.body && usesAsyncHelper(helper.node));
+    }
+    return false;
+  }
+}
+
+/**
+ * Statically analyze the exports of a module entry file
+ * @param {string} entryFile - Entry file path
+ * @param {string} projectRoot - Project root directory, used to find @babel/parser
+ * @returns {Object} - { exports, cycles } where cycles lists file chains that import themselves
+ */
+function analyzeSourceExports(entryFile, projectRoot) {
+  const analysis = new ExportAnalysis(loadParser(projectRoot));
+  const exports = analysis.getExports(entryFile);
+  return { exports, cycles: analysis.cycles };
+}
+
+module.exports = {
+  analyzeSourceExports
+};
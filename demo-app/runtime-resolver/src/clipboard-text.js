@@ -0,0 +1,69 @@
+/**
+ * Clipboard Text - Writes text to the clipboard on every browser
+ *
+ * Uses the async Clipboard API and falls back to a hidden textarea with
+ * document.execCommand('copy') where the API is missing or blocked, e.g.
+ * on plain HTTP. Shared by the clipboard and share adapters.
+ */
+
+/**
+ * Copy text with document.execCommand, for insecure contexts
+ * @param {string} text - Text to copy
+ * @returns {boolean} - Whether the browser reported success
+ */
+function copyWithExecCommand(text) {
+  if (typeof document === 'undefined' || !document.body) {
+    return false;
+  }
+
+  const activeElement = document.activeElement;
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.cssText = 'position: fixed; top: 0; left: 0; opacity: 0; pointer-events: none';
+  document.body.appendChild(textarea);
+  textarea.select();
+
+  let copied = false;
+  try {
+    copied = document.execCommand('copy');
+  } catch (error) {
+    copied = false;
+  }
+
+  textarea.remove();
+  if (activeElement && typeof activeElement.focus === 'function') {
+    activeElement.focus();
+  }
+  return copied;
+}
+
+/**
+ * Write text to the clipboard, falling back to execCommand
+ * @param {string} text - Text to copy
+ * @returns {Promise<void>}
+ */
+async function writeClipboardText(text) {
+  const clipboard = typeof navigator !== 'undefined' ? navigator.clipboard : null;
+
+  // Without the async API, copy synchronously while the user gesture is still active
+  if (!clipboard || typeof clipboard.writeText !== 'function') {
+    if (!copyWithExecCommand(text)) {
+      throw new Error('Clipboard write is not available on this platform');
+    }
+    return;
+  }
+
+  try {
+    await clipboard.writeText(text);
+  } catch (error) {
+    if (!copyWithExecCommand(text)) {
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  copyWithExecCommand,
+  writeClipboardText
+};
@@ -0,0 +1,133 @@
+/**
+ * Config Loader - Merges runtime resolver configuration and validates it
+ *
+ * Configuration is deep-merged over the defaults (or over the current
+ * configuration for updates) and checked against config-schema.js. Every
+ * problem is reported with its path, e.g.
+ * `modules.expo-haptics.fallback.impactAsync must be a function`.
+ *
+ * RuntimeResolver loads its configuration through here; metro.config.js
+ * uses it to check the app configuration when bundling starts, passing the
+ * wrapped modules as `knownModules` so misspelled module names are caught.
+ */
+
+const { validate, formatErrors } = require('./schema-validator');
+const { configSchema, MODULE_SECTIONS } = require('./config-schema');
+
+const DEFAULT_CONFIG = {
+  platform: 'auto', // 'auto', 'web', 'native', 'always', 'native-missing'
+  fallbackStrategy: 'graceful', // 'graceful', 'throw', 'silent'
+  logging: true,
+  logLevel: 'warn', // 'debug', 'info', 'warn', 'error', 'silent'
+
+  // Module-specific configurations
+  modules: {},
+
+  // Global fallback behaviors
+  fallbacks: {
+    returnValue: null,
+    throwError: false,
+    logMessage: true
+  },
+
+  // Options for built-in web adapters, keyed by module name
+  adapters: {},
+
+  // Installed versions of wrapped modules, baked into wrappers by Metro
+  moduleVersions: {}
+};
+
+/**
+ * Check for an object literal, the only values merged key by key
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for plain objects
+ */
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Deep-merge configuration; arrays, functions and class instances are replaced
+ * @param {Object} base - Configuration to merge into
+ * @param {Object} override - Configuration taking precedence
+ * @returns {Object} - New merged configuration
+ */
+function mergeConfig(base, override) {
+  const merged = { ...base };
+  Object.keys(override || {}).forEach(key => {
+    const value = override[key];
+    if (value === undefined) {
+      return;
+    }
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  });
+  return merged;
+}
+
+/**
+ * Check whether a module name is one of the known modules or inside one
+ * @param {string} moduleName - Module name, e.g. 'react-native-logger/dist/types'
+ * @param {Array} knownModules - Known module names
+ * @returns {boolean} - True when known
+ */
+function isKnownModule(moduleName, knownModules) {
+  return knownModules.some(known => moduleName === known || moduleName.startsWith(`${known}/`));
+}
+
+/**
+ * Validate configuration
+ * @param {Object} config - Configuration
+ * @param {Object} [options] - Validation options
+ * @param {Array} [options.knownModules] - Module names allowed as keys of modules, adapters and moduleVersions
+ * @returns {Array} - [{ path, message }], empty when valid
+ */
+function validateConfig(config, options = {}) {
+  const errors = validate(config, configSchema);
+
+  if (options.knownModules && errors.length === 0) {
+    MODULE_SECTIONS.forEach(section => {
+      Object.keys(config[section] || {}).forEach(moduleName => {
+        if (!isKnownModule(moduleName, options.knownModules)) {
+          errors.push({ path: `${section}.${moduleName}`, message: 'is not a known module' });
+        }
+      });
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Merge configuration over a base and validate the result
+ * @param {Object} [config] - Configuration to load
+ * @param {Object} [options] - Loading options
+ * @param {Object} [options.base] - Configuration to merge into, the defaults by default
+ * @param {Array} [options.knownModules] - Module names allowed as keys of modules, adapters and moduleVersions
+ * @param {string} [options.source] - Where the configuration came from, used in error messages
+ * @returns {Object} - Merged configuration
+ * @throws {Error} - With code 'ERR_INVALID_CONFIG' listing every problem
+ */
+function loadConfig(config = {}, options = {}) {
+  const merged = mergeConfig(options.base || DEFAULT_CONFIG, config);
+  const errors = validateConfig(merged, options);
+
+  if (errors.length > 0) {
+    const error = new Error(formatErrors(options.source || 'Runtime resolver config', errors));
+    error.code = 'ERR_INVALID_CONFIG';
+    error.errors = errors;
+    throw error;
+  }
+
+  return merged;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  mergeConfig,
+  validateConfig,
+  loadConfig
+};
@@ -0,0 +1,90 @@
+/**
+ * Config Schema - Shape of the runtime resolver configuration
+ *
+ * Written in JavaScript rather than JSON because fallbacks are functions.
+ * Validated with schema-validator.js by config-loader.js.
+ */
+
+const PLATFORMS = ['auto', 'web', 'native', 'always', 'native-missing'];
+const FALLBACK_STRATEGIES = ['graceful', 'throw', 'silent'];
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Settings that apply to one method, and as defaults to a module or globally
+const methodConfigSchema = {
+  type: 'object',
+  properties: {
+    fallback: {},
+    returnValue: {},
+    throwError: { type: 'boolean' },
+    logMessage: { type: 'boolean' },
+    fallbackStrategy: { enum: FALLBACK_STRATEGIES }
+  },
+  additionalProperties: false
+};
+
+const moduleConfigSchema = {
+  type: 'object',
+  properties: {
+    ...methodConfigSchema.properties,
+    // A function handling every method, or fallbacks keyed by method name
+    fallback: {
+      type: ['function', 'object'],
+      additionalProperties: { type: 'function' }
+    },
+    methods: {
+      type: 'object',
+      additionalProperties: methodConfigSchema
+    },
+    // Native modules checked by the 'native-missing' platform mode
+    nativeModules: {
+      type: 'array',
+      items: { type: 'string' }
+    }
+  },
+  additionalProperties: false
+};
+
+const configSchema = {
+  type: 'object',
+  properties: {
+    platform: { enum: PLATFORMS },
+    fallbackStrategy: { enum: FALLBACK_STRATEGIES },
+    logging: { type: 'boolean' },
+    logLevel: { enum: LOG_LEVELS },
+    modules: {
+      type: 'object',
+      additionalProperties: moduleConfigSchema
+    },
+    fallbacks: {
+      type: 'object',
+      properties: {
+        returnValue: {},
+        throwError: { type: 'boolean' },
+        logMessage: { type: 'boolean' },
+        // Fallbacks keyed by full path, e.g. 'expo-haptics.impactAsync'
+        customFallbacks: { type: 'object' }
+      },
+      additionalProperties: false
+    },
+    adapters: {
+      type: 'object',
+      additionalProperties: { type: 'object' }
+    },
+    moduleVersions: {
+      type: 'object',
+      additionalProperties: { type: ['string', 'null'] }
+    }
+  },
+  additionalProperties: false
+};
+
+// Sections keyed by module name
+const MODULE_SECTIONS = ['modules', 'adapters', 'moduleVersions'];
+
+module.exports = {
+  PLATFORMS,
+  FALLBACK_STRATEGIES,
+  LOG_LEVELS,
+  MODULE_SECTIONS,
+  configSchema
+};
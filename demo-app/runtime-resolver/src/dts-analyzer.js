@@ -0,0 +1,466 @@
+/**
+ * Declaration Analyzer - Reads module interfaces from .d.ts files (Node only)
+ *
+ * Uses the TypeScript compiler API on the package's `types`/`typings`
+ * entry to describe each value export the way a manifest does: its kind,
+ * arity, whether it returns a Promise, enum members and object shapes, and
+ * a return value template matching the declared type.
+ *
+ * CommonJS declarations (`export = value`) describe the value as the
+ * `default` export, next to any namespace members merged into it.
+ *
+ * `typescript` is resolved from the project on first use and is optional:
+ * without it, or when the declarations only export types, the analyzer
+ * reports nothing and the caller falls back to runtime or source analysis.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Maximum nesting of generated templates, keeps recursive types finite
+const MAX_TEMPLATE_DEPTH = 4;
+
+// Declared type names that map to computed template tokens
+const TEMPLATE_TOKEN_TYPES = {
+  PermissionResponse: '$permission',
+  EventSubscription: '$subscription',
+  Subscription: '$subscription',
+  LocationSubscription: '$subscription',
+  EdgeInsets: '$insets',
+  Metrics: '$metrics'
+};
+
+// Declared type names of React components
+const COMPONENT_TYPE_NAMES = [
+  'ComponentType',
+  'ComponentClass',
+  'FunctionComponent',
+  'FC',
+  'ForwardRefExoticComponent',
+  'MemoExoticComponent',
+  'NamedExoticComponent',
+  'ExoticComponent'
+];
+
+const COMPONENT_RETURN_NAMES = ['Element', 'ReactElement', 'ReactNode', 'ReactPortal'];
+
+let typescript;
+let warnedMissing = false;
+
+/**
+ * Load the TypeScript compiler from the project
+ * @param {string} projectRoot - Project root directory
+ * @returns {Object|null} - The typescript module, null when not installed
+ */
+function loadTypeScript(projectRoot) {
+  if (typescript !== undefined) {
+    return typescript;
+  }
+
+  try {
+    typescript = require(require.resolve('typescript', { paths: [projectRoot, __dirname] }));
+  } catch (error) {
+    typescript = null;
+    if (!warnedMissing) {
+      warnedMissing = true;
+      console.warn('[DtsAnalyzer] typescript is not installed, skipping .d.ts analysis');
+    }
+  }
+  return typescript;
+}
+
+/**
+ * Find the declaration entry of a package
+ * @param {string} moduleName - Package name
+ * @param {string} projectRoot - Project root directory
+ * @returns {string|null} - Path of the entry .d.ts, null when the package ships none
+ */
+function findDeclarationEntry(moduleName, projectRoot) {
+  const packageDir = path.join(projectRoot, 'node_modules', moduleName);
+  const packageJsonPath = path.join(packageDir, 'package.json');
+  if (!fs.existsSync(packageJsonPath)) {
+    return null;
+  }
+
+  const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+  const candidates = [];
+  if (packageJson.types || packageJson.typings) {
+    candidates.push(packageJson.types || packageJson.typings);
+  }
+  if (packageJson.main) {
+    candidates.push(packageJson.main.replace(/\.(js|cjs|mjs)$/, '') + '.d.ts');
+  }
+  candidates.push('index.d.ts');
+
+  for (const candidate of candidates) {
+    let entry = path.resolve(packageDir, candidate);
+    if (!entry.endsWith('.d.ts') && fs.existsSync(`${entry}.d.ts`)) {
+      entry = `${entry}.d.ts`;
+    } else if (fs.existsSync(entry) && fs.statSync(entry).isDirectory()) {
+      entry = path.join(entry, 'index.d.ts');
+    }
+    if (entry.endsWith('.d.ts') && fs.existsSync(entry)) {
+      return entry;
+    }
+  }
+  return null;
+}
+
+/**
+ * Describes declared types with one program and checker
+ */
+class DeclarationReader {
+  constructor(ts, checker) {
+    this.ts = ts;
+    this.checker = checker;
+  }
+
+  /**
+   * Get the declared name of a type (alias name first)
+   * @param {Object} type - ts.Type
+   * @returns {string} - Name, empty when anonymous
+   */
+  getTypeName(type) {
+    const symbol = type.aliasSymbol || type.getSymbol();
+    return symbol ? symbol.getName() : '';
+  }
+
+  /**
+   * Get the type arguments of a generic type reference or alias
+   * @param {Object} type - ts.Type
+   * @returns {Array} - Argument types, empty for non-generic types
+   */
+  getTypeArguments(type) {
+    if (type.objectFlags & this.ts.ObjectFlags.Reference) {
+      return this.checker.getTypeArguments(type) || [];
+    }
+    return type.aliasTypeArguments || [];
+  }
+
+  /**
+   * Unwrap Promise<T>
+   * @param {Object} type - ts.Type
+   * @returns {Object|null} - T, null when the type is not a Promise
+   */
+  getPromisedType(type) {
+    if (this.getTypeName(type) !== 'Promise') {
+      return null;
+    }
+    const [promised] = this.getTypeArguments(type);
+    return promised || this.checker.getAnyType();
+  }
+
+  /**
+   * Count required parameters, like Function.length
+   * @param {Object} signature - ts.Signature
+   * @returns {number} - Arity
+   */
+  getArity(signature) {
+    let length = 0;
+    for (const parameter of signature.getParameters()) {
+      const declaration = parameter.valueDeclaration;
+      if (!declaration || declaration.questionToken || declaration.initializer || declaration.dotDotDotToken) {
+        break;
+      }
+      length++;
+    }
+    return length;
+  }
+
+  /**
+   * Describe a call signature
+   * @param {Object} signature - ts.Signature
+   * @param {number} depth - Template nesting
+   * @returns {Object} - { async, length, returns }
+   */
+  describeSignature(signature, depth = 0) {
+    const returnType = this.checker.getReturnTypeOfSignature(signature);
+    const promised = this.getPromisedType(returnType);
+    return {
+      async: !!promised,
+      length: this.getArity(signature),
+      returns: this.templateFromType(promised || returnType, depth + 1)
+    };
+  }
+
+  /**
+   * Build a return value template matching a type
+   * @param {Object} type - ts.Type
+   * @param {number} depth - Template nesting
+   * @returns {*} - JSON template (see return-templates.js)
+   */
+  templateFromType(type, depth = 0) {
+    const { ts, checker } = this;
+    const flags = type.getFlags();
+    const token = TEMPLATE_TOKEN_TYPES[this.getTypeName(type)];
+
+    if (token) {
+      return token;
+    }
+    if (depth > MAX_TEMPLATE_DEPTH) {
+      return null;
+    }
+
+    if (flags & (ts.TypeFlags.Void | ts.TypeFlags.Undefined | ts.TypeFlags.Null | ts.TypeFlags.Any | ts.TypeFlags.Unknown | ts.TypeFlags.Never)) {
+      return null;
+    }
+    if (flags & ts.TypeFlags.BooleanLiteral) {
+      return checker.typeToString(type) === 'true';
+    }
+    if (flags & ts.TypeFlags.Boolean) {
+      return false;
+    }
+    if (type.isStringLiteral() || type.isNumberLiteral()) {
+      return type.value;
+    }
+    if (flags & ts.TypeFlags.NumberLike) {
+      return 0;
+    }
+    if (flags & ts.TypeFlags.StringLike) {
+      return '';
+    }
+
+    if (type.isUnion()) {
+      // Optional values are absent on web; otherwise use the first member
+      if (type.types.some(member => member.getFlags() & (ts.TypeFlags.Null | ts.TypeFlags.Undefined | ts.TypeFlags.Void))) {
+        return null;
+      }
+      return this.templateFromType(type.types[0], depth);
+    }
+
+    // A pending value cannot be described in JSON
+    if (this.getPromisedType(type)) {
+      return null;
+    }
+
+    // isTupleType/isArrayType are public since TypeScript 5.0
+    if (checker.isTupleType && checker.isTupleType(type)) {
+      return this.getTypeArguments(type).map(element => this.templateFromType(element, depth + 1));
+    }
+    if (checker.isArrayType ? checker.isArrayType(type) : ['Array', 'ReadonlyArray'].includes(this.getTypeName(type))) {
+      return [];
+    }
+
+    const signatures = type.getCallSignatures();
+    if (signatures.length > 0) {
+      const { async, returns } = this.describeSignature(signatures[0], depth);
+      return { $function: { async, returns } };
+    }
+
+    if (flags & ts.TypeFlags.Object) {
+      const template = {};
+      for (const property of type.getProperties()) {
+        const declaration = property.valueDeclaration;
+        if (declaration && declaration.questionToken) {
+          continue;
+        }
+        const propertyType = checker.getTypeOfSymbolAtLocation(property, declaration || property.declarations[0]);
+        template[property.getName()] = this.templateFromType(propertyType, depth + 1);
+      }
+      return template;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a type describes a React component
+   * @param {Object} type - ts.Type
+   * @returns {boolean} - True for component types and functions returning elements
+   */
+  isComponentType(type) {
+    if (COMPONENT_TYPE_NAMES.includes(this.getTypeName(type))) {
+      return true;
+    }
+    return type.getCallSignatures().some(signature => {
+      const returnType = this.checker.getReturnTypeOfSignature(signature);
+      const candidates = returnType.isUnion() ? returnType.types : [returnType];
+      return candidates.some(candidate => COMPONENT_RETURN_NAMES.includes(this.getTypeName(candidate)));
+    });
+  }
+
+  /**
+   * Check whether a class declaration extends React.Component
+   * @param {Object} type - Instance type of the class
+   * @returns {boolean} - True for class components
+   */
+  isClassComponent(type) {
+    const bases = type.getBaseTypes ? type.getBaseTypes() || [] : [];
+    return bases.some(base => ['Component', 'PureComponent'].includes(this.getTypeName(base)) || this.isClassComponent(base));
+  }
+
+  /**
+   * Describe the methods of a type
+   * @param {Object} type - ts.Type
+   * @param {Object} location - Node used to resolve member types
+   * @returns {Object} - { name: { async, returns } }
+   */
+  describeMethods(type, location) {
+    const methods = {};
+    for (const property of type.getProperties()) {
+      const name = property.getName();
+      if (name === 'prototype' || name.startsWith('_') || name.startsWith('#')) {
+        continue;
+      }
+      const propertyType = this.checker.getTypeOfSymbolAtLocation(property, location);
+      const [signature] = propertyType.getCallSignatures();
+      if (signature) {
+        const { async, returns } = this.describeSignature(signature);
+        methods[name] = { async, returns };
+      }
+    }
+    return methods;
+  }
+
+  /**
+   * Describe one exported symbol as a manifest export entry
+   * @param {string} name - Export name
+   * @param {Object} symbol - ts.Symbol of the export
+   * @returns {Object|null} - Manifest entry, null for type-only exports
+   */
+  describeExport(name, symbol) {
+    const { ts, checker } = this;
+    const target = symbol.getFlags() & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(symbol) : symbol;
+    const flags = target.getFlags();
+    const declaration = target.valueDeclaration || (target.declarations || [])[0];
+
+    if (!(flags & ts.SymbolFlags.Value) || !declaration) {
+      return null;
+    }
+
+    if (flags & ts.SymbolFlags.Enum) {
+      const members = {};
+      (target.exports || new Map()).forEach(member => {
+        const value = member.valueDeclaration ? checker.getConstantValue(member.valueDeclaration) : undefined;
+        if (value !== undefined) {
+          members[member.getName()] = value;
+        }
+      });
+      return { kind: 'enum', members };
+    }
+
+    const type = checker.getTypeOfSymbolAtLocation(target, declaration);
+
+    if (flags & ts.SymbolFlags.Class) {
+      const instanceType = checker.getDeclaredTypeOfSymbol(target);
+      const staticMethods = this.describeMethods(type, declaration);
+      if (this.isClassComponent(instanceType)) {
+        return { kind: 'component', staticMethods };
+      }
+      return { kind: 'class', methods: this.describeMethods(instanceType, declaration), staticMethods };
+    }
+
+    if (this.getTypeName(type) === 'Context') {
+      const [valueType] = this.getTypeArguments(type);
+      return { kind: 'context', defaultValue: valueType ? this.templateFromType(valueType, 1) : null };
+    }
+
+    const isCapitalized = name[0] === name[0].toUpperCase();
+    if (isCapitalized && this.isComponentType(type)) {
+      return { kind: 'component' };
+    }
+
+    const [signature] = type.getCallSignatures();
+    if (signature) {
+      const { async, length, returns } = this.describeSignature(signature);
+      const isHook = /^use[A-Z]/.test(name);
+      return isHook ? { kind: 'hook', length, returns } : { kind: 'function', async, length, returns };
+    }
+
+    return { kind: 'constant', value: this.templateFromType(type) };
+  }
+}
+
+/**
+ * Describe the `export =` value of a CommonJS declaration file
+ * @param {Object} ts - The typescript module
+ * @param {Object} checker - ts.TypeChecker
+ * @param {DeclarationReader} reader - Reader for the program
+ * @param {Object} moduleSymbol - ts.Symbol of the entry file
+ * @returns {Object|null} - Manifest entry, null without `export =` or for plain namespaces
+ */
+function describeExportEquals(ts, checker, reader, moduleSymbol) {
+  const exportEquals = moduleSymbol.exports && moduleSymbol.exports.get(ts.InternalSymbolName.ExportEquals);
+  if (!exportEquals) {
+    return null;
+  }
+
+  const target = exportEquals.getFlags() & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(exportEquals) : exportEquals;
+  // A plain namespace has no value of its own; its members are listed as exports
+  const valueFlags = ts.SymbolFlags.Function | ts.SymbolFlags.Class | ts.SymbolFlags.Variable | ts.SymbolFlags.Enum;
+  if (!(target.getFlags() & valueFlags)) {
+    return null;
+  }
+  return reader.describeExport(target.getName(), exportEquals);
+}
+
+/**
+ * Analyze the declarations of a package
+ * @param {string} moduleName - Package name
+ * @param {string} projectRoot - Project root directory
+ * @returns {Object|null} - Manifest interface { exports, source }, null when unavailable or type-only
+ */
+function analyzeTypeDeclarations(moduleName, projectRoot) {
+  const entry = findDeclarationEntry(moduleName, projectRoot);
+  if (!entry) {
+    return null;
+  }
+
+  const ts = loadTypeScript(projectRoot);
+  if (!ts) {
+    return null;
+  }
+
+  const program = ts.createProgram([entry], {
+    noEmit: true,
+    skipLibCheck: true,
+    // Keeps `| null` and `| undefined` in unions, so optional values template to null
+    strictNullChecks: true,
+    allowJs: false,
+    jsx: ts.JsxEmit.Preserve,
+    moduleResolution: ts.ModuleResolutionKind.Node10 || ts.ModuleResolutionKind.NodeJs,
+    target: ts.ScriptTarget.ESNext,
+    baseUrl: projectRoot,
+    typeRoots: [path.join(projectRoot, 'node_modules', '@types')]
+  });
+  const checker = program.getTypeChecker();
+  const sourceFile = program.getSourceFile(entry);
+  const moduleSymbol = sourceFile && checker.getSymbolAtLocation(sourceFile);
+  if (!moduleSymbol) {
+    return null;
+  }
+
+  const reader = new DeclarationReader(ts, checker);
+  const exports = {};
+
+  try {
+    const exportEquals = describeExportEquals(ts, checker, reader, moduleSymbol);
+    if (exportEquals) {
+      exports.default = exportEquals;
+    }
+  } catch (error) {
+    console.warn(`[DtsAnalyzer] Could not describe the export = value of ${moduleName}:`, error.message);
+  }
+
+  checker.getExportsOfModule(moduleSymbol).forEach(symbol => {
+    const name = symbol.getName();
+    try {
+      const description = reader.describeExport(name, symbol);
+      if (description) {
+        exports[name] = description;
+      }
+    } catch (error) {
+      console.warn(`[DtsAnalyzer] Could not describe ${moduleName}.${name}:`, error.message);
+    }
+  });
+
+  if (Object.keys(exports).length === 0) {
+    return null;
+  }
+  return { exports, source: entry };
+}
+
+module.exports = {
+  findDeclarationEntry,
+  analyzeTypeDeclarations
+};
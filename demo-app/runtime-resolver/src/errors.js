@@ -0,0 +1,25 @@
+/**
+ * Errors - Error types raised by the runtime resolver
+ */
+
+/**
+ * Raised under the 'throw' fallback strategy when a module member has no
+ * web implementation
+ */
+class UnsupportedOnWebError extends Error {
+  /**
+   * @param {string} modulePath - Path of the member, e.g. 'expo-haptics.impactAsync'
+   * @param {Error} [cause] - Error the native implementation failed with, if it was called
+   */
+  constructor(modulePath, cause) {
+    super(`${modulePath} is not supported on web${cause && cause.message ? `: ${cause.message}` : ''}`);
+    this.name = 'UnsupportedOnWebError';
+    this.code = 'ERR_UNSUPPORTED_ON_WEB';
+    this.modulePath = modulePath;
+    this.cause = cause;
+  }
+}
+
+module.exports = {
+  UnsupportedOnWebError
+};
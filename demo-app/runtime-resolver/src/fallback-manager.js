@@ -5,197 +5,93 @@
  * graceful alternatives when native features are not available.
  */
 
+const { getAdapterFactory, hasAdapter, getRegistryRevision } = require('./adapter-registry');
+const { UnsupportedOnWebError } = require('./errors');
+const { FALLBACK_STRATEGIES } = require('./config-schema');
+const { Logger } = require('./logger');
+
+// Properties read by runtimes and libraries to probe a value; never treated as unsupported members
+const PROBED_PROPERTIES = ['then', '$$typeof', '__esModule', 'toJSON', 'constructor', 'prototype'];
+
+/**
+ * Check for an own property, so fallback maps cannot match Object.prototype members
+ * @param {Object} object - Object to check
+ * @param {string} key - Property name
+ * @returns {boolean} - True when the object has the property itself
+ */
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
 class FallbackManager {
-  constructor(config = {}) {
+  /**
+   * @param {Object} [config] - Fallback configuration
+   * @param {Object} [logger] - Logger for web adapter messages, silenced per module like fallback messages
+   */
+  constructor(config = {}, logger = new Logger()) {
     this.config = {
       returnValue: null,
       throwError: false,
       logMessage: true,
       customFallbacks: {},
+      adapters: {}, // Options for built-in web adapters, keyed by module name
+      webAdapters: true, // False off the web, where the built-in adapters' browser APIs are missing
+      moduleVersions: {}, // Installed versions of wrapped modules, used to pick adapters
+      fallbackStrategy: 'graceful', // 'graceful', 'throw', 'silent'
+      modules: {}, // Module configurations, for per-module and per-method overrides
       ...config
     };
     
-    // Built-in fallbacks for common patterns
-    this.builtInFallbacks = this.initializeBuiltInFallbacks();
+    this.logger = logger;
+
+    // Web adapters are created from the registry on first use, and rebuilt when
+    // the module's registrations change: moduleName -> { adapter, revision }
+    this.adapterInstances = new Map();
   }
 
   /**
-   * Initialize built-in fallbacks for common React Native modules
-   * @returns {Object} - Built-in fallback configurations
+   * Get the web adapter for a module, creating it on first use
+   * @param {string} moduleName - Name of the module
+   * @returns {Object|null} - Adapter exports, null when no adapter is registered or off the web
    */
-  initializeBuiltInFallbacks() {
-    return {
-      // Camera related fallbacks
-      'react-native-camera': {
-        takePicture: () => {
-          console.warn('Camera not available on web platform');
-          return Promise.reject(new Error('Camera not supported on web'));
-        }
-      },
-      
-      // Location fallbacks
-      'expo-location': {
-        getCurrentPositionAsync: () => {
-          if (navigator.geolocation) {
-            return new Promise((resolve, reject) => {
-              navigator.geolocation.getCurrentPosition(
-                position => resolve({
-                  coords: {
-                    latitude: position.coords.latitude,
-                    longitude: position.coords.longitude,
-                    accuracy: position.coords.accuracy,
-                    altitude: position.coords.altitude,
-                    heading: position.coords.heading,
-                    speed: position.coords.speed
-                  }
-                }),
-                error => reject(error)
-              );
-            });
-          }
-          console.warn('Location not available on this platform');
-          return Promise.reject(new Error('Location not supported'));
-        }
-      },
-      
-      // Haptics fallbacks
-      'expo-haptics': {
-        impactAsync: (style) => {
-          if (navigator.vibrate) {
-            const duration = style === 'heavy' ? 100 : style === 'medium' ? 50 : 25;
-            navigator.vibrate(duration);
-            return Promise.resolve();
-          }
-          console.warn('Haptics not available on this platform');
-          return Promise.resolve();
-        }
-      },
-      
-      // Device info fallbacks
-      'react-native-device-info': {
-        getDeviceId: () => {
-          console.warn('Device ID not available on web');
-          return Promise.resolve('web-device');
-        },
-        getSystemVersion: () => {
-          console.warn('System version not available on web');
-          return Promise.resolve('web');
-        }
-      },
-      
-      // Share fallbacks
-      'react-native-share': {
-        open: (options) => {
-          if (navigator.share) {
-            return navigator.share({
-              title: options.title,
-              text: options.message,
-              url: options.url
-            });
-          }
-          console.warn('Share not available on this platform');
-          return Promise.resolve();
-        }
-      },
-      
-      // Clipboard fallbacks
-      '@react-native-clipboard/clipboard': {
-        getString: () => {
-          if (navigator.clipboard) {
-            return navigator.clipboard.readText();
-          }
-          console.warn('Clipboard read not available on this platform');
-          return Promise.resolve('');
-        },
-        setString: (text) => {
-          if (navigator.clipboard) {
-            return navigator.clipboard.writeText(text);
-          }
-          console.warn('Clipboard write not available on this platform');
-          return Promise.resolve();
-        }
-      },
-
-      // NetInfo fallbacks
-      '@react-native-community/netinfo': {
-        fetch: () => {
-          if (navigator.onLine !== undefined) {
-            return Promise.resolve({
-              type: navigator.onLine ? 'wifi' : 'none',
-              isConnected: navigator.onLine,
-              isInternetReachable: navigator.onLine,
-              details: {
-                isConnectionExpensive: false,
-                ssid: null,
-                bssid: null,
-                strength: null,
-                ipAddress: null,
-                subnet: null,
-                frequency: null
-              }
-            });
-          }
-          return Promise.resolve({
-            type: 'unknown',
-            isConnected: null,
-            isInternetReachable: null,
-            details: null
-          });
-        },
-        addEventListener: (listener) => {
-          if (typeof window !== 'undefined' && window.addEventListener) {
-            const handleOnline = () => listener({
-              type: 'wifi',
-              isConnected: true,
-              isInternetReachable: true,
-              details: { isConnectionExpensive: false }
-            });
-            const handleOffline = () => listener({
-              type: 'none',
-              isConnected: false,
-              isInternetReachable: false,
-              details: null
-            });
-            
-            window.addEventListener('online', handleOnline);
-            window.addEventListener('offline', handleOffline);
-            
-            return () => {
-              window.removeEventListener('online', handleOnline);
-              window.removeEventListener('offline', handleOffline);
-            };
-          }
-          return () => {};
-        },
-        useNetInfo: () => ({
-          type: navigator.onLine ? 'wifi' : 'none',
-          isConnected: navigator.onLine,
-          isInternetReachable: navigator.onLine,
-          details: null
-        })
-      },
-
-      // NetInfo.NetInfoStateType fallbacks
-      '@react-native-community/netinfo.NetInfoStateType': {
-        none: 'none',
-        unknown: 'unknown',
-        cellular: 'cellular',
-        wifi: 'wifi',
-        bluetooth: 'bluetooth',
-        ethernet: 'ethernet',
-        wimax: 'wimax',
-        vpn: 'vpn',
-        other: 'other'
-      },
-
-      // NetInfo.NetInfoCellularGeneration fallbacks
-      '@react-native-community/netinfo.NetInfoCellularGeneration': {
-        '2g': '2g',
-        '3g': '3g',
-        '4g': '4g',
-        '5g': '5g'
+  getBuiltInAdapter(moduleName) {
+    if (!this.config.webAdapters) {
+      return null;
+    }
+
+    const revision = getRegistryRevision(moduleName);
+    const cached = this.adapterInstances.get(moduleName);
+    if (cached && cached.revision === revision) {
+      return cached.adapter;
+    }
+
+    const version = this.config.moduleVersions[moduleName] || null;
+    const factory = getAdapterFactory(moduleName, version);
+    if (!factory && version && hasAdapter(moduleName) && this.shouldLog(moduleName)) {
+      this.logger.warn(`No web adapter covers ${moduleName}@${version}, using generic fallbacks`);
+    }
+    const adapter = factory ? factory(this.config.adapters[moduleName] || {}, this.getAdapterLogger(moduleName)) : null;
+    this.adapterInstances.set(moduleName, { adapter, revision });
+    return adapter;
+  }
+
+  /**
+   * Get the logger handed to a module's web adapter
+   * @param {string} moduleName - Name of the module
+   * @returns {Object} - Logger that stays quiet while the module's messages are silenced
+   */
+  getAdapterLogger(moduleName) {
+    const forLevel = level => (message, ...args) => {
+      if (this.shouldLog(moduleName)) {
+        this.logger[level](message, ...args);
       }
     };
+    return {
+      debug: forLevel('debug'),
+      info: forLevel('info'),
+      warn: forLevel('warn'),
+      error: forLevel('error')
+    };
   }
 
   /**
@@ -203,16 +99,21 @@ class FallbackManager {
    * @param {string} methodName - Full method name (module.method)
    * @param {Error} error - The error that occurred
    * @param {Array} args - Arguments passed to the method
-   * @param {Object} config - Method-specific configuration
+   * @param {Object} [config] - Configuration of the module, when not in config.modules
    * @returns {*} - Fallback value
    */
   handleMethodError(methodName, error, args, config = {}) {
     // Check for custom fallback first
     const customFallback = this.getCustomFallback(methodName, config);
-    if (customFallback) {
+    if (customFallback !== null) {
       return this.executeCustomFallback(customFallback, error, args, methodName);
     }
 
+    // Method and module settings take precedence over the web adapter
+    if (this.hasExplicitFallbackSettings(methodName, config)) {
+      return this.executeDefaultFallback(error, args, methodName, config);
+    }
+
     // Check for built-in fallback
     const builtInFallback = this.getBuiltInFallback(methodName);
     if (builtInFallback) {
@@ -227,33 +128,67 @@ class FallbackManager {
    * Get fallback value for a property
    * @param {string} moduleName - Name of the module
    * @param {string} prop - Property name
-   * @param {Object} config - Configuration
+   * @param {Object} [config] - Configuration of the module, when not in config.modules
    * @returns {*} - Fallback value
    */
   getFallbackValue(moduleName, prop, config = {}) {
-    const fullPath = `${moduleName}.${prop}`;
+    const fullPath = `${moduleName}.${String(prop)}`;
     
     // Check for custom fallback
     const customFallback = this.getCustomFallback(fullPath, config);
-    if (customFallback) {
-      return typeof customFallback === 'function' ? customFallback : customFallback;
+    if (customFallback !== null) {
+      return customFallback;
     }
 
-    // Check for built-in fallback
-    const builtInFallback = this.getBuiltInFallback(fullPath);
+    // Check for built-in fallback, unless the member's settings say otherwise
+    const builtInFallback = this.hasExplicitFallbackSettings(fullPath, config) ? null : this.getBuiltInFallback(fullPath);
     if (builtInFallback) {
       return builtInFallback;
     }
 
+    const isProbe = this.isProbedProperty(prop);
+    const strategy = this.getFallbackStrategy(fullPath, config);
+    const returnValue = this.resolveMethodOption(fullPath, 'returnValue', config);
+
     // Return a no-op function for methods, null for properties
-    if (this.isMethodName(prop)) {
+    if (!isProbe && this.isMethodName(prop)) {
       return (...args) => {
-        console.warn(`Method ${fullPath} not available on web platform`);
-        return config.returnValue || this.config.returnValue;
+        if (strategy === 'throw') {
+          throw new UnsupportedOnWebError(fullPath);
+        }
+        if (this.shouldLog(fullPath, config)) {
+          console.warn(`Method ${fullPath} not available on web platform`);
+        }
+        return returnValue;
       };
     }
 
-    return config.returnValue || this.config.returnValue;
+    if (!isProbe && strategy === 'throw') {
+      throw new UnsupportedOnWebError(fullPath);
+    }
+
+    return returnValue;
+  }
+
+  /**
+   * Get the fallback strategy for a module member
+   * @param {string} fullPath - Full path (module.method)
+   * @param {Object} [config] - Configuration of the module, when not in config.modules
+   * @returns {string} - 'graceful', 'throw' or 'silent'
+   */
+  getFallbackStrategy(fullPath, config) {
+    const strategy = this.resolveMethodOption(fullPath, 'fallbackStrategy', config);
+    return FALLBACK_STRATEGIES.includes(strategy) ? strategy : 'graceful';
+  }
+
+  /**
+   * Check whether messages about a module member should be logged
+   * @param {string} fullPath - Full path (module.method), or a module name
+   * @param {Object} [config] - Configuration of the module, when not in config.modules
+   * @returns {boolean} - False when logging is off or the member is silenced
+   */
+  shouldLog(fullPath, config) {
+    return !!this.resolveMethodOption(fullPath, 'logMessage', config) && this.getFallbackStrategy(fullPath, config) !== 'silent';
   }
 
 
@@ -264,11 +199,14 @@ class FallbackManager {
    * @returns {Object} - Fallback module object
    */
   createFallbackModule(moduleName, error) {
-    console.warn(`Module ${moduleName} not available, using fallback`);
+    if (this.shouldLog(moduleName)) {
+      console.warn(`Module ${moduleName} not available, using fallback`);
+    }
     
-    // Check if we have built-in fallbacks for this module
-    if (this.builtInFallbacks[moduleName]) {
-      return { ...this.builtInFallbacks[moduleName] };
+    // Check if we have a web adapter for this module
+    const adapter = this.getBuiltInAdapter(moduleName);
+    if (adapter) {
+      return { ...adapter };
     }
 
     // Return a generic fallback object
@@ -285,18 +223,85 @@ class FallbackManager {
    */
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
+    
+    // Adapters are created from their options, so rebuild them when those change
+    if (newConfig.adapters || newConfig.moduleVersions) {
+      this.adapterInstances.clear();
+    }
   }
 
   // Private methods
 
   /**
-   * Get custom fallback for a method/property
+   * Find the configuration of a module member
+   * @param {string} fullPath - Full path (module.method), or a module name
+   * @param {Object} [config] - Configuration of the module, merged over config.modules[name]
+   * @returns {Object} - { moduleConfig, methodConfig, memberName }
+   */
+  getMemberConfig(fullPath, config) {
+    const [moduleName, ...memberPath] = fullPath.split('.');
+    const memberName = memberPath.join('.');
+    const moduleConfig = { ...(this.config.modules[moduleName] || {}), ...(config || {}) };
+    const methods = moduleConfig.methods || {};
+    const methodConfig = memberName && hasOwn(methods, memberName) ? methods[memberName] : {};
+    return { moduleConfig, methodConfig, memberName };
+  }
+
+  /**
+   * Check whether the method or module configuration sets returnValue or throwError
    * @param {string} fullPath - Full path (module.method)
-   * @param {Object} config - Configuration
+   * @param {Object} [config] - Configuration of the module, when not in config.modules
+   * @returns {boolean} - True when a method or module setting overrides the web adapter
+   */
+  hasExplicitFallbackSettings(fullPath, config) {
+    const { moduleConfig, methodConfig } = this.getMemberConfig(fullPath, config);
+    return ['returnValue', 'throwError'].some(option =>
+      methodConfig[option] !== undefined || moduleConfig[option] !== undefined);
+  }
+
+  /**
+   * Resolve an option for a module member from config.modules[name].methods[member],
+   * then config.modules[name], then the global configuration
+   * @param {string} fullPath - Full path (module.method), or a module name
+   * @param {string} option - Option name
+   * @param {Object} [config] - Configuration of the module, when not in config.modules
+   * @returns {*} - Option value
+   */
+  resolveMethodOption(fullPath, option, config) {
+    const { moduleConfig, methodConfig } = this.getMemberConfig(fullPath, config);
+
+    if (methodConfig[option] !== undefined) {
+      return methodConfig[option];
+    }
+    if (moduleConfig[option] !== undefined) {
+      return moduleConfig[option];
+    }
+    return this.config[option];
+  }
+
+  /**
+   * Get custom fallback for a method/property: the method's `fallback`, then the
+   * module's `fallback` map entry (or handler function), then customFallbacks
+   * @param {string} fullPath - Full path (module.method)
+   * @param {Object} [config] - Configuration of the module, when not in config.modules
    * @returns {*} - Custom fallback or null
    */
-  getCustomFallback(fullPath, config = {}) {
-    return config.fallback || this.config.customFallbacks[fullPath] || null;
+  getCustomFallback(fullPath, config) {
+    const { moduleConfig, methodConfig, memberName } = this.getMemberConfig(fullPath, config);
+
+    if (methodConfig.fallback !== undefined) {
+      return methodConfig.fallback;
+    }
+
+    const moduleFallback = moduleConfig.fallback;
+    if (typeof moduleFallback === 'function') {
+      return moduleFallback;
+    }
+    if (moduleFallback && memberName && hasOwn(moduleFallback, memberName)) {
+      return moduleFallback[memberName];
+    }
+
+    return hasOwn(this.config.customFallbacks, fullPath) ? this.config.customFallbacks[fullPath] : null;
   }
 
   /**
@@ -309,8 +314,9 @@ class FallbackManager {
     const moduleName = parts[0];
     const methodName = parts.slice(1).join('.');
 
-    if (this.builtInFallbacks[moduleName] && this.builtInFallbacks[moduleName][methodName]) {
-      return this.builtInFallbacks[moduleName][methodName];
+    const adapter = this.getBuiltInAdapter(moduleName);
+    if (adapter && hasOwn(adapter, methodName) && adapter[methodName]) {
+      return adapter[methodName];
     }
 
     return null;
@@ -351,24 +357,37 @@ class FallbackManager {
    * @param {Error} error - Original error
    * @param {Array} args - Method arguments
    * @param {string} methodName - Method name
-   * @param {Object} config - Configuration
+   * @param {Object} [config] - Configuration of the module, when not in config.modules
    * @returns {*} - Fallback result
    */
   executeDefaultFallback(error, args, methodName, config) {
-    const shouldThrow = config.throwError !== undefined ? config.throwError : this.config.throwError;
-    const returnValue = config.returnValue !== undefined ? config.returnValue : this.config.returnValue;
+    const shouldThrow = this.resolveMethodOption(methodName, 'throwError', config);
+    const returnValue = this.resolveMethodOption(methodName, 'returnValue', config);
 
     if (shouldThrow) {
       throw error;
     }
 
-    if (this.config.logMessage) {
+    if (this.getFallbackStrategy(methodName, config) === 'throw') {
+      throw new UnsupportedOnWebError(methodName, error);
+    }
+
+    if (this.shouldLog(methodName, config)) {
       console.warn(`Method ${methodName} failed, using fallback:`, error.message);
     }
 
     return returnValue;
   }
 
+  /**
+   * Check whether a property is read to probe a value rather than used as a member
+   * @param {string|symbol} prop - Property name
+   * @returns {boolean} - True for symbols and names like `then` or `$$typeof`
+   */
+  isProbedProperty(prop) {
+    return typeof prop !== 'string' || PROBED_PROPERTIES.includes(prop);
+  }
+
   /**
    * Check if a property name looks like a method
    * @param {string} prop - Property name
@@ -405,8 +424,8 @@ class FallbackManager {
    * @returns {boolean} - True if fallback exists
    */
   hasFallback(moduleName, prop) {
-    const fullPath = `${moduleName}.${prop}`;
-    return !!this.getCustomFallback(fullPath) || !!this.getBuiltInFallback(fullPath);
+    const fullPath = `${moduleName}.${String(prop)}`;
+    return this.getCustomFallback(fullPath) !== null || !!this.getBuiltInFallback(fullPath);
   }
 
   /**
@@ -423,10 +442,22 @@ class FallbackManager {
         keys.push(key.substring(moduleName.length + 1));
       }
     });
+
+    // Get configured fallback keys of top-level modules
+    const moduleConfig = this.config.modules[moduleName] || {};
+    if (moduleConfig.fallback && typeof moduleConfig.fallback === 'object') {
+      keys.push(...Object.keys(moduleConfig.fallback));
+    }
+    Object.keys(moduleConfig.methods || {}).forEach(key => {
+      if (moduleConfig.methods[key].fallback !== undefined) {
+        keys.push(key);
+      }
+    });
     
     // Get built-in fallback keys
-    if (this.builtInFallbacks[moduleName]) {
-      keys.push(...Object.keys(this.builtInFallbacks[moduleName]));
+    const adapter = this.getBuiltInAdapter(moduleName);
+    if (adapter) {
+      keys.push(...Object.keys(adapter));
     }
     
     return keys;
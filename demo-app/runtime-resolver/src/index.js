@@ -12,10 +12,22 @@ const { createRuntimeResolver } = require('./runtime-resolver');
 const { createProxyWrapper } = require('./proxy-wrapper');
 const { PlatformDetector } = require('./platform-detector');
 const { FallbackManager } = require('./fallback-manager');
+const { registerAdapter, registerAdapterModule, getRegisteredAdapters } = require('./adapter-registry');
+const { registerManifest } = require('./manifest-loader');
+const { UnsupportedOnWebError } = require('./errors');
+const { loadConfig, validateConfig, mergeConfig } = require('./config-loader');
 
 module.exports = {
   createRuntimeResolver,
   createProxyWrapper,
   PlatformDetector,
-  FallbackManager
+  FallbackManager,
+  registerAdapter,
+  registerAdapterModule,
+  getRegisteredAdapters,
+  registerManifest,
+  UnsupportedOnWebError,
+  loadConfig,
+  validateConfig,
+  mergeConfig
 };
\ No newline at end of file
@@ -0,0 +1,49 @@
+/**
+ * Installed Versions - Reads wrapped module versions from node_modules (Node only)
+ *
+ * Metro bakes the result into each wrapper so that interface definitions
+ * and adapters can be picked for the installed version in the browser.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const versionCache = new Map();
+
+/**
+ * Get the package name of a module request, e.g. 'expo-camera/legacy' -> 'expo-camera'
+ * @param {string} moduleName - Module request
+ * @returns {string} - Package name
+ */
+function getPackageName(moduleName) {
+  const parts = moduleName.split('/');
+  return moduleName.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Read the installed version of a module
+ * @param {string} moduleName - Module name
+ * @param {string} projectRoot - Directory containing node_modules
+ * @returns {string|null} - Version from package.json, null when not installed
+ */
+function readInstalledVersion(moduleName, projectRoot) {
+  const packageJsonPath = path.join(projectRoot, 'node_modules', getPackageName(moduleName), 'package.json');
+  if (versionCache.has(packageJsonPath)) {
+    return versionCache.get(packageJsonPath);
+  }
+
+  let version = null;
+  try {
+    version = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')).version || null;
+  } catch (error) {
+    version = null;
+  }
+
+  versionCache.set(packageJsonPath, version);
+  return version;
+}
+
+module.exports = {
+  getPackageName,
+  readInstalledVersion
+};
@@ -5,6 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { readInstalledVersion } = require('./installed-versions');
 
 function loadModuleExports(modulePath) {
   delete require.cache[modulePath];
@@ -31,11 +32,24 @@ function getDirname(filePath) {
   return path.dirname(filePath);
 }
 
+function analyzeTypeDeclarations(moduleName, projectRoot) {
+  // Loaded on demand: it pulls in the TypeScript compiler
+  return require('./dts-analyzer').analyzeTypeDeclarations(moduleName, projectRoot);
+}
+
+function analyzeSourceExports(filePath, projectRoot) {
+  // Loaded on demand: it pulls in @babel/parser
+  return require('./ast-export-analyzer').analyzeSourceExports(filePath, projectRoot);
+}
+
 module.exports = {
   loadModuleExports,
   readFile,
   fileExists,
   resolvePath,
   joinPath,
-  getDirname
+  getDirname,
+  readInstalledVersion,
+  analyzeTypeDeclarations,
+  analyzeSourceExports
 };
\ No newline at end of file
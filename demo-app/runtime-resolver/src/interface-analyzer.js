@@ -5,6 +5,8 @@
  * the correct types and structures to create intelligent runtime fallbacks.
  */
 
+const { hasManifest, findManifestInterface, loadManifestDirectory } = require('./manifest-loader');
+
 // Conditional imports - only load Node.js operations when not in web environment
 let nodeOps = null;
 if (typeof window === 'undefined' && typeof process !== 'undefined' && process.platform) {
@@ -17,8 +19,37 @@ if (typeof window === 'undefined' && typeof process !== 'undefined' && process.p
 }
 
 class InterfaceAnalyzer {
-  constructor() {
+  /**
+   * @param {Object} [options] - Analyzer options
+   * @param {Object} [options.moduleVersions] - Installed versions keyed by module name, baked in by Metro
+   * @param {Array} [options.manifestDirs] - App manifest directories, read under Node
+   * @param {string} [options.analysisMode='auto'] - 'types' (.d.ts only), 'runtime' (require and source only)
+   *   or 'auto' (.d.ts when the package ships them, then runtime)
+   */
+  constructor(options = {}) {
     this.cache = new Map();
+    this.moduleVersions = options.moduleVersions || {};
+    this.analysisMode = options.analysisMode || 'auto';
+
+    if (nodeOps) {
+      (options.manifestDirs || []).forEach(directory => loadManifestDirectory(directory));
+    }
+  }
+
+  /**
+   * Get the installed version of a module
+   * @param {string} moduleName - Name of the module
+   * @param {string} [projectRoot] - Project root directory
+   * @returns {string|null} - Installed version, null when unknown
+   */
+  getModuleVersion(moduleName, projectRoot) {
+    if (this.moduleVersions[moduleName]) {
+      return this.moduleVersions[moduleName];
+    }
+    if (nodeOps && projectRoot) {
+      return nodeOps.readInstalledVersion(moduleName, projectRoot);
+    }
+    return null;
   }
 
   /**
@@ -45,7 +76,7 @@ class InterfaceAnalyzer {
       return moduleInterface;
     } catch (error) {
       console.warn(`[InterfaceAnalyzer] Failed to analyze ${moduleName}:`, error.message);
-      return this.getDefaultInterface(moduleName);
+      return this.getDefaultInterface(moduleName, this.getModuleVersion(moduleName, projectRoot));
     }
   }
 
@@ -59,7 +90,24 @@ class InterfaceAnalyzer {
     // In web environment or if Node.js operations are not available, use fallback
     if (typeof window !== 'undefined' || !nodeOps) {
       console.warn(`[InterfaceAnalyzer] Web environment - using fallback interface for ${moduleName}`);
-      return this.getDefaultInterface(moduleName);
+      return this.getDefaultInterface(moduleName, this.getModuleVersion(moduleName, projectRoot));
+    }
+
+    // Declarations describe exports exactly, so prefer them when the package ships some
+    if (this.analysisMode !== 'runtime') {
+      const declared = nodeOps.analyzeTypeDeclarations(moduleName, projectRoot);
+      if (declared) {
+        return {
+          moduleName,
+          exports: this.analyzeManifestExports(declared.exports, 'types'),
+          type: 'module',
+          analyzed: 'types',
+          source: declared.source
+        };
+      }
+      if (this.analysisMode === 'types') {
+        throw new Error(`No type declarations found for ${moduleName}`);
+      }
     }
     
     // Try to find the module's main file
@@ -77,7 +125,7 @@ class InterfaceAnalyzer {
       console.warn(`[InterfaceAnalyzer] Failed to require ${modulePath}:`, error.message);
       
       // Fallback: try to analyze the source code statically
-      return this.analyzeSourceCode(modulePath, moduleName);
+      return this.analyzeSourceCode(modulePath, moduleName, projectRoot);
     }
   }
 
@@ -351,11 +399,9 @@ class InterfaceAnalyzer {
       return obj._currentValue;
     }
     
+    // Safe area metrics are measured in the browser by the wrapper generator
     if (key.includes('SafeArea')) {
-      return {
-        insets: { top: 0, bottom: 0, left: 0, right: 0 },
-        frame: { x: 0, y: 0, width: 0, height: 0 }
-      };
+      return null;
     }
     
     if (key.includes('Navigation')) {
@@ -371,31 +417,30 @@ class InterfaceAnalyzer {
 
   /**
    * Analyze source code statically when module can't be loaded
-   * @param {string} filePath - Path to source file
+   * @param {string} filePath - Path to the module's entry file
    * @param {string} moduleName - Module name
+   * @param {string} [projectRoot] - Project root directory, used to find @babel/parser
    * @returns {Object} - Interface description
    */
-  analyzeSourceCode(filePath, moduleName) {
+  analyzeSourceCode(filePath, moduleName, projectRoot) {
     try {
       // In web environment or if Node.js operations are not available, provide a basic fallback
       if (typeof window !== 'undefined' || !nodeOps) {
         console.warn(`[InterfaceAnalyzer] Web environment - providing default interface for ${moduleName}`);
         return this.getDefaultInterface(moduleName);
       }
-      
-      const sourceCode = nodeOps.readFile(filePath);
-      
-      // Set current path for re-export analysis
-      this.currentAnalysisPath = filePath;
-      
-      // Extract exports from source code
-      const exports = this.extractExportsFromSource(sourceCode);
-      
+
+      const { exports, cycles } = nodeOps.analyzeSourceExports(filePath, projectRoot || nodeOps.getDirname(filePath));
+      cycles.forEach(cycle => {
+        console.warn(`[InterfaceAnalyzer] Import cycle in ${moduleName}: ${cycle.join(' -> ')}`);
+      });
+
       return {
         moduleName,
-        exports,
+        exports: this.analyzeManifestExports(exports, 'source'),
         type: 'module',
-        analyzed: 'static'
+        analyzed: 'static',
+        source: filePath
       };
     } catch (error) {
       console.warn(`[InterfaceAnalyzer] Failed to analyze source code:`, error.message);
@@ -403,162 +448,71 @@ class InterfaceAnalyzer {
     }
   }
 
-  /**
-   * Extract exports from source code using regex
-   * @param {string} sourceCode - Source code content
-   * @returns {Object} - Extracted exports
-   */
-  extractExportsFromSource(sourceCode) {
-    const exports = {};
-    
-    // Match CommonJS exports (exports.name = ...)
-    const exportsRegex = /exports\.(\w+)\s*=/g;
-    let match;
-    
-    while ((match = exportsRegex.exec(sourceCode)) !== null) {
-      const exportName = match[1];
-      exports[exportName] = {
-        type: this.inferTypeFromName(exportName),
-        key: exportName,
-        analyzedFrom: 'source'
-      };
-    }
-    
-    // Match re-exports pattern: var _Module = require("./Module");
-    // Object.keys(_Module).forEach(function (key) { ... exports[key] = _Module[key]; });
-    const reExportRegex = /var\s+_(\w+)\s*=\s*require\("\.\/(\w+)"\)/g;
-    const reExportFiles = [];
-    
-    while ((match = reExportRegex.exec(sourceCode)) !== null) {
-      const moduleName = match[2];
-      reExportFiles.push(moduleName);
-    }
-    
-    // For each re-exported file, try to analyze it (only if nodeOps is available)
-    if (nodeOps) {
-      for (const fileName of reExportFiles) {
-        try {
-          const filePath = nodeOps.joinPath(nodeOps.getDirname(this.currentAnalysisPath), `${fileName}.js`);
-          if (nodeOps.fileExists(filePath)) {
-            const subFileContent = nodeOps.readFile(filePath);
-            const subExports = this.extractExportsFromSource(subFileContent);
-            Object.assign(exports, subExports);
-          }
-        } catch (error) {
-          console.warn(`[InterfaceAnalyzer] Failed to analyze re-exported file ${fileName}:`, error.message);
-        }
-      }
-    }
-    
-    // Match ES6 export statements
-    const esExportRegex = /export\s+(?:const|let|var|function|class)\s+(\w+)/g;
-    while ((match = esExportRegex.exec(sourceCode)) !== null) {
-      const exportName = match[1];
-      exports[exportName] = {
-        type: this.inferTypeFromName(exportName),
-        key: exportName,
-        analyzedFrom: 'source'
-      };
-    }
-    
-    // Match export default
-    const defaultExportRegex = /export\s+default\s+(\w+)/g;
-    const defaultMatch = defaultExportRegex.exec(sourceCode);
-    if (defaultMatch) {
-      exports.default = {
-        type: 'unknown',
-        key: 'default',
-        analyzedFrom: 'source'
-      };
-    }
-    
-    return exports;
-  }
-  
-  /**
-   * Infer type from export name patterns
-   * @param {string} name - Export name
-   * @returns {string} - Inferred type
-   */
-  inferTypeFromName(name) {
-    // React hooks
-    if (name.startsWith('use') && name.length > 3 && name[3] === name[3].toUpperCase()) {
-      return 'react-hook';
-    }
-    
-    // React components
-    if (name[0] === name[0].toUpperCase() && (
-      name.includes('Provider') || 
-      name.includes('Consumer') || 
-      name.includes('View') || 
-      name.includes('Component') ||
-      name.includes('Context')
-    )) {
-      if (name.includes('Context')) {
-        return 'react-context';
-      }
-      return 'react-component';
-    }
-    
-    // Functions typically start with lowercase
-    if (name[0] === name[0].toLowerCase()) {
-      return 'function';
-    }
-    
-    return 'unknown';
-  }
-
   /**
    * Get default interface when analysis fails
    * @param {string} moduleName - Module name
+   * @param {string|null} [version] - Installed version, picks the matching manifest interface
    * @returns {Object} - Default interface
    */
-  getDefaultInterface(moduleName) {
-    // Provide smart defaults for known modules
-    const knownModules = {
-      'react-native-safe-area-context': {
-        exports: {
-          SafeAreaProvider: { type: 'react-component', key: 'SafeAreaProvider' },
-          SafeAreaView: { type: 'react-component', key: 'SafeAreaView' },
-          SafeAreaContext: { type: 'react-context', key: 'SafeAreaContext' },
-          SafeAreaInsetsContext: { type: 'react-context', key: 'SafeAreaInsetsContext' },
-          SafeAreaFrameContext: { type: 'react-context', key: 'SafeAreaFrameContext' },
-          SafeAreaConsumer: { type: 'react-component', key: 'SafeAreaConsumer' },
-          useSafeAreaInsets: { type: 'react-hook', key: 'useSafeAreaInsets' },
-          useSafeAreaFrame: { type: 'react-hook', key: 'useSafeAreaFrame' },
-          useSafeArea: { type: 'react-hook', key: 'useSafeArea' },
-          withSafeAreaInsets: { type: 'function', key: 'withSafeAreaInsets' },
-          initialWindowSafeAreaInsets: { type: 'function', key: 'initialWindowSafeAreaInsets' },
-          initialWindowMetrics: { type: 'function', key: 'initialWindowMetrics' }
-        }
-      },
-      'expo-camera': {
-        exports: {
-          Camera: { type: 'react-component', key: 'Camera' },
-          CameraView: { type: 'react-component', key: 'CameraView' },
-          useCameraPermissions: { type: 'react-hook', key: 'useCameraPermissions' },
-          useMicrophonePermissions: { type: 'react-hook', key: 'useMicrophonePermissions' }
-        }
-      },
-      'expo-location': {
-        exports: {
-          requestForegroundPermissionsAsync: { type: 'function', key: 'requestForegroundPermissionsAsync' },
-          getCurrentPositionAsync: { type: 'function', key: 'getCurrentPositionAsync' },
-          reverseGeocodeAsync: { type: 'function', key: 'reverseGeocodeAsync' },
-          Accuracy: { type: 'object', key: 'Accuracy' }
-        }
-      }
-    };
-    
-    const knownModule = knownModules[moduleName];
-    
+  getDefaultInterface(moduleName, version = this.getModuleVersion(moduleName)) {
+    // Provide smart defaults for modules with a manifest
+    const definition = findManifestInterface(moduleName, version);
+
+    if (!definition && version && hasManifest(moduleName)) {
+      console.warn(`[InterfaceAnalyzer] No manifest interface covers ${moduleName}@${version}, exports are unknown`);
+    }
+
     return {
       moduleName,
-      exports: knownModule ? knownModule.exports : {},
+      version,
+      exports: definition ? this.analyzeManifestExports(definition.exports) : {},
       type: 'module',
-      analyzed: 'fallback'
+      analyzed: definition ? 'manifest' : 'fallback'
     };
   }
+
+  /**
+   * Turn manifest export entries into export descriptions
+   * @param {Object} manifestExports - `exports` of a manifest interface, or of .d.ts or source analysis
+   * @param {string} [origin='manifest'] - Recorded as analyzedFrom
+   * @returns {Object} - Export descriptions keyed by export name
+   */
+  analyzeManifestExports(manifestExports, origin = 'manifest') {
+    const exports = {};
+
+    for (const [key, entry] of Object.entries(manifestExports)) {
+      const description = { ...entry, key, analyzedFrom: origin };
+
+      switch (entry.kind) {
+        case 'component':
+          description.type = 'react-component';
+          description.subtype = this.getReactComponentType(key);
+          break;
+        case 'hook':
+          description.type = 'react-hook';
+          description.returnType = this.inferHookReturnType(key);
+          break;
+        case 'context':
+          description.type = 'react-context';
+          description.hasProvider = true;
+          description.hasConsumer = true;
+          break;
+        case 'namespace':
+          // `export * as ns` / `import * as ns; export { ns }` from source analysis
+          description.type = 'object';
+          description.properties = this.analyzeManifestExports(entry.exports, origin);
+          delete description.exports;
+          break;
+        default:
+          // function, enum, constant and class keep their kind as type
+          description.type = entry.kind;
+      }
+
+      exports[key] = description;
+    }
+
+    return exports;
+  }
 }
 
 module.exports = {
@@ -0,0 +1,222 @@
+/**
+ * Manifest Loader - Declarative interface manifests per package
+ *
+ * A manifest is a JSON file describing the exports of one package for one
+ * or more semver ranges (see manifests/manifest.schema.json). They are used
+ * by InterfaceAnalyzer when a module cannot be analyzed, and by
+ * WrapperGenerator to build fallbacks of the right shape.
+ *
+ * Built-in manifests live in runtime-resolver/manifests. Apps add or
+ * override manifests from their own directory; manifests registered later
+ * take precedence. In web bundles the Metro wrapper of each module
+ * registers its manifests; under Node, directories are read directly.
+ */
+
+const schema = require('../manifests/manifest.schema.json');
+const { validate, formatErrors } = require('./schema-validator');
+const { satisfies, validRange } = require('./semver');
+const { validateTemplate } = require('./return-templates');
+
+// Conditional require - only read manifest directories under Node, jsdom test environments included
+let nodeRequire = null;
+if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+  try {
+    // Use eval to prevent bundlers from processing this require statement
+    nodeRequire = eval('require');
+  } catch (error) {
+    nodeRequire = null;
+  }
+}
+
+// Registered manifests per module, highest precedence first
+const manifests = new Map();
+const loadedDirectories = new Set();
+
+/**
+ * Validate a manifest against the schema and the rules it cannot express
+ * @param {Object} manifest - Parsed manifest
+ * @param {string} [source] - Where the manifest came from, used in error messages
+ * @returns {Object} - The manifest
+ * @throws {Error} - With code 'ERR_INVALID_MANIFEST' listing every problem
+ */
+function validateManifest(manifest, source = 'Manifest') {
+  const errors = validate(manifest, schema);
+
+  if (errors.length === 0) {
+    manifest.interfaces.forEach((definition, index) => {
+      const path = `interfaces[${index}]`;
+      if (definition.versions !== undefined && !validRange(definition.versions)) {
+        errors.push({ path: `${path}.versions`, message: `is not a valid semver range: "${definition.versions}"` });
+      }
+
+      Object.keys(definition.exports).forEach(key => {
+        const entry = definition.exports[key];
+        const entryPath = `${path}.exports.${key}`;
+        if (entry.kind === 'enum' && !entry.members) {
+          errors.push({ path: `${entryPath}.members`, message: 'is required for enums' });
+        }
+        if (entry.kind === 'constant' && entry.value === undefined) {
+          errors.push({ path: `${entryPath}.value`, message: 'is required for constants' });
+        }
+        ['returns', 'defaultValue', 'value'].forEach(field => {
+          errors.push(...validateTemplate(entry[field], `${entryPath}.${field}`));
+        });
+        ['methods', 'staticMethods'].forEach(field => {
+          Object.keys(entry[field] || {}).forEach(method => {
+            errors.push(...validateTemplate(entry[field][method].returns, `${entryPath}.${field}.${method}.returns`));
+          });
+        });
+      });
+    });
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(formatErrors(source, errors));
+    error.code = 'ERR_INVALID_MANIFEST';
+    error.errors = errors;
+    throw error;
+  }
+
+  return manifest;
+}
+
+/**
+ * Register a manifest
+ * @param {Object} manifest - Parsed manifest
+ * @param {Object} [options] - Registration options
+ * @param {string} [options.source] - File or origin, used in error messages
+ * @returns {Function} - Unregister function
+ */
+function registerManifest(manifest, options = {}) {
+  validateManifest(manifest, options.source || `Manifest for ${manifest && manifest.module}`);
+
+  const entries = manifests.get(manifest.module) || [];
+  // Wrappers can be evaluated more than once (fast refresh); keep one entry
+  const existing = entries.indexOf(manifest);
+  if (existing !== -1) {
+    entries.splice(existing, 1);
+  }
+  entries.unshift(manifest);
+  manifests.set(manifest.module, entries);
+
+  return () => {
+    const index = entries.indexOf(manifest);
+    if (index !== -1) {
+      entries.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * List the manifest files in a directory (Node only)
+ * @param {string} directory - Directory containing *.json manifests
+ * @returns {Array} - [{ moduleName, filePath, manifest }], invalid files are skipped with a warning
+ */
+function readManifestDirectory(directory) {
+  if (!nodeRequire) {
+    return [];
+  }
+  const fs = nodeRequire('fs');
+  const path = nodeRequire('path');
+
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json') && !file.endsWith('.schema.json'))
+    .sort()
+    .map(file => {
+      const filePath = path.join(directory, file);
+      try {
+        const manifest = validateManifest(JSON.parse(fs.readFileSync(filePath, 'utf8')), `Manifest ${filePath}`);
+        return { moduleName: manifest.module, filePath, manifest };
+      } catch (error) {
+        console.warn(`[ManifestLoader] Skipping ${filePath}: ${error.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Register every manifest in a directory (Node only)
+ * @param {string} directory - Directory containing *.json manifests
+ * @returns {Array} - Names of the modules that got a manifest
+ */
+function loadManifestDirectory(directory) {
+  if (loadedDirectories.has(directory)) {
+    return [];
+  }
+  loadedDirectories.add(directory);
+
+  return readManifestDirectory(directory).map(({ manifest, filePath }) => {
+    registerManifest(manifest, { source: `Manifest ${filePath}` });
+    return manifest.module;
+  });
+}
+
+/**
+ * Get the directory of the built-in manifests (Node only)
+ * @returns {string|null} - Directory path
+ */
+function getBuiltInManifestDirectory() {
+  return nodeRequire ? nodeRequire('path').join(__dirname, '..', 'manifests') : null;
+}
+
+/**
+ * Register the built-in manifests with the lowest precedence (Node only)
+ */
+function loadBuiltInManifests() {
+  const directory = getBuiltInManifestDirectory();
+  if (!directory || loadedDirectories.has(directory)) {
+    return;
+  }
+  loadedDirectories.add(directory);
+
+  readManifestDirectory(directory).forEach(({ manifest }) => {
+    const entries = manifests.get(manifest.module) || [];
+    entries.push(manifest);
+    manifests.set(manifest.module, entries);
+  });
+}
+
+/**
+ * Check whether any manifest describes a module
+ * @param {string} moduleName - Module name
+ * @returns {boolean} - True when the module has a manifest
+ */
+function hasManifest(moduleName) {
+  loadBuiltInManifests();
+  return (manifests.get(moduleName) || []).length > 0;
+}
+
+/**
+ * Find the interface covering a module version
+ * @param {string} moduleName - Module name
+ * @param {string|null} [version] - Installed version, when known
+ * @returns {Object|null} - { versions, exports }, null when none covers the version
+ */
+function findManifestInterface(moduleName, version = null) {
+  loadBuiltInManifests();
+
+  for (const manifest of manifests.get(moduleName) || []) {
+    const match = version
+      ? manifest.interfaces.find(definition => satisfies(version, definition.versions || '*'))
+      : manifest.interfaces[0];
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  validateManifest,
+  registerManifest,
+  readManifestDirectory,
+  loadManifestDirectory,
+  getBuiltInManifestDirectory,
+  hasManifest,
+  findManifestInterface
+};
@@ -0,0 +1,48 @@
+/**
+ * Native Module Names - Native modules backing the wrapped packages
+ *
+ * Used by the 'native-missing' platform mode to tell whether a package's
+ * native side is linked into the running binary (Expo Go and dev clients
+ * only ship some). Apps override or extend this per module with
+ * `modules[name].nativeModules`.
+ */
+
+const NATIVE_MODULE_NAMES = {
+  'expo-camera': ['ExpoCamera'],
+  'expo-location': ['ExpoLocation'],
+  'expo-haptics': ['ExpoHaptics'],
+  'expo-brightness': ['ExpoBrightness'],
+  'expo-screen-orientation': ['ExpoScreenOrientation'],
+  'expo-file-system': ['ExponentFileSystem'],
+  'expo-sensors': ['ExponentAccelerometer', 'ExponentGyroscope', 'ExponentMagnetometer', 'ExponentDeviceMotion'],
+  'expo-notifications': ['ExpoNotificationScheduler', 'ExpoNotificationPresenter'],
+  '@react-native-async-storage/async-storage': ['RNCAsyncStorage'],
+  '@react-native-clipboard/clipboard': ['RNCClipboard'],
+  '@react-native-community/netinfo': ['RNCNetInfo'],
+  'react-native-device-info': ['RNDeviceInfo'],
+  'react-native-camera': ['RNCameraModule'],
+  'react-native-share': ['RNShare'],
+  'react-native-image-picker': ['ImagePicker'],
+  'react-native-safe-area-context': ['RNCSafeAreaContext'],
+  'react-native-screens': ['RNSModule']
+};
+
+/**
+ * Get the native modules backing a package
+ * @param {string} moduleName - Module name, subpaths like 'pkg/dist/x' included
+ * @param {Object} [moduleConfig] - Configuration of the module
+ * @returns {Array} - Native module names, empty when unknown
+ */
+function getNativeModuleNames(moduleName, moduleConfig = {}) {
+  if (moduleConfig.nativeModules) {
+    return moduleConfig.nativeModules;
+  }
+  const packageName = Object.keys(NATIVE_MODULE_NAMES)
+    .find(name => moduleName === name || moduleName.startsWith(`${name}/`));
+  return packageName ? NATIVE_MODULE_NAMES[packageName] : [];
+}
+
+module.exports = {
+  NATIVE_MODULE_NAMES,
+  getNativeModuleNames
+};
@@ -0,0 +1,249 @@
+/**
+ * Permissions - Maps Expo permission calls onto browser permission state
+ *
+ * Reads the Permissions API where it is available and falls back to the
+ * actual prompt flows (getUserMedia, geolocation, Notification) to request
+ * access, always answering with the Expo PermissionResponse shape.
+ */
+
+const PermissionStatus = {
+  GRANTED: 'granted',
+  DENIED: 'denied',
+  UNDETERMINED: 'undetermined'
+};
+
+// Permissions API descriptor name for each permission kind
+const PERMISSION_NAMES = {
+  camera: 'camera',
+  microphone: 'microphone',
+  location: 'geolocation',
+  notifications: 'notifications'
+};
+
+/**
+ * Create an Expo PermissionResponse
+ * @param {string} status - 'granted', 'denied' or 'undetermined'
+ * @param {boolean} canAskAgain - Whether the user can be prompted again
+ * @returns {Object} - { status, granted, canAskAgain, expires }
+ */
+function createPermissionResponse(status, canAskAgain = status !== PermissionStatus.DENIED) {
+  return {
+    status,
+    granted: status === PermissionStatus.GRANTED,
+    canAskAgain,
+    expires: 'never'
+  };
+}
+
+/**
+ * Map a browser permission state to an Expo permission status
+ * @param {string} state - 'granted', 'denied', 'prompt' or 'default'
+ * @returns {string} - Expo permission status
+ */
+function toPermissionStatus(state) {
+  if (state === 'granted') {
+    return PermissionStatus.GRANTED;
+  }
+  if (state === 'denied') {
+    return PermissionStatus.DENIED;
+  }
+  return PermissionStatus.UNDETERMINED;
+}
+
+/**
+ * Query the Permissions API for a permission kind
+ * @param {string} kind - 'camera', 'microphone', 'location' or 'notifications'
+ * @returns {Promise<PermissionStatus|null>} - Browser status object or null if unsupported
+ */
+async function queryBrowserPermission(kind) {
+  if (typeof navigator === 'undefined' || !navigator.permissions || !navigator.permissions.query) {
+    return null;
+  }
+
+  try {
+    return await navigator.permissions.query({ name: PERMISSION_NAMES[kind] });
+  } catch (error) {
+    // Some browsers do not know every permission name (e.g. Firefox and 'camera')
+    return null;
+  }
+}
+
+/**
+ * Get the current permission without prompting the user
+ * @param {string} kind - Permission kind
+ * @returns {Promise<Object>} - PermissionResponse
+ */
+async function getPermissionAsync(kind) {
+  if (kind === 'notifications' && typeof Notification !== 'undefined') {
+    return createPermissionResponse(toPermissionStatus(Notification.permission));
+  }
+
+  const browserStatus = await queryBrowserPermission(kind);
+  if (browserStatus) {
+    return createPermissionResponse(toPermissionStatus(browserStatus.state));
+  }
+
+  return createPermissionResponse(PermissionStatus.UNDETERMINED);
+}
+
+/**
+ * Prompt for media access and release the stream right away
+ * @param {Object} constraints - getUserMedia constraints
+ * @returns {Promise<Object>} - PermissionResponse
+ */
+async function requestMediaPermission(constraints) {
+  if (typeof navigator === 'undefined' || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    return createPermissionResponse(PermissionStatus.DENIED, false);
+  }
+
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia(constraints);
+    stream.getTracks().forEach(track => track.stop());
+    return createPermissionResponse(PermissionStatus.GRANTED);
+  } catch (error) {
+    if (error && (error.name === 'NotAllowedError' || error.name === 'SecurityError')) {
+      return createPermissionResponse(PermissionStatus.DENIED, false);
+    }
+    // No device or device busy: the user was never asked
+    return createPermissionResponse(PermissionStatus.UNDETERMINED);
+  }
+}
+
+/**
+ * Prompt for geolocation access
+ * @returns {Promise<Object>} - PermissionResponse
+ */
+function requestLocationPermission() {
+  if (typeof navigator === 'undefined' || !navigator.geolocation) {
+    return Promise.resolve(createPermissionResponse(PermissionStatus.DENIED, false));
+  }
+
+  return new Promise(resolve => {
+    navigator.geolocation.getCurrentPosition(
+      () => resolve(createPermissionResponse(PermissionStatus.GRANTED)),
+      error => {
+        if (error.code === error.PERMISSION_DENIED || error.code === 1) {
+          resolve(createPermissionResponse(PermissionStatus.DENIED, false));
+          return;
+        }
+        // Position unavailable or timed out, but access itself was allowed
+        resolve(getPermissionAsync('location'));
+      },
+      { maximumAge: Infinity, timeout: 30000 }
+    );
+  });
+}
+
+/**
+ * Prompt for notification access
+ * @returns {Promise<Object>} - PermissionResponse
+ */
+async function requestNotificationPermission() {
+  if (typeof Notification === 'undefined') {
+    return createPermissionResponse(PermissionStatus.DENIED, false);
+  }
+
+  const result = await Notification.requestPermission();
+  return createPermissionResponse(toPermissionStatus(result));
+}
+
+/**
+ * Request a permission, prompting the user when the browser needs to
+ * @param {string} kind - Permission kind
+ * @returns {Promise<Object>} - PermissionResponse
+ */
+async function requestPermissionAsync(kind) {
+  const current = await getPermissionAsync(kind);
+  if (current.status !== PermissionStatus.UNDETERMINED) {
+    return current;
+  }
+
+  switch (kind) {
+    case 'camera':
+      return requestMediaPermission({ video: true });
+    case 'microphone':
+      return requestMediaPermission({ audio: true });
+    case 'location':
+      return requestLocationPermission();
+    case 'notifications':
+      return requestNotificationPermission();
+    default:
+      return current;
+  }
+}
+
+/**
+ * Subscribe to browser permission changes
+ * @param {string} kind - Permission kind
+ * @param {Function} listener - Called with a PermissionResponse on change
+ * @returns {Function} - Unsubscribe function
+ */
+function addPermissionChangeListener(kind, listener) {
+  let browserStatus = null;
+  let removed = false;
+
+  const handleChange = () => {
+    listener(createPermissionResponse(toPermissionStatus(browserStatus.state)));
+  };
+
+  queryBrowserPermission(kind).then(status => {
+    if (!status || removed) {
+      return;
+    }
+    browserStatus = status;
+    browserStatus.addEventListener('change', handleChange);
+  });
+
+  return () => {
+    removed = true;
+    if (browserStatus) {
+      browserStatus.removeEventListener('change', handleChange);
+    }
+  };
+}
+
+/**
+ * Create an Expo-style permission hook for a permission kind
+ * @param {string} kind - Permission kind
+ * @returns {Function} - Hook returning [response, requestPermission, getPermission]
+ */
+function createPermissionHook(kind) {
+  return function usePermissions(options = {}) {
+    const React = require('react');
+    const { get = true, request = false } = options;
+    const [response, setResponse] = React.useState(null);
+
+    const getPermission = React.useCallback(async () => {
+      const result = await getPermissionAsync(kind);
+      setResponse(result);
+      return result;
+    }, []);
+
+    const requestPermission = React.useCallback(async () => {
+      const result = await requestPermissionAsync(kind);
+      setResponse(result);
+      return result;
+    }, []);
+
+    React.useEffect(() => {
+      if (request) {
+        requestPermission();
+      } else if (get) {
+        getPermission();
+      }
+    }, [get, request]);
+
+    React.useEffect(() => addPermissionChangeListener(kind, setResponse), []);
+
+    return [response, requestPermission, getPermission];
+  };
+}
+
+module.exports = {
+  PermissionStatus,
+  createPermissionResponse,
+  getPermissionAsync,
+  requestPermissionAsync,
+  addPermissionChangeListener,
+  createPermissionHook
+};
@@ -104,6 +104,39 @@ class PlatformDetector {
     return 'unknown';
   }
 
+  /**
+   * Check whether a native module is linked into the running binary
+   * @param {string} name - Native module name, e.g. 'ExpoHaptics'
+   * @returns {boolean} - True if an Expo module, TurboModule or bridge module is registered
+   */
+  hasNativeModule(name) {
+    const root = typeof globalThis !== 'undefined' ? globalThis : global;
+
+    // Expo modules register themselves on the JSI object
+    if (root.expo && root.expo.modules && root.expo.modules[name]) {
+      return true;
+    }
+
+    // New architecture TurboModules
+    if (typeof root.__turboModuleProxy === 'function' && root.__turboModuleProxy(name)) {
+      return true;
+    }
+
+    try {
+      const { TurboModuleRegistry, NativeModules } = require('react-native');
+      if (TurboModuleRegistry && TurboModuleRegistry.get(name)) {
+        return true;
+      }
+      if (NativeModules && NativeModules[name]) {
+        return true;
+      }
+    } catch (error) {
+      // React Native not available, so neither is the native module
+    }
+
+    return false;
+  }
+
   /**
    * Check if running in development mode
    * @returns {boolean} - True if in development
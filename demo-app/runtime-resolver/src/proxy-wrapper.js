@@ -5,6 +5,28 @@
  * and provide fallback behavior when methods don't exist or fail on web platforms.
  */
 
+const { getSafeAreaMetrics } = require('./safe-area-metrics');
+const { UnsupportedOnWebError } = require('./errors');
+
+// Stands in for the logger of members whose fallback strategy is 'silent'
+const SILENT_LOGGER = {
+  debug() {},
+  info() {},
+  warn() {},
+  error() {}
+};
+
+/**
+ * Get the logger to use for a module member
+ * @param {string} memberPath - Full path (module.member)
+ * @param {Object} fallbackManager - The fallback manager
+ * @param {Object} logger - The logger
+ * @returns {Object} - The logger, or a no-op logger when the member is silenced
+ */
+function getMemberLogger(memberPath, fallbackManager, logger) {
+  return fallbackManager.getFallbackStrategy(memberPath) === 'silent' ? SILENT_LOGGER : logger;
+}
+
 /**
  * Create an event emitter proxy for missing event objects
  */
@@ -60,10 +82,8 @@ function createRemoveListenerProxy(prop, moduleName, logger) {
 function createReactContextProxy(prop, moduleName, logger) {
   logger.info(`Creating React Context proxy for ${moduleName}.${prop}`);
   
-  const defaultValue = {
-    insets: { top: 0, bottom: 0, left: 0, right: 0 },
-    frame: { x: 0, y: 0, width: 0, height: 0 }
-  };
+  // Measured from the browser rather than assuming a zero-sized window
+  const defaultValue = getSafeAreaMetrics();
   
   return new Proxy({}, {
     get(target, contextProp) {
@@ -138,11 +158,11 @@ function createReactHookProxy(prop, moduleName, logger) {
     
     // Common hook return patterns
     if (prop.includes('SafeArea') || prop.includes('Insets')) {
-      return { top: 0, bottom: 0, left: 0, right: 0 };
+      return getSafeAreaMetrics().insets;
     }
     
     if (prop.includes('Frame') || prop.includes('Dimensions')) {
-      return { x: 0, y: 0, width: 0, height: 0 };
+      return getSafeAreaMetrics().frame;
     }
     
     if (prop.includes('State') || prop.includes('Value')) {
@@ -163,11 +183,16 @@ function createReactHookProxy(prop, moduleName, logger) {
  * @returns {Proxy} - Safe proxy for nested property access
  */
 function createSafePropertyProxy(moduleName, prop, fallbackManager, logger) {
-  const fullPath = `${moduleName}.${prop}`;
+  const fullPath = `${moduleName}.${String(prop)}`;
+  const strategy = fallbackManager.getFallbackStrategy(fullPath);
+  const log = getMemberLogger(fullPath, fallbackManager, logger);
   
   // Create a safe object that can handle nested property access
   const safeObject = function(...args) {
-    logger.warn(`Unknown function '${prop}' called on module '${moduleName}'`);
+    if (strategy === 'throw') {
+      throw new UnsupportedOnWebError(fullPath);
+    }
+    log.warn(`Unknown function '${String(prop)}' called on module '${moduleName}'`);
     return fallbackManager.getFallbackValue(moduleName, prop, {});
   };
   
@@ -186,24 +211,61 @@ function createSafePropertyProxy(moduleName, prop, fallbackManager, logger) {
       }
       
       // Log access to unknown nested property
-      logger.warn(`Accessing unknown property '${nestedProp}' on unknown property '${prop}' of module '${moduleName}'`);
+      log.warn(`Accessing unknown property '${String(nestedProp)}' on unknown property '${String(prop)}' of module '${moduleName}'`);
       
       // Return another safe proxy for deeper nesting
+      if (strategy === 'throw') {
+        return createThrowingMemberProxy(fullPath, nestedProp, fallbackManager, logger);
+      }
       return createSafePropertyProxy(fullPath, nestedProp, fallbackManager, logger);
     },
     
     set(target, nestedProp, value) {
-      logger.warn(`Setting property '${nestedProp}' on unknown property '${prop}' of module '${moduleName}'`);
+      log.warn(`Setting property '${String(nestedProp)}' on unknown property '${String(prop)}' of module '${moduleName}'`);
       return true;
     },
     
     apply(target, thisArg, argumentsList) {
-      logger.warn(`Calling unknown function '${prop}' on module '${moduleName}'`);
+      if (strategy === 'throw') {
+        throw new UnsupportedOnWebError(fullPath);
+      }
+      log.warn(`Calling unknown function '${String(prop)}' on module '${moduleName}'`);
       return fallbackManager.getFallbackValue(moduleName, prop, {});
     }
   });
 }
 
+/**
+ * Create the stand-in for a missing member under the 'throw' strategy
+ * @param {string} moduleName - The module name
+ * @param {string|symbol} prop - The property name
+ * @param {Object} fallbackManager - The fallback manager
+ * @param {Object} logger - The logger
+ * @returns {*} - Proxy throwing UnsupportedOnWebError once used, undefined for probed properties
+ */
+function createThrowingMemberProxy(moduleName, prop, fallbackManager, logger) {
+  // `then`, `$$typeof` and symbols are read to probe values, not used as members
+  if (fallbackManager.isProbedProperty(prop)) {
+    return undefined;
+  }
+  return createSafePropertyProxy(moduleName, prop, fallbackManager, logger);
+}
+
+/**
+ * Look up a built-in web adapter export for a missing property
+ * @param {string} moduleName - The module name
+ * @param {string|symbol} prop - The property name
+ * @param {Object} fallbackManager - The fallback manager
+ * @returns {*} - Built-in export or null
+ */
+function getBuiltInExport(moduleName, prop, fallbackManager) {
+  if (typeof prop !== 'string') {
+    return null;
+  }
+
+  return fallbackManager.getBuiltInFallback(`${moduleName}.${prop}`);
+}
+
 /**
  * Create a proxy wrapper around a module/object
  * @param {Object} target - The original module/object to wrap
@@ -220,12 +282,15 @@ function createProxyWrapper(target, options = {}) {
 
   // Handle null/undefined targets
   if (!target) {
-    logger.warn(`Target is null/undefined for module: ${moduleName}`);
+    getMemberLogger(moduleName, fallbackManager, logger).warn(`Target is null/undefined for module: ${moduleName}`);
     return createFallbackProxy(moduleName, fallbackManager, logger);
   }
 
   return new Proxy(target, {
     get(obj, prop) {
+      const memberPath = `${moduleName}.${String(prop)}`;
+      const log = getMemberLogger(memberPath, fallbackManager, logger);
+
       // If property exists and is accessible, return it
       if (prop in obj) {
         const value = obj[prop];
@@ -238,11 +303,11 @@ function createProxyWrapper(target, options = {}) {
         // If it's an object, recursively wrap it with web compatibility enhancements
         if (typeof value === 'object' && value !== null) {
           // First enhance the object with missing web methods if needed
-          const enhancedValue = enhanceObjectForWeb(value, `${moduleName}.${prop}`, logger);
+          const enhancedValue = enhanceObjectForWeb(value, `${moduleName}.${prop}`, log);
           
           return createProxyWrapper(enhancedValue, {
             moduleName: `${moduleName}.${prop}`,
-            config: config[prop] || {},
+            config,
             fallbackManager,
             logger
           });
@@ -251,9 +316,16 @@ function createProxyWrapper(target, options = {}) {
         // CRITICAL: Handle null/undefined values that should be objects
         // This handles cases like NetInfo.NetInfoStateType being null
         if (value === null || value === undefined) {
+          // A web adapter export stands in for members left empty on web
+          const builtInExport = getBuiltInExport(moduleName, prop, fallbackManager);
+          if (builtInExport) {
+            log.debug(`Using built-in web adapter for empty ${moduleName}.${String(prop)}`);
+            return builtInExport;
+          }
+
           // Check if this property is expected to be an object based on usage patterns
           if (shouldCreateFallbackObject(prop, moduleName)) {
-            logger.warn(`Property '${prop}' is null/undefined on module '${moduleName}', creating fallback object`);
+            log.warn(`Property '${prop}' is null/undefined on module '${moduleName}', creating fallback object`);
             return createFallbackObjectProxy(`${moduleName}.${prop}`, fallbackManager, logger);
           }
         }
@@ -262,20 +334,31 @@ function createProxyWrapper(target, options = {}) {
         return value;
       }
       
-      // Property doesn't exist - provide smart fallback
-      logger.warn(`Property '${prop}' not found on module '${moduleName}'`);
+      // Property doesn't exist - prefer a built-in web adapter when there is one
+      const builtInExport = getBuiltInExport(moduleName, prop, fallbackManager);
+      if (builtInExport) {
+        log.debug(`Using built-in web adapter for ${moduleName}.${prop}`);
+        return builtInExport;
+      }
+
+      // Otherwise provide smart fallback
+      log.warn(`Property '${String(prop)}' not found on module '${moduleName}'`);
+
+      if (fallbackManager.getFallbackStrategy(memberPath) === 'throw') {
+        return createThrowingMemberProxy(moduleName, prop, fallbackManager, logger);
+      }
       
       // Check if this looks like an event emitter pattern
       if (prop === 'PushEvents' || prop.endsWith('Events')) {
-        return createEventEmitterProxy(prop, moduleName, logger);
+        return createEventEmitterProxy(prop, moduleName, log);
       }
       
       // Check if this looks like a React Context pattern
       if (prop.endsWith('Context') || prop === 'Context') {
-        const contextProxy = createReactContextProxy(prop, moduleName, logger);
+        const contextProxy = createReactContextProxy(prop, moduleName, log);
         return createProxyWrapper(contextProxy, {
           moduleName: `${moduleName}.${prop}`,
-          config: config[prop] || {},
+          config,
           fallbackManager,
           logger
         });
@@ -283,22 +366,22 @@ function createProxyWrapper(target, options = {}) {
       
       // Check if this looks like a React component pattern
       if (prop.endsWith('Provider') || prop.endsWith('Consumer') || prop.endsWith('View') || prop.endsWith('Component')) {
-        return createReactComponentProxy(prop, moduleName, logger);
+        return createReactComponentProxy(prop, moduleName, log);
       }
       
       // Check if this looks like a React hook pattern
       if (prop.startsWith('use') && prop.length > 3 && prop[3] === prop[3].toUpperCase()) {
-        return createReactHookProxy(prop, moduleName, logger);
+        return createReactHookProxy(prop, moduleName, log);
       }
       
       // Check if this looks like a listener method
       if (prop === 'addListener' || prop === 'addEventListener') {
-        return createListenerProxy(prop, moduleName, logger);
+        return createListenerProxy(prop, moduleName, log);
       }
       
       // Check if this looks like a remove method
       if (prop === 'removeListener' || prop === 'removeEventListener' || prop === 'removeAllListeners') {
-        return createRemoveListenerProxy(prop, moduleName, logger);
+        return createRemoveListenerProxy(prop, moduleName, log);
       }
       
       // Use the safe property proxy for unknown properties
@@ -311,7 +394,8 @@ function createProxyWrapper(target, options = {}) {
         obj[prop] = value;
         return true;
       } catch (error) {
-        logger.warn(`Cannot set property '${prop}' on module '${moduleName}':`, error.message);
+        getMemberLogger(moduleName, fallbackManager, logger)
+          .warn(`Cannot set property '${String(prop)}' on module '${moduleName}':`, error.message);
         return false;
       }
     },
@@ -355,7 +439,7 @@ function createProxyWrapper(target, options = {}) {
  * @param {Function} originalMethod - The original method
  * @param {string} methodName - Name of the method
  * @param {string} moduleName - Name of the module
- * @param {Object} config - Method-specific configuration
+ * @param {Object} config - Configuration of the module; method settings are looked up in its `methods`
  * @param {Object} fallbackManager - Fallback manager instance
  * @param {Object} logger - Logger instance
  * @returns {Function} - Wrapped method with error handling
@@ -363,9 +447,10 @@ function createProxyWrapper(target, options = {}) {
 function createMethodProxy(originalMethod, methodName, moduleName, config, fallbackManager, logger) {
   return function(...args) {
     const fullMethodName = `${moduleName}.${methodName}`;
+    const log = getMemberLogger(fullMethodName, fallbackManager, logger);
     
     try {
-      logger.debug(`Calling method: ${fullMethodName}`, args);
+      log.debug(`Calling method: ${fullMethodName}`, args);
       
       // Call the original method
       const result = originalMethod.apply(this, args);
@@ -373,14 +458,14 @@ function createMethodProxy(originalMethod, methodName, moduleName, config, fallb
       // Handle promises
       if (result && typeof result.then === 'function') {
         return result.catch(error => {
-          logger.warn(`Promise rejected in ${fullMethodName}:`, error.message);
+          log.warn(`Promise rejected in ${fullMethodName}:`, error.message);
           return fallbackManager.handleMethodError(fullMethodName, error, args, config);
         });
       }
       
       return result;
     } catch (error) {
-      logger.warn(`Method ${fullMethodName} failed:`, error.message);
+      log.warn(`Method ${fullMethodName} failed:`, error.message);
       return fallbackManager.handleMethodError(fullMethodName, error, args, config);
     }
   };
@@ -406,17 +491,31 @@ function createFallbackProxy(moduleName, fallbackManager, logger) {
         return () => fallbackTarget;
       }
       
+      const memberPath = `${moduleName}.${String(prop)}`;
+      const log = getMemberLogger(memberPath, fallbackManager, logger);
+
+      // Prefer a built-in web adapter when there is one
+      const builtInExport = getBuiltInExport(moduleName, prop, fallbackManager);
+      if (builtInExport) {
+        log.debug(`Using built-in web adapter for ${moduleName}.${prop}`);
+        return builtInExport;
+      }
+
       // For any other property, use smart pattern detection
-      logger.warn(`Accessing property '${prop}' on missing module '${moduleName}'`);
+      log.warn(`Accessing property '${String(prop)}' on missing module '${moduleName}'`);
+
+      if (fallbackManager.getFallbackStrategy(memberPath) === 'throw') {
+        return createThrowingMemberProxy(moduleName, prop, fallbackManager, logger);
+      }
       
       // Check if this looks like an event emitter pattern
       if (prop === 'PushEvents' || prop.endsWith('Events')) {
-        return createEventEmitterProxy(prop, moduleName, logger);
+        return createEventEmitterProxy(prop, moduleName, log);
       }
       
       // Check if this looks like a React Context pattern
       if (prop.endsWith('Context') || prop === 'Context') {
-        const contextProxy = createReactContextProxy(prop, moduleName, logger);
+        const contextProxy = createReactContextProxy(prop, moduleName, log);
         return createProxyWrapper(contextProxy, {
           moduleName: `${moduleName}.${prop}`,
           config: {},
@@ -427,22 +526,22 @@ function createFallbackProxy(moduleName, fallbackManager, logger) {
       
       // Check if this looks like a React component pattern
       if (prop.endsWith('Provider') || prop.endsWith('Consumer') || prop.endsWith('View') || prop.endsWith('Component')) {
-        return createReactComponentProxy(prop, moduleName, logger);
+        return createReactComponentProxy(prop, moduleName, log);
       }
       
       // Check if this looks like a React hook pattern
       if (prop.startsWith('use') && prop.length > 3 && prop[3] === prop[3].toUpperCase()) {
-        return createReactHookProxy(prop, moduleName, logger);
+        return createReactHookProxy(prop, moduleName, log);
       }
       
       // Check if this looks like a listener method
       if (prop === 'addListener' || prop === 'addEventListener') {
-        return createListenerProxy(prop, moduleName, logger);
+        return createListenerProxy(prop, moduleName, log);
       }
       
       // Check if this looks like a remove method
       if (prop === 'removeListener' || prop === 'removeEventListener' || prop === 'removeAllListeners') {
-        return createRemoveListenerProxy(prop, moduleName, logger);
+        return createRemoveListenerProxy(prop, moduleName, log);
       }
       
       // Use the fallback manager for other cases
@@ -450,7 +549,8 @@ function createFallbackProxy(moduleName, fallbackManager, logger) {
     },
 
     set(obj, prop, value) {
-      logger.warn(`Attempting to set property '${prop}' on missing module '${moduleName}'`);
+      getMemberLogger(moduleName, fallbackManager, logger)
+        .warn(`Attempting to set property '${String(prop)}' on missing module '${moduleName}'`);
       return false;
     },
 
@@ -481,12 +581,14 @@ function createFallbackObjectProxy(propertyPath, fallbackManager, logger) {
       }
       
       // Return fallback value for any property access
-      logger.warn(`Accessing property '${prop}' on null/undefined object '${propertyPath}'`);
+      getMemberLogger(`${propertyPath}.${String(prop)}`, fallbackManager, logger)
+        .warn(`Accessing property '${String(prop)}' on null/undefined object '${propertyPath}'`);
       return fallbackManager.getFallbackValue(propertyPath, prop, {});
     },
 
     set(obj, prop, value) {
-      logger.warn(`Attempting to set property '${prop}' on fallback object '${propertyPath}'`);
+      getMemberLogger(propertyPath, fallbackManager, logger)
+        .warn(`Attempting to set property '${String(prop)}' on fallback object '${propertyPath}'`);
       return false;
     },
 
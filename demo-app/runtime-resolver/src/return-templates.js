@@ -0,0 +1,119 @@
+/**
+ * Return Templates - Fallback values described as JSON
+ *
+ * Manifests describe return values, default values and constants as plain
+ * JSON. A few string tokens stand for values JSON cannot express or that
+ * have to be computed in the browser:
+ *
+ *   "$permission"    undetermined permission response
+ *   "$subscription"  { remove() } subscription
+ *   "$insets"        measured safe area insets
+ *   "$frame"         measured window frame
+ *   "$metrics"       { insets, frame }
+ *   "$noop"          function returning undefined
+ *
+ * and `{ "$function": { "async": true, "returns": <template> } }` describes
+ * a function returning another template.
+ */
+
+const { PermissionStatus, createPermissionResponse } = require('./permissions');
+const { getSafeAreaMetrics } = require('./safe-area-metrics');
+
+const TEMPLATE_TOKENS = {
+  $permission: () => createPermissionResponse(PermissionStatus.UNDETERMINED),
+  $subscription: () => ({ remove: () => {} }),
+  $insets: () => getSafeAreaMetrics().insets,
+  $frame: () => getSafeAreaMetrics().frame,
+  $metrics: () => getSafeAreaMetrics(),
+  $noop: () => () => {}
+};
+
+/**
+ * Check whether a value is one of the template tokens; own properties only, so
+ * strings like "toString" or "constructor" stay plain strings
+ * @param {*} template - Template
+ * @returns {boolean} - True for template tokens
+ */
+function isTemplateToken(template) {
+  return typeof template === 'string' && Object.prototype.hasOwnProperty.call(TEMPLATE_TOKENS, template);
+}
+
+/**
+ * Check whether a value is a `{ "$function": ... }` template
+ * @param {*} template - Template
+ * @returns {boolean} - True for function templates
+ */
+function isFunctionTemplate(template) {
+  return !!template && typeof template === 'object' && !Array.isArray(template) &&
+    Object.keys(template).length === 1 && template.$function !== undefined;
+}
+
+/**
+ * Create a function from a method description
+ * @param {Object} description - { async, returns }
+ * @returns {Function} - Function returning the materialized template
+ */
+function createTemplateFunction(description = {}) {
+  return (...args) => {
+    const value = materializeTemplate(description.returns === undefined ? null : description.returns);
+    return description.async ? Promise.resolve(value) : value;
+  };
+}
+
+/**
+ * Turn a template into a value; non-template values are returned as is
+ * @param {*} template - JSON template
+ * @returns {*} - Materialized value
+ */
+function materializeTemplate(template) {
+  if (isTemplateToken(template)) {
+    return TEMPLATE_TOKENS[template]();
+  }
+  if (Array.isArray(template)) {
+    return template.map(materializeTemplate);
+  }
+  if (isFunctionTemplate(template)) {
+    return createTemplateFunction(template.$function);
+  }
+  if (template && typeof template === 'object' && Object.getPrototypeOf(template) === Object.prototype) {
+    const value = {};
+    Object.keys(template).forEach(key => {
+      value[key] = materializeTemplate(template[key]);
+    });
+    return value;
+  }
+  return template;
+}
+
+/**
+ * Find unknown tokens in a template
+ * @param {*} template - JSON template
+ * @param {string} path - Path of the template, used in error messages
+ * @returns {Array} - [{ path, message }], empty when valid
+ */
+function validateTemplate(template, path) {
+  if (typeof template === 'string' && template.startsWith('$') && !isTemplateToken(template)) {
+    return [{ path, message: `uses unknown template token "${template}"` }];
+  }
+  if (Array.isArray(template)) {
+    return template.reduce((errors, item, index) => errors.concat(validateTemplate(item, `${path}[${index}]`)), []);
+  }
+  if (isFunctionTemplate(template)) {
+    const description = template.$function;
+    if (!description || typeof description !== 'object') {
+      return [{ path: `${path}.$function`, message: 'must be an object' }];
+    }
+    return validateTemplate(description.returns, `${path}.$function.returns`);
+  }
+  if (template && typeof template === 'object') {
+    return Object.keys(template).reduce((errors, key) => errors.concat(validateTemplate(template[key], `${path}.${key}`)), []);
+  }
+  return [];
+}
+
+module.exports = {
+  TEMPLATE_TOKENS,
+  materializeTemplate,
+  createTemplateFunction,
+  validateTemplate
+};
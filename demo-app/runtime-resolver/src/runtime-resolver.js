@@ -9,32 +9,31 @@ const { createProxyWrapper } = require('./proxy-wrapper');
 const { PlatformDetector } = require('./platform-detector');
 const { FallbackManager } = require('./fallback-manager');
 const { Logger } = require('./logger');
+const { loadConfig } = require('./config-loader');
+const { getNativeModuleNames } = require('./native-module-names');
 
 class RuntimeResolver {
-  constructor(config = {}) {
-    this.config = {
-      // Default configuration
-      platform: 'auto', // 'auto', 'web', 'native'
-      fallbackStrategy: 'graceful', // 'graceful', 'throw', 'silent'
-      logging: true,
-      logLevel: 'warn', // 'debug', 'info', 'warn', 'error'
-      
-      // Module-specific configurations
-      modules: {},
-      
-      // Global fallback behaviors
-      fallbacks: {
-        returnValue: null,
-        throwError: false,
-        logMessage: true
-      },
-      
-      ...config
-    };
+  /**
+   * @param {Object} [config] - Configuration, deep-merged over the defaults
+   * @param {Object} [options] - Resolver options
+   * @param {Array} [options.knownModules] - Module names the configuration may refer to
+   * @throws {Error} - With code 'ERR_INVALID_CONFIG' when the configuration is invalid
+   */
+  constructor(config = {}, options = {}) {
+    this.knownModules = options.knownModules;
+    this.config = loadConfig(config, { knownModules: this.knownModules });
     
     this.platformDetector = new PlatformDetector();
-    this.fallbackManager = new FallbackManager(this.config.fallbacks);
     this.logger = new Logger(this.config.logging, this.config.logLevel);
+    this.fallbackManager = new FallbackManager({
+      ...this.config.fallbacks,
+      adapters: this.config.adapters,
+      moduleVersions: this.config.moduleVersions,
+      // 'native-missing' wraps on native too, where only generic fallbacks work
+      webAdapters: this.platformDetector.isWeb(),
+      fallbackStrategy: this.config.fallbackStrategy,
+      modules: this.config.modules
+    }, this.logger);
     
     // Cache for resolved modules
     this.moduleCache = new Map();
@@ -52,18 +51,18 @@ class RuntimeResolver {
       return this.moduleCache.get(moduleName);
     }
 
-    const isWeb = this.platformDetector.isWeb();
     const moduleConfig = this.config.modules[moduleName] || {};
+    const wrap = this.shouldWrap(moduleName, moduleConfig);
 
-    this.logger.debug(`Resolving module: ${moduleName}, isWeb: ${isWeb}`);
+    this.logger.debug(`Resolving module: ${moduleName}, platform: ${this.config.platform}, wrap: ${wrap}`);
 
-    // If not web platform, return original module
-    if (!isWeb) {
+    // Hand out the original module where no wrapping is needed
+    if (!wrap) {
       this.moduleCache.set(moduleName, originalModule);
       return originalModule;
     }
 
-    // Create proxy wrapper for web platform
+    // Create proxy wrapper with fallback handling
     const proxyWrapper = createProxyWrapper(
       originalModule,
       {
@@ -80,6 +79,40 @@ class RuntimeResolver {
     return proxyWrapper;
   }
 
+  /**
+   * Decide whether a module gets wrapped, following config.platform
+   *
+   * 'auto' wraps on web only, 'web' and 'always' wrap everywhere (e.g. under
+   * Jest), 'native' never wraps (e.g. web builds shipping their own
+   * polyfills) and 'native-missing' also wraps on native when the module's
+   * native side is not in the binary, as in Expo Go.
+   * @param {string} moduleName - Name of the module
+   * @param {Object} moduleConfig - Configuration of the module
+   * @returns {boolean} - True if the module should be wrapped
+   */
+  shouldWrap(moduleName, moduleConfig) {
+    switch (this.config.platform) {
+      case 'web':
+      case 'always':
+        return true;
+      case 'native':
+        return false;
+      case 'native-missing': {
+        if (this.platformDetector.isWeb()) {
+          return true;
+        }
+        const nativeModules = getNativeModuleNames(moduleName, moduleConfig);
+        if (nativeModules.length === 0) {
+          this.logger.debug(`No native modules known for ${moduleName}, leaving it unwrapped`);
+          return false;
+        }
+        return !nativeModules.every(name => this.platformDetector.hasNativeModule(name));
+      }
+      default:
+        return this.platformDetector.isWeb();
+    }
+  }
+
   /**
    * Convenience method to wrap a module import
    * @param {string} moduleName - Name of the module
@@ -91,7 +124,9 @@ class RuntimeResolver {
       const originalModule = await importFunction();
       return this.resolve(moduleName, originalModule);
     } catch (error) {
-      this.logger.error(`Failed to import module ${moduleName}:`, error.message);
+      if (this.fallbackManager.getFallbackStrategy(moduleName) !== 'silent') {
+        this.logger.error(`Failed to import module ${moduleName}:`, error.message);
+      }
       
       // Return a fallback module
       return this.fallbackManager.createFallbackModule(moduleName, error);
@@ -110,12 +145,19 @@ class RuntimeResolver {
 
   /**
    * Update configuration at runtime
-   * @param {Object} newConfig - New configuration to merge
+   * @param {Object} newConfig - New configuration, deep-merged over the current one
+   * @throws {Error} - With code 'ERR_INVALID_CONFIG' when the result is invalid; nothing is changed then
    */
   updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig };
-    this.fallbackManager.updateConfig(newConfig.fallbacks || {});
-    this.logger.updateConfig(newConfig.logging, newConfig.logLevel);
+    this.config = loadConfig(newConfig, { base: this.config, knownModules: this.knownModules });
+    this.fallbackManager.updateConfig({
+      ...this.config.fallbacks,
+      ...(newConfig.adapters ? { adapters: this.config.adapters } : {}),
+      ...(newConfig.moduleVersions ? { moduleVersions: this.config.moduleVersions } : {}),
+      fallbackStrategy: this.config.fallbackStrategy,
+      modules: this.config.modules
+    });
+    this.logger.updateConfig(this.config.logging, this.config.logLevel);
     
     // Clear cache when config changes
     this.moduleCache.clear();
@@ -125,10 +167,11 @@ class RuntimeResolver {
 /**
  * Create a new runtime resolver instance
  * @param {Object} config - Configuration options
+ * @param {Object} [options] - Resolver options, see RuntimeResolver
  * @returns {RuntimeResolver} - Runtime resolver instance
  */
-function createRuntimeResolver(config = {}) {
-  return new RuntimeResolver(config);
+function createRuntimeResolver(config = {}, options = {}) {
+  return new RuntimeResolver(config, options);
 }
 
 module.exports = {
@@ -0,0 +1,120 @@
+/**
+ * Safe Area Metrics - Measures env(safe-area-inset-*) and the window frame
+ *
+ * Shared by the safe-area-context adapter and the generic proxy/wrapper
+ * fallbacks, so those can report real insets without bundling the adapter.
+ */
+
+const EDGES = ['top', 'right', 'bottom', 'left'];
+
+const ZERO_INSETS = { top: 0, right: 0, bottom: 0, left: 0 };
+
+let probeElement = null;
+
+/**
+ * Get (or create) the element used to resolve env(safe-area-inset-*)
+ * @returns {HTMLElement|null} - Probe element, null outside the browser
+ */
+function getProbeElement() {
+  if (typeof document === 'undefined') {
+    return null;
+  }
+
+  if (!probeElement || !probeElement.isConnected) {
+    const parent = document.body || document.documentElement;
+    if (!parent) {
+      return null;
+    }
+
+    probeElement = document.createElement('div');
+    probeElement.setAttribute('aria-hidden', 'true');
+    probeElement.style.cssText = [
+      'position: fixed',
+      'top: 0',
+      'left: 0',
+      'width: 0',
+      'height: 0',
+      'visibility: hidden',
+      'pointer-events: none',
+      ...EDGES.map(edge => `padding-${edge}: env(safe-area-inset-${edge}, 0px)`)
+    ].join(';');
+    parent.appendChild(probeElement);
+  }
+
+  return probeElement;
+}
+
+/**
+ * Measure the current safe area insets
+ * @returns {Object} - { top, right, bottom, left } in px
+ */
+function measureInsets() {
+  const probe = getProbeElement();
+  if (!probe || typeof getComputedStyle === 'undefined') {
+    return { ...ZERO_INSETS };
+  }
+
+  const style = getComputedStyle(probe);
+  return EDGES.reduce((insets, edge) => {
+    insets[edge] = parseFloat(style.getPropertyValue(`padding-${edge}`)) || 0;
+    return insets;
+  }, {});
+}
+
+/**
+ * Measure the current window frame
+ * @returns {Object} - { x, y, width, height }
+ */
+function measureFrame() {
+  if (typeof window === 'undefined') {
+    return { x: 0, y: 0, width: 0, height: 0 };
+  }
+
+  return { x: 0, y: 0, width: window.innerWidth, height: window.innerHeight };
+}
+
+/**
+ * Measure the current safe area metrics
+ * @returns {Object} - { insets, frame }
+ */
+function getSafeAreaMetrics() {
+  return {
+    insets: measureInsets(),
+    frame: measureFrame()
+  };
+}
+
+/**
+ * Subscribe to window changes that can move the safe area
+ * @param {Function} listener - Called with fresh metrics
+ * @returns {Function} - Unsubscribe function
+ */
+function addSafeAreaMetricsListener(listener) {
+  if (typeof window === 'undefined' || !window.addEventListener) {
+    return () => {};
+  }
+
+  const handleChange = () => listener(getSafeAreaMetrics());
+  const orientation = typeof screen !== 'undefined' ? screen.orientation : null;
+
+  window.addEventListener('resize', handleChange);
+  window.addEventListener('orientationchange', handleChange);
+  if (orientation && orientation.addEventListener) {
+    orientation.addEventListener('change', handleChange);
+  }
+
+  return () => {
+    window.removeEventListener('resize', handleChange);
+    window.removeEventListener('orientationchange', handleChange);
+    if (orientation && orientation.removeEventListener) {
+      orientation.removeEventListener('change', handleChange);
+    }
+  };
+}
+
+module.exports = {
+  EDGES,
+  measureFrame,
+  getSafeAreaMetrics,
+  addSafeAreaMetricsListener
+};
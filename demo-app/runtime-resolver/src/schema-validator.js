@@ -0,0 +1,162 @@
+/**
+ * Schema Validator - Validates plain data against a JSON Schema subset
+ *
+ * Supports the keywords our schemas use: type (including 'integer' and
+ * type lists), enum, const, required, properties, additionalProperties,
+ * propertyNames, items, minItems, minLength, minimum, maximum and anyOf.
+ * Besides the JSON types, 'function' is accepted as a type for schemas of
+ * JavaScript configuration. Errors carry the path of the offending value,
+ * e.g. `interfaces[0].exports.Camera.kind` or
+ * `modules.expo-haptics.fallback.impactAsync`.
+ */
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'object', ...
+ */
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Describe a schema type for error messages
+ * @param {string} type - Schema type
+ * @returns {string} - 'a string', 'an object', 'null', ...
+ */
+function describeType(type) {
+  if (type === 'null') return 'null';
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+/**
+ * Check a value against one schema type name
+ * @param {*} value - Value
+ * @param {string} type - Schema type
+ * @returns {boolean} - True when the value has the type
+ */
+function matchesType(value, type) {
+  const actual = getType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Join a property or index onto a path
+ * @param {string} path - Parent path
+ * @param {string|number} key - Property name or array index
+ * @returns {string} - Child path
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  // Keys like 'expo-haptics' read fine dotted; brackets only when dots would be ambiguous
+  if (key === '' || /[.\[\]\s"']/.test(key)) {
+    return `${path}[${JSON.stringify(key)}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema subset
+ * @param {string} [path] - Path of the value, used in error messages
+ * @returns {Array} - [{ path, message }], empty when valid
+ */
+function validate(value, schema, path = '') {
+  const errors = [];
+  const at = path || '(root)';
+
+  if (!schema || schema === true) {
+    return errors;
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => validate(value, option, path).length === 0);
+    if (!matches) {
+      errors.push({ path: at, message: schema.description ? `must be ${schema.description}` : 'does not match any allowed shape' });
+    }
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path: at, message: `must be ${types.map(describeType).join(' or ')}, got ${getType(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path: at, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}` });
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(item, schema.items, childPath(path, index))));
+    }
+  }
+
+  if (getType(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: childPath(path, key), message: 'is required' });
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      if (schema.propertyNames) {
+        errors.push(...validate(key, schema.propertyNames, childPath(path, key)));
+      }
+      if (properties[key]) {
+        errors.push(...validate(value[key], properties[key], childPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, key), message: 'is not a known key' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(value[key], schema.additionalProperties, childPath(path, key)));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Format validation errors into one message
+ * @param {string} subject - What was validated, e.g. 'Manifest expo-camera.json'
+ * @param {Array} errors - Result of validate()
+ * @returns {string} - Multi-line message
+ */
+function formatErrors(subject, errors) {
+  return [`${subject} is invalid:`, ...errors.map(error => `  - ${error.path} ${error.message}`)].join('\n');
+}
+
+module.exports = {
+  validate,
+  formatErrors
+};
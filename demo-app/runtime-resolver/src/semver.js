@@ -0,0 +1,263 @@
+/**
+ * Semver - Minimal semantic version range matching
+ *
+ * Supports what adapter and interface definitions need: exact versions,
+ * comparators (>, >=, <, <=, =), caret (^), tilde (~), x-ranges (1.x, 2,
+ * *), hyphen ranges (1.0.0 - 2.0.0) and `||` unions. Prereleases follow
+ * semver ordering (1.0.0-alpha < 1.0.0-alpha.1 < 1.0.0-beta < 1.0.0) and,
+ * as in npm, only satisfy a range whose comparators name a prerelease of the
+ * same major.minor.patch: 15.0.0-rc.1 does not satisfy >=15.0.0 or >=14.
+ */
+
+/**
+ * Split a prerelease tag into identifiers
+ * @param {string} [tag] - e.g. 'rc.1'
+ * @returns {Array} - Identifiers, numeric ones as numbers; empty for releases
+ */
+function parsePrerelease(tag) {
+  if (!tag) {
+    return [];
+  }
+  return tag.split('.').map(identifier => (/^\d+$/.test(identifier) ? Number(identifier) : identifier));
+}
+
+/**
+ * Parse a version string
+ * @param {string} version - e.g. '15.0.2', 'v1.2', '16.0.0-rc.1'
+ * @returns {Array|null} - [major, minor, patch, prerelease], null when not a version
+ */
+function parseVersion(version) {
+  const match = String(version).trim().match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([^+]+))?(?:\+.*)?$/);
+  if (!match) {
+    return null;
+  }
+  return [Number(match[1]), Number(match[2] || 0), Number(match[3] || 0), parsePrerelease(match[4])];
+}
+
+/**
+ * Compare prerelease identifiers; a release sorts after its prereleases
+ * @param {Array} a - Identifiers of the first version
+ * @param {Array} b - Identifiers of the second version
+ * @returns {number} - Negative, zero or positive
+ */
+function comparePrerelease(a = [], b = []) {
+  if (a.length === 0 || b.length === 0) {
+    return b.length - a.length;
+  }
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] === b[i]) {
+      continue;
+    }
+    const aNumeric = typeof a[i] === 'number';
+    const bNumeric = typeof b[i] === 'number';
+    if (aNumeric && bNumeric) {
+      return a[i] - b[i];
+    }
+    if (aNumeric !== bNumeric) {
+      return aNumeric ? -1 : 1;
+    }
+    return a[i] < b[i] ? -1 : 1;
+  }
+  return a.length - b.length;
+}
+
+/**
+ * Compare two parsed versions
+ * @param {Array} a - [major, minor, patch, prerelease]
+ * @param {Array} b - [major, minor, patch, prerelease]
+ * @returns {number} - Negative, zero or positive
+ */
+function compareParsed(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return comparePrerelease(a[3], b[3]);
+}
+
+/**
+ * Compare two version strings
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} - Negative, zero or positive
+ */
+function compareVersions(a, b) {
+  const parsedA = parseVersion(a);
+  const parsedB = parseVersion(b);
+  if (!parsedA || !parsedB) {
+    throw new Error(`Invalid version: ${parsedA ? b : a}`);
+  }
+  return compareParsed(parsedA, parsedB);
+}
+
+/**
+ * Parse a partial version such as '1', '1.2', '1.x' or '*'
+ * @param {string} text - Partial version
+ * @returns {Object|null} - { parts, length } where length is the number of given parts
+ */
+function parsePartial(text) {
+  const match = text.match(/^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([^+]+))?(?:\+.*)?$/);
+  if (!match) {
+    return null;
+  }
+  const given = [match[1], match[2], match[3]];
+  let length = 0;
+  while (length < 3 && given[length] !== undefined && !/^[xX*]$/.test(given[length])) {
+    length++;
+  }
+  const parts = [0, 1, 2].map(i => (i < length ? Number(given[i]) : 0));
+  // A prerelease tag only means something on a full version
+  parts.push(length === 3 ? parsePrerelease(match[4]) : []);
+  return { parts, length };
+}
+
+/**
+ * Upper bound (exclusive) of a partial version, e.g. '1.2' -> 1.3.0
+ * @param {Object} partial - Result of parsePartial
+ * @returns {Array|null} - [major, minor, patch, prerelease], null when unbounded
+ */
+function partialUpperBound({ parts, length }) {
+  if (length === 0) {
+    return null;
+  }
+  if (length === 3) {
+    return [parts[0], parts[1], parts[2] + 1, []];
+  }
+  const bound = parts.slice(0, 3);
+  bound[length - 1] += 1;
+  for (let i = length; i < 3; i++) {
+    bound[i] = 0;
+  }
+  bound.push([]);
+  return bound;
+}
+
+/**
+ * Turn one comparator set (space separated) into [operator, version] tests
+ * @param {string} set - e.g. '>=1.2.0 <2', '^3.1', '1.0.0 - 1.4'
+ * @returns {Array} - [[operator, [major, minor, patch, prerelease]]]
+ */
+function parseComparatorSet(set) {
+  const trimmed = set.trim();
+  const hyphen = trimmed.match(/^(\S+)\s+-\s+(\S+)$/);
+  if (hyphen) {
+    const from = parsePartial(hyphen[1]);
+    const to = parsePartial(hyphen[2]);
+    if (!from || !to) {
+      throw new Error(`Invalid semver range: ${set}`);
+    }
+    const tests = [['>=', from.parts]];
+    if (to.length === 3) {
+      tests.push(['<=', to.parts]);
+    } else if (to.length > 0) {
+      tests.push(['<', partialUpperBound(to)]);
+    }
+    return tests;
+  }
+
+  const tests = [];
+  trimmed.split(/\s+/).filter(Boolean).forEach(token => {
+    const match = token.match(/^(\^|~|>=|<=|>|<|=)?(.+)$/);
+    const operator = match[1] || '';
+    const partial = parsePartial(match[2]);
+    if (!partial) {
+      throw new Error(`Invalid semver range: ${set}`);
+    }
+    const { parts, length } = partial;
+
+    if (operator === '^') {
+      const bound = parts[0] > 0 || length <= 1
+        ? [parts[0] + 1, 0, 0, []]
+        : parts[1] > 0 || length === 2
+          ? [0, parts[1] + 1, 0, []]
+          : [0, 0, parts[2] + 1, []];
+      tests.push(['>=', parts], ['<', bound]);
+    } else if (operator === '~') {
+      const bound = length <= 1 ? [parts[0] + 1, 0, 0, []] : [parts[0], parts[1] + 1, 0, []];
+      tests.push(['>=', parts], ['<', bound]);
+    } else if (operator === '' || operator === '=') {
+      const upper = partialUpperBound(partial);
+      if (length === 3) {
+        tests.push(['=', parts]);
+      } else if (upper) {
+        tests.push(['>=', parts], ['<', upper]);
+      }
+    } else if (operator === '>' && length < 3) {
+      // >1.2 means >=1.3.0
+      const upper = partialUpperBound(partial);
+      tests.push(upper ? ['>=', upper] : ['<', [0, 0, 0, []]]);
+    } else if (operator === '<=' && length < 3) {
+      const upper = partialUpperBound(partial);
+      if (upper) {
+        tests.push(['<', upper]);
+      }
+    } else {
+      tests.push([operator, parts]);
+    }
+  });
+  return tests;
+}
+
+/**
+ * Whether a comparator set lets a prerelease version in: one of its bounds
+ * must be a prerelease of the same major.minor.patch
+ * @param {Array} parsed - Parsed version with a prerelease
+ * @param {Array} tests - Result of parseComparatorSet
+ * @returns {boolean} - True when prereleases of that version are opted in
+ */
+function allowsPrerelease(parsed, tests) {
+  return tests.some(([, bound]) => bound[3].length > 0 &&
+    bound[0] === parsed[0] && bound[1] === parsed[1] && bound[2] === parsed[2]);
+}
+
+/**
+ * Check whether a version satisfies a range
+ * @param {string} version - Installed version
+ * @param {string} range - Semver range
+ * @returns {boolean} - True when the version is in the range
+ */
+function satisfies(version, range) {
+  const parsed = parseVersion(version);
+  if (!parsed) {
+    return false;
+  }
+
+  return String(range).split('||').some(set => {
+    const tests = parseComparatorSet(set);
+    if (parsed[3].length > 0 && !allowsPrerelease(parsed, tests)) {
+      return false;
+    }
+    return tests.every(([operator, bound]) => {
+      const comparison = compareParsed(parsed, bound);
+      switch (operator) {
+        case '>': return comparison > 0;
+        case '>=': return comparison >= 0;
+        case '<': return comparison < 0;
+        case '<=': return comparison <= 0;
+        default: return comparison === 0;
+      }
+    });
+  });
+}
+
+/**
+ * Check whether a string is a valid range
+ * @param {string} range - Semver range
+ * @returns {boolean} - True when the range parses
+ */
+function validRange(range) {
+  try {
+    String(range).split('||').forEach(parseComparatorSet);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  parseVersion,
+  compareVersions,
+  satisfies,
+  validRange
+};
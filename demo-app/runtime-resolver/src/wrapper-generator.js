@@ -5,9 +5,14 @@
  * runtime wrappers that provide proper fallbacks for each export type.
  */
 
+const { PermissionStatus, createPermissionResponse } = require('./permissions');
+const { getSafeAreaMetrics } = require('./safe-area-metrics');
+const { materializeTemplate, createTemplateFunction } = require('./return-templates');
+
 class WrapperGenerator {
-  constructor(logger) {
+  constructor(logger, fallbackManager = null) {
     this.logger = logger;
+    this.fallbackManager = fallbackManager;
   }
 
   /**
@@ -40,6 +45,13 @@ class WrapperGenerator {
   generateExportWrapper(key, exportInfo, moduleName) {
     const { type } = exportInfo;
     
+    // Built-in web adapters take precedence over generated stubs
+    const builtInExport = this.getBuiltInExport(key, moduleName);
+    if (builtInExport) {
+      this.logger.info(`[WrapperGenerator] Using built-in web adapter for ${moduleName}.${key}`);
+      return builtInExport;
+    }
+    
     switch (type) {
       case 'react-component':
         return this.generateReactComponentWrapper(key, exportInfo, moduleName);
@@ -56,6 +68,15 @@ class WrapperGenerator {
       case 'object':
         return this.generateObjectWrapper(key, exportInfo, moduleName);
       
+      case 'enum':
+        return { ...exportInfo.members };
+      
+      case 'constant':
+        return materializeTemplate(exportInfo.value);
+      
+      case 'class':
+        return this.generateClassWrapper(key, exportInfo, moduleName);
+      
       case 'null':
         return null;
       
@@ -72,9 +93,10 @@ class WrapperGenerator {
    * @returns {Function} - React component wrapper
    */
   generateReactComponentWrapper(key, exportInfo, moduleName) {
-    const { subtype } = exportInfo;
+    const { subtype, defaultProps = {}, staticMethods = {} } = exportInfo;
     
-    return (props = {}) => {
+    const component = (componentProps = {}) => {
+      const props = { ...defaultProps, ...componentProps };
       this.logger.info(`[WrapperGenerator] ${moduleName}.${key} (${subtype}) called`);
       
       // For web, try to detect if React is available
@@ -104,6 +126,13 @@ class WrapperGenerator {
         };
       }
     };
+    
+    // Manifests describe static methods, e.g. permission requests on a camera component
+    Object.keys(staticMethods).forEach(method => {
+      component[method] = createTemplateFunction(staticMethods[method]);
+    });
+    
+    return component;
   }
 
   /**
@@ -119,12 +148,17 @@ class WrapperGenerator {
     return (...args) => {
       this.logger.info(`[WrapperGenerator] ${moduleName}.${key} hook called`);
       
+      // Manifest return templates are exact, name patterns are a guess
+      if (exportInfo.returns !== undefined) {
+        return materializeTemplate(exportInfo.returns);
+      }
+      
       switch (returnType) {
         case 'insets':
-          return { top: 0, bottom: 0, left: 0, right: 0 };
+          return getSafeAreaMetrics().insets;
         
         case 'dimensions':
-          return { x: 0, y: 0, width: 0, height: 0 };
+          return getSafeAreaMetrics().frame;
         
         case 'state-tuple':
           return [null, () => {}];
@@ -154,10 +188,9 @@ class WrapperGenerator {
     const { hasProvider, hasConsumer, defaultValue } = exportInfo;
     
     // For React Context, always provide Consumer and Provider
-    const contextDefaultValue = defaultValue || {
-      insets: { top: 0, bottom: 0, left: 0, right: 0 },
-      frame: { x: 0, y: 0, width: 0, height: 0 }
-    };
+    const contextDefaultValue = exportInfo.kind && defaultValue !== undefined
+      ? materializeTemplate(defaultValue)
+      : defaultValue || getSafeAreaMetrics();
     
     const contextWrapper = {
       _currentValue: contextDefaultValue,
@@ -202,11 +235,15 @@ class WrapperGenerator {
       this.logger.info(`[WrapperGenerator] ${moduleName}.${key} function called with ${args.length} args`);
       
       // Return appropriate fallback based on function characteristics
+      const returnValue = exportInfo.returns !== undefined
+        ? materializeTemplate(exportInfo.returns)
+        : this.getDefaultReturnValue(key, moduleName);
+      
       if (async) {
-        return Promise.resolve(this.getDefaultReturnValue(key, moduleName));
+        return Promise.resolve(returnValue);
       }
       
-      return this.getDefaultReturnValue(key, moduleName);
+      return returnValue;
     };
   }
 
@@ -230,6 +267,34 @@ class WrapperGenerator {
     return objectWrapper;
   }
 
+  /**
+   * Generate wrapper for classes described by a manifest
+   * @param {string} key - Class key name
+   * @param {Object} exportInfo - Export information
+   * @param {string} moduleName - Module name
+   * @returns {Function} - Class with fallback methods
+   */
+  generateClassWrapper(key, exportInfo, moduleName) {
+    const { methods = {}, staticMethods = {} } = exportInfo;
+    const logger = this.logger;
+    
+    const FallbackClass = class {
+      constructor() {
+        logger.info(`[WrapperGenerator] ${moduleName}.${key} constructed`);
+      }
+    };
+    Object.defineProperty(FallbackClass, 'name', { value: key });
+    
+    Object.keys(methods).forEach(method => {
+      FallbackClass.prototype[method] = createTemplateFunction(methods[method]);
+    });
+    Object.keys(staticMethods).forEach(method => {
+      FallbackClass[method] = createTemplateFunction(staticMethods[method]);
+    });
+    
+    return FallbackClass;
+  }
+
   /**
    * Generate default wrapper for unknown types
    * @param {string} key - Export key name
@@ -247,6 +312,20 @@ class WrapperGenerator {
     };
   }
 
+  /**
+   * Get the built-in web adapter export for a module export, if any
+   * @param {string} key - Export key name
+   * @param {string} moduleName - Module name
+   * @returns {*} - Built-in export or null
+   */
+  getBuiltInExport(key, moduleName) {
+    if (!this.fallbackManager) {
+      return null;
+    }
+
+    return this.fallbackManager.getBuiltInFallback(`${moduleName}.${key}`);
+  }
+
   /**
    * Get default return value based on key name patterns
    * @param {string} key - Export key name
@@ -256,9 +335,9 @@ class WrapperGenerator {
   getDefaultReturnValue(key, moduleName) {
     const lowerKey = key.toLowerCase();
     
-    // Permission-related functions
-    if (lowerKey.includes('permission') || lowerKey.includes('request')) {
-      return { status: 'granted' };
+    // Permission-related functions: never claim access that was not granted
+    if (lowerKey.includes('permission')) {
+      return createPermissionResponse(PermissionStatus.UNDETERMINED);
     }
     
     // Get-related functions